@@ -9,7 +9,7 @@
  *   docs/context/db/schema.json (normalized-db-schema-v2)
  * - Support mutually-exclusive DB SSOT modes:
  *   - none         : no managed SSOT in repo
- *   - repo-prisma  : prisma/schema.prisma is SSOT (code -> db)
+ *   - repo-prisma  : prisma/schema.prisma (or prisma/schema/*.prisma) is SSOT (code -> db)
  *   - database     : real DB is SSOT (db -> code); repo holds mirrors
  *
  * Config (created by init pipeline):
@@ -22,11 +22,13 @@ import { spawnSync } from 'node:child_process';
 
 import {
   readJsonIfExists,
-  readTextIfExists,
   writeJson,
   parsePrismaSchema,
+  readPrismaSchemaFiles,
+  resolvePrismaSchemaLocation,
   normalizeDbMirrorSchema,
   buildNormalizedDbSchema,
+  diffNormalizedDbSchemas,
   NORMALIZED_DB_SCHEMA_VERSION
 } from './lib/normalized-db-schema.mjs';
 
@@ -76,6 +78,21 @@ Commands:
     --format <text|json>        Output format (default: text)
     Generate/update the normalized DB schema contract for LLMs.
 
+  diff
+    --repo-root <path>          Repo root (default: cwd)
+    --from <source>             Base schema (default: prisma)
+    --to <source>               Compared schema (default: mirror)
+    --format <text|json|markdown>  Output format (default: text)
+    --out <path>                Also write a Markdown report to <path>
+    --strict                    Exit non-zero when the schemas differ
+    --with-schemas              Include both normalized schemas in JSON output
+    Compare two normalized schemas and report added/removed/changed tables,
+    views, columns, indexes, enums, composite types and relations
+    ("added" = only in --to).
+    Sources: prisma (prisma/schema.prisma or prisma/schema/), mirror (db/schema/tables.json),
+    contract (docs/context/db/schema.json), ssot (prisma or mirror, per the
+    resolved SSOT mode), or a path to a normalized JSON file.
+
 Notes:
 - This script is safe to run in CI.
 - It never requires DB credentials. For DB SSOT mode it reads repo mirrors.
@@ -151,10 +168,9 @@ function loadDbSsotConfig(repoRoot) {
 }
 
 function inferMode(repoRoot) {
-  const prismaSchema = path.join(repoRoot, 'prisma', 'schema.prisma');
   const dbMirror = path.join(repoRoot, 'db', 'schema', 'tables.json');
 
-  if (exists(prismaSchema)) return 'repo-prisma';
+  if (resolvePrismaSchemaLocation(repoRoot).kind !== 'missing') return 'repo-prisma';
   if (exists(dbMirror)) return 'database';
   return 'none';
 }
@@ -182,10 +198,11 @@ function resolveMode(repoRoot) {
 }
 
 function buildContractFromPrisma({ repoRoot, mode }) {
-  const prismaPath = path.join(repoRoot, 'prisma', 'schema.prisma');
-  const prismaText = readTextIfExists(prismaPath);
+  const location = resolvePrismaSchemaLocation(repoRoot);
+  const prismaPath = location.path;
+  const files = readPrismaSchemaFiles(location);
 
-  if (!prismaText) {
+  if (files.length === 0) {
     return {
       contract: buildNormalizedDbSchema({
         mode,
@@ -199,7 +216,7 @@ function buildContractFromPrisma({ repoRoot, mode }) {
     };
   }
 
-  const parsed = parsePrismaSchema(prismaText);
+  const parsed = parsePrismaSchema(files.map((f) => ({ path: toPosix(path.relative(repoRoot, f.path)), text: f.text })));
   const warnings = Array.isArray(parsed?.warnings) ? parsed.warnings : [];
   return {
     contract: buildNormalizedDbSchema({
@@ -208,7 +225,11 @@ function buildContractFromPrisma({ repoRoot, mode }) {
       database: parsed.database,
       enums: parsed.enums,
       tables: parsed.tables,
-      notes: `Generated from Prisma schema.prisma (SSOT: ${mode}).`
+      views: parsed.views,
+      compositeTypes: parsed.compositeTypes,
+      notes: location.kind === 'folder'
+        ? `Generated from Prisma schema folder (${files.length} files; SSOT: ${mode}).`
+        : `Generated from Prisma schema.prisma (SSOT: ${mode}).`
     }),
     warnings
   };
@@ -260,6 +281,213 @@ function buildContractNone({ repoRoot }) {
   };
 }
 
+function loadSchemaSource(repoRoot, spec) {
+  const mode = resolveMode(repoRoot).mode;
+  let source = String(spec || '').trim();
+  if (source === 'ssot') {
+    source = mode === 'repo-prisma' ? 'prisma' : mode === 'database' ? 'mirror' : 'contract';
+  }
+
+  if (source === 'prisma') {
+    const location = resolvePrismaSchemaLocation(repoRoot);
+    const prismaPath = location.path;
+    if (location.kind === 'missing') die(`[error] Missing Prisma schema: ${toPosix(path.relative(repoRoot, prismaPath))}`);
+    const built = buildContractFromPrisma({ repoRoot, mode });
+    return { label: 'prisma', path: toPosix(path.relative(repoRoot, prismaPath)), schema: built.contract, warnings: built.warnings };
+  }
+
+  if (source === 'mirror') {
+    const mirrorPath = path.join(repoRoot, 'db', 'schema', 'tables.json');
+    if (!exists(mirrorPath)) die(`[error] Missing DB mirror: ${toPosix(path.relative(repoRoot, mirrorPath))}`);
+    const built = buildContractFromDbMirror({ repoRoot, mode });
+    return { label: 'mirror', path: toPosix(path.relative(repoRoot, mirrorPath)), schema: built.contract, warnings: built.warnings };
+  }
+
+  const filePath = source === 'contract'
+    ? path.join(repoRoot, 'docs', 'context', 'db', 'schema.json')
+    : resolvePath(repoRoot, source);
+  if (!filePath) die('[error] Missing schema source');
+
+  const raw = readJsonIfExists(filePath);
+  if (!raw) die(`[error] Missing or invalid schema JSON: ${toPosix(path.relative(repoRoot, filePath))}`);
+
+  return {
+    label: source === 'contract' ? 'contract' : 'file',
+    path: toPosix(path.relative(repoRoot, filePath)),
+    schema: normalizeDbMirrorSchema(raw),
+    warnings: []
+  };
+}
+
+function describeColumn(c) {
+  const type = `${c.type || '?'}${c.list ? '[]' : ''}${c.nullable ? '?' : ''}`;
+  const flags = [c.primaryKey ? 'pk' : '', c.unique ? 'unique' : '', c.default ? `default ${c.default}` : ''].filter(Boolean);
+  return flags.length ? `${type} (${flags.join(', ')})` : type;
+}
+
+function describeRelation(r) {
+  return `${r.to}${r.list ? '[]' : ''}${r.optional ? '?' : ''}`;
+}
+
+function describeChange(ch) {
+  const fmt = (v) => (v === null ? '(none)' : Array.isArray(v) ? `[${v.join(', ')}]` : String(v));
+  return `${ch.field} ${fmt(ch.from)} → ${fmt(ch.to)}`;
+}
+
+function schemaDiffLines(diff) {
+  // Shared line model for the text and Markdown renderers: [marker, kind, name, detail, depth]
+  const lines = [];
+
+  for (const [section, kind] of [[diff.tables, 'table'], [diff.views, 'view']]) {
+    for (const t of section.added) lines.push(['+', kind, t.name, `${(t.columns || []).length} column(s)`, 0]);
+    for (const t of section.removed) lines.push(['-', kind, t.name, '', 0]);
+    for (const t of section.changed) {
+      lines.push(['~', kind, t.name, '', 0]);
+      for (const ch of t.attributes) lines.push(['~', 'attribute', ch.field, describeChange(ch), 1]);
+      for (const x of t.columns.added) lines.push(['+', 'column', x.key, describeColumn(x.item), 1]);
+      for (const x of t.columns.removed) lines.push(['-', 'column', x.key, describeColumn(x.item), 1]);
+      for (const x of t.columns.changed) lines.push(['~', 'column', x.key, x.changes.map(describeChange).join('; '), 1]);
+      for (const x of t.indexes.added) lines.push(['+', 'index', x.key, x.item.name || x.item.map || '', 1]);
+      for (const x of t.indexes.removed) lines.push(['-', 'index', x.key, x.item.name || x.item.map || '', 1]);
+      for (const x of t.indexes.changed) lines.push(['~', 'index', x.key, x.changes.map(describeChange).join('; '), 1]);
+      for (const x of t.relations.added) lines.push(['+', 'relation', x.key, describeRelation(x.item), 1]);
+      for (const x of t.relations.removed) lines.push(['-', 'relation', x.key, describeRelation(x.item), 1]);
+      for (const x of t.relations.changed) lines.push(['~', 'relation', x.key, x.changes.map(describeChange).join('; '), 1]);
+    }
+  }
+
+  for (const t of diff.compositeTypes.added) lines.push(['+', 'type', t.name, `${(t.fields || []).length} field(s)`, 0]);
+  for (const t of diff.compositeTypes.removed) lines.push(['-', 'type', t.name, '', 0]);
+  for (const t of diff.compositeTypes.changed) {
+    lines.push(['~', 'type', t.name, '', 0]);
+    for (const x of t.fields.added) lines.push(['+', 'field', x.key, describeColumn(x.item), 1]);
+    for (const x of t.fields.removed) lines.push(['-', 'field', x.key, describeColumn(x.item), 1]);
+    for (const x of t.fields.changed) lines.push(['~', 'field', x.key, x.changes.map(describeChange).join('; '), 1]);
+  }
+
+  for (const e of diff.enums.added) lines.push(['+', 'enum', e.name, (e.values || []).join(', '), 0]);
+  for (const e of diff.enums.removed) lines.push(['-', 'enum', e.name, '', 0]);
+  for (const e of diff.enums.changed) {
+    const parts = [...e.addedValues.map((v) => `+${v}`), ...e.removedValues.map((v) => `-${v}`)];
+    lines.push(['~', 'enum', e.name, parts.join(' '), 0]);
+  }
+
+  return lines;
+}
+
+function renderSchemaDiffMarkdown({ from, to, diff }) {
+  const s = diff.summary;
+  const out = [
+    '# DB Schema Diff',
+    '',
+    `- From: \`${from.label}\` (\`${from.path}\`)`,
+    `- To: \`${to.label}\` (\`${to.path}\`)`,
+    `- Generated at: \`${new Date().toISOString()}\``,
+    '',
+    '## Summary',
+    '',
+    '| Object | Added | Removed | Changed |',
+    '| --- | --- | --- | --- |',
+    `| Tables | ${s.tablesAdded} | ${s.tablesRemoved} | ${s.tablesChanged} |`,
+    `| Views | ${s.viewsAdded} | ${s.viewsRemoved} | ${s.viewsChanged} |`,
+    `| Enums | ${s.enumsAdded} | ${s.enumsRemoved} | ${s.enumsChanged} |`,
+    `| Composite types | ${s.compositeTypesAdded} | ${s.compositeTypesRemoved} | ${s.compositeTypesChanged} |`,
+    ''
+  ];
+
+  if (diff.identical) {
+    out.push('_No differences._');
+    return out.join('\n') + '\n';
+  }
+
+  const esc = (v) => String(v || '').replace(/\|/g, '\\|');
+  const lines = schemaDiffLines(diff);
+  let table = null;
+  const flush = (rows) => {
+    if (!rows.length) return;
+    out.push('| Change | Kind | Name | Detail |', '| --- | --- | --- | --- |');
+    for (const r of rows) out.push(`| ${r[0]} | ${r[1]} | \`${esc(r[2])}\` | ${esc(r[3])} |`);
+    out.push('');
+  };
+
+  let rows = [];
+  for (const line of lines) {
+    if (line[4] === 0) {
+      flush(rows);
+      rows = [];
+      table = line;
+      out.push(`## ${table[0]} ${table[1]} \`${table[2]}\``, '');
+      if (table[3]) out.push(table[3], '');
+      continue;
+    }
+    rows.push(line);
+  }
+  flush(rows);
+
+  out.push('Legend: `+` only in **to**, `-` only in **from**, `~` changed.');
+  return out.join('\n') + '\n';
+}
+
+function cmdDiff(repoRoot, opts, format) {
+  const from = loadSchemaSource(repoRoot, opts['from'] && opts['from'] !== true ? opts['from'] : 'prisma');
+  const to = loadSchemaSource(repoRoot, opts['to'] && opts['to'] !== true ? opts['to'] : 'mirror');
+  const diff = diffNormalizedDbSchemas(from.schema, to.schema);
+  const warnings = [...from.warnings, ...to.warnings];
+
+  const markdown = renderSchemaDiffMarkdown({ from, to, diff });
+  const outPath = opts['out'] && opts['out'] !== true ? resolvePath(repoRoot, opts['out']) : null;
+  if (outPath) {
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, markdown, 'utf8');
+  }
+
+  if (format === 'json') {
+    console.log(JSON.stringify({
+      from: { source: from.label, path: from.path, dialect: from.schema.database?.dialect || 'generic', ...(opts['with-schemas'] ? { schema: from.schema } : {}) },
+      to: { source: to.label, path: to.path, dialect: to.schema.database?.dialect || 'generic', ...(opts['with-schemas'] ? { schema: to.schema } : {}) },
+      identical: diff.identical,
+      summary: diff.summary,
+      enums: diff.enums,
+      tables: {
+        added: diff.tables.added,
+        removed: diff.tables.removed,
+        changed: diff.tables.changed.map(({ before, after, ...rest }) => rest)
+      },
+      views: {
+        added: diff.views.added,
+        removed: diff.views.removed,
+        changed: diff.views.changed.map(({ before, after, ...rest }) => rest)
+      },
+      compositeTypes: diff.compositeTypes,
+      warnings,
+      report: outPath ? toPosix(path.relative(repoRoot, outPath)) : null
+    }, null, 2));
+  } else if (format === 'markdown') {
+    process.stdout.write(markdown);
+  } else {
+    const s = diff.summary;
+    console.log(`DB Schema Diff: ${from.label} (${from.path}) → ${to.label} (${to.path})`);
+    console.log('');
+    console.log(`  Tables: +${s.tablesAdded} -${s.tablesRemoved} ~${s.tablesChanged}`);
+    console.log(`  Views:  +${s.viewsAdded} -${s.viewsRemoved} ~${s.viewsChanged}`);
+    console.log(`  Enums:  +${s.enumsAdded} -${s.enumsRemoved} ~${s.enumsChanged}`);
+    console.log(`  Types:  +${s.compositeTypesAdded} -${s.compositeTypesRemoved} ~${s.compositeTypesChanged}`);
+    console.log('');
+    if (diff.identical) {
+      console.log('  No differences.');
+    } else {
+      for (const [marker, kind, name, detail, depth] of schemaDiffLines(diff)) {
+        const indent = depth === 0 ? '  ' : '      ';
+        console.log(`${indent}${marker} ${kind} ${name}${detail ? `: ${detail}` : ''}`);
+      }
+    }
+    for (const w of warnings) console.warn(`[warn] ${w}`);
+    if (outPath) console.log(`\n  Report: ${toPosix(path.relative(repoRoot, outPath))}`);
+  }
+
+  if (opts['strict'] && !diff.identical) process.exit(1);
+}
+
 function runContextTouch(repoRoot) {
   const contextctl = path.join(repoRoot, '.ai', 'skills', 'features', 'context-awareness', 'scripts', 'ctl-context.mjs');
   if (!exists(contextctl)) return { ran: false, reason: 'ctl-context.mjs not found' };
@@ -278,7 +506,8 @@ function runContextTouch(repoRoot) {
 
 function cmdStatus(repoRoot, format) {
   const resolved = resolveMode(repoRoot);
-  const prismaPath = path.join(repoRoot, 'prisma', 'schema.prisma');
+  const prismaLocation = resolvePrismaSchemaLocation(repoRoot);
+  const prismaPath = prismaLocation.path;
   const mirrorPath = path.join(repoRoot, 'db', 'schema', 'tables.json');
   const outPath = path.join(repoRoot, 'docs', 'context', 'db', 'schema.json');
 
@@ -292,7 +521,7 @@ function cmdStatus(repoRoot, format) {
       contextContract: toPosix(path.relative(repoRoot, outPath))
     },
     exists: {
-      prismaSchema: exists(prismaPath),
+      prismaSchema: prismaLocation.kind !== 'missing',
       dbMirror: exists(mirrorPath),
       contextContract: exists(outPath)
     }
@@ -387,6 +616,7 @@ function main() {
   if (command === 'help') usage(0);
   if (command === 'status') return cmdStatus(repoRoot, format);
   if (command === 'sync-to-context') return cmdSyncToContext(repoRoot, out, format);
+  if (command === 'diff') return cmdDiff(repoRoot, opts, format);
 
   usage(1);
 }
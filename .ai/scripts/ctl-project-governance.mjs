@@ -2,7 +2,7 @@
 /**
  * ctl-project-governance.mjs
  *
- * Project governance control tool (init/lint/sync).
+ * Project governance control tool (init/lint/sync/query/map/new-task/transition/watch/graph/report/trace/export/import).
  *
  * @reference .ai/project/CONTRACT.md
  * @reference .ai/skills/standards/naming-conventions/SKILL.md
@@ -13,6 +13,7 @@
  * - Task identity SoT is anchored by `.ai-task.yaml` (`task_id`).
  */
 
+import { spawnSync } from 'node:child_process';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -73,14 +74,18 @@ Commands:
     --project <slug>          Project slug (default: ${DEFAULT_PROJECT})
     --dry-run                 Show what would be created
     --force                   Overwrite existing hub files (dangerous)
-    Initialize the project hub at .ai/project/<project>/ (idempotent by default).
+    Initialize the project hub at .ai/project/<project>/ (idempotent by default)
+    and write .ai/project/registry.schema.json when missing.
 
   lint
     --repo-root <path>        Repo root (default: auto-detect; fallback: cwd)
     --project <slug>          Project slug (default: ${DEFAULT_PROJECT})
     --check                   (default) Exit non-zero only on errors (warnings do not fail)
     --strict                  Treat warnings as errors (except "human verification" warnings)
-    Validate repo project governance state against the Project Contract.
+    --all-projects            Lint every hub under .ai/project/ plus cross-project task ID collisions
+    --staged                  Pre-commit mode: check only task bundles and registries staged in the git index
+    Validate repo project governance state against the Project Contract
+    (registry.yaml against .ai/project/registry.schema.json, with line numbers).
 
   sync
     --repo-root <path>        Repo root (default: auto-detect; fallback: cwd)
@@ -89,6 +94,7 @@ Commands:
     --apply                   Apply changes (writes files)
     --init-if-missing         Create missing hub files from templates before syncing
     --changelog               Append sync-detected events to hub changelog (apply-mode only)
+    --all-projects            Sync every hub under .ai/project/ and regenerate .ai/project/OVERVIEW.md
     Generate missing task meta IDs, upsert registry tasks, and regenerate derived views.
 
   query
@@ -98,6 +104,7 @@ Commands:
     --status <status>         Filter by status (planned|in-progress|blocked|done|archived)
     --text <substring>        Substring match against common task fields
     --json                    Output a single JSON array instead of JSON lines
+    --all-projects            Query tasks of every hub (rows include "project")
     Locate tasks quickly for dedupe/triage (LLM-friendly output).
 
   map
@@ -111,12 +118,95 @@ Commands:
     --apply                   Apply the mapping change
     Map a task to Feature/Milestone/Requirement in the registry.
 
+  new-task
+    --repo-root <path>        Repo root (default: auto-detect; fallback: cwd)
+    --project <slug>          Project slug (default: ${DEFAULT_PROJECT})
+    --title <text>            Task title (required)
+    --feature <F-###>         Feature to map the task to (required; milestone follows the feature)
+    --slug <kebab-case>       Directory slug (default: derived from --title)
+    --root <dev-docs root>    Task-doc root (default: first project.task_doc_roots entry)
+    --dry-run                 Show what would be created without writing
+    --apply                   Create the bundle and register the task
+    Allocate the next T-###, render the dev-docs bundle from templates and register it.
+
+  watch
+    --repo-root <path>        Repo root (default: auto-detect; fallback: cwd)
+    --project <slug>          Project slug (default: ${DEFAULT_PROJECT})
+    --all-projects            Watch the task-doc roots of every hub
+    --apply                   Run sync --apply after a clean lint (default: sync --dry-run)
+    --debounce <ms>           Quiet period before re-running (default: 300)
+    Watch task_doc_roots and re-lint changed task bundles, then sync, until interrupted.
+
+  transition
+    --repo-root <path>        Repo root (default: auto-detect; fallback: cwd)
+    --project <slug>          Project slug (default: ${DEFAULT_PROJECT})
+    --task <T-###>            Task ID (required)
+    --to <status>             planned | in-progress | blocked | done | archived
+    --archive                 With --to done: also move the bundle to archive/
+    --force                   Allow transitions outside the table and unfinished dependencies
+    --dry-run                 Show what would change without writing
+    --apply                   Edit 00-overview.md State, move/update meta + registry, append changelog
+    Change a task's status through the allowed transition table (e.g. planned -> done needs in-progress first).
+
+  graph
+    --repo-root <path>        Repo root (default: auto-detect; fallback: cwd)
+    --project <slug>          Project slug (default: ${DEFAULT_PROJECT})
+    --format <fmt>            mermaid | dot | json (default: mermaid)
+    --milestone <M-###>       Only include tasks mapped to this milestone
+    --out <file>              Write to a file instead of stdout
+    Render the task dependency graph (edges: dependency -> dependent; critical path in bold).
+
+  trace
+    --repo-root <path>        Repo root (default: auto-detect; fallback: cwd)
+    --project <slug>          Project slug (default: ${DEFAULT_PROJECT})
+    --format <fmt>            markdown | csv (default: markdown)
+    --out <file>              Write to a file instead of stdout
+    --apply                   Write traceability.md (AUTO block) and traceability.csv into the hub
+    --strict                  Exit non-zero when gaps are found
+    Requirement -> feature -> task -> acceptance-criteria matrix (flags: no-tasks, no-requirement, ac-unchecked, ac-missing).
+
+  export
+    --repo-root <path>        Repo root (default: auto-detect; fallback: cwd)
+    --project <slug>          Project slug (default: ${DEFAULT_PROJECT})
+    --format <fmt>            github-issues | gitlab-issues (required)
+    --out <file>              Write to a file instead of stdout
+    Render registry tasks as tracker issues (title "[T-###] ...", task/feature/status/requirement labels, milestone).
+
+  import
+    --repo-root <path>        Repo root (default: auto-detect; fallback: cwd)
+    --project <slug>          Project slug (default: ${DEFAULT_PROJECT})
+    --from <json>             Exported issue dump (API listing array or an export payload)
+    --format <fmt>            github-issues | gitlab-issues (default: auto-detect)
+    --dry-run                 Show the diff, conflicts and drift without writing
+    --apply                   Apply non-conflicting tracker changes and update issue-map.json
+    Pull title/milestone/feature/requirement edits from a tracker dump (offline; status stays in 00-overview.md).
+
+  report
+    --repo-root <path>        Repo root (default: auto-detect; fallback: cwd)
+    --project <slug>          Project slug (default: ${DEFAULT_PROJECT})
+    --weeks <n>               Number of ISO weeks to report (default: 8)
+    --milestone <M-###>       Only include tasks mapped to this milestone
+    --no-git                  Replay changelog.md only (skip git history of 00-overview.md)
+    --dry-run                 Print the dashboard report block instead of JSON
+    --apply                   Write the report block into dashboard.md
+    Replay task status history into burndown, weekly throughput and cycle time (JSON by default).
+
 Examples:
   node .ai/scripts/ctl-project-governance.mjs init --project main
   node .ai/scripts/ctl-project-governance.mjs lint --check --project main
   node .ai/scripts/ctl-project-governance.mjs sync --dry-run --project main
   node .ai/scripts/ctl-project-governance.mjs sync --apply --project main
+  node .ai/scripts/ctl-project-governance.mjs sync --apply --all-projects
   node .ai/scripts/ctl-project-governance.mjs map --task T-001 --feature F-002 --apply
+  node .ai/scripts/ctl-project-governance.mjs new-task --title "Add audit log" --feature F-002 --apply
+  node .ai/scripts/ctl-project-governance.mjs transition --task T-001 --to done --archive --apply
+  node .ai/scripts/ctl-project-governance.mjs watch --apply
+  node .ai/scripts/ctl-project-governance.mjs lint --staged
+  node .ai/scripts/ctl-project-governance.mjs report --weeks 12 --apply
+  node .ai/scripts/ctl-project-governance.mjs trace --format csv --out trace.csv
+  node .ai/scripts/ctl-project-governance.mjs export --format github-issues --out issues.json
+  node .ai/scripts/ctl-project-governance.mjs import --from gh-issues.json --dry-run
+  node .ai/scripts/ctl-project-governance.mjs graph --format dot --milestone M-001 --out deps.dot
 `.trim();
 
   console.log(msg);
@@ -220,6 +310,16 @@ function getRegistryPath(repoRoot, projectSlug) {
   return path.join(getHubDir(repoRoot, projectSlug), 'registry.yaml');
 }
 
+function listProjectSlugs(repoRoot) {
+  // Every .ai/project/<slug>/ with a registry.yaml is a project hub.
+  const projectsDir = path.join(repoRoot, '.ai', 'project');
+  return listImmediateChildDirs(projectsDir).filter((slug) => exists(getRegistryPath(repoRoot, slug)));
+}
+
+function getOverviewPath(repoRoot) {
+  return path.join(repoRoot, '.ai', 'project', 'OVERVIEW.md');
+}
+
 function getTemplatesDir(repoRoot) {
   return path.join(
     repoRoot,
@@ -243,6 +343,16 @@ function listImmediateChildDirs(dirPath) {
   return entries.filter((e) => e.isDirectory()).map((e) => e.name).sort((a, b) => a.localeCompare(b));
 }
 
+function listMarkdownFiles(dirPath) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries.filter((e) => e.isFile() && e.name.endsWith('.md')).map((e) => e.name).sort((a, b) => a.localeCompare(b));
+}
+
 function replaceAutoBlock(raw, blockId, content, filePath, allowFullReplace = true) {
   const start = `<!-- AUTO-GENERATED:START ${blockId} -->`;
   const end = `<!-- AUTO-GENERATED:END ${blockId} -->`;
@@ -314,25 +424,73 @@ function parseScalar(raw) {
   return t;
 }
 
-function parseYamlDoc(raw) {
+function yamlChildPath(base, key) {
+  return base ? `${base}.${key}` : String(key);
+}
+
+function yamlItemPath(base, item, index) {
+  // List items that carry an `id` are addressed by it, so comments survive re-sorting and inserts.
+  const id = item && typeof item === 'object' && !Array.isArray(item) ? item.id : undefined;
+  const key = typeof id === 'string' || typeof id === 'number' ? id : index;
+  return `${base}[${key}]`;
+}
+
+function createYamlTrace() {
+  // Source positions and human notes captured by parseYamlDoc and replayed by dumpYamlDoc.
+  return { lines: new Map(), comments: new Map(), inline: new Map(), order: new Map(), scalars: new Map(), header: [], footer: [] };
+}
+
+function renameTracePrefix(trace, from, to) {
+  if (from === to) return;
+  for (const map of [trace.lines, trace.comments, trace.inline, trace.order, trace.scalars]) {
+    for (const key of [...map.keys()]) {
+      if (key !== from && !key.startsWith(`${from}.`) && !key.startsWith(`${from}[`)) continue;
+      const value = map.get(key);
+      map.delete(key);
+      map.set(to + key.slice(from.length), value);
+    }
+  }
+}
+
+function parseYamlDoc(raw, trace = null) {
   // Minimal YAML parser for this repo's registry format.
   // Supports:
   // - indentation-based maps/lists
   // - scalar values
   // - inline empty list: []
   // - list of maps (with "- key: value" lines)
-  const lines = normalizeEol(raw)
-    .split('\n')
-    .map((l) => stripInlineComment(l).trimEnd());
+  // When a trace is given, it records line numbers, comments and key order per path.
+  const rawLines = normalizeEol(raw).split('\n');
+  const lines = rawLines.map((l) => stripInlineComment(l).trimEnd());
+  let pending = [];
+
+  function trimBlank(list) {
+    let start = 0;
+    let end = list.length;
+    while (start < end && !list[start]) start++;
+    while (end > start && !list[end - 1]) end--;
+    return list.slice(start, end);
+  }
+
+  function mark(i, p) {
+    if (!trace) return;
+    if (!trace.lines.has(p)) trace.lines.set(p, i + 1);
+    if (pending.length > 0) {
+      const notes = trimBlank(pending);
+      if (trace.lines.size === 1) trace.header = notes;
+      else if (notes.length > 0) trace.comments.set(p, notes);
+      pending = [];
+    }
+    const inline = rawLines[i].slice(lines[i].length).trim();
+    if (inline.startsWith('#')) trace.inline.set(p, inline);
+  }
 
   function skip(i) {
     while (i < lines.length) {
       const t = lines[i].trim();
       if (!t) {
-        i++;
-        continue;
-      }
-      if (t.startsWith('#')) {
+        if (rawLines[i].trim().startsWith('#')) pending.push(rawLines[i].trim());
+        else if (pending.length > 0) pending.push('');
         i++;
         continue;
       }
@@ -341,7 +499,7 @@ function parseYamlDoc(raw) {
     return i;
   }
 
-  function parseBlock(i, indent) {
+  function parseBlock(i, indent, p) {
     i = skip(i);
     if (i >= lines.length) return { value: null, next: i };
 
@@ -350,50 +508,17 @@ function parseYamlDoc(raw) {
     if (ind < indent) return { value: null, next: i };
 
     const atIndent = line.slice(indent);
-    if (atIndent.trimStart().startsWith('- ')) return parseList(i, indent);
-    return parseMap(i, indent);
+    if (atIndent.trimStart().startsWith('- ')) return parseList(i, indent, p);
+    return parseMap(i, indent, p);
   }
 
-  function parseMap(i, indent) {
+  function parseMap(i, indent, p) {
     const obj = {};
-    while (true) {
-      i = skip(i);
-      if (i >= lines.length) break;
-      const line = lines[i];
-      const ind = countIndent(line);
-      if (ind < indent) break;
-      if (ind > indent) {
-        throw new Error(`Invalid indentation at line ${i + 1}`);
-      }
-
-      const t = line.slice(indent);
-      if (t.trimStart().startsWith('- ')) {
-        // List at same indent means map ended
-        break;
-      }
-
-      const m = t.match(/^([A-Za-z0-9_-]+)\s*:\s*(.*)$/);
-      if (!m) {
-        throw new Error(`Invalid mapping at line ${i + 1}: ${t}`);
-      }
-
-      const key = m[1];
-      const rest = (m[2] ?? '').trim();
-      if (rest === '') {
-        const child = parseBlock(i + 1, indent + 2);
-        obj[key] = child.value === null ? {} : child.value;
-        i = child.next;
-        continue;
-      }
-
-      obj[key] = parseScalar(rest);
-      i++;
-    }
-
+    i = parseMapInto(obj, i, indent, p);
     return { value: obj, next: i };
   }
 
-  function parseMapInto(obj, i, indent) {
+  function parseMapInto(obj, i, indent, p) {
     while (true) {
       i = skip(i);
       if (i >= lines.length) break;
@@ -403,25 +528,30 @@ function parseYamlDoc(raw) {
       if (ind > indent) throw new Error(`Invalid indentation at line ${i + 1}`);
 
       const t = line.slice(indent);
+      // List at same indent means map ended
       if (t.trimStart().startsWith('- ')) break;
 
       const m = t.match(/^([A-Za-z0-9_-]+)\s*:\s*(.*)$/);
       if (!m) throw new Error(`Invalid mapping at line ${i + 1}: ${t}`);
       const key = m[1];
       const rest = (m[2] ?? '').trim();
+      const kp = yamlChildPath(p, key);
+      mark(i, kp);
       if (rest === '') {
-        const child = parseBlock(i + 1, indent + 2);
+        const child = parseBlock(i + 1, indent + 2, kp);
         obj[key] = child.value === null ? {} : child.value;
         i = child.next;
         continue;
       }
       obj[key] = parseScalar(rest);
+      if (trace) trace.scalars.set(kp, rest);
       i++;
     }
+    if (trace) trace.order.set(p, Object.keys(obj));
     return i;
   }
 
-  function parseList(i, indent) {
+  function parseList(i, indent, p) {
     const out = [];
     while (true) {
       i = skip(i);
@@ -434,9 +564,11 @@ function parseYamlDoc(raw) {
       const t = line.slice(indent);
       if (!t.trimStart().startsWith('- ')) break;
 
+      const ip = `${p}[${out.length}]`;
+      mark(i, ip);
       const after = t.replace(/^\-\s*/, '');
       if (!after.trim()) {
-        const child = parseBlock(i + 1, indent + 2);
+        const child = parseBlock(i + 1, indent + 2, ip);
         out.push(child.value);
         i = child.next;
         continue;
@@ -447,27 +579,33 @@ function parseYamlDoc(raw) {
         const obj = {};
         const key = m[1];
         const rest = (m[2] ?? '').trim();
+        mark(i, yamlChildPath(ip, key));
         if (rest === '') {
-          const child = parseBlock(i + 1, indent + 4);
+          const child = parseBlock(i + 1, indent + 4, yamlChildPath(ip, key));
           obj[key] = child.value;
           i = child.next;
         } else {
           obj[key] = parseScalar(rest);
+          if (trace) trace.scalars.set(yamlChildPath(ip, key), rest);
           i++;
         }
-        i = parseMapInto(obj, i, indent + 2);
+        i = parseMapInto(obj, i, indent + 2, ip);
+        if (trace) renameTracePrefix(trace, ip, yamlItemPath(p, obj, out.length));
         out.push(obj);
         continue;
       }
 
       out.push(parseScalar(after));
+      if (trace) trace.scalars.set(ip, after.trim());
       i++;
     }
 
     return { value: out, next: i };
   }
 
-  const root = parseBlock(0, 0);
+  const root = parseBlock(0, 0, '');
+  skip(lines.length);
+  if (trace) trace.footer = trimBlank(pending);
   return root.value || {};
 }
 
@@ -488,72 +626,85 @@ function dumpScalar(v) {
   return `"${s.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
 }
 
-function dumpYamlDoc(doc) {
+function dumpYamlDoc(doc, trace = null) {
   // Stable YAML serializer for the subset produced by this tool.
+  // With the trace from parseYamlDoc, comments and the original key order are kept.
   const out = [];
 
-  function pushLine(indent, text) {
-    out.push(`${' '.repeat(indent)}${text}`.trimEnd());
+  function pushLine(indent, text, notesPath = null, inlinePath = notesPath) {
+    if (trace && notesPath !== null) {
+      for (const note of trace.comments.get(notesPath) || []) out.push(note ? `${' '.repeat(indent)}${note}` : '');
+    }
+    const inline = trace && inlinePath !== null ? trace.inline.get(inlinePath) : null;
+    out.push(`${' '.repeat(indent)}${text}${inline ? ` ${inline}` : ''}`.trimEnd());
+  }
+
+  function scalar(v, p) {
+    // Unchanged values keep their original spelling (quotes, style).
+    const original = trace?.scalars.get(p);
+    if (original !== undefined && parseScalar(original) === v) return original;
+    return dumpScalar(v);
   }
 
-  function dumpAny(value, indent, keyHint = '') {
+  function dumpAny(value, indent, keyHint, p) {
     if (Array.isArray(value)) {
       if (value.length === 0) {
-        pushLine(indent, `${keyHint}: []`);
+        pushLine(indent, `${keyHint}: []`, p);
         return;
       }
-      pushLine(indent, `${keyHint}:`);
-      for (const item of value) {
+      pushLine(indent, `${keyHint}:`, p);
+      value.forEach((item, index) => {
+        const ip = yamlItemPath(p, item, index);
         if (item && typeof item === 'object' && !Array.isArray(item)) {
           const keys = Object.keys(item);
           if (keys.length === 0) {
-            pushLine(indent + 2, '- {}');
-            continue;
+            pushLine(indent + 2, '- {}', ip);
+            return;
           }
-          const orderedKeys = orderKeysForObject(item);
+          const orderedKeys = orderKeysForObject(item, ip);
           const firstKey = orderedKeys[0];
           const firstVal = item[firstKey];
+          const fp = yamlChildPath(ip, firstKey);
           if (firstVal && typeof firstVal === 'object') {
-            pushLine(indent + 2, `- ${firstKey}:`);
-            dumpObject(firstVal, indent + 6);
+            pushLine(indent + 2, `- ${firstKey}:`, ip, fp);
+            dumpObject(firstVal, indent + 6, fp);
           } else {
-            pushLine(indent + 2, `- ${firstKey}: ${dumpScalar(firstVal)}`);
+            pushLine(indent + 2, `- ${firstKey}: ${scalar(firstVal, fp)}`, ip, fp);
           }
           for (const k of orderedKeys.slice(1)) {
             const v = item[k];
+            const kp = yamlChildPath(ip, k);
             if (Array.isArray(v)) {
               if (v.length === 0) {
-                pushLine(indent + 4, `${k}: []`);
+                pushLine(indent + 4, `${k}: []`, kp);
               } else {
-                pushLine(indent + 4, `${k}:`);
-                for (const li of v) {
-                  pushLine(indent + 6, `- ${dumpScalar(li)}`);
-                }
+                pushLine(indent + 4, `${k}:`, kp);
+                v.forEach((li, j) => pushLine(indent + 6, `- ${scalar(li, yamlItemPath(kp, li, j))}`, yamlItemPath(kp, li, j)));
               }
             } else if (v && typeof v === 'object') {
-              pushLine(indent + 4, `${k}:`);
-              dumpObject(v, indent + 6);
+              pushLine(indent + 4, `${k}:`, kp);
+              dumpObject(v, indent + 6, kp);
             } else {
-              pushLine(indent + 4, `${k}: ${dumpScalar(v)}`);
+              pushLine(indent + 4, `${k}: ${scalar(v, kp)}`, kp);
             }
           }
-          continue;
+          return;
         }
-        pushLine(indent + 2, `- ${dumpScalar(item)}`);
-      }
+        pushLine(indent + 2, `- ${scalar(item, ip)}`, ip);
+      });
       return;
     }
 
     if (value && typeof value === 'object') {
-      pushLine(indent, `${keyHint}:`);
-      dumpObject(value, indent + 2);
+      pushLine(indent, `${keyHint}:`, p);
+      dumpObject(value, indent + 2, p);
       return;
     }
 
-    pushLine(indent, `${keyHint}: ${dumpScalar(value)}`);
+    pushLine(indent, `${keyHint}: ${scalar(value, p)}`, p);
   }
 
-  function orderKeysForObject(obj) {
+  function orderKeysForObject(obj, p) {
     const keys = Object.keys(obj);
 
     const preferred = [
@@ -571,77 +722,71 @@ function dumpYamlDoc(doc) {
       'task_doc_roots',
       'updated',
       'keywords',
+      'depends_on',
     ];
 
+    // Keys already in the file keep their position; new keys follow in the preferred order.
+    const original = trace?.order.get(p) || [];
+    const ordered = original.filter((k) => keys.includes(k));
     const set = new Set(keys);
-    const ordered = [];
-    for (const k of preferred) if (set.has(k)) ordered.push(k);
+    for (const k of preferred) if (set.has(k) && !ordered.includes(k)) ordered.push(k);
     const rest = keys.filter((k) => !ordered.includes(k)).sort((a, b) => a.localeCompare(b));
     return [...ordered, ...rest];
   }
 
-  function dumpObject(obj, indent) {
-    const keys = orderKeysForObject(obj);
+  function dumpObject(obj, indent, p) {
+    const keys = orderKeysForObject(obj, p);
     for (const k of keys) {
       const v = obj[k];
+      const kp = yamlChildPath(p, k);
       if (Array.isArray(v)) {
         if (v.length === 0) {
-          pushLine(indent, `${k}: []`);
+          pushLine(indent, `${k}: []`, kp);
         } else if (v.every((x) => typeof x !== 'object' || x === null)) {
-          pushLine(indent, `${k}:`);
-          for (const li of v) pushLine(indent + 2, `- ${dumpScalar(li)}`);
+          pushLine(indent, `${k}:`, kp);
+          v.forEach((li, j) => pushLine(indent + 2, `- ${scalar(li, yamlItemPath(kp, li, j))}`, yamlItemPath(kp, li, j)));
         } else {
           // list of objects
-          dumpAny(v, indent, k);
+          dumpAny(v, indent, k, kp);
         }
       } else if (v && typeof v === 'object') {
-        pushLine(indent, `${k}:`);
-        dumpObject(v, indent + 2);
+        pushLine(indent, `${k}:`, kp);
+        dumpObject(v, indent + 2, kp);
       } else {
-        pushLine(indent, `${k}: ${dumpScalar(v)}`);
+        pushLine(indent, `${k}: ${scalar(v, kp)}`, kp);
       }
     }
   }
 
-  // Root ordering
-  const rootOrder = ['version', 'project', 'milestones', 'features', 'requirements', 'tasks'];
-  for (const k of rootOrder) {
-    if (!(k in doc)) continue;
-    const v = doc[k];
-    if (k === 'version') {
-      pushLine(0, `version: ${dumpScalar(v)}`);
-      pushLine(0, '');
-      continue;
-    }
-    if (Array.isArray(v)) {
-      if (v.length === 0) {
-        pushLine(0, `${k}: []`);
-        pushLine(0, '');
-        continue;
-      }
-      dumpAny(v, 0, k);
-      pushLine(0, '');
-      continue;
-    }
-    if (v && typeof v === 'object') {
-      pushLine(0, `${k}:`);
-      dumpObject(v, 2);
-      pushLine(0, '');
-      continue;
-    }
-    pushLine(0, `${k}: ${dumpScalar(v)}`);
-    pushLine(0, '');
+  if (trace && trace.header.length > 0) {
+    out.push(...trace.header);
+    out.push('');
   }
 
-  // Any extra keys
+  // Root ordering: the file's own order first, then the canonical sections, then any extra keys.
+  const rootOrder = ['version', 'project', 'milestones', 'features', 'requirements', 'tasks'];
+  const rootKeys = (trace?.order.get('') || []).filter((k) => k in doc);
+  for (const k of rootOrder) if (k in doc && !rootKeys.includes(k)) rootKeys.push(k);
   const extra = Object.keys(doc)
-    .filter((k) => !rootOrder.includes(k))
+    .filter((k) => !rootKeys.includes(k))
     .sort((a, b) => a.localeCompare(b));
-  for (const k of extra) {
-    dumpAny(doc[k], 0, k);
+  rootKeys.push(...extra);
+
+  for (const k of rootKeys) {
+    const v = doc[k];
+    if (Array.isArray(v) || (v && typeof v === 'object' && !rootOrder.includes(k))) {
+      dumpAny(v, 0, k, k);
+    } else if (v && typeof v === 'object') {
+      pushLine(0, `${k}:`, k);
+      dumpObject(v, 2, k);
+    } else {
+      pushLine(0, `${k}: ${scalar(v, k)}`, k);
+    }
     pushLine(0, '');
   }
 
+  if (trace && trace.footer.length > 0) out.push(...trace.footer);
+
   return out.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
 }
 
@@ -776,16 +921,204 @@ function discoverDevDocsRoots(repoRoot) {
   return uniq.sort((a, b) => a.localeCompare(b));
 }
 
+// JSON Schema for registry.yaml (CONTRACT 5.2). `init` writes it to .ai/project/registry.schema.json;
+// lint prefers that file so a repo can tighten it, and falls back to this copy.
+const REGISTRY_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Project Registry',
+  type: 'object',
+  required: ['version', 'project', 'milestones', 'features', 'requirements', 'tasks'],
+  properties: {
+    version: { type: 'integer', const: 1 },
+    project: {
+      type: 'object',
+      required: ['slug'],
+      properties: {
+        id: { type: 'string', pattern: '^P-\\d{3}$' },
+        slug: { type: 'string', pattern: '^[a-z0-9][a-z0-9._-]*$' },
+        name: { type: 'string' },
+        task_doc_roots: { type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true },
+      },
+    },
+    milestones: { type: 'array', items: { $ref: '#/$defs/milestone' } },
+    features: { type: 'array', items: { $ref: '#/$defs/feature' } },
+    requirements: { type: 'array', items: { $ref: '#/$defs/requirement' } },
+    tasks: { type: 'array', items: { $ref: '#/$defs/task' } },
+  },
+  $defs: {
+    date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'YYYY-MM-DD' },
+    milestone: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', pattern: '^M-\\d{3}$' },
+        title: { type: 'string' },
+        status: { enum: [...MILESTONE_STATUS] },
+        description: { type: 'string' },
+      },
+    },
+    feature: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', pattern: '^F-\\d{3}$' },
+        title: { type: 'string' },
+        status: { enum: [...FEATURE_STATUS] },
+        milestone_id: { type: 'string', pattern: '^M-\\d{3}$' },
+        description: { type: 'string' },
+      },
+    },
+    requirement: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', pattern: '^R-\\d{3}$' },
+        title: { type: 'string' },
+        status: { enum: [...REQUIREMENT_STATUS] },
+        feature_id: { type: 'string', pattern: '^F-\\d{3}$' },
+        description: { type: 'string' },
+      },
+    },
+    task: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', pattern: '^T-\\d{3}$' },
+        slug: { type: 'string', minLength: 1 },
+        title: { type: 'string' },
+        status: { enum: [...TASK_STATUS] },
+        milestone_id: { type: 'string', pattern: '^M-\\d{3}$' },
+        feature_id: { type: 'string', pattern: '^F-\\d{3}$' },
+        requirement_id: { type: 'string', pattern: '^R-\\d{3}$' },
+        requirement_ids: { type: 'array', items: { type: 'string', pattern: '^R-\\d{3}$' }, uniqueItems: true },
+        dev_docs_path: { type: 'string', minLength: 1 },
+        updated: { $ref: '#/$defs/date' },
+        keywords: { type: 'array', items: { type: 'string' } },
+        depends_on: { type: 'array', items: { type: 'string', pattern: '^T-\\d{3}$' }, uniqueItems: true },
+      },
+    },
+  },
+};
+
+function getRegistrySchemaPath(repoRoot) {
+  return path.join(repoRoot, '.ai', 'project', 'registry.schema.json');
+}
+
+function loadRegistrySchema(repoRoot) {
+  const schemaPath = getRegistrySchemaPath(repoRoot);
+  const raw = readText(schemaPath);
+  if (!raw) return { schema: REGISTRY_SCHEMA, error: null };
+  try {
+    return { schema: JSON.parse(raw), error: null };
+  } catch (e) {
+    return { schema: REGISTRY_SCHEMA, error: `Invalid ${toPosix(path.relative(repoRoot, schemaPath))}: ${e.message || String(e)}` };
+  }
+}
+
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function validateJsonSchema(schema, value, p, rootSchema, out) {
+  // Subset of draft 2020-12 used by REGISTRY_SCHEMA: $ref (local $defs), type, const, enum,
+  // pattern, minLength, items, uniqueItems, required, properties, additionalProperties.
+  if (!schema || typeof schema !== 'object') return;
+  if (schema.$ref) {
+    const name = String(schema.$ref).replace(/^#\/\$defs\//, '');
+    const target = rootSchema.$defs?.[name];
+    if (!target) out.push({ path: p, message: `unresolved schema $ref "${schema.$ref}"` });
+    else validateJsonSchema(target, value, p, rootSchema, out);
+    return;
+  }
+
+  const actual = jsonTypeOf(value);
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some((t) => t === actual || (t === 'number' && actual === 'integer'));
+    if (!matches) {
+      out.push({ path: p, message: `must be ${types.join(' or ')} (got ${actual})` });
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    out.push({ path: p, message: `must be ${JSON.stringify(schema.const)} (got ${JSON.stringify(value)})` });
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    out.push({ path: p, message: `must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})` });
+  }
+
+  if (actual === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      out.push({ path: p, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      out.push({ path: p, message: `"${value}" does not match ${schema.description || schema.pattern}` });
+    }
+  }
+
+  if (actual === 'array') {
+    const seen = new Set();
+    value.forEach((item, index) => {
+      if (schema.items) validateJsonSchema(schema.items, item, yamlItemPath(p, item, index), rootSchema, out);
+      if (!schema.uniqueItems) return;
+      const key = JSON.stringify(item);
+      if (seen.has(key)) out.push({ path: p, message: `duplicate item ${key}` });
+      seen.add(key);
+    });
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) out.push({ path: p, message: `missing required property "${key}"` });
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const kp = yamlChildPath(p, key);
+      if (props[key]) validateJsonSchema(props[key], child, kp, rootSchema, out);
+      else if (schema.additionalProperties === false) out.push({ path: kp, message: 'unexpected property' });
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateJsonSchema(schema.additionalProperties, child, kp, rootSchema, out);
+      }
+    }
+  }
+}
+
+function traceLine(trace, p) {
+  // Nearest recorded line for a path (a missing property reports its parent's line).
+  let cur = p;
+  while (cur) {
+    if (trace?.lines.has(cur)) return trace.lines.get(cur);
+    cur = cur.replace(/(\.[^.[\]]+|\[[^\]]*\])$/, '');
+  }
+  return null;
+}
+
+function validateRegistry(registry, trace, schema) {
+  const issues = [];
+  validateJsonSchema(schema, registry, '', schema, issues);
+  return issues.map((issue) => ({ ...issue, line: traceLine(trace, issue.path) }));
+}
+
+function formatSchemaIssue(repoRoot, registryPath, issue) {
+  const where = `${toPosix(path.relative(repoRoot, registryPath))}${issue.line ? `:${issue.line}` : ''}`;
+  return `${where}: ${issue.path || '(root)'}: ${issue.message}`;
+}
+
 function loadRegistry(repoRoot, projectSlug) {
   const registryPath = getRegistryPath(repoRoot, projectSlug);
   const raw = readText(registryPath);
-  if (!raw) return { path: registryPath, registry: null, error: null };
+  if (!raw) return { path: registryPath, registry: null, trace: null, error: null };
 
+  // The trace lets writers keep the registry's comments and key order (see dumpYamlDoc).
+  const trace = createYamlTrace();
   try {
-    const parsed = parseYamlDoc(raw);
-    return { path: registryPath, registry: parsed, error: null };
+    const parsed = parseYamlDoc(raw, trace);
+    return { path: registryPath, registry: parsed, trace, error: null };
   } catch (e) {
-    return { path: registryPath, registry: null, error: e.message || String(e) };
+    return { path: registryPath, registry: null, trace: null, error: e.message || String(e) };
   }
 }
 
@@ -827,6 +1160,15 @@ function parseTaskMeta(metaRaw) {
   const version = parseTopLevelVersion(raw);
   const map = parseSimpleMap(raw);
   const keywords = parseSimpleList(raw, 'keywords');
+  // depends_on accepts a block list or a flow list (`depends_on: [T-001, T-002]`).
+  let dependsOn = parseSimpleList(raw, 'depends_on');
+  if (dependsOn.length === 0 && map.depends_on) {
+    dependsOn = String(map.depends_on)
+      .replace(/^\[|\]$/g, '')
+      .split(',')
+      .map((v) => unquoteScalar(v))
+      .filter(Boolean);
+  }
 
   return {
     version,
@@ -836,6 +1178,7 @@ function parseTaskMeta(metaRaw) {
     status: map.status || '',
     updated: map.updated || '',
     keywords,
+    depends_on: dependsOn,
   };
 }
 
@@ -851,10 +1194,250 @@ function renderTaskMetaYaml(meta) {
     lines.push('keywords:');
     for (const k of meta.keywords) lines.push(`  - ${k}`);
   }
+  if (Array.isArray(meta.depends_on) && meta.depends_on.length > 0) {
+    lines.push('depends_on:');
+    for (const id of meta.depends_on) lines.push(`  - ${id}`);
+  }
   lines.push('');
   return lines.join('\n');
 }
 
+function isTaskFinished(status) {
+  return status === 'done' || status === 'archived';
+}
+
+function buildDependencyGraph(regTasks) {
+  // Nodes keyed by task ID; edges run dependency -> dependent (only between known tasks).
+  const nodes = new Map();
+  for (const t of regTasks) {
+    if (!t || typeof t !== 'object') continue;
+    const id = String(t.id || '').trim();
+    if (!id) continue;
+    nodes.set(id, {
+      id,
+      slug: String(t.slug || ''),
+      status: String(t.status || ''),
+      milestone_id: String(t.milestone_id || 'M-000'),
+      feature_id: String(t.feature_id || 'F-000'),
+      depends_on: Array.isArray(t.depends_on) ? t.depends_on.map((d) => String(d).trim()).filter(Boolean) : [],
+    });
+  }
+
+  const edges = [];
+  for (const node of [...nodes.values()].sort((a, b) => a.id.localeCompare(b.id))) {
+    for (const dep of node.depends_on) {
+      if (nodes.has(dep)) edges.push({ from: dep, to: node.id });
+    }
+  }
+
+  return { nodes, edges };
+}
+
+function findDependencyCycles(nodes) {
+  // DFS over depends_on; each cycle is reported once as [a, b, ..., a].
+  const state = new Map(); // id -> 1 (on stack) | 2 (done)
+  const stack = [];
+  const cycles = [];
+  const seen = new Set();
+
+  function visit(id) {
+    state.set(id, 1);
+    stack.push(id);
+    for (const dep of nodes.get(id).depends_on) {
+      if (!nodes.has(dep)) continue;
+      if (state.get(dep) === 1) {
+        const cycle = stack.slice(stack.indexOf(dep));
+        const key = [...cycle].sort().join(',');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push([...cycle, dep]);
+        }
+      } else if (!state.has(dep)) {
+        visit(dep);
+      }
+    }
+    stack.pop();
+    state.set(id, 2);
+  }
+
+  for (const id of [...nodes.keys()].sort()) {
+    if (!state.has(id)) visit(id);
+  }
+  return cycles;
+}
+
+function computeCriticalPaths(nodes, milestones) {
+  // Longest chain of unfinished tasks per milestone (each task counts as one unit of work).
+  // Dependencies outside the milestone or already finished do not extend the chain.
+  const openByMilestone = new Map();
+  for (const node of nodes.values()) {
+    if (isTaskFinished(node.status)) continue;
+    const ids = openByMilestone.get(node.milestone_id) || new Set();
+    ids.add(node.id);
+    openByMilestone.set(node.milestone_id, ids);
+  }
+
+  const titles = new Map();
+  for (const m of Array.isArray(milestones) ? milestones : []) {
+    if (m && typeof m === 'object') titles.set(String(m.id || ''), String(m.title || ''));
+  }
+
+  const results = [];
+  for (const milestoneId of [...openByMilestone.keys()].sort()) {
+    const open = openByMilestone.get(milestoneId);
+    const memo = new Map();
+    const visiting = new Set();
+
+    function longest(id) {
+      if (memo.has(id)) return memo.get(id);
+      visiting.add(id);
+      let best = [id];
+      for (const dep of [...nodes.get(id).depends_on].sort()) {
+        if (!open.has(dep) || visiting.has(dep)) continue;
+        const chain = longest(dep);
+        if (chain.length + 1 > best.length) best = [...chain, id];
+      }
+      visiting.delete(id);
+      memo.set(id, best);
+      return best;
+    }
+
+    let path = [];
+    for (const id of [...open].sort()) {
+      const chain = longest(id);
+      if (chain.length > path.length) path = chain;
+    }
+    results.push({ milestone_id: milestoneId, title: titles.get(milestoneId) || '', path, open: open.size });
+  }
+
+  return results;
+}
+
+function formatCriticalPath(cp) {
+  const label = `${cp.milestone_id} ${cp.title}`.trim();
+  return `${label}: ${cp.path.join(' -> ')} (${cp.path.length} of ${cp.open} open tasks)`;
+}
+
+function criticalEdgeKeys(criticalPaths) {
+  const keys = new Set();
+  for (const cp of criticalPaths) {
+    for (let i = 1; i < cp.path.length; i++) keys.add(`${cp.path[i - 1]}>${cp.path[i]}`);
+  }
+  return keys;
+}
+
+function renderDependencyGraphMermaid({ nodes, edges, milestones, criticalPaths }) {
+  const mid = (id) => id.replace(/[^A-Za-z0-9_]/g, '_');
+  const lines = ['flowchart LR'];
+
+  const byMilestone = new Map();
+  for (const node of [...nodes.values()].sort((a, b) => a.id.localeCompare(b.id))) {
+    const list = byMilestone.get(node.milestone_id) || [];
+    list.push(node);
+    byMilestone.set(node.milestone_id, list);
+  }
+  const titles = new Map((milestones || []).filter((m) => m && typeof m === 'object').map((m) => [String(m.id), String(m.title || '')]));
+
+  for (const milestoneId of [...byMilestone.keys()].sort()) {
+    const label = `${milestoneId} ${titles.get(milestoneId) || ''}`.trim().replace(/"/g, "'");
+    lines.push(`  subgraph ${mid(milestoneId)}["${label}"]`);
+    for (const node of byMilestone.get(milestoneId)) {
+      const text = `${node.id} ${node.slug}<br/>${node.status || 'unknown'}`.replace(/"/g, "'");
+      lines.push(`    ${mid(node.id)}["${text}"]`);
+    }
+    lines.push('  end');
+  }
+
+  const critical = criticalEdgeKeys(criticalPaths);
+  for (const e of edges) {
+    const arrow = critical.has(`${e.from}>${e.to}`) ? '==>' : '-->';
+    lines.push(`  ${mid(e.from)} ${arrow} ${mid(e.to)}`);
+  }
+
+  const classes = { done: [], blocked: [], 'in-progress': [] };
+  for (const node of nodes.values()) {
+    const key = isTaskFinished(node.status) ? 'done' : node.status;
+    if (classes[key]) classes[key].push(mid(node.id));
+  }
+  lines.push('  classDef done fill:#d3f9d8,stroke:#2b8a3e');
+  lines.push('  classDef blocked fill:#ffe3e3,stroke:#c92a2a');
+  lines.push('  classDef inprogress fill:#fff3bf,stroke:#e67700');
+  if (classes.done.length > 0) lines.push(`  class ${classes.done.sort().join(',')} done`);
+  if (classes.blocked.length > 0) lines.push(`  class ${classes.blocked.sort().join(',')} blocked`);
+  if (classes['in-progress'].length > 0) lines.push(`  class ${classes['in-progress'].sort().join(',')} inprogress`);
+
+  return lines.join('\n') + '\n';
+}
+
+function renderDependencyGraphDot({ nodes, edges, milestones, criticalPaths, projectSlug }) {
+  const q = (s) => `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const fill = { done: '#d3f9d8', archived: '#e9ecef', blocked: '#ffe3e3', 'in-progress': '#fff3bf' };
+  const lines = [`digraph ${q(projectSlug)} {`, '  rankdir=LR;', '  node [shape=box, style="rounded,filled", fillcolor="#ffffff"];'];
+
+  const byMilestone = new Map();
+  for (const node of [...nodes.values()].sort((a, b) => a.id.localeCompare(b.id))) {
+    const list = byMilestone.get(node.milestone_id) || [];
+    list.push(node);
+    byMilestone.set(node.milestone_id, list);
+  }
+  const titles = new Map((milestones || []).filter((m) => m && typeof m === 'object').map((m) => [String(m.id), String(m.title || '')]));
+
+  for (const milestoneId of [...byMilestone.keys()].sort()) {
+    lines.push(`  subgraph ${q(`cluster_${milestoneId}`)} {`);
+    lines.push(`    label=${q(`${milestoneId} ${titles.get(milestoneId) || ''}`.trim())};`);
+    for (const node of byMilestone.get(milestoneId)) {
+      const attrs = [`label=${q(`${node.id}\n${node.slug}\n(${node.status || 'unknown'})`)}`];
+      if (fill[node.status]) attrs.push(`fillcolor=${q(fill[node.status])}`);
+      lines.push(`    ${q(node.id)} [${attrs.join(', ')}];`);
+    }
+    lines.push('  }');
+  }
+
+  const critical = criticalEdgeKeys(criticalPaths);
+  for (const e of edges) {
+    const attrs = critical.has(`${e.from}>${e.to}`) ? ' [penwidth=2.5, color="#c92a2a"]' : '';
+    lines.push(`  ${q(e.from)} -> ${q(e.to)}${attrs};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function findCrossProjectConflicts(repoRoot) {
+  // Task IDs are repo-wide (CONTRACT 6.3): the same T-### or dev_docs_path must not be registered by two hubs.
+  const byId = new Map();
+  const byPath = new Map();
+  for (const slug of listProjectSlugs(repoRoot)) {
+    const { registry } = loadRegistry(repoRoot, slug);
+    if (!registry || !Array.isArray(registry.tasks)) continue;
+    for (const t of registry.tasks) {
+      if (!t || typeof t !== 'object') continue;
+      const id = String(t.id || '').trim();
+      const devDocsPath = toPosix(String(t.dev_docs_path || ''));
+      if (id) byId.set(id, [...(byId.get(id) || []), { project: slug, dev_docs_path: devDocsPath }]);
+      if (devDocsPath) byPath.set(devDocsPath, [...(byPath.get(devDocsPath) || []), { project: slug, id }]);
+    }
+  }
+
+  const conflicts = [];
+  for (const [id, entries] of [...byId.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    const projects = new Set(entries.map((e) => e.project));
+    if (projects.size <= 1) continue;
+    conflicts.push({
+      projects: [...projects],
+      message: `Task ID ${id} is registered by multiple projects:\n${entries.map((e) => `  - ${e.project}: ${e.dev_docs_path}`).join('\n')}`,
+      summary: `Task ID ${id}: ${entries.map((e) => `${e.project} (${e.dev_docs_path})`).join(', ')}`,
+    });
+  }
+  for (const [devDocsPath, entries] of [...byPath.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    const projects = new Set(entries.map((e) => e.project));
+    if (projects.size <= 1) continue;
+    const message = `Task bundle ${devDocsPath} is registered by multiple projects: ${entries.map((e) => `${e.project} (${e.id})`).join(', ')}`;
+    conflicts.push({ projects: [...projects], message, summary: message });
+  }
+  return conflicts;
+}
+
 function cmdInit({ repoRoot, projectSlug, dryRun, force }) {
   const hubDir = getHubDir(repoRoot, projectSlug);
   const templatesDir = getTemplatesDir(repoRoot);
@@ -908,6 +1491,17 @@ function cmdInit({ repoRoot, projectSlug, dryRun, force }) {
     actions.push({ op: 'write', path: dst, from: src });
   }
 
+  // Shared by every hub; never overwritten so a repo can tighten it.
+  const schemaPath = getRegistrySchemaPath(repoRoot);
+  if (exists(schemaPath)) {
+    actions.push({ op: 'skip', path: schemaPath, reason: 'exists' });
+  } else if (dryRun) {
+    actions.push({ op: 'write', path: schemaPath, mode: 'dry-run' });
+  } else {
+    writeText(schemaPath, JSON.stringify(REGISTRY_SCHEMA, null, 2) + '\n');
+    actions.push({ op: 'write', path: schemaPath });
+  }
+
   ok('[ok] Project hub initialized.');
   for (const a of actions) {
     const mode = a.mode ? ` (${a.mode})` : '';
@@ -917,7 +1511,7 @@ function cmdInit({ repoRoot, projectSlug, dryRun, force }) {
   }
 }
 
-function cmdLint({ repoRoot, projectSlug, strict }) {
+function cmdLint({ repoRoot, projectSlug, strict, crossProject = true }) {
   const errors = [];
   const warnings = [];
 
@@ -926,7 +1520,12 @@ function cmdLint({ repoRoot, projectSlug, strict }) {
     errors.push('Missing .ai/project/CONTRACT.md (required).');
   }
 
-  const { registry, error: registryParseError } = loadRegistry(repoRoot, projectSlug);
+  const {
+    path: registryPath,
+    registry,
+    trace: registryTrace,
+    error: registryParseError,
+  } = loadRegistry(repoRoot, projectSlug);
 
   let devDocsRoots = [];
   if (registryParseError) {
@@ -939,66 +1538,11 @@ function cmdLint({ repoRoot, projectSlug, strict }) {
     );
     devDocsRoots = discoverDevDocsRoots(repoRoot);
   } else {
-    // CONTRACT 5.2: Validate required top-level keys
-    const REQUIRED_REGISTRY_KEYS = ['version', 'project', 'milestones', 'features', 'requirements', 'tasks'];
-    for (const key of REQUIRED_REGISTRY_KEYS) {
-      if (!(key in registry) || registry[key] === undefined) {
-        errors.push(`Registry missing required top-level key: "${key}" (CONTRACT 5.2).`);
-      }
-    }
-
-    // CONTRACT 2.1: Validate M/F/R ID formats
-    if (Array.isArray(registry.milestones)) {
-      for (const m of registry.milestones) {
-        if (!m || typeof m !== 'object') continue;
-        const id = String(m.id || '').trim();
-        if (!id) {
-          errors.push('Milestone is missing required "id" field (CONTRACT 2.1).');
-          continue;
-        }
-        if (!MILESTONE_ID_RE.test(id)) {
-          errors.push(`Milestone ID "${id}" does not match required format M-### (CONTRACT 2.1).`);
-        }
-      }
-    }
-    if (Array.isArray(registry.features)) {
-      for (const f of registry.features) {
-        if (!f || typeof f !== 'object') continue;
-        const id = String(f.id || '').trim();
-        if (!id) {
-          errors.push('Feature is missing required "id" field (CONTRACT 2.1).');
-          continue;
-        }
-        if (!FEATURE_ID_RE.test(id)) {
-          errors.push(`Feature ID "${id}" does not match required format F-### (CONTRACT 2.1).`);
-        }
-      }
-    }
-    if (Array.isArray(registry.requirements)) {
-      for (const r of registry.requirements) {
-        if (!r || typeof r !== 'object') continue;
-        const id = String(r.id || '').trim();
-        if (!id) {
-          errors.push('Requirement is missing required "id" field (CONTRACT 2.1).');
-          continue;
-        }
-        if (!REQUIREMENT_ID_RE.test(id)) {
-          errors.push(`Requirement ID "${id}" does not match required format R-### (CONTRACT 2.1).`);
-        }
-      }
-    }
-    if (Array.isArray(registry.tasks)) {
-      for (const t of registry.tasks) {
-        if (!t || typeof t !== 'object') continue;
-        const id = String(t.id || '').trim();
-        if (!id) {
-          errors.push('Task is missing required "id" field (CONTRACT 2.1).');
-          continue;
-        }
-        if (!TASK_ID_RE.test(id)) {
-          errors.push(`Task ID "${id}" does not match required format T-### (CONTRACT 2.1).`);
-        }
-      }
+    // CONTRACT 5.2 / 2.1 / 3.x: structure, ID formats and status values come from the registry schema.
+    const { schema, error: schemaError } = loadRegistrySchema(repoRoot);
+    if (schemaError) errors.push(schemaError);
+    for (const issue of validateRegistry(registry, registryTrace, schema)) {
+      errors.push(formatSchemaIssue(repoRoot, registryPath, issue));
     }
 
     const configured = getConfiguredRootsFromRegistry(registry);
@@ -1091,6 +1635,15 @@ function cmdLint({ repoRoot, projectSlug, strict }) {
       errors.push(`${formatTaskRef(task)}: Invalid meta.updated "${meta.updated}" (expected YYYY-MM-DD).`);
     }
 
+    task.dependsOn = [];
+    for (const dep of meta.depends_on) {
+      if (!TASK_ID_RE.test(dep)) {
+        errors.push(`${formatTaskRef(task)}: Invalid depends_on entry "${dep}" (expected T-###).`);
+      } else if (!task.dependsOn.includes(dep)) {
+        task.dependsOn.push(dep);
+      }
+    }
+
     // Special drift warning: meta status ahead of bundle status (not authoritative)
     if (meta.status && task.effectiveStatus) {
       if (statusRank(meta.status) > statusRank(task.effectiveStatus)) {
@@ -1132,9 +1685,46 @@ function cmdLint({ repoRoot, projectSlug, strict }) {
             `${formatTaskRef(task)}: registry status mismatch (registry="${actualStatus}", expected="${expectedStatus}").`
           );
         }
+        const expectedDeps = [...task.dependsOn].sort().join(', ');
+        const actualDeps = (Array.isArray(entry.depends_on) ? entry.depends_on.map((d) => String(d)) : []).sort().join(', ');
+        if (expectedDeps !== actualDeps) {
+          errors.push(
+            `${formatTaskRef(task)}: registry depends_on mismatch (registry="${actualDeps}", expected="${expectedDeps}").`
+          );
+        }
+      }
+    }
+  }
+
+  // Task dependencies (CONTRACT 4.5): references must resolve, the graph must be acyclic,
+  // and a done task should not depend on unfinished work.
+  const depNodes = new Map();
+  for (const task of tasks) {
+    if (!task.taskId || taskIdToTask.get(task.taskId) !== task) continue;
+    depNodes.set(task.taskId, { id: task.taskId, status: task.effectiveStatus || '', depends_on: task.dependsOn || [] });
+  }
+  for (const node of depNodes.values()) {
+    const task = taskIdToTask.get(node.id);
+    for (const dep of node.depends_on) {
+      const depNode = depNodes.get(dep);
+      const regEntry = registryTaskById.get(dep);
+      if (!depNode && !regEntry) {
+        errors.push(`${formatTaskRef(task)}: depends_on references unknown task "${dep}".`);
+        continue;
+      }
+      const depStatus = depNode ? depNode.status : String(regEntry.status || '');
+      if (node.status === 'done' && !isTaskFinished(depStatus)) {
+        warnings.push(`${formatTaskRef(task)}: State is done but depends on unfinished task ${dep} (${depStatus || 'unknown'}).`);
       }
     }
   }
+  for (const cycle of findDependencyCycles(depNodes)) {
+    errors.push(
+      cycle.length === 2
+        ? `Task ${cycle[0]} depends on itself (depends_on).`
+        : `Dependency cycle in depends_on: ${cycle.join(' -> ')}`
+    );
+  }
 
   // Slug conflicts across roots (error only when multiple distinct IDs exist)
   for (const [slug, ids] of slugToIds.entries()) {
@@ -1157,37 +1747,10 @@ function cmdLint({ repoRoot, projectSlug, strict }) {
     }
   }
 
-  // Validate Milestone/Feature/Requirement status enums (CONTRACT 3.2, 3.3)
-  if (registry) {
-    if (Array.isArray(registry.milestones)) {
-      for (const m of registry.milestones) {
-        if (!m || typeof m !== 'object') continue;
-        const id = String(m.id || '');
-        const st = String(m.status || '').trim();
-        if (st && !MILESTONE_STATUS.has(st)) {
-          errors.push(`Milestone ${id}: Invalid status "${st}". Allowed: ${[...MILESTONE_STATUS].join(', ')}`);
-        }
-      }
-    }
-    if (Array.isArray(registry.features)) {
-      for (const f of registry.features) {
-        if (!f || typeof f !== 'object') continue;
-        const id = String(f.id || '');
-        const st = String(f.status || '').trim();
-        if (st && !FEATURE_STATUS.has(st)) {
-          errors.push(`Feature ${id}: Invalid status "${st}". Allowed: ${[...FEATURE_STATUS].join(', ')}`);
-        }
-      }
-    }
-    if (Array.isArray(registry.requirements)) {
-      for (const r of registry.requirements) {
-        if (!r || typeof r !== 'object') continue;
-        const id = String(r.id || '');
-        const st = String(r.status || '').trim();
-        if (st && !REQUIREMENT_STATUS.has(st)) {
-          errors.push(`Requirement ${id}: Invalid status "${st}". Allowed: ${[...REQUIREMENT_STATUS].join(', ')}`);
-        }
-      }
+  // Cross-project ID collisions (the --all-projects rollup reports them once for every hub).
+  if (crossProject) {
+    for (const c of findCrossProjectConflicts(repoRoot)) {
+      if (c.projects.includes(projectSlug)) errors.push(c.message);
     }
   }
 
@@ -1218,10 +1781,26 @@ function formatJsonLines(rows) {
   for (const r of rows) console.log(JSON.stringify(r));
 }
 
-function cmdQuery({ repoRoot, projectSlug, id, status, text, json }) {
+function registryTaskRows(registry) {
+  return (Array.isArray(registry?.tasks) ? registry.tasks : [])
+    .filter((t) => t && typeof t === 'object')
+    .map((t) => ({
+      id: String(t.id || ''),
+      status: String(t.status || ''),
+      slug: String(t.slug || ''),
+      dev_docs_path: String(t.dev_docs_path || ''),
+      feature_id: String(t.feature_id || ''),
+      milestone_id: String(t.milestone_id || ''),
+      title: String(t.title || ''),
+      updated: String(t.updated || ''),
+      keywords: Array.isArray(t.keywords) ? t.keywords.map((k) => String(k)) : [],
+    }));
+}
+
+function cmdQuery({ repoRoot, projectSlug, id, status, text, json, allProjects = false }) {
   // Query is designed for LLM consumption: default is JSONL (one object per line).
   // It should work even when the hub is not initialized (fallback scanning).
-  const loaded = loadRegistry(repoRoot, projectSlug);
+  const loaded = allProjects ? { registry: null, error: null } : loadRegistry(repoRoot, projectSlug);
   const registry = loaded.registry;
   if (!registry && loaded.error) {
     // Keep stdout clean (JSONL/JSON), but surface the issue for operators.
@@ -1250,21 +1829,28 @@ function cmdQuery({ repoRoot, projectSlug, id, status, text, json }) {
     return true;
   }
 
+  // All hubs: rows carry their project slug (no fallback scan; projects are defined by registries).
+  if (allProjects) {
+    const rows = [];
+    for (const slug of listProjectSlugs(repoRoot)) {
+      const hub = loadRegistry(repoRoot, slug);
+      if (!hub.registry) {
+        console.error(colors.yellow(`[warning] Skipping project "${slug}": failed to parse registry.yaml: ${hub.error}`));
+        continue;
+      }
+      for (const row of registryTaskRows(hub.registry)) rows.push({ project: slug, ...row });
+    }
+    const matched = rows
+      .filter(taskMatches)
+      .sort((a, b) => a.project.localeCompare(b.project) || a.id.localeCompare(b.id));
+    if (json) console.log(JSON.stringify(matched));
+    else formatJsonLines(matched);
+    return { ok: true, rows: matched };
+  }
+
   // If the hub exists, query registry tasks directly.
   if (registry && Array.isArray(registry.tasks)) {
-    const rows = registry.tasks
-      .filter((t) => t && typeof t === 'object')
-      .map((t) => ({
-        id: String(t.id || ''),
-        status: String(t.status || ''),
-        slug: String(t.slug || ''),
-        dev_docs_path: String(t.dev_docs_path || ''),
-        feature_id: String(t.feature_id || ''),
-        milestone_id: String(t.milestone_id || ''),
-        title: String(t.title || ''),
-        updated: String(t.updated || ''),
-        keywords: Array.isArray(t.keywords) ? t.keywords.map((k) => String(k)) : [],
-      }))
+    const rows = registryTaskRows(registry)
       .filter(taskMatches)
       .sort((a, b) => String(a.id).localeCompare(String(b.id)));
 
@@ -1371,6 +1957,50 @@ function appendChangelog({ repoRoot, changelogPath, entries, dryRun, apply, init
   return { ok: true, changed };
 }
 
+function collectUsedTaskIds(repoRoot, projectSlug, reg, tasks) {
+  const used = new Set();
+  for (const task of tasks) {
+    const raw = readText(task.metaPath);
+    if (!raw) continue;
+    const meta = parseTaskMeta(raw);
+    if (TASK_ID_RE.test(meta.task_id)) used.add(meta.task_id);
+  }
+
+  // Also include any IDs already present in the registry to avoid reusing historical IDs.
+  // Task IDs are repo-wide: never allocate an ID another project hub already registered.
+  const registries = [reg];
+  for (const slug of listProjectSlugs(repoRoot)) {
+    if (slug !== projectSlug) registries.push(loadRegistry(repoRoot, slug).registry);
+  }
+  for (const r of registries) {
+    for (const t of Array.isArray(r?.tasks) ? r.tasks : []) {
+      const id = String(t?.id || '').trim();
+      if (TASK_ID_RE.test(id)) used.add(id);
+    }
+  }
+  return used;
+}
+
+function allocateTaskId(usedIds) {
+  // Allocate monotonically increasing IDs (best-effort) to avoid reusing historical task IDs.
+  let max = 0;
+  for (const id of usedIds) {
+    const n = Number(String(id).slice(2));
+    if (Number.isFinite(n) && n > max) max = n;
+  }
+
+  let candidate = max + 1;
+  while (candidate <= 999) {
+    const id = `T-${String(candidate).padStart(3, '0')}`;
+    if (!usedIds.has(id)) {
+      usedIds.add(id);
+      return id;
+    }
+    candidate++;
+  }
+  throw new Error('Exhausted task IDs (T-001..T-999).');
+}
+
 function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelog }) {
   const actions = [];
   const errors = [];
@@ -1378,6 +2008,7 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
 
   const registryPath = getRegistryPath(repoRoot, projectSlug);
   let reg = null;
+  let trace = null;
   let hubMissing = !exists(registryPath);
 
   if (!hubMissing) {
@@ -1387,6 +2018,7 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
       return { ok: false, errors, warnings, actions };
     }
     reg = loaded.registry;
+    trace = loaded.trace;
   } else {
     if (!initIfMissing) {
       errors.push(
@@ -1404,7 +2036,8 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
     }
 
     try {
-      reg = parseYamlDoc(renderTemplate(tplRaw, templateVars(projectSlug)));
+      trace = createYamlTrace();
+      reg = parseYamlDoc(renderTemplate(tplRaw, templateVars(projectSlug)), trace);
     } catch (e) {
       errors.push(`Failed to parse registry template: ${e.message || String(e)}`);
       return { ok: false, errors, warnings, actions };
@@ -1432,6 +2065,7 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
         return { ok: false, errors, warnings, actions };
       }
       reg = loaded.registry;
+      trace = loaded.trace;
     }
   }
 
@@ -1456,42 +2090,8 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
   const tasks = scanTasks(repoRoot, roots);
 
   // Allocate IDs for missing meta
-  const existingIds = new Set();
-  for (const task of tasks) {
-    const raw = readText(task.metaPath);
-    if (!raw) continue;
-    const meta = parseTaskMeta(raw);
-    if (TASK_ID_RE.test(meta.task_id)) existingIds.add(meta.task_id);
-  }
-
-  // Also include any IDs already present in the registry to avoid reusing historical IDs.
-  if (Array.isArray(reg.tasks)) {
-    for (const t of reg.tasks) {
-      if (!t || typeof t !== 'object') continue;
-      const id = String(t.id || '').trim();
-      if (TASK_ID_RE.test(id)) existingIds.add(id);
-    }
-  }
-
-  function nextId() {
-    // Allocate monotonically increasing IDs (best-effort) to avoid reusing historical task IDs.
-    let max = 0;
-    for (const id of existingIds) {
-      const n = Number(String(id).slice(2));
-      if (Number.isFinite(n) && n > max) max = n;
-    }
-
-    let candidate = max + 1;
-    while (candidate <= 999) {
-      const id = `T-${String(candidate).padStart(3, '0')}`;
-      if (!existingIds.has(id)) {
-        existingIds.add(id);
-        return id;
-      }
-      candidate++;
-    }
-    throw new Error('Exhausted task IDs (T-001..T-999).');
-  }
+  const existingIds = collectUsedTaskIds(repoRoot, projectSlug, reg, tasks);
+  const nextId = () => allocateTaskId(existingIds);
 
   const todayStr = today();
 
@@ -1538,7 +2138,13 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
         warnings.push(`${toPosix(task.relPath)}: Invalid task_id; sync will not auto-repair without manual fix.`);
         continue;
       }
+      if (meta.project && meta.project !== projectSlug && exists(getRegistryPath(repoRoot, meta.project))) {
+        // Overlapping task_doc_roots: the task belongs to another hub, do not claim it.
+        warnings.push(`${toPosix(task.relPath)}: belongs to project "${meta.project}"; skipped (check task_doc_roots).`);
+        continue;
+      }
       task.taskId = meta.task_id;
+      task.dependsOn = [...new Set(meta.depends_on.filter((d) => TASK_ID_RE.test(d)))];
 
       const desiredStatus = effectiveStatus || meta.status || 'planned';
       const shouldUpdate = desiredStatus !== meta.status || meta.slug !== task.slug || meta.project !== projectSlug;
@@ -1551,6 +2157,7 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
           status: desiredStatus,
           updated: todayStr,
           keywords: meta.keywords || [],
+          depends_on: meta.depends_on || [],
         };
         const rendered = renderTaskMetaYaml(nextMeta);
         if (dryRun || !apply) {
@@ -1572,6 +2179,9 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
     if (!entry.updated || entry.status !== prevStatus) entry.updated = todayStr;
     if (!entry.feature_id) entry.feature_id = 'F-000';
     if (!entry.milestone_id) entry.milestone_id = 'M-000';
+    // depends_on is mirrored from .ai-task.yaml (identity SoT); never edited in the registry directly.
+    if (task.dependsOn && task.dependsOn.length > 0) entry.depends_on = task.dependsOn;
+    else delete entry.depends_on;
 
     tasksById.set(task.taskId, entry);
   }
@@ -1621,7 +2231,7 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
   if (!reg.project.name) reg.project.name = projectSlug === 'main' ? 'Main' : projectSlug;
 
   // Write registry
-  const registryOut = dumpYamlDoc(reg);
+  const registryOut = dumpYamlDoc(reg, trace);
   if (dryRun || !apply) {
     actions.push({ op: 'update', path: registryPath, note: 'update registry', mode: 'dry-run' });
   } else {
@@ -1675,6 +2285,9 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
     else if (st === 'archived') counts.archived++;
   }
 
+  const depGraph = buildDependencyGraph(regTasks);
+  const criticalPaths = computeCriticalPaths(depGraph.nodes, reg.milestones);
+
   const dashAuto = [
     '## Summary',
     '',
@@ -1695,6 +2308,10 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
         return `| ${taskLabel} | ${t.status || ''} | ${feature} | ${dev} |`;
       }),
     '',
+    '## Critical path',
+    '',
+    ...(criticalPaths.length > 0 ? criticalPaths.map((cp) => `- ${formatCriticalPath(cp)}`) : ['- (no open tasks)']),
+    '',
   ].join('\n');
 
   const featureAutoLines = [];
@@ -1805,6 +2422,605 @@ function cmdSync({ repoRoot, projectSlug, dryRun, apply, initIfMissing, changelo
   return { ok: okExit, errors, warnings, actions };
 }
 
+const OVERVIEW_SKELETON = `# Projects Overview
+
+Rollup of every project hub under \`.ai/project/<project>/\`.
+
+## Notes (manual)
+- Keep human notes here. Everything inside the AUTO section is generated by \`sync --all-projects\`.
+
+<!-- AUTO-GENERATED:START overview -->
+<!-- AUTO-GENERATED:END overview -->
+`;
+
+function renderProjectsOverview(repoRoot) {
+  const projectRows = [];
+  const milestoneRows = [];
+  const featureRows = [];
+  const cell = (v) => String(v ?? '').replace(/\|/g, '\\|');
+
+  for (const slug of listProjectSlugs(repoRoot)) {
+    const { registry } = loadRegistry(repoRoot, slug);
+    if (!registry) {
+      projectRows.push(`| ${slug} | (registry.yaml failed to parse) | - | - | - | - | - | - |`);
+      continue;
+    }
+    const tasks = (Array.isArray(registry.tasks) ? registry.tasks : []).filter((t) => t && typeof t === 'object');
+    const count = (st) => tasks.filter((t) => String(t.status || '') === st).length;
+    const name = registry.project && typeof registry.project === 'object' ? registry.project.name : '';
+    projectRows.push(
+      `| ${slug} | ${cell(name)} | ${tasks.length} | ${count('planned')} | ${count('in-progress')} | ${count('blocked')} | ${count('done')} | ${count('archived')} |`
+    );
+
+    const progress = (list) => `${list.filter((t) => isTaskFinished(String(t.status || ''))).length}/${list.length}`;
+    for (const m of (Array.isArray(registry.milestones) ? registry.milestones : []).filter((x) => x && x.id)) {
+      const list = tasks.filter((t) => String(t.milestone_id || 'M-000') === String(m.id));
+      const open = list.filter((t) => !isTaskFinished(String(t.status || ''))).length;
+      milestoneRows.push(`| ${slug} | ${cell(`${m.id} ${m.title || ''}`.trim())} | ${m.status || ''} | ${progress(list)} | ${open} |`);
+    }
+    for (const f of (Array.isArray(registry.features) ? registry.features : []).filter((x) => x && x.id)) {
+      const list = tasks.filter((t) => String(t.feature_id || 'F-000') === String(f.id));
+      featureRows.push(
+        `| ${slug} | ${cell(`${f.id} ${f.title || ''}`.trim())} | ${f.milestone_id || ''} | ${f.status || ''} | ${progress(list)} |`
+      );
+    }
+  }
+
+  const conflicts = findCrossProjectConflicts(repoRoot);
+  return [
+    '## Projects',
+    '',
+    '| Project | Name | Tasks | Planned | In progress | Blocked | Done | Archived |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- |',
+    ...projectRows,
+    '',
+    '## Milestones',
+    '',
+    '| Project | Milestone | Status | Finished tasks | Open tasks |',
+    '| --- | --- | --- | --- | --- |',
+    ...milestoneRows,
+    '',
+    '## Features',
+    '',
+    '| Project | Feature | Milestone | Status | Finished tasks |',
+    '| --- | --- | --- | --- | --- |',
+    ...featureRows,
+    '',
+    '## Cross-project conflicts',
+    '',
+    ...(conflicts.length > 0 ? conflicts.map((c) => `- ${cell(c.summary)}`) : ['- (none)']),
+    '',
+  ].join('\n');
+}
+
+function cmdLintAllProjects({ repoRoot, strict }) {
+  const projects = listProjectSlugs(repoRoot);
+  if (projects.length === 0) {
+    console.log(colors.red('[error] No project hubs found under .ai/project/ (run init).'));
+    return { ok: false };
+  }
+
+  let okAll = true;
+  for (const slug of projects) {
+    header(`Project: ${slug}`);
+    const res = cmdLint({ repoRoot, projectSlug: slug, strict, crossProject: false });
+    if (!res.ok) okAll = false;
+  }
+
+  header('Cross-project:');
+  const conflicts = findCrossProjectConflicts(repoRoot);
+  for (const c of conflicts) console.log(colors.red(`- ${c.message}`));
+  if (conflicts.length === 0) console.log(`- No task ID collisions across ${projects.length} project(s).`);
+
+  const okExit = okAll && conflicts.length === 0;
+  console.log(okExit ? colors.green('[ok] Lint passed (all projects).') : colors.red('[error] Lint failed (all projects).'));
+  return { ok: okExit };
+}
+
+function cmdSyncAllProjects({ repoRoot, dryRun, apply, changelog }) {
+  const projects = listProjectSlugs(repoRoot);
+  if (projects.length === 0) {
+    console.log(colors.red('[error] No project hubs found under .ai/project/ (run init).'));
+    return { ok: false };
+  }
+
+  let okAll = true;
+  for (const slug of projects) {
+    header(`Project: ${slug}`);
+    const res = cmdSync({ repoRoot, projectSlug: slug, dryRun, apply, initIfMissing: false, changelog });
+    if (!res.ok) okAll = false;
+  }
+
+  // Rollup after every hub is synced so the overview reflects the refreshed registries.
+  const overviewPath = getOverviewPath(repoRoot);
+  const base = readText(overviewPath) || OVERVIEW_SKELETON;
+  const next = replaceAutoBlock(base, 'overview', renderProjectsOverview(repoRoot), overviewPath, false);
+  header('Overview:');
+  if (next === null) {
+    okAll = false;
+  } else if (dryRun || !apply) {
+    console.log(`  update: ${toPosix(path.relative(repoRoot, overviewPath))} (regen overview) (dry-run)`);
+  } else if (writeTextIfChanged(overviewPath, next)) {
+    console.log(`  update: ${toPosix(path.relative(repoRoot, overviewPath))} (regen overview)`);
+  }
+
+  const conflicts = findCrossProjectConflicts(repoRoot);
+  for (const c of conflicts) console.log(colors.yellow(`[warning] ${c.message}`));
+
+  return { ok: okAll };
+}
+
+const TRACE_SKELETON = `# Requirement Traceability
+
+Project: \`{{project_slug}}\`
+
+## Notes (manual)
+- Keep human notes here. Everything inside the AUTO section is generated by \`trace --apply\`.
+
+<!-- AUTO-GENERATED:START traceability -->
+<!-- AUTO-GENERATED:END traceability -->
+`;
+
+function buildTraceMatrix(repoRoot, reg) {
+  const requirements = (Array.isArray(reg.requirements) ? reg.requirements : []).filter((r) => r && typeof r === 'object' && r.id);
+  const features = new Map(
+    (Array.isArray(reg.features) ? reg.features : []).filter((f) => f && f.id).map((f) => [String(f.id), String(f.title || '')])
+  );
+  const tasks = (Array.isArray(reg.tasks) ? reg.tasks : [])
+    .filter((t) => t && typeof t === 'object' && t.id)
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+  const taskInfo = new Map();
+  for (const t of tasks) {
+    const reqIds = Array.isArray(t.requirement_ids) ? t.requirement_ids.map((r) => String(r)) : [];
+    if (t.requirement_id) reqIds.push(String(t.requirement_id));
+    const overviewRaw = t.dev_docs_path ? readText(path.join(repoRoot, String(t.dev_docs_path), '00-overview.md')) : null;
+    const ac = overviewRaw ? getAcceptanceCriteriaStats(overviewRaw) : { total: 0, checked: 0 };
+    const status = String(t.status || '');
+    const flags = [];
+    if (reqIds.length === 0) flags.push('no-requirement');
+    if (isTaskFinished(status) && ac.total === 0) flags.push('ac-missing');
+    if (isTaskFinished(status) && ac.checked < ac.total) flags.push('ac-unchecked');
+    taskInfo.set(String(t.id), { task: t, status, reqIds: [...new Set(reqIds)], ac, flags });
+  }
+
+  const rows = [];
+  const row = (r, info, extraFlags = []) => {
+    const featureId = r ? String(r.feature_id || '') : String(info?.task.feature_id || '');
+    return {
+      requirement_id: r ? String(r.id) : '',
+      requirement_title: r ? String(r.title || '') : '',
+      requirement_status: r ? String(r.status || '') : '',
+      feature_id: featureId,
+      feature_title: features.get(featureId) || '',
+      task_id: info ? String(info.task.id) : '',
+      task_slug: info ? String(info.task.slug || '') : '',
+      task_status: info ? info.status : '',
+      ac_checked: info ? info.ac.checked : null,
+      ac_total: info ? info.ac.total : null,
+      flags: [...extraFlags, ...(info ? info.flags.filter((f) => f !== 'no-requirement' || !r) : [])],
+    };
+  };
+
+  for (const r of requirements.sort((a, b) => String(a.id).localeCompare(String(b.id)))) {
+    const linked = [...taskInfo.values()].filter((i) => i.reqIds.includes(String(r.id)));
+    if (linked.length === 0) {
+      rows.push(row(r, null, String(r.status || '') === 'cut' ? [] : ['no-tasks']));
+      continue;
+    }
+    for (const info of linked) rows.push(row(r, info));
+  }
+  for (const info of taskInfo.values()) {
+    if (info.reqIds.length === 0) rows.push(row(null, info));
+  }
+
+  const count = (flag) => rows.filter((r) => r.flags.includes(flag)).length;
+  return {
+    rows,
+    summary: {
+      requirements: requirements.length,
+      requirements_without_tasks: count('no-tasks'),
+      tasks: tasks.length,
+      tasks_without_requirement: count('no-requirement'),
+      done_tasks_with_unchecked_criteria: new Set(rows.filter((r) => r.flags.includes('ac-unchecked')).map((r) => r.task_id)).size,
+      done_tasks_without_criteria: new Set(rows.filter((r) => r.flags.includes('ac-missing')).map((r) => r.task_id)).size,
+    },
+  };
+}
+
+function renderTraceMarkdown(matrix) {
+  const s = matrix.summary;
+  const cell = (v) => String(v ?? '').replace(/\|/g, '\\|');
+  const label = (id, title) => cell(`${id} ${title}`.trim()) || '-';
+  const lines = [
+    '## Summary',
+    '',
+    `- Requirements: ${s.requirements} (without tasks: ${s.requirements_without_tasks})`,
+    `- Tasks: ${s.tasks} (without requirement: ${s.tasks_without_requirement})`,
+    `- Done/archived tasks with unchecked acceptance criteria: ${s.done_tasks_with_unchecked_criteria} (without criteria: ${s.done_tasks_without_criteria})`,
+    '',
+    '## Matrix',
+    '',
+    '| Requirement | Status | Feature | Task | Task status | Acceptance criteria | Flags |',
+    '| --- | --- | --- | --- | --- | --- | --- |',
+  ];
+  for (const r of matrix.rows) {
+    const ac = r.ac_total === null ? '-' : `${r.ac_checked}/${r.ac_total}`;
+    lines.push(
+      `| ${label(r.requirement_id, r.requirement_title)} | ${r.requirement_status || '-'} | ${label(r.feature_id, r.feature_title)} | ${label(r.task_id, r.task_slug)} | ${r.task_status || '-'} | ${ac} | ${r.flags.join(', ')} |`
+    );
+  }
+  lines.push('');
+  return lines.join('\n');
+}
+
+function renderTraceCsv(matrix) {
+  const columns = [
+    'requirement_id',
+    'requirement_title',
+    'requirement_status',
+    'feature_id',
+    'feature_title',
+    'task_id',
+    'task_slug',
+    'task_status',
+    'ac_checked',
+    'ac_total',
+    'flags',
+  ];
+  const csvCell = (v) => {
+    const str = Array.isArray(v) ? v.join(';') : String(v ?? '');
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.join(','), ...matrix.rows.map((r) => columns.map((c) => csvCell(r[c])).join(','))].join('\n') + '\n';
+}
+
+function cmdTrace({ repoRoot, projectSlug, format, out, apply, strict }) {
+  if (!['markdown', 'csv'].includes(format)) die(`[error] Unknown --format "${format}". Allowed: markdown, csv`);
+
+  const loaded = loadRegistry(repoRoot, projectSlug);
+  if (!loaded.registry) {
+    die(`[error] Failed to load registry: ${loaded.error || 'registry not found'}`);
+  }
+  const matrix = buildTraceMatrix(repoRoot, loaded.registry);
+  const gaps =
+    matrix.summary.requirements_without_tasks +
+    matrix.summary.tasks_without_requirement +
+    matrix.summary.done_tasks_with_unchecked_criteria;
+
+  if (apply) {
+    // Hub views: traceability.md (AUTO block, manual notes kept) + traceability.csv (fully generated).
+    const hubDir = getHubDir(repoRoot, projectSlug);
+    const mdPath = path.join(hubDir, 'traceability.md');
+    const csvPath = path.join(hubDir, 'traceability.csv');
+    const base = readText(mdPath) || renderTemplate(TRACE_SKELETON, templateVars(projectSlug));
+    const next = replaceAutoBlock(base, 'traceability', renderTraceMarkdown(matrix), mdPath, false);
+    if (next === null) return { ok: false };
+    for (const [filePath, content] of [
+      [mdPath, next],
+      [csvPath, renderTraceCsv(matrix)],
+    ]) {
+      if (writeTextIfChanged(filePath, content)) console.log(`  update: ${toPosix(path.relative(repoRoot, filePath))}`);
+    }
+    ok(`[ok] Traceability matrix: ${matrix.rows.length} row(s), ${gaps} gap(s).`);
+  } else {
+    const text = format === 'csv' ? renderTraceCsv(matrix) : renderTraceMarkdown(matrix);
+    if (out) {
+      const outPath = path.resolve(repoRoot, out);
+      writeText(outPath, text);
+      ok(`[ok] Wrote ${toPosix(path.relative(repoRoot, outPath))} (${matrix.rows.length} rows, ${gaps} gaps)`);
+    } else {
+      process.stdout.write(text);
+    }
+  }
+
+  if (strict && gaps > 0) {
+    console.error(colors.red(`[error] ${gaps} traceability gap(s) (--strict).`));
+    return { ok: false };
+  }
+  return { ok: true };
+}
+
+function getTaskTemplatesDir(repoRoot) {
+  return path.join(repoRoot, '.ai', 'skills', 'workflows', 'dev-docs', 'create-dev-docs-plan', 'templates');
+}
+
+function slugifyTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/g, '');
+}
+
+function cmdNewTask({ repoRoot, projectSlug, title, featureId, slug, root, dryRun, apply }) {
+  const errors = [];
+
+  if (!title) {
+    errors.push('Missing --title.');
+    return { ok: false, errors };
+  }
+  if (!featureId || !FEATURE_ID_RE.test(featureId)) {
+    errors.push(`Invalid or missing --feature (expected F-###, got "${featureId || ''}").`);
+    return { ok: false, errors };
+  }
+  const taskSlug = slug || slugifyTitle(title);
+  if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(taskSlug)) {
+    errors.push(`Invalid task slug "${taskSlug}" (expected kebab-case; pass --slug).`);
+    return { ok: false, errors };
+  }
+
+  const loaded = loadRegistry(repoRoot, projectSlug);
+  if (!loaded.registry) {
+    errors.push(`Failed to load registry: ${loaded.error || 'registry not found'}`);
+    return { ok: false, errors };
+  }
+  const reg = loaded.registry;
+
+  const feature = (Array.isArray(reg.features) ? reg.features : []).find((f) => f && f.id === featureId);
+  if (!feature) {
+    errors.push(`Feature "${featureId}" not found in registry.`);
+    return { ok: false, errors };
+  }
+
+  // The bundle must land in a root this project scans, otherwise sync/lint would never see it.
+  const configured = getConfiguredRootsFromRegistry(reg).map((p) => path.resolve(repoRoot, p));
+  const rootAbs = root ? path.resolve(repoRoot, root) : configured[0] || path.join(repoRoot, 'dev-docs');
+  if (configured.length > 0 && !configured.includes(rootAbs)) {
+    errors.push(
+      `--root ${toPosix(path.relative(repoRoot, rootAbs))} is not in project.task_doc_roots (${configured.map((p) => toPosix(path.relative(repoRoot, p))).join(', ')}).`
+    );
+    return { ok: false, errors };
+  }
+
+  // Slug collisions are checked across every root (same rule as the lint cross-root check).
+  const allRoots = Array.from(new Set([...configured, ...discoverDevDocsRoots(repoRoot), rootAbs]));
+  const tasks = scanTasks(repoRoot, allRoots);
+  const clashes = tasks.filter((t) => t.slug === taskSlug).map((t) => toPosix(t.relPath));
+  const regTasks = Array.isArray(reg.tasks) ? reg.tasks : [];
+  for (const t of regTasks) {
+    if (t && String(t.slug || '') === taskSlug) clashes.push(`registry ${t.id} (${t.dev_docs_path || ''})`);
+  }
+  if (clashes.length > 0) {
+    errors.push(`Slug "${taskSlug}" already exists:\n${[...new Set(clashes)].map((c) => `  - ${c}`).join('\n')}`);
+    return { ok: false, errors };
+  }
+
+  const templatesDir = getTaskTemplatesDir(repoRoot);
+  const templateFiles = listMarkdownFiles(templatesDir);
+  if (templateFiles.length === 0) {
+    errors.push(`Missing task bundle templates: ${toPosix(path.relative(repoRoot, templatesDir))}`);
+    return { ok: false, errors };
+  }
+
+  let taskId;
+  try {
+    taskId = allocateTaskId(collectUsedTaskIds(repoRoot, projectSlug, reg, tasks));
+  } catch (e) {
+    errors.push(e.message || String(e));
+    return { ok: false, errors };
+  }
+
+  const todayStr = today();
+  const taskDir = path.join(rootAbs, 'active', taskSlug);
+  const files = templateFiles.map((name) => {
+    const raw = normalizeEol(readText(path.join(templatesDir, name)));
+    const rendered = raw
+      .replace(/^# (.+)$/m, (_, heading) => `# ${heading}: ${title}`)
+      .replace(/<!-- YYYY-MM-DD -->/g, todayStr);
+    return { path: path.join(taskDir, name), content: rendered };
+  });
+  files.push({
+    path: path.join(taskDir, '.ai-task.yaml'),
+    content: renderTaskMetaYaml({ task_id: taskId, project: projectSlug, slug: taskSlug, status: 'planned', updated: todayStr, keywords: [] }),
+  });
+
+  const entry = {
+    id: taskId,
+    slug: taskSlug,
+    title,
+    status: 'planned',
+    milestone_id: String(feature.milestone_id || 'M-000'),
+    feature_id: featureId,
+    dev_docs_path: toPosix(path.relative(repoRoot, taskDir)),
+    updated: todayStr,
+  };
+
+  if (dryRun || !apply) {
+    header('Planned changes:');
+    for (const f of files) console.log(`  write ${toPosix(path.relative(repoRoot, f.path))}`);
+    console.log(`  register task ${taskId} (${taskSlug}) feature=${featureId} milestone=${entry.milestone_id}`);
+    info('(dry-run mode; use --apply to write changes)');
+    return { ok: true, errors, taskId };
+  }
+
+  for (const f of files) writeText(f.path, f.content);
+  reg.tasks = [...regTasks, entry].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  writeTextIfChanged(loaded.path, dumpYamlDoc(reg, loaded.trace));
+
+  ok(`[ok] Created ${taskId} ${taskSlug} at ${entry.dev_docs_path}`);
+  for (const f of files) console.log(`  write: ${toPosix(path.relative(repoRoot, f.path))}`);
+  console.log(`  update: ${toPosix(path.relative(repoRoot, loaded.path))} (register ${taskId})`);
+  info(`Run sync --apply --project ${projectSlug} to refresh derived views.`);
+  return { ok: true, errors, taskId };
+}
+
+// Allowed `State:` transitions; anything else needs --force. `archived` means "move the bundle to archive/".
+const TASK_TRANSITIONS = {
+  planned: ['in-progress', 'blocked'],
+  'in-progress': ['planned', 'blocked', 'done'],
+  blocked: ['planned', 'in-progress'],
+  done: ['in-progress', 'archived'],
+  archived: [],
+};
+
+function setBundleStatusInOverview(overviewRaw, status) {
+  // Rewrites the first "- State:" bullet under "## Status"; returns null when the bullet is missing.
+  const lines = normalizeEol(overviewRaw).split('\n');
+  let inStatus = false;
+  for (let i = 0; i < lines.length; i++) {
+    const t = lines[i].trim();
+    if (t.startsWith('#')) {
+      if (/^##\s+Status\s*$/i.test(t)) {
+        inStatus = true;
+        continue;
+      }
+      if (inStatus && /^##\s+/.test(t)) break;
+    }
+    if (!inStatus) continue;
+    const m = lines[i].match(/^(\s*-\s*State\s*:\s*)(.*)$/i);
+    if (!m) continue;
+    lines[i] = `${m[1]}${status}`;
+    return lines.join('\n');
+  }
+  return null;
+}
+
+function cmdTransition({ repoRoot, projectSlug, taskId, to, archive, force, dryRun, apply }) {
+  const errors = [];
+  const warnings = [];
+
+  if (!taskId || !TASK_ID_RE.test(taskId)) {
+    errors.push(`Invalid or missing --task (expected T-###, got "${taskId || ''}").`);
+    return { ok: false, errors };
+  }
+  if (!TASK_STATUS.has(to)) {
+    errors.push(`Invalid --to "${to || ''}". Allowed: ${[...TASK_STATUS].join(', ')}`);
+    return { ok: false, errors };
+  }
+
+  const loaded = loadRegistry(repoRoot, projectSlug);
+  if (!loaded.registry) {
+    errors.push(`Failed to load registry: ${loaded.error || 'registry not found'}`);
+    return { ok: false, errors };
+  }
+  const reg = loaded.registry;
+
+  let roots = getConfiguredRootsFromRegistry(reg).map((p) => path.resolve(repoRoot, p));
+  if (roots.length === 0) roots = discoverDevDocsRoots(repoRoot);
+  const task = scanTasks(repoRoot, roots).find((t) => {
+    const raw = readText(t.metaPath);
+    return raw && parseTaskMeta(raw).task_id === taskId;
+  });
+  if (!task) {
+    errors.push(`Task "${taskId}" not found in any task-doc root (missing .ai-task.yaml?).`);
+    return { ok: false, errors };
+  }
+  task.taskId = taskId;
+
+  const meta = parseTaskMeta(readText(task.metaPath));
+  const overviewRaw = readText(task.overviewPath);
+  let from = 'archived';
+  if (task.phase === 'active') {
+    const { status, error: stateError } = overviewRaw ? getBundleStatusFromOverview(overviewRaw) : { status: null, error: 'Missing 00-overview.md.' };
+    if (!status) {
+      errors.push(`${formatTaskRef(task)}: ${stateError}`);
+      return { ok: false, errors };
+    }
+    from = status;
+  }
+
+  // --archive is shorthand for "finish, then move to archive/".
+  const moveToArchive = to === 'archived' || archive;
+  const targetState = to === 'archived' ? 'done' : to;
+  if (archive && to !== 'done' && to !== 'archived') {
+    errors.push('--archive is only valid with --to done (or use --to archived).');
+    return { ok: false, errors };
+  }
+  if (from === 'archived') {
+    errors.push(`${formatTaskRef(task)}: archived tasks cannot transition (move the bundle back to active/ manually).`);
+    return { ok: false, errors };
+  }
+
+  const steps = [];
+  if (targetState !== from) steps.push([from, targetState]);
+  if (moveToArchive) steps.push([targetState, 'archived']);
+  if (steps.length === 0) {
+    ok(`[ok] ${taskId} is already ${from}. No changes needed.`);
+    return { ok: true, errors };
+  }
+  for (const [a, b] of steps) {
+    if (TASK_TRANSITIONS[a].includes(b)) continue;
+    if (force) warnings.push(`Forced transition ${a} -> ${b} (not in the allowed table).`);
+    else errors.push(`Transition ${a} -> ${b} is not allowed (allowed from ${a}: ${TASK_TRANSITIONS[a].join(', ') || 'none'}). Use --force to override.`);
+  }
+
+  if (targetState === 'done' && from !== 'done') {
+    // Finishing checks: unfinished dependencies block, unchecked criteria only warn (human verification).
+    const statusById = new Map(
+      (Array.isArray(reg.tasks) ? reg.tasks : []).filter((t) => t && t.id).map((t) => [String(t.id), String(t.status || '')])
+    );
+    const unfinished = meta.depends_on.filter((d) => !isTaskFinished(statusById.get(d) || ''));
+    if (unfinished.length > 0) {
+      const msg = `${taskId} depends on unfinished task(s): ${unfinished.map((d) => `${d} (${statusById.get(d) || 'unknown'})`).join(', ')}`;
+      if (force) warnings.push(`${msg}; forced.`);
+      else errors.push(`${msg}. Use --force to override.`);
+    }
+    const ac = getAcceptanceCriteriaStats(overviewRaw);
+    if (ac.total === 0) warnings.push(`${taskId}: no Acceptance criteria checkboxes found.`);
+    else if (ac.checked < ac.total) warnings.push(`${taskId}: Acceptance criteria not fully checked (${ac.checked}/${ac.total}).`);
+  }
+  if (errors.length > 0) return { ok: false, errors };
+
+  const archiveDir = path.join(task.root, 'archive', task.slug);
+  if (moveToArchive && exists(archiveDir)) {
+    errors.push(`Archive target already exists: ${toPosix(path.relative(repoRoot, archiveDir))}`);
+    return { ok: false, errors };
+  }
+
+  const todayStr = today();
+  const finalStatus = moveToArchive ? 'archived' : targetState;
+  const finalDir = moveToArchive ? archiveDir : task.absPath;
+  const entries = steps.map(
+    ([a, b]) => `- ${todayStr} task_id=${taskId} slug=${task.slug} event=status from=${a} to=${b}`
+  );
+
+  for (const w of warnings) warn(`[warning] ${w}`);
+
+  if (dryRun || !apply) {
+    header('Planned changes:');
+    if (targetState !== from) console.log(`  update ${toPosix(path.relative(repoRoot, task.overviewPath))}: State ${from} -> ${targetState}`);
+    if (moveToArchive) console.log(`  move ${toPosix(task.relPath)} -> ${toPosix(path.relative(repoRoot, archiveDir))}`);
+    console.log(`  update .ai-task.yaml + registry.yaml: status ${finalStatus}`);
+    for (const e of entries) console.log(`  changelog ${e}`);
+    info('(dry-run mode; use --apply to write changes)');
+    return { ok: true, errors };
+  }
+
+  if (targetState !== from) {
+    writeText(task.overviewPath, setBundleStatusInOverview(overviewRaw, targetState) ?? overviewRaw);
+  }
+  if (moveToArchive) {
+    ensureDir(path.dirname(archiveDir));
+    fs.renameSync(task.absPath, archiveDir);
+  }
+
+  const metaPath = path.join(finalDir, '.ai-task.yaml');
+  writeText(metaPath, renderTaskMetaYaml({ ...meta, project: meta.project || projectSlug, slug: task.slug, status: finalStatus, updated: todayStr }));
+
+  if (!Array.isArray(reg.tasks)) reg.tasks = [];
+  let entry = reg.tasks.find((t) => t && t.id === taskId);
+  if (!entry) {
+    entry = { id: taskId, slug: task.slug, feature_id: 'F-000', milestone_id: 'M-000' };
+    reg.tasks.push(entry);
+    reg.tasks.sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  }
+  entry.status = finalStatus;
+  entry.dev_docs_path = toPosix(path.relative(repoRoot, finalDir));
+  entry.updated = todayStr;
+  writeTextIfChanged(loaded.path, dumpYamlDoc(reg, loaded.trace));
+
+  const changelogPath = path.join(getHubDir(repoRoot, projectSlug), 'changelog.md');
+  const res = appendChangelog({ repoRoot, changelogPath, entries, dryRun: false, apply: true, initIfMissing: false, projectSlug });
+  if (res?.ok === false) warn(`[warning] ${res.error}`);
+
+  ok(`[ok] ${taskId} ${task.slug}: ${steps.map(([a, b]) => `${a} -> ${b}`).join(', ')}`);
+  console.log(`  dev_docs_path: ${entry.dev_docs_path}`);
+  info(`Run sync --apply --project ${projectSlug} to refresh derived views.`);
+  return { ok: true, errors };
+}
+
 function cmdMap({ repoRoot, projectSlug, taskId, featureId, milestoneId, requirementId, dryRun, apply }) {
   const errors = [];
   const actions = [];
@@ -1923,7 +3139,7 @@ function cmdMap({ repoRoot, projectSlug, taskId, featureId, milestoneId, require
   }
 
   // Write registry
-  const registryOut = dumpYamlDoc(reg);
+  const registryOut = dumpYamlDoc(reg, loaded.trace);
   const changed = writeTextIfChanged(registryPath, registryOut);
   if (changed) {
     actions.push({ op: 'write', path: registryPath });
@@ -1935,11 +3151,963 @@ function cmdMap({ repoRoot, projectSlug, taskId, featureId, milestoneId, require
   return { ok: true, errors, actions };
 }
 
-function main() {
-  const { command, opts } = parseArgs(process.argv);
+function cmdGraph({ repoRoot, projectSlug, format, milestoneId, out }) {
+  const GRAPH_FORMATS = ['mermaid', 'dot', 'json'];
+  if (!GRAPH_FORMATS.includes(format)) {
+    die(`[error] Unknown --format "${format}". Allowed: ${GRAPH_FORMATS.join(', ')}`);
+  }
+  if (milestoneId && !MILESTONE_ID_RE.test(milestoneId)) {
+    die(`[error] Invalid --milestone "${milestoneId}" (expected M-###).`);
+  }
+
+  const loaded = loadRegistry(repoRoot, projectSlug);
+  if (!loaded.registry) {
+    die(
+      loaded.error
+        ? `[error] Failed to parse registry.yaml: ${loaded.error}`
+        : `[error] Project hub missing for "${projectSlug}". Run: node .ai/scripts/ctl-project-governance.mjs init --project ${projectSlug}`
+    );
+  }
+  const reg = loaded.registry;
+  const regTasks = Array.isArray(reg.tasks) ? reg.tasks : [];
+  const scoped = milestoneId ? regTasks.filter((t) => t && String(t.milestone_id || 'M-000') === milestoneId) : regTasks;
+
+  const { nodes, edges } = buildDependencyGraph(scoped);
+  const cycles = findDependencyCycles(nodes);
+  for (const cycle of cycles) {
+    console.error(colors.yellow(`[warning] Dependency cycle in depends_on: ${cycle.join(' -> ')} (run lint)`));
+  }
+  const criticalPaths = computeCriticalPaths(nodes, reg.milestones);
+  const milestones = Array.isArray(reg.milestones) ? reg.milestones : [];
+
+  let text;
+  if (format === 'json') {
+    const payload = {
+      project: projectSlug,
+      milestone: milestoneId || null,
+      nodes: [...nodes.values()].sort((a, b) => a.id.localeCompare(b.id)),
+      edges,
+      cycles,
+      critical_paths: criticalPaths,
+    };
+    text = JSON.stringify(payload, null, 2) + '\n';
+  } else if (format === 'dot') {
+    text = renderDependencyGraphDot({ nodes, edges, milestones, criticalPaths, projectSlug });
+  } else {
+    text = renderDependencyGraphMermaid({ nodes, edges, milestones, criticalPaths });
+  }
+
+  if (!out) {
+    process.stdout.write(text);
+    return { ok: true };
+  }
+
+  const outPath = path.resolve(repoRoot, out);
+  writeText(outPath, text);
+  ok(`[ok] Wrote ${toPosix(path.relative(repoRoot, outPath))} (${nodes.size} tasks, ${edges.length} dependencies)`);
+  for (const cp of criticalPaths) console.log(`  critical path: ${formatCriticalPath(cp)}`);
+  return { ok: true };
+}
+
+// Report: replay task status history (changelog + git) into burndown/throughput/cycle time.
+const CHANGELOG_LINE_RE = /^-\s+(\d{4}-\d{2}-\d{2})\s+(.+)$/;
+
+function parseDay(dateStr) {
+  const [y, m, d] = String(dateStr).split('-').map((n) => Number(n));
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(dateStr, days) {
+  const d = parseDay(dateStr);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatDay(d);
+}
+
+function daysBetween(from, to) {
+  return Math.round((parseDay(to) - parseDay(from)) / 86400000);
+}
+
+function isoWeek(dateStr) {
+  // ISO-8601 week: weeks start on Monday; week 1 contains the year's first Thursday.
+  const d = parseDay(dateStr);
+  const monday = addDays(dateStr, -((d.getUTCDay() + 6) % 7));
+  const thursday = parseDay(addDays(monday, 3));
+  const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return { label: `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`, start: monday, end: addDays(monday, 6) };
+}
+
+function parseChangelogEvents(raw) {
+  // Lines written by computeChangelogEntries: "- <date> task_id=T-### slug=... event=registered|status [from=.. to=..]".
+  const events = [];
+  for (const line of normalizeEol(raw || '').split('\n')) {
+    const m = line.trim().match(CHANGELOG_LINE_RE);
+    if (!m) continue;
+    const fields = {};
+    for (const kv of m[2].matchAll(/([a-z_]+)=(\S*)/g)) fields[kv[1]] = kv[2];
+    if (!TASK_ID_RE.test(fields.task_id || '')) continue;
+    if (fields.event === 'registered') {
+      events.push({ date: m[1], taskId: fields.task_id, status: null, registered: true, source: 'changelog' });
+    } else if (fields.event === 'status' && fields.to) {
+      events.push({ date: m[1], taskId: fields.task_id, status: fields.to, registered: false, source: 'changelog' });
+    }
+  }
+  return events;
+}
+
+function readOverviewGitEvents(repoRoot, taskId, devDocsPath) {
+  // Replays "- State:" edits (and moves into archive/) from the git history of 00-overview.md.
+  const rel = toPosix(path.join(devDocsPath, '00-overview.md'));
+  const res = spawnSync(
+    'git',
+    // No --reverse: git does not combine it with --follow (renames would be lost).
+    ['-C', repoRoot, 'log', '--follow', '--format=commit %H %ad', '--date=short', '-p', '--', rel],
+    { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 }
+  );
+  if (res.error || res.status !== 0) return null;
+
+  const events = [];
+  let date = null;
+  let pending = null;
+  const flush = () => {
+    if (date && pending) events.push({ date, taskId, status: pending, registered: false, source: 'git' });
+    pending = null;
+  };
+  for (const line of res.stdout.split('\n')) {
+    const commit = line.match(/^commit [0-9a-f]+ (\d{4}-\d{2}-\d{2})$/);
+    if (commit) {
+      flush();
+      date = commit[1];
+      continue;
+    }
+    const rename = line.match(/^rename to (.+)$/);
+    if (rename && /(^|\/)archive\//.test(rename[1])) {
+      pending = 'archived';
+      continue;
+    }
+    const state = line.match(/^\+\s*-\s*State\s*:\s*([a-z-]+)\s*$/i);
+    if (state && BUNDLE_STATUS.has(state[1]) && pending !== 'archived') pending = state[1];
+  }
+  flush();
+  return events.reverse();
+}
+
+function summarizeTaskHistory(entry, events) {
+  // created: first sighting; started: first in-progress; finished: last unfinished -> finished transition
+  // (reopened tasks only count once they are finished again).
+  const sorted = events.slice().sort((a, b) => a.date.localeCompare(b.date));
+  let created = sorted.length > 0 ? sorted[0].date : null;
+  let started = null;
+  let finished = null;
+  let current = null;
+  for (const e of sorted) {
+    if (!e.status || e.status === current) continue;
+    if (e.status === 'in-progress' && !started) started = e.date;
+    if (isTaskFinished(e.status) && !isTaskFinished(current)) finished = e.date;
+    if (!isTaskFinished(e.status)) finished = null;
+    current = e.status;
+  }
+
+  const status = String(entry.status || '');
+  let finishedSource = finished ? 'history' : null;
+  if (!isTaskFinished(status)) {
+    finished = null;
+  } else if (!finished && DATE_RE.test(String(entry.updated || ''))) {
+    // No recorded transition: sync bumps `updated` whenever the registry status changes.
+    finished = String(entry.updated);
+    finishedSource = 'registry';
+  }
+  if (!created) created = started || finished;
+
+  return {
+    id: String(entry.id),
+    slug: String(entry.slug || ''),
+    milestone_id: String(entry.milestone_id || 'M-000'),
+    status,
+    created,
+    started,
+    finished,
+    finished_source: finishedSource,
+    cycle_time_days: started && finished ? daysBetween(started, finished) : null,
+    lead_time_days: created && finished ? daysBetween(created, finished) : null,
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const s = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 === 1 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function buildProjectReport({ repoRoot, projectSlug, reg, weeks, milestoneId, useGit }) {
+  const hubDir = getHubDir(repoRoot, projectSlug);
+  const changelogEvents = parseChangelogEvents(readText(path.join(hubDir, 'changelog.md')));
+  const regTasks = (Array.isArray(reg.tasks) ? reg.tasks : []).filter((t) => t && typeof t === 'object' && t.id);
+
+  const eventsById = new Map();
+  for (const e of changelogEvents) {
+    const list = eventsById.get(e.taskId) || [];
+    list.push(e);
+    eventsById.set(e.taskId, list);
+  }
+
+  let gitEvents = 0;
+  let gitAvailable = useGit;
+  if (useGit) {
+    for (const t of regTasks) {
+      if (!t.dev_docs_path) continue;
+      const events = readOverviewGitEvents(repoRoot, String(t.id), String(t.dev_docs_path));
+      if (events === null) {
+        gitAvailable = false;
+        break;
+      }
+      gitEvents += events.length;
+      eventsById.set(String(t.id), [...(eventsById.get(String(t.id)) || []), ...events]);
+    }
+  }
+
+  let tasks = regTasks.map((t) => summarizeTaskHistory(t, eventsById.get(String(t.id)) || []));
+  if (milestoneId) tasks = tasks.filter((t) => t.milestone_id === milestoneId);
+  tasks.sort((a, b) => a.id.localeCompare(b.id));
+
+  // Week window: the last N ISO weeks up to (and including) the current one.
+  const current = isoWeek(today());
+  const windowWeeks = [];
+  for (let i = weeks - 1; i >= 0; i--) windowWeeks.push(isoWeek(addDays(current.start, -7 * i)));
+
+  const throughput = windowWeeks.map((w) => ({
+    week: w.label,
+    start: w.start,
+    done: tasks.filter((t) => t.finished && t.finished >= w.start && t.finished <= w.end).length,
+  }));
+
+  const titles = new Map();
+  for (const m of Array.isArray(reg.milestones) ? reg.milestones : []) {
+    if (m && typeof m === 'object') titles.set(String(m.id || ''), String(m.title || ''));
+  }
+  const byMilestone = new Map();
+  for (const t of tasks) {
+    const list = byMilestone.get(t.milestone_id) || [];
+    list.push(t);
+    byMilestone.set(t.milestone_id, list);
+  }
+  const milestones = [...byMilestone.keys()].sort().map((id) => {
+    const list = byMilestone.get(id);
+    return {
+      milestone_id: id,
+      title: titles.get(id) || '',
+      total: list.length,
+      open: list.filter((t) => !isTaskFinished(t.status)).length,
+      burndown: windowWeeks.map((w) => {
+        const scope = list.filter((t) => t.created && t.created <= w.end);
+        return {
+          week: w.label,
+          end: w.end,
+          scope: scope.length,
+          remaining: scope.filter((t) => !t.finished || t.finished > w.end).length,
+        };
+      }),
+    };
+  });
+
+  const cycleTimes = tasks.map((t) => t.cycle_time_days).filter((v) => v !== null);
+  return {
+    project: projectSlug,
+    generated: today(),
+    milestone: milestoneId || null,
+    sources: {
+      changelog_events: changelogEvents.length,
+      git_events: gitAvailable ? gitEvents : null,
+    },
+    summary: {
+      tasks: tasks.length,
+      finished: tasks.filter((t) => t.finished).length,
+      median_cycle_time_days: median(cycleTimes),
+      median_lead_time_days: median(tasks.map((t) => t.lead_time_days).filter((v) => v !== null)),
+      avg_weekly_throughput: Number((throughput.reduce((n, w) => n + w.done, 0) / throughput.length).toFixed(2)),
+    },
+    throughput,
+    milestones,
+    tasks,
+  };
+}
+
+function renderReportMarkdown(report) {
+  const lines = [];
+  const s = report.summary;
+  const orDash = (v) => (v === null || v === undefined ? '-' : String(v));
+  const gitNote = report.sources.git_events === null ? 'git history unavailable' : `${report.sources.git_events} git events`;
+
+  lines.push('## Delivery report');
+  lines.push('');
+  lines.push(`- Generated: ${report.generated} (${report.sources.changelog_events} changelog events, ${gitNote})`);
+  lines.push(`- Finished tasks: ${s.finished}/${s.tasks}; avg weekly throughput: ${s.avg_weekly_throughput}`);
+  lines.push(`- Median cycle time: ${orDash(s.median_cycle_time_days)} days; median lead time: ${orDash(s.median_lead_time_days)} days`);
+  lines.push('');
+
+  lines.push('### Throughput (tasks finished per week)');
+  lines.push('');
+  lines.push('| Week | Start | Done |');
+  lines.push('| --- | --- | --- |');
+  for (const w of report.throughput) lines.push(`| ${w.week} | ${w.start} | ${w.done} |`);
+  lines.push('');
+
+  lines.push('### Burndown');
+  lines.push('');
+  if (report.milestones.length === 0) lines.push('- (no tasks)');
+  for (const m of report.milestones) {
+    lines.push(`#### ${`${m.milestone_id} ${m.title}`.trim()} (${m.open} of ${m.total} open)`);
+    lines.push('');
+    lines.push('| Week | End | Scope | Remaining |');
+    lines.push('| --- | --- | --- | --- |');
+    for (const b of m.burndown) lines.push(`| ${b.week} | ${b.end} | ${b.scope} | ${b.remaining} |`);
+    lines.push('');
+  }
+
+  lines.push('### Cycle time (recently finished)');
+  lines.push('');
+  const finished = report.tasks
+    .filter((t) => t.finished)
+    .sort((a, b) => b.finished.localeCompare(a.finished) || a.id.localeCompare(b.id))
+    .slice(0, 15);
+  if (finished.length === 0) {
+    lines.push('- (no finished tasks)');
+  } else {
+    lines.push('| Task | Started | Finished | Cycle time (days) | Lead time (days) |');
+    lines.push('| --- | --- | --- | --- | --- |');
+    for (const t of finished) {
+      const label = `${t.id} ${t.slug}`.trim();
+      lines.push(`| ${label} | ${orDash(t.started)} | ${t.finished} | ${orDash(t.cycle_time_days)} | ${orDash(t.lead_time_days)} |`);
+    }
+  }
+  lines.push('');
+  return lines.join('\n');
+}
+
+function cmdReport({ repoRoot, projectSlug, weeks, milestoneId, useGit, dryRun, apply }) {
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > 104) {
+    die('[error] --weeks must be an integer between 1 and 104.');
+  }
+  if (milestoneId && !MILESTONE_ID_RE.test(milestoneId)) {
+    die(`[error] Invalid --milestone "${milestoneId}" (expected M-###).`);
+  }
+
+  const loaded = loadRegistry(repoRoot, projectSlug);
+  if (!loaded.registry) {
+    die(
+      loaded.error
+        ? `[error] Failed to parse registry.yaml: ${loaded.error}`
+        : `[error] Project hub missing for "${projectSlug}". Run: node .ai/scripts/ctl-project-governance.mjs init --project ${projectSlug}`
+    );
+  }
+
+  const report = buildProjectReport({ repoRoot, projectSlug, reg: loaded.registry, weeks, milestoneId, useGit });
+  if (!dryRun && !apply) {
+    console.log(JSON.stringify(report, null, 2));
+    return { ok: true };
+  }
+
+  const markdown = renderReportMarkdown(report);
+  if (dryRun) {
+    process.stdout.write(markdown);
+    return { ok: true };
+  }
+
+  const dashboardPath = path.join(getHubDir(repoRoot, projectSlug), 'dashboard.md');
+  const base = readText(dashboardPath);
+  if (!base) die(`[error] Missing ${toPosix(path.relative(repoRoot, dashboardPath))} (run init).`);
+
+  // Dashboards created before the report block existed get it appended (manual content is kept).
+  const next = base.includes('<!-- AUTO-GENERATED:START report -->')
+    ? replaceAutoBlock(base, 'report', markdown, dashboardPath, false)
+    : `${normalizeEol(base).trimEnd()}\n\n<!-- AUTO-GENERATED:START report -->\n${markdown.trimEnd()}\n<!-- AUTO-GENERATED:END report -->\n`;
+  if (next === null) return { ok: false };
+
+  const changed = writeTextIfChanged(dashboardPath, next);
+  ok(`[ok] Report ${changed ? 'written to' : 'unchanged in'} ${toPosix(path.relative(repoRoot, dashboardPath))} (report block)`);
+  return { ok: true };
+}
+
+// Issue tracker export/import (offline JSON dumps; no API calls).
+const ISSUE_PROVIDERS = {
+  'github-issues': { key: 'github', numberField: 'number', bodyField: 'body', open: 'open', closed: 'closed' },
+  'gitlab-issues': { key: 'gitlab', numberField: 'iid', bodyField: 'description', open: 'opened', closed: 'closed' },
+};
+const ISSUE_SYNC_FIELDS = ['title', 'state', 'milestone_id', 'feature_id', 'requirement_ids'];
+
+function getIssueMapPath(repoRoot, projectSlug) {
+  return path.join(getHubDir(repoRoot, projectSlug), 'issue-map.json');
+}
+
+function loadIssueMap(repoRoot, projectSlug) {
+  const raw = readText(getIssueMapPath(repoRoot, projectSlug));
+  if (!raw) return { version: 1, github: {}, gitlab: {} };
+  try {
+    const parsed = JSON.parse(raw);
+    return { version: 1, github: {}, gitlab: {}, ...parsed };
+  } catch (e) {
+    die(`[error] Failed to parse issue-map.json: ${e.message || String(e)}`);
+  }
+}
+
+function milestoneIssueTitle(reg, milestoneId) {
+  const m = (Array.isArray(reg.milestones) ? reg.milestones : []).find((x) => x && x.id === milestoneId);
+  return `${milestoneId} ${m ? String(m.title || '') : ''}`.trim();
+}
+
+function localIssueFields(task) {
+  const reqIds = Array.isArray(task.requirement_ids) ? task.requirement_ids.map((r) => String(r)) : [];
+  if (task.requirement_id) reqIds.push(String(task.requirement_id));
+  return {
+    title: String(task.title || task.slug || ''),
+    state: isTaskFinished(String(task.status || '')) ? 'closed' : 'open',
+    milestone_id: String(task.milestone_id || 'M-000'),
+    feature_id: String(task.feature_id || 'F-000'),
+    requirement_ids: [...new Set(reqIds)].sort().join(','),
+  };
+}
+
+function remoteIssueFields(issue, provider) {
+  const labels = (Array.isArray(issue.labels) ? issue.labels : [])
+    .map((l) => (l && typeof l === 'object' ? String(l.name || l.title || '') : String(l || '')))
+    .filter(Boolean);
+  const labelIds = (prefix, re) =>
+    labels.filter((l) => l.startsWith(prefix)).map((l) => l.slice(prefix.length).trim()).filter((v) => re.test(v));
+
+  const milestoneTitle = issue.milestone && typeof issue.milestone === 'object' ? issue.milestone.title : issue.milestone;
+  const fromTitle = String(milestoneTitle || '').match(/^(M-\d{3})\b/);
+  const title = String(issue.title || '');
+  const taskFromTitle = title.match(/^\[(T-\d{3})\]\s*/);
+  const taskFromLabel = labelIds('task:', TASK_ID_RE)[0];
+  const taskFromBody = String(issue[provider.bodyField] || '').match(/<!--\s*governance-task:\s*(T-\d{3})\s*-->/);
+
+  return {
+    number: issue[provider.numberField] ?? null,
+    taskId: taskFromLabel || (taskFromTitle && taskFromTitle[1]) || (taskFromBody && taskFromBody[1]) || null,
+    fields: {
+      title: taskFromTitle ? title.slice(taskFromTitle[0].length) : title,
+      state: String(issue.state || '') === provider.closed ? 'closed' : 'open',
+      milestone_id: fromTitle ? fromTitle[1] : labelIds('milestone:', MILESTONE_ID_RE)[0] || 'M-000',
+      feature_id: labelIds('feature:', FEATURE_ID_RE)[0] || 'F-000',
+      requirement_ids: [...new Set(labelIds('requirement:', REQUIREMENT_ID_RE))].sort().join(','),
+    },
+  };
+}
+
+function renderIssuePayload(reg, task, provider, number) {
+  const fields = localIssueFields(task);
+  const labels = [`task:${task.id}`, `feature:${fields.feature_id}`, `status:${task.status || 'planned'}`];
+  for (const r of fields.requirement_ids ? fields.requirement_ids.split(',') : []) labels.push(`requirement:${r}`);
+
+  const body = [
+    `<!-- governance-task: ${task.id} -->`,
+    `Task \`${task.id}\` (${task.status || 'planned'})`,
+    '',
+    `- Dev docs: \`${task.dev_docs_path || ''}\``,
+    `- Feature: ${fields.feature_id}`,
+    `- Milestone: ${fields.milestone_id}`,
+  ];
+  if (Array.isArray(task.depends_on) && task.depends_on.length > 0) body.push(`- Depends on: ${task.depends_on.join(', ')}`);
+
+  const issue = {};
+  if (number !== null && number !== undefined) issue[provider.numberField] = number;
+  issue.title = `[${task.id}] ${fields.title}`;
+  issue[provider.bodyField] = body.join('\n') + '\n';
+  issue.state = fields.state === 'closed' ? provider.closed : provider.open;
+  issue.labels = labels;
+  issue.milestone = { title: milestoneIssueTitle(reg, fields.milestone_id) };
+  return issue;
+}
+
+function cmdExportIssues({ repoRoot, projectSlug, format, out }) {
+  const provider = ISSUE_PROVIDERS[format];
+  if (!provider) die(`[error] Unknown --format "${format}". Allowed: ${Object.keys(ISSUE_PROVIDERS).join(', ')}`);
+
+  const loaded = loadRegistry(repoRoot, projectSlug);
+  if (!loaded.registry) {
+    die(`[error] Failed to load registry: ${loaded.error || 'registry not found'}`);
+  }
+  const reg = loaded.registry;
+  const mapping = loadIssueMap(repoRoot, projectSlug)[provider.key] || {};
+
+  const tasks = (Array.isArray(reg.tasks) ? reg.tasks : [])
+    .filter((t) => t && typeof t === 'object' && TASK_ID_RE.test(String(t.id || '')))
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  const openMilestone = provider.key === 'gitlab' ? 'active' : 'open';
+  const milestones = (Array.isArray(reg.milestones) ? reg.milestones : [])
+    .filter((m) => m && typeof m === 'object' && m.id)
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)))
+    .map((m) => ({
+      title: milestoneIssueTitle(reg, String(m.id)),
+      state: String(m.status || '') === 'done' ? 'closed' : openMilestone,
+      description: String(m.description || ''),
+    }));
+
+  const payload = {
+    provider: format,
+    project: projectSlug,
+    generated: today(),
+    milestones,
+    issues: tasks.map((t) => renderIssuePayload(reg, t, provider, mapping[t.id]?.issue)),
+  };
+  const text = JSON.stringify(payload, null, 2) + '\n';
+
+  // The exported values become the sync base: a later import treats remote differences from them
+  // as tracker edits and local differences as pending exports.
+  const issueMap = loadIssueMap(repoRoot, projectSlug);
+  const nextMapping = { ...mapping };
+  for (const t of tasks) {
+    nextMapping[t.id] = { issue: mapping[t.id]?.issue ?? null, base: localIssueFields(t) };
+  }
+  issueMap[provider.key] = Object.fromEntries(Object.entries(nextMapping).sort(([a], [b]) => a.localeCompare(b)));
+  const mapPath = getIssueMapPath(repoRoot, projectSlug);
+  const mapChanged = writeTextIfChanged(mapPath, JSON.stringify(issueMap, null, 2) + '\n');
+
+  if (!out) {
+    process.stdout.write(text);
+    return { ok: true };
+  }
+  const outPath = path.resolve(repoRoot, out);
+  writeText(outPath, text);
+  const mapped = payload.issues.filter((i) => i[provider.numberField] !== undefined).length;
+  ok(`[ok] Wrote ${toPosix(path.relative(repoRoot, outPath))} (${payload.issues.length} issues, ${mapped} already mapped)`);
+  if (mapChanged) console.log(`  update: ${toPosix(path.relative(repoRoot, mapPath))} (sync base)`);
+  return { ok: true };
+}
+
+function cmdImportIssues({ repoRoot, projectSlug, from, format, dryRun, apply }) {
+  const errors = [];
+  const changes = [];
+  const conflicts = [];
+  const drift = [];
+  const pending = [];
+
+  const raw = readText(path.resolve(repoRoot, from));
+  if (!raw) {
+    errors.push(`Issue dump not found: ${from}`);
+    return { ok: false, errors };
+  }
+  let dump;
+  try {
+    dump = JSON.parse(raw);
+  } catch (e) {
+    errors.push(`Failed to parse ${from}: ${e.message || String(e)}`);
+    return { ok: false, errors };
+  }
+
+  // Accept a raw API listing (array) or an export payload ({ provider, issues }).
+  const issues = Array.isArray(dump) ? dump : Array.isArray(dump?.issues) ? dump.issues : null;
+  if (!issues) {
+    errors.push(`${from}: expected a JSON array of issues or an object with "issues".`);
+    return { ok: false, errors };
+  }
+  const formatName =
+    format ||
+    (dump && !Array.isArray(dump) && ISSUE_PROVIDERS[dump.provider] ? dump.provider : null) ||
+    (issues.some((i) => i && 'iid' in i) ? 'gitlab-issues' : 'github-issues');
+  const provider = ISSUE_PROVIDERS[formatName];
+  if (!provider) {
+    errors.push(`Unknown --format "${formatName}". Allowed: ${Object.keys(ISSUE_PROVIDERS).join(', ')}`);
+    return { ok: false, errors };
+  }
+
+  const loaded = loadRegistry(repoRoot, projectSlug);
+  if (!loaded.registry) {
+    errors.push(`Failed to load registry: ${loaded.error || 'registry not found'}`);
+    return { ok: false, errors };
+  }
+  const reg = loaded.registry;
+  const issueMap = loadIssueMap(repoRoot, projectSlug);
+  const mapping = issueMap[provider.key] || {};
+
+  const known = (list) => new Set((Array.isArray(list) ? list : []).filter((x) => x && x.id).map((x) => String(x.id)));
+  const knownIds = { milestone_id: known(reg.milestones), feature_id: known(reg.features), requirement_ids: known(reg.requirements) };
+  const taskById = new Map((Array.isArray(reg.tasks) ? reg.tasks : []).filter((t) => t && t.id).map((t) => [String(t.id), t]));
+  const taskByNumber = new Map();
+  for (const [taskId, m] of Object.entries(mapping)) {
+    if (m && m.issue !== null && m.issue !== undefined) taskByNumber.set(String(m.issue), taskId);
+  }
+
+  const untracked = [];
+  const nextMapping = { ...mapping };
+  const seen = new Set();
+
+  for (const issue of issues) {
+    if (!issue || typeof issue !== 'object' || issue.pull_request) continue;
+    const remote = remoteIssueFields(issue, provider);
+    const taskId = (remote.number !== null && taskByNumber.get(String(remote.number))) || remote.taskId;
+    const ref = remote.number !== null ? `#${remote.number}` : '(unnumbered)';
+    if (!taskId) {
+      untracked.push(`${ref} "${remote.fields.title}"`);
+      continue;
+    }
+    const task = taskById.get(taskId);
+    if (!task) {
+      errors.push(`Issue ${ref} references ${taskId}, which is not in the registry.`);
+      continue;
+    }
+    if (seen.has(taskId)) {
+      errors.push(`Multiple issues map to ${taskId} (latest: ${ref}); fix labels/titles or issue-map.json.`);
+      continue;
+    }
+    seen.add(taskId);
+
+    const label = `${taskId} (${ref})`;
+    const local = localIssueFields(task);
+    // Without a recorded base (first import, or a field added later) the local value counts as
+    // untouched, so the tracker wins; export records a base for every field.
+    const nextBase = { ...local, ...(mapping[taskId]?.base || {}) };
+
+    for (const field of ISSUE_SYNC_FIELDS) {
+      const l = local[field];
+      const r = remote.fields[field];
+      const b = nextBase[field];
+      if (l === r) {
+        nextBase[field] = l;
+      } else if (r === b) {
+        pending.push(`${label} ${field}: changed locally ("${b}" -> "${l}"); run export to push it.`);
+      } else if (l !== b) {
+        conflicts.push(`${label} ${field}: local="${l}" remote="${r}" base="${b}" (changed on both sides)`);
+      } else if (field === 'state') {
+        // Task progress SoT is 00-overview.md; never write status from the tracker.
+        drift.push(`${label}: issue is ${r} but task status is "${task.status || ''}"; update ${task.dev_docs_path || 'the task'}/00-overview.md.`);
+      } else {
+        const unknown = knownIds[field] ? (r ? r.split(',') : []).filter((id) => !knownIds[field].has(id)) : [];
+        if (unknown.length > 0) {
+          errors.push(`${label} ${field}: remote references unknown ${unknown.join(', ')} (not in registry).`);
+          continue;
+        }
+        changes.push(`${label} ${field}: "${l}" -> "${r}"`);
+        if (field === 'requirement_ids') {
+          task.requirement_ids = r ? r.split(',') : [];
+          delete task.requirement_id;
+        } else {
+          task[field] = r;
+        }
+        task.updated = today();
+        nextBase[field] = r;
+      }
+    }
+
+    nextMapping[taskId] = { issue: remote.number, base: nextBase };
+  }
+
+  if (changes.length > 0) {
+    header('Planned changes:');
+    for (const c of changes) console.log(`  ${c}`);
+  }
+  if (pending.length > 0) {
+    header('Pending export:');
+    for (const p of pending) console.log(`  ${p}`);
+  }
+  if (drift.length > 0) {
+    header('Status drift (not applied):');
+    for (const d of drift) console.log(colors.yellow(`  ${d}`));
+  }
+  if (untracked.length > 0) {
+    header('Untracked issues (no task ID):');
+    for (const u of untracked) console.log(`  ${u}`);
+  }
+  if (conflicts.length > 0) {
+    header('Conflicts (not applied):');
+    for (const c of conflicts) console.log(colors.red(`  ${c}`));
+  }
+
+  if (dryRun || !apply) {
+    info('(dry-run mode; use --apply to write changes)');
+    return { ok: errors.length === 0 && conflicts.length === 0, errors };
+  }
+
+  if (changes.length > 0) {
+    const changed = writeTextIfChanged(loaded.path, dumpYamlDoc(reg, loaded.trace));
+    if (changed) console.log(`  update: ${toPosix(path.relative(repoRoot, loaded.path))}`);
+  }
+  issueMap[provider.key] = Object.fromEntries(Object.entries(nextMapping).sort(([a], [b]) => a.localeCompare(b)));
+  const mapPath = getIssueMapPath(repoRoot, projectSlug);
+  if (writeTextIfChanged(mapPath, JSON.stringify(issueMap, null, 2) + '\n')) {
+    console.log(`  update: ${toPosix(path.relative(repoRoot, mapPath))}`);
+  }
+
+  if (conflicts.length > 0) {
+    errors.push(`${conflicts.length} conflict(s) left unresolved; fix one side and re-run import.`);
+    return { ok: false, errors };
+  }
+  if (errors.length === 0) ok(`[ok] Imported ${seen.size} issue(s) (${changes.length} change(s) applied).`);
+  return { ok: errors.length === 0, errors };
+}
+
+function collectTaskDocRoots(repoRoot, projectSlugs) {
+  // Repo-relative POSIX roots configured by the given hubs (auto-discovered when none are configured).
+  const roots = new Set();
+  for (const slug of projectSlugs) {
+    const { registry } = loadRegistry(repoRoot, slug);
+    for (const r of getConfiguredRootsFromRegistry(registry)) roots.add(toPosix(path.normalize(r)).replace(/\/+$/, ''));
+  }
+  if (roots.size === 0) {
+    for (const r of discoverDevDocsRoots(repoRoot)) roots.add(toPosix(path.relative(repoRoot, r)));
+  }
+  return [...roots].sort();
+}
+
+function bundleForPath(relFile, roots) {
+  // Maps a repo-relative file to the task bundle (<root>/<active|archive>/<slug>) containing it.
+  const file = toPosix(relFile);
+  for (const root of roots) {
+    const prefix = root === '' || root === '.' ? '' : `${root}/`;
+    if (!file.startsWith(prefix)) continue;
+    const m = file.slice(prefix.length).match(/^(active|archive)\/([^/]+)\//);
+    if (!m) continue;
+    return { root, phase: m[1], slug: m[2], relPath: `${prefix}${m[1]}/${m[2]}` };
+  }
+  return null;
+}
+
+function checkTaskBundle(bundle, readFile) {
+  // Bundle-local checks only (no registry or cross-bundle state), so they can run on a subset of tasks.
+  // `readFile(relPath)` returns the content or null; it reads the working tree or the git index.
+  const errors = [];
+  const warnings = [];
+  const ref = bundle.relPath;
+
+  if (bundle.phase === 'active') {
+    const overviewRaw = readFile(`${bundle.relPath}/00-overview.md`);
+    if (!overviewRaw) {
+      errors.push(`${ref}: Missing 00-overview.md (task progress SoT file).`);
+    } else {
+      const { error } = getBundleStatusFromOverview(overviewRaw);
+      if (error) errors.push(`${ref}/00-overview.md: ${error}`);
+    }
+  }
+
+  const metaRaw = readFile(`${bundle.relPath}/.ai-task.yaml`);
+  if (!metaRaw) {
+    warnings.push(`${ref}: Missing .ai-task.yaml (sync assigns a task ID).`);
+    return { errors, warnings };
+  }
+  const meta = parseTaskMeta(metaRaw);
+  if (meta.version !== 1) errors.push(`${ref}/.ai-task.yaml: Invalid meta version (expected 1).`);
+  if (!TASK_ID_RE.test(meta.task_id)) errors.push(`${ref}/.ai-task.yaml: Invalid task_id "${meta.task_id}" (expected T-###).`);
+  if (meta.slug && meta.slug !== bundle.slug) {
+    errors.push(`${ref}/.ai-task.yaml: meta.slug="${meta.slug}" does not match directory slug "${bundle.slug}".`);
+  }
+  if (meta.status && !TASK_STATUS.has(meta.status)) errors.push(`${ref}/.ai-task.yaml: Invalid meta.status "${meta.status}".`);
+  if (meta.updated && !DATE_RE.test(meta.updated)) {
+    errors.push(`${ref}/.ai-task.yaml: Invalid meta.updated "${meta.updated}" (expected YYYY-MM-DD).`);
+  }
+  for (const dep of meta.depends_on) {
+    if (!TASK_ID_RE.test(dep)) errors.push(`${ref}/.ai-task.yaml: Invalid depends_on entry "${dep}" (expected T-###).`);
+    else if (dep === meta.task_id) errors.push(`${ref}/.ai-task.yaml: Task ${dep} depends on itself (depends_on).`);
+  }
+  return { errors, warnings };
+}
+
+function gitOutput(repoRoot, args) {
+  const res = spawnSync('git', args, { cwd: repoRoot, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+  if (res.error || res.status !== 0) return null;
+  return res.stdout;
+}
+
+function cmdLintStaged({ repoRoot }) {
+  // Pre-commit mode: only bundles (and registries) touched in the index, read from the index itself.
+  const errors = [];
+  const warnings = [];
+
+  const listing = gitOutput(repoRoot, ['diff', '--cached', '--name-only', '-z', '--diff-filter=d']);
+  if (listing === null) {
+    console.log(colors.red('[error] git diff --cached failed (not a git repository?).'));
+    return { ok: false, errors: ['git diff --cached failed'], warnings };
+  }
+  const staged = listing.split('\0').filter(Boolean);
+  const readStaged = (relPath) => gitOutput(repoRoot, ['show', `:${relPath}`]);
+
+  const slugs = listProjectSlugs(repoRoot);
+  const roots = collectTaskDocRoots(repoRoot, slugs);
+  const bundles = new Map();
+  for (const file of staged) {
+    const bundle = bundleForPath(file, roots);
+    if (bundle) bundles.set(bundle.relPath, bundle);
+  }
+
+  const { schema, error: schemaError } = loadRegistrySchema(repoRoot);
+  let registries = 0;
+  for (const slug of slugs) {
+    const registryPath = getRegistryPath(repoRoot, slug);
+    const rel = toPosix(path.relative(repoRoot, registryPath));
+    if (!staged.includes(rel)) continue;
+    registries++;
+    if (schemaError) errors.push(schemaError);
+    const trace = createYamlTrace();
+    try {
+      const registry = parseYamlDoc(readStaged(rel) || '', trace);
+      for (const issue of validateRegistry(registry, trace, schema)) errors.push(formatSchemaIssue(repoRoot, registryPath, issue));
+    } catch (e) {
+      errors.push(`Failed to parse ${rel}: ${e.message || String(e)}`);
+    }
+  }
+
+  for (const bundle of [...bundles.values()].sort((a, b) => a.relPath.localeCompare(b.relPath))) {
+    const res = checkTaskBundle(bundle, readStaged);
+    errors.push(...res.errors);
+    warnings.push(...res.warnings);
+  }
+
+  if (errors.length > 0) {
+    header('Errors:');
+    for (const e of errors) console.log(colors.red(`- ${e}`));
+  }
+  if (warnings.length > 0) {
+    header('Warnings:');
+    for (const w of warnings) console.log(colors.yellow(`- ${w}`));
+  }
+
+  const okExit = errors.length === 0;
+  const scope = `${bundles.size} staged task bundle(s), ${registries} registry file(s)`;
+  console.log(okExit ? colors.green(`[ok] Lint passed (${scope}).`) : colors.red(`[error] Lint failed (${scope}).`));
+  return { ok: okExit, errors, warnings };
+}
+
+function watchDirectories(rootAbs, onChange) {
+  // Recursive fs.watch where supported; otherwise one watcher per directory, refreshed as directories appear.
+  try {
+    const w = fs.watch(rootAbs, { recursive: true }, (_event, name) => onChange(name ? path.join(rootAbs, String(name)) : rootAbs));
+    return () => w.close();
+  } catch (e) {
+    if (e.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw e;
+  }
+
+  const watchers = new Map();
+  const refresh = () => {
+    const stack = [rootAbs];
+    while (stack.length > 0) {
+      const dir = stack.pop();
+      if (!watchers.has(dir)) {
+        try {
+          watchers.set(
+            dir,
+            fs.watch(dir, (_event, name) => {
+              const changed = name ? path.join(dir, String(name)) : dir;
+              refresh();
+              onChange(changed);
+            })
+          );
+        } catch {
+          continue;
+        }
+      }
+      for (const child of listImmediateChildDirs(dir)) stack.push(path.join(dir, child));
+    }
+    for (const [dir, w] of watchers) {
+      if (exists(dir)) continue;
+      w.close();
+      watchers.delete(dir);
+    }
+  };
+  refresh();
+  return () => {
+    for (const w of watchers.values()) w.close();
+  };
+}
+
+function cmdWatch({ repoRoot, projectSlug, allProjects, apply, debounceMs }) {
+  const slugs = allProjects ? listProjectSlugs(repoRoot) : [projectSlug];
+  const roots = collectTaskDocRoots(repoRoot, slugs);
+  const existingRoots = roots.filter((r) => exists(path.resolve(repoRoot, r)));
+  if (existingRoots.length === 0) {
+    console.log(colors.red('[error] No task-doc roots to watch (configure project.task_doc_roots or create dev-docs/).'));
+    return { ok: false };
+  }
+
+  const pending = new Set();
+  let timer = null;
+  // Meta files written by our own sync would otherwise trigger one more (no-op) pass.
+  let ignoreMetaUntil = 0;
+
+  const run = () => {
+    timer = null;
+    const bundles = new Map();
+    for (const file of pending) {
+      const bundle = bundleForPath(file, existingRoots);
+      if (bundle) bundles.set(bundle.relPath, bundle);
+    }
+    pending.clear();
+    if (bundles.size === 0) return;
+
+    const stamp = new Date().toTimeString().slice(0, 8);
+    const readWorking = (relPath) => readText(path.join(repoRoot, relPath));
+    const errors = [];
+    const warnings = [];
+    for (const bundle of [...bundles.values()].sort((a, b) => a.relPath.localeCompare(b.relPath))) {
+      // A bundle that was moved or deleted is picked up by the next sync.
+      if (!exists(path.join(repoRoot, bundle.relPath))) continue;
+      const res = checkTaskBundle(bundle, readWorking);
+      errors.push(...res.errors);
+      warnings.push(...res.warnings);
+    }
+    header(`[${stamp}] Changed: ${[...bundles.keys()].join(', ')}`);
+    for (const e of errors) console.log(colors.red(`- ${e}`));
+    for (const w of warnings) console.log(colors.yellow(`- ${w}`));
+    if (errors.length > 0) {
+      console.log(colors.red('[error] Lint failed; sync skipped until the bundle is fixed.'));
+      return;
+    }
+    ok('[ok] Lint passed.');
+
+    // Sync runs in a child process: it is whole-hub work and may exit the process on hard errors.
+    const syncArgs = [__filename, 'sync', apply ? '--apply' : '--dry-run', '--repo-root', repoRoot];
+    if (allProjects) syncArgs.push('--all-projects');
+    else syncArgs.push('--project', projectSlug);
+    const res = spawnSync(process.execPath, syncArgs, { cwd: repoRoot, encoding: 'utf8' });
+    ignoreMetaUntil = Date.now() + Math.max(debounceMs, 200);
+    const lines = `${res.stdout || ''}${res.stderr || ''}`
+      .split('\n')
+      .filter((l) => /^\s*(update|write|\[error\]|\[warn)/i.test(l) || /^- /.test(l));
+    for (const l of lines) console.log(`  ${l.trim()}`);
+    if (res.status === 0) ok(`[ok] Sync ${apply ? 'applied' : 'checked (dry-run)'}.`);
+    else console.log(colors.red(`[error] Sync failed (exit ${res.status}).`));
+  };
+
+  const onChange = (absFile) => {
+    const rel = toPosix(path.relative(repoRoot, absFile));
+    if (rel.startsWith('..')) return;
+    if (path.basename(rel) === '.ai-task.yaml' && Date.now() < ignoreMetaUntil) return;
+    let isDir = false;
+    try {
+      isDir = fs.statSync(absFile).isDirectory();
+    } catch {
+      // Deleted paths still mark their bundle as changed.
+    }
+    pending.add(isDir ? `${rel}/` : rel);
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(run, debounceMs);
+  };
+
+  const closers = existingRoots.map((r) => watchDirectories(path.resolve(repoRoot, r), onChange));
+  info(`Watching ${existingRoots.join(', ')} (${apply ? 'lint + sync --apply' : 'lint + sync --dry-run'}; Ctrl+C to stop).`);
+
+  process.on('SIGINT', () => {
+    for (const close of closers) close();
+    if (timer) clearTimeout(timer);
+    info('Watch stopped.');
+    process.exit(0);
+  });
+  return { ok: true };
+}
+
+function main() {
+  const { command, opts } = parseArgs(process.argv);
   const repoRoot =
     opts['repo-root'] ? path.resolve(opts['repo-root']) : findRepoRoot(process.cwd()) || path.resolve(process.cwd());
   const projectSlug = String(opts.project || DEFAULT_PROJECT).trim() || DEFAULT_PROJECT;
+  const allProjects = !!opts['all-projects'];
+  if (allProjects && opts.project) die('[error] Use either --project or --all-projects, not both.');
+  if (allProjects && !['lint', 'sync', 'query', 'watch'].includes(command)) {
+    die(`[error] --all-projects is supported by lint, sync, query and watch (not "${command}").`);
+  }
 
   switch (command) {
     case 'init':
@@ -1952,7 +4120,14 @@ function main() {
       // --strict promotes non-human-verification warnings to errors.
       const _check = opts.check; // consumed to avoid "unknown flag" warnings
       void _check;
-      const { ok: okLint } = cmdLint({ repoRoot, projectSlug, strict });
+      if (opts.staged && (allProjects || opts.project)) {
+        die('[error] --staged always checks every hub; drop --project/--all-projects.');
+      }
+      const { ok: okLint } = opts.staged
+        ? cmdLintStaged({ repoRoot })
+        : allProjects
+          ? cmdLintAllProjects({ repoRoot, strict })
+          : cmdLint({ repoRoot, projectSlug, strict });
       process.exit(okLint ? 0 : 1);
       break;
     }
@@ -1962,14 +4137,17 @@ function main() {
       if (!dryRun && !apply) {
         info('No mode specified; defaulting to --dry-run.');
       }
-      const res = cmdSync({
-        repoRoot,
-        projectSlug,
-        dryRun: dryRun || !apply,
-        apply: apply && !dryRun,
-        initIfMissing: !!opts['init-if-missing'],
-        changelog: !!opts.changelog,
-      });
+      if (allProjects && opts['init-if-missing']) die('[error] --init-if-missing cannot be combined with --all-projects.');
+      const res = allProjects
+        ? cmdSyncAllProjects({ repoRoot, dryRun: dryRun || !apply, apply: apply && !dryRun, changelog: !!opts.changelog })
+        : cmdSync({
+            repoRoot,
+            projectSlug,
+            dryRun: dryRun || !apply,
+            apply: apply && !dryRun,
+            initIfMissing: !!opts['init-if-missing'],
+            changelog: !!opts.changelog,
+          });
       process.exit(res.ok ? 0 : 1);
       break;
     }
@@ -1985,6 +4163,7 @@ function main() {
         status: status || null,
         text: text || null,
         json,
+        allProjects,
       });
       process.exit(res.ok ? 0 : 1);
       break;
@@ -2016,6 +4195,127 @@ function main() {
       process.exit(res.ok ? 0 : 1);
       break;
     }
+    case 'report': {
+      const weeks = opts.weeks === undefined ? 8 : Number(opts.weeks);
+      const milestoneId = opts.milestone ? String(opts.milestone).trim() : '';
+      const res = cmdReport({
+        repoRoot,
+        projectSlug,
+        weeks,
+        milestoneId: milestoneId || null,
+        useGit: !opts['no-git'],
+        dryRun: !!opts['dry-run'],
+        apply: !!opts.apply && !opts['dry-run'],
+      });
+      process.exit(res.ok ? 0 : 1);
+      break;
+    }
+    case 'new-task': {
+      const title = typeof opts.title === 'string' ? opts.title.trim() : '';
+      const featureId = typeof opts.feature === 'string' ? opts.feature.trim() : '';
+      const slug = typeof opts.slug === 'string' ? opts.slug.trim() : '';
+      const root = typeof opts.root === 'string' ? opts.root.trim() : '';
+      const dryRun = !!opts['dry-run'];
+      const apply = !!opts.apply;
+      if (!dryRun && !apply) {
+        info('No mode specified; defaulting to --dry-run.');
+      }
+      const res = cmdNewTask({
+        repoRoot,
+        projectSlug,
+        title,
+        featureId,
+        slug: slug || null,
+        root: root || null,
+        dryRun: dryRun || !apply,
+        apply: apply && !dryRun,
+      });
+      if (!res.ok) {
+        header('Errors:');
+        for (const e of res.errors) console.log(colors.red(`- ${e}`));
+      }
+      process.exit(res.ok ? 0 : 1);
+      break;
+    }
+    case 'watch': {
+      const debounceMs = opts.debounce === undefined ? 300 : Number(opts.debounce);
+      if (!Number.isInteger(debounceMs) || debounceMs < 0) die('[error] --debounce must be a non-negative integer (ms).');
+      const res = cmdWatch({ repoRoot, projectSlug, allProjects, apply: !!opts.apply, debounceMs });
+      if (!res.ok) process.exit(1);
+      break;
+    }
+    case 'transition': {
+      const taskId = typeof opts.task === 'string' ? opts.task.trim() : '';
+      const to = typeof opts.to === 'string' ? opts.to.trim() : '';
+      const dryRun = !!opts['dry-run'];
+      const apply = !!opts.apply;
+      if (!dryRun && !apply) {
+        info('No mode specified; defaulting to --dry-run.');
+      }
+      const res = cmdTransition({
+        repoRoot,
+        projectSlug,
+        taskId,
+        to,
+        archive: !!opts.archive,
+        force: !!opts.force,
+        dryRun: dryRun || !apply,
+        apply: apply && !dryRun,
+      });
+      if (!res.ok) {
+        header('Errors:');
+        for (const e of res.errors) console.log(colors.red(`- ${e}`));
+      }
+      process.exit(res.ok ? 0 : 1);
+      break;
+    }
+    case 'trace': {
+      const format = typeof opts.format === 'string' ? opts.format.trim() : 'markdown';
+      const out = typeof opts.out === 'string' ? opts.out : '';
+      const res = cmdTrace({ repoRoot, projectSlug, format, out: out || null, apply: !!opts.apply, strict: !!opts.strict });
+      process.exit(res.ok ? 0 : 1);
+      break;
+    }
+    case 'export': {
+      const format = typeof opts.format === 'string' ? opts.format.trim() : '';
+      if (!format) die('[error] --format is required (github-issues|gitlab-issues).');
+      const out = typeof opts.out === 'string' ? opts.out : '';
+      const res = cmdExportIssues({ repoRoot, projectSlug, format, out: out || null });
+      process.exit(res.ok ? 0 : 1);
+      break;
+    }
+    case 'import': {
+      const from = typeof opts.from === 'string' ? opts.from : '';
+      if (!from) die('[error] --from <json> is required.');
+      const format = typeof opts.format === 'string' ? opts.format.trim() : '';
+      const dryRun = !!opts['dry-run'];
+      const apply = !!opts.apply;
+      if (!dryRun && !apply) {
+        info('No mode specified; defaulting to --dry-run.');
+      }
+      const res = cmdImportIssues({
+        repoRoot,
+        projectSlug,
+        from,
+        format: format || null,
+        dryRun: dryRun || !apply,
+        apply: apply && !dryRun,
+      });
+      if (res.errors.length > 0) {
+        header('Errors:');
+        for (const e of res.errors) console.log(colors.red(`- ${e}`));
+      }
+      process.exit(res.ok ? 0 : 1);
+      break;
+    }
+    case 'graph': {
+      const format = typeof opts.format === 'string' ? opts.format.trim() : 'mermaid';
+      const milestoneId = opts.milestone ? String(opts.milestone).trim() : '';
+      const out = typeof opts.out === 'string' ? opts.out : '';
+      const res = cmdGraph({ repoRoot, projectSlug, format, milestoneId: milestoneId || null, out: out || null });
+      process.exit(res.ok ? 0 : 1);
+      break;
+    }
     default:
       console.error(colors.red(`[error] Unknown command: ${command}`));
       usage(1);
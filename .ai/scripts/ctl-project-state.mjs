@@ -10,11 +10,18 @@
  *   set               Set a project state value
  *   set-context-mode  Set context mode (contract|snapshot)
  *   status            Show project status
- *   verify            Verify project state consistency
+ *   verify            Verify project state against state.schema.json
+ *   history           Show the mutation journal
+ *   undo              Revert journaled mutations
  *   help              Show help
+ *
+ * Every mutation made through this script is appended to .ai/project/state.history.jsonl
+ * (key, old value, new value, timestamp, actor), which is what `history` and `undo` read.
  */
 
+import { spawnSync } from 'node:child_process';
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
 
 // ============================================================================
@@ -41,10 +48,12 @@ Commands:
 
   set <key> <value>
     --repo-root <path>          Repo root (default: cwd)
+    --actor <name>              Actor recorded in the journal (default: git user.name, then OS user)
     Set a project state value.
 
   set-context-mode <contract|snapshot>
     --repo-root <path>          Repo root (default: cwd)
+    --actor <name>              Actor recorded in the journal
     Set context mode.
 
   status
@@ -54,7 +63,21 @@ Commands:
 
   verify
     --repo-root <path>          Repo root (default: cwd)
-    Verify project state consistency.
+    Validate state.json field by field against state.schema.json (and check the journal).
+
+  history
+    --repo-root <path>          Repo root (default: cwd)
+    --key <prefix>              Only entries for this key (or keys below it)
+    --limit <n>                 Only the last n entries
+    --format <text|json>        Output format (default: text)
+    Show journaled mutations (oldest first, numbered).
+
+  undo
+    --repo-root <path>          Repo root (default: cwd)
+    --to <n>                    Roll back every entry after #n (0 = before the first entry)
+    --force                     Revert even if a key was changed outside the journal
+    --actor <name>              Actor recorded in the journal
+    Revert the latest mutation that is not yet undone (repeat to step further back).
 
 Examples:
   node .ai/scripts/ctl-project-state.mjs init
@@ -62,6 +85,8 @@ Examples:
   node .ai/scripts/ctl-project-state.mjs status
   node .ai/scripts/ctl-project-state.mjs get context.mode
   node .ai/scripts/ctl-project-state.mjs set custom.project.version 1.0.0
+  node .ai/scripts/ctl-project-state.mjs history --key custom
+  node .ai/scripts/ctl-project-state.mjs undo --to 3
 `;
   console.log(msg.trim());
   process.exit(exitCode);
@@ -121,6 +146,37 @@ function writeJson(filePath, data) {
 // Project State Management
 // ============================================================================
 
+const STATE_SCHEMA = {
+  "$schema": "https://json-schema.org/draft/2020-12/schema",
+  "title": "Project State",
+  "type": "object",
+  "additionalProperties": false,
+  "required": ["version", "createdAt", "updatedAt", "context"],
+  "properties": {
+    "version": { "type": "integer", "const": 1 },
+    "createdAt": { "type": "string", "description": "ISO 8601 timestamp" },
+    "updatedAt": { "type": "string", "description": "ISO 8601 timestamp" },
+    "context": {
+      "type": "object",
+      "additionalProperties": false,
+      "properties": {
+        "mode": { "type": "string", "enum": ["contract", "snapshot"] },
+        "enabled": { "type": "boolean" }
+      }
+    },
+    "features": {
+      "type": "object",
+      "description": "Feature flags or enabled capabilities",
+      "additionalProperties": { "type": "boolean" }
+    },
+    "custom": {
+      "type": "object",
+      "description": "Custom project-specific state",
+      "additionalProperties": true
+    }
+  }
+};
+
 function normalizeState(raw) {
   const now = new Date().toISOString();
   const state = raw && typeof raw === 'object' ? raw : {};
@@ -170,6 +226,14 @@ function getStatePath(repoRoot) {
   return path.join(getProjectDir(repoRoot), 'state.json');
 }
 
+function getSchemaPath(repoRoot) {
+  return path.join(getProjectDir(repoRoot), 'state.schema.json');
+}
+
+function getHistoryPath(repoRoot) {
+  return path.join(getProjectDir(repoRoot), 'state.history.jsonl');
+}
+
 function loadState(repoRoot) {
   const statePath = getStatePath(repoRoot);
   const data = readJson(statePath);
@@ -209,6 +273,16 @@ function setNestedValue(obj, keyPath, value) {
   current[keys[keys.length - 1]] = value;
 }
 
+function deleteNestedValue(obj, keyPath) {
+  const keys = keyPath.split('.');
+  let current = obj;
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (current === null || typeof current !== 'object') return;
+    current = current[keys[i]];
+  }
+  if (current && typeof current === 'object') delete current[keys[keys.length - 1]];
+}
+
 function isAllowedSetKey(keyPath) {
   if (!keyPath) return false;
   if (keyPath === 'context.mode') return true;
@@ -218,6 +292,143 @@ function isAllowedSetKey(keyPath) {
   return false;
 }
 
+// ============================================================================
+// Journal
+// ============================================================================
+
+function resolveActor(repoRoot, explicit) {
+  if (typeof explicit === 'string' && explicit.trim()) return explicit.trim();
+  const git = spawnSync('git', ['config', 'user.name'], { cwd: repoRoot, encoding: 'utf8' });
+  if (!git.error && git.status === 0 && git.stdout.trim()) return git.stdout.trim();
+  try {
+    return os.userInfo().username || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function readHistory(repoRoot) {
+  // Returns { entries, problems }; unreadable lines are reported, not fatal.
+  const historyPath = getHistoryPath(repoRoot);
+  if (!fs.existsSync(historyPath)) return { entries: [], problems: [] };
+  const entries = [];
+  const problems = [];
+  const lines = fs.readFileSync(historyPath, 'utf8').split('\n');
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      if (!Number.isInteger(entry.seq) || typeof entry.key !== 'string') throw new Error('missing seq/key');
+      entries.push(entry);
+    } catch (e) {
+      problems.push(`${path.basename(historyPath)}:${index + 1}: ${e.message}`);
+    }
+  });
+  return { entries, problems };
+}
+
+function appendHistory(repoRoot, changes, { command, actor, reverts = null }) {
+  // `old`/`new` are omitted (not null) when the key was absent, so undo can delete it again.
+  if (changes.length === 0) return [];
+  const { entries } = readHistory(repoRoot);
+  let seq = entries.reduce((max, e) => Math.max(max, e.seq), 0);
+  const at = new Date().toISOString();
+  const written = changes.map((c, i) => {
+    const entry = { seq: ++seq, at, actor, command, key: c.key };
+    if (c.old !== undefined) entry.old = c.old;
+    if (c.new !== undefined) entry.new = c.new;
+    if (reverts) entry.reverts = reverts[i];
+    return entry;
+  });
+  const historyPath = getHistoryPath(repoRoot);
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.appendFileSync(historyPath, written.map((e) => JSON.stringify(e)).join('\n') + '\n', 'utf8');
+  return written;
+}
+
+function applyJournaled(repoRoot, state, changes, { command, actor, reverts = null }) {
+  // Applies {key, new} changes to the loaded state, saves it, and journals what actually changed.
+  const journaled = [];
+  const journaledReverts = [];
+  changes.forEach((c, i) => {
+    const old = getNestedValue(state, c.key);
+    if (sameValue(old, c.new)) return;
+    if (c.new === undefined) deleteNestedValue(state, c.key);
+    else setNestedValue(state, c.key, c.new);
+    journaled.push({ key: c.key, old, new: c.new });
+    if (reverts) journaledReverts.push(reverts[i]);
+  });
+  saveState(repoRoot, state);
+  return appendHistory(repoRoot, journaled, { command, actor, reverts: reverts ? journaledReverts : null });
+}
+
+function formatHistoryValue(entry, field) {
+  return field in entry ? JSON.stringify(entry[field]) : '(unset)';
+}
+
+// ============================================================================
+// Schema Validation
+// ============================================================================
+
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function validateAgainstSchema(schema, value, keyPath, rootSchema, out) {
+  // Subset of draft 2020-12 used by state.schema.json: $ref (local $defs), type, const, enum,
+  // pattern, required, properties, additionalProperties, items.
+  if (!schema || typeof schema !== 'object') return;
+  const where = keyPath || '(root)';
+  if (schema.$ref) {
+    const target = rootSchema.$defs?.[String(schema.$ref).replace(/^#\/\$defs\//, '')];
+    if (!target) out.push(`${where}: unresolved schema $ref "${schema.$ref}"`);
+    else validateAgainstSchema(target, value, keyPath, rootSchema, out);
+    return;
+  }
+
+  const actual = jsonTypeOf(value);
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => t === actual || (t === 'number' && actual === 'integer'))) {
+      out.push(`${where}: must be ${types.join(' or ')} (got ${actual})`);
+      return;
+    }
+  }
+  if ('const' in schema && !sameValue(value, schema.const)) {
+    out.push(`${where}: must be ${JSON.stringify(schema.const)} (got ${JSON.stringify(value)})`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((v) => sameValue(v, value))) {
+    out.push(`${where}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (actual === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    out.push(`${where}: "${value}" does not match ${schema.pattern}`);
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => validateAgainstSchema(schema.items, item, `${keyPath}[${i}]`, rootSchema, out));
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) out.push(`${where}: missing required property "${key}"`);
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      if (props[key]) validateAgainstSchema(props[key], child, childPath, rootSchema, out);
+      else if (schema.additionalProperties === false) out.push(`${childPath}: unexpected property`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateAgainstSchema(schema.additionalProperties, child, childPath, rootSchema, out);
+      }
+    }
+  }
+}
+
 // ============================================================================
 // Commands
 // ============================================================================
@@ -225,7 +436,7 @@ function isAllowedSetKey(keyPath) {
 function cmdInit(repoRoot, dryRun) {
   const projectDir = getProjectDir(repoRoot);
   const statePath = getStatePath(repoRoot);
-  const schemaPath = path.join(projectDir, 'state.schema.json');
+  const schemaPath = getSchemaPath(repoRoot);
 
   const actions = [];
 
@@ -260,42 +471,11 @@ function cmdInit(repoRoot, dryRun) {
   }
 
   // Create schema file
-  const schema = {
-    "$schema": "https://json-schema.org/draft/2020-12/schema",
-    "title": "Project State",
-    "type": "object",
-    "additionalProperties": false,
-    "required": ["version", "createdAt", "updatedAt", "context"],
-    "properties": {
-      "version": { "type": "integer", "const": 1 },
-      "createdAt": { "type": "string", "description": "ISO 8601 timestamp" },
-      "updatedAt": { "type": "string", "description": "ISO 8601 timestamp" },
-      "context": {
-        "type": "object",
-        "additionalProperties": false,
-        "properties": {
-          "mode": { "type": "string", "enum": ["contract", "snapshot"] },
-          "enabled": { "type": "boolean" }
-        }
-      },
-      "features": {
-        "type": "object",
-        "description": "Feature flags or enabled capabilities",
-        "additionalProperties": { "type": "boolean" }
-      },
-      "custom": {
-        "type": "object",
-        "description": "Custom project-specific state",
-        "additionalProperties": true
-      }
-    }
-  };
-
   if (!fs.existsSync(schemaPath)) {
     if (dryRun) {
       actions.push({ op: 'write', path: schemaPath, mode: 'dry-run' });
     } else {
-      writeJson(schemaPath, schema);
+      writeJson(schemaPath, STATE_SCHEMA);
       actions.push({ op: 'write', path: schemaPath });
     }
   } else {
@@ -326,7 +506,7 @@ function cmdGet(repoRoot, key) {
   }
 }
 
-function cmdSet(repoRoot, key, value) {
+function cmdSet(repoRoot, key, value, actor) {
   if (!key) die('[error] Key is required');
   if (value === undefined) die('[error] Value is required');
   if (!isAllowedSetKey(key)) {
@@ -343,13 +523,12 @@ function cmdSet(repoRoot, key, value) {
     parsedValue = value;
   }
 
-  setNestedValue(state, key, parsedValue);
-  saveState(repoRoot, state);
+  const [entry] = applyJournaled(repoRoot, state, [{ key, new: parsedValue }], { command: 'set', actor });
 
-  console.log(`[ok] Set ${key} = ${JSON.stringify(parsedValue)}`);
+  console.log(`[ok] Set ${key} = ${JSON.stringify(parsedValue)}${entry ? ` (history #${entry.seq})` : ' (unchanged)'}`);
 }
 
-function cmdSetContextMode(repoRoot, mode) {
+function cmdSetContextMode(repoRoot, mode, actor) {
   const validModes = ['contract', 'snapshot'];
   if (!mode || !validModes.includes(mode)) {
     die(`[error] Mode must be one of: ${validModes.join(', ')}`);
@@ -357,9 +536,7 @@ function cmdSetContextMode(repoRoot, mode) {
 
   const state = loadState(repoRoot);
   const oldMode = state.context?.mode;
-  state.context = state.context || {};
-  state.context.mode = mode;
-  saveState(repoRoot, state);
+  applyJournaled(repoRoot, state, [{ key: 'context.mode', new: mode }], { command: 'set-context-mode', actor });
 
   console.log(`[ok] Context mode set to: ${mode}${oldMode ? ` (was: ${oldMode})` : ''}`);
 }
@@ -401,23 +578,46 @@ function cmdVerify(repoRoot) {
   if (!fs.existsSync(statePath)) {
     errors.push('Project state file does not exist. Run: projectctl init');
   } else {
-    const state = loadState(repoRoot);
-
-    // Check required fields
-    if (!state.version) {
-      errors.push('state.version is missing');
+    // Validate the file as written (loadState would normalize problems away).
+    let raw = null;
+    try {
+      raw = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (e) {
+      errors.push(`${path.relative(repoRoot, statePath)} is not valid JSON: ${e.message}`);
     }
 
-    if (!state.context) {
-      errors.push('state.context is missing');
-    } else {
-      if (!state.context.mode) {
-        warnings.push('state.context.mode is not set');
+    if (raw !== null) {
+      const schemaPath = getSchemaPath(repoRoot);
+      let schema = STATE_SCHEMA;
+      if (!fs.existsSync(schemaPath)) {
+        warnings.push(`${path.relative(repoRoot, schemaPath)} is missing; using the built-in schema. Run: init`);
+      } else {
+        schema = readJson(schemaPath);
+        if (!schema) {
+          errors.push(`${path.relative(repoRoot, schemaPath)} is not valid JSON.`);
+          schema = STATE_SCHEMA;
+        }
+      }
+      validateAgainstSchema(schema, raw, '', schema, errors);
+
+      for (const field of ['createdAt', 'updatedAt']) {
+        if (typeof raw[field] === 'string' && Number.isNaN(Date.parse(raw[field]))) {
+          errors.push(`${field}: "${raw[field]}" is not an ISO 8601 timestamp`);
+        }
+      }
+      if (raw.context && typeof raw.context === 'object') {
+        if (!raw.context.mode) warnings.push('context.mode is not set');
+        if (raw.context.enabled !== true) warnings.push('context.enabled is false');
       }
-      if (state.context.enabled !== true) warnings.push('state.context.enabled is false');
     }
   }
 
+  const { entries, problems } = readHistory(repoRoot);
+  for (const p of problems) warnings.push(`journal: ${p}`);
+  entries.forEach((e, i) => {
+    if (i > 0 && e.seq <= entries[i - 1].seq) warnings.push(`journal: entry #${e.seq} is out of order`);
+  });
+
   // Report results
   if (errors.length > 0) {
     console.log('\nErrors:');
@@ -438,6 +638,86 @@ function cmdVerify(repoRoot) {
   }
 }
 
+function cmdHistory(repoRoot, { key, limit, format }) {
+  const { entries, problems } = readHistory(repoRoot);
+  for (const p of problems) console.error(`[warn] Skipped unreadable journal line: ${p}`);
+
+  let rows = key ? entries.filter((e) => e.key === key || e.key.startsWith(`${key}.`)) : entries;
+  if (limit) rows = rows.slice(-limit);
+
+  if (format === 'json') {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  if (rows.length === 0) {
+    console.log('(no journaled changes)');
+    return;
+  }
+  for (const e of rows) {
+    const reverts = e.reverts ? ` (reverts ${e.reverts.map((n) => `#${n}`).join(', ')})` : '';
+    console.log(
+      `#${e.seq}  ${e.at}  ${e.actor}  ${e.command}  ${e.key}: ${formatHistoryValue(e, 'old')} -> ${formatHistoryValue(e, 'new')}${reverts}`
+    );
+  }
+}
+
+function cmdUndo(repoRoot, { to, force, actor }) {
+  const { entries, problems } = readHistory(repoRoot);
+  if (problems.length > 0) die(`[error] Journal has unreadable lines (fix before undo):\n  ${problems.join('\n  ')}`);
+  if (entries.length === 0) die('[error] Nothing to undo (journal is empty).');
+
+  // Each target reverts one key to `value`; `expect` is what the journal says the key holds now.
+  const targets = [];
+  if (to !== undefined) {
+    // Roll back to the state right after entry #to: every key touched later goes back to the value
+    // it had before its first later change (undo entries included, so this is exact).
+    if (!Number.isInteger(to) || to < 0) die('[error] --to must be a non-negative entry number.');
+    const byKey = new Map();
+    for (const e of entries.filter((x) => x.seq > to)) {
+      const rec = byKey.get(e.key) || { first: e, seqs: [] };
+      rec.last = e;
+      rec.seqs.push(e.seq);
+      byKey.set(e.key, rec);
+    }
+    for (const [key, rec] of byKey) {
+      targets.push({ key, value: rec.first.old, expect: rec.last.new, seqs: rec.seqs });
+    }
+  } else {
+    // Step back: the newest regular entry that no later undo has reverted.
+    const reverted = new Set(entries.flatMap((e) => e.reverts || []));
+    const last = [...entries].reverse().find((e) => !e.reverts && !reverted.has(e.seq));
+    if (!last) die('[error] Nothing to undo (every journaled change is already reverted).');
+    targets.push({ key: last.key, value: last.old, expect: last.new, seqs: [last.seq] });
+  }
+
+  const state = loadState(repoRoot);
+
+  // Refuse when a key no longer holds the value the journal expects (edited by hand since).
+  for (const t of targets) {
+    const current = getNestedValue(state, t.key);
+    if (sameValue(current, t.expect) || force) continue;
+    die(
+      `[error] ${t.key} is ${current === undefined ? '(unset)' : JSON.stringify(current)}, but the journal (#${t.seqs[t.seqs.length - 1]}) expects ${t.expect === undefined ? '(unset)' : JSON.stringify(t.expect)}. ` +
+        'It was changed outside ctl-project-state; use --force to revert anyway.'
+    );
+  }
+
+  const written = applyJournaled(
+    repoRoot,
+    state,
+    targets.map((t) => ({ key: t.key, new: t.value })),
+    { command: 'undo', actor, reverts: targets.map((t) => t.seqs) }
+  );
+
+  if (written.length === 0) {
+    console.log(to !== undefined ? `[ok] State already matches #${to}; nothing to undo.` : '[ok] Nothing changed.');
+    return;
+  }
+  for (const e of written) {
+    console.log(`[ok] Reverted ${e.reverts.map((n) => `#${n}`).join(', ')}: ${e.key} = ${formatHistoryValue(e, 'new')} (journal #${e.seq})`);
+  }
+}
+
 // ============================================================================
 // Main
 // ============================================================================
@@ -458,10 +738,10 @@ function main() {
       cmdGet(repoRoot, positionals[0]);
       break;
     case 'set':
-      cmdSet(repoRoot, positionals[0], positionals[1]);
+      cmdSet(repoRoot, positionals[0], positionals[1], resolveActor(repoRoot, opts.actor));
       break;
     case 'set-context-mode':
-      cmdSetContextMode(repoRoot, positionals[0]);
+      cmdSetContextMode(repoRoot, positionals[0], resolveActor(repoRoot, opts.actor));
       break;
     case 'status':
       cmdStatus(repoRoot, format);
@@ -469,6 +749,19 @@ function main() {
     case 'verify':
       cmdVerify(repoRoot);
       break;
+    case 'history': {
+      const limit = opts.limit === undefined ? null : opts.limit === true ? NaN : Number(opts.limit);
+      if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) die('[error] --limit must be a positive integer.');
+      cmdHistory(repoRoot, { key: typeof opts.key === 'string' ? opts.key : null, limit, format });
+      break;
+    }
+    case 'undo':
+      cmdUndo(repoRoot, {
+        to: opts.to === undefined ? undefined : opts.to === true ? NaN : Number(opts.to),
+        force: !!opts.force,
+        actor: resolveActor(repoRoot, opts.actor),
+      });
+      break;
     default:
       console.error(`[error] Unknown command: ${command}`);
       usage(1);
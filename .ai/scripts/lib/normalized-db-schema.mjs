@@ -87,18 +87,6 @@ function parseStringArrayLiteral(raw) {
   return matches.map((m) => m.replace(/"/g, '')).filter(Boolean);
 }
 
-function parseDatasource(schemaText) {
-  const out = { provider: null, schemas: [] };
-  const m = schemaText.match(/datasource\s+\w+\s*\{([\s\S]*?)\}/);
-  if (!m) return out;
-  const body = m[1] || '';
-  const prov = body.match(/provider\s*=\s*"([^"]+)"/);
-  if (prov) out.provider = prov[1];
-  const schemas = body.match(/schemas\s*=\s*\[([^\]]*)\]/);
-  if (schemas) out.schemas = parseStringArrayLiteral(schemas[1]);
-  return out;
-}
-
 function tokenizeAttributes(rest) {
   const s = String(rest || '').trim();
   if (!s) return [];
@@ -183,10 +171,18 @@ function parseRelationAttr(attrToken) {
   return out;
 }
 
-function parseModelLevelAttributes(lines) {
+const KNOWN_FIELD_ATTRIBUTES = new Set(['@id', '@unique', '@map', '@default', '@relation', '@ignore', '@updatedAt']);
+const KNOWN_MODEL_ATTRIBUTES = new Set(['@@id', '@@unique', '@@index', '@@fulltext', '@@map', '@@schema', '@@ignore']);
+
+function attributeName(token) {
+  return (String(token || '').match(/^@@?[\w.]+/) || [''])[0];
+}
+
+function parseModelLevelAttributes(lines, warn) {
   const attrs = {
     dbName: null,
     schema: null,
+    ignored: false,
     indexes: []
   };
 
@@ -194,13 +190,21 @@ function parseModelLevelAttributes(lines) {
     const line = rawLine.trim();
     if (!line.startsWith('@@')) continue;
 
+    const attr = attributeName(line);
+    if (!KNOWN_MODEL_ATTRIBUTES.has(attr)) {
+      warn(`unsupported attribute ${attr} ignored`);
+      continue;
+    }
+
     const map = line.match(/@@map\(\s*"([^"]+)"\s*\)/);
     if (map) attrs.dbName = map[1];
 
     const schema = line.match(/@@schema\(\s*"([^"]+)"\s*\)/);
     if (schema) attrs.schema = schema[1];
 
-    const idx = line.match(/^@@(id|unique|index)\s*\(\s*\[([^\]]*)\]/);
+    if (attr === '@@ignore') attrs.ignored = true;
+
+    const idx = line.match(/^@@(id|unique|index|fulltext)\s*\(\s*(?:fields\s*:\s*)?\[([^\]]*)\]/);
     if (idx) {
       const kind = idx[1];
       const fieldsRaw = idx[2];
@@ -213,6 +217,13 @@ function parseModelLevelAttributes(lines) {
       const name = (line.match(/name\s*:\s*"([^"]+)"/) || [])[1] || null;
       const mapName = (line.match(/map\s*:\s*"([^"]+)"/) || [])[1] || null;
 
+      // The normalized index shape has no room for access methods or per-field options.
+      const dropped = [
+        ...[...line.matchAll(/\b(type|clustered)\s*:\s*(\w+)/g)].map((m) => `${m[1]}: ${m[2]}`),
+        ...(/\(\s*(sort|length|ops)\s*:/.test(fieldsRaw) ? ['per-field sort/length/ops'] : [])
+      ];
+      if (dropped.length) warn(`${attr}([${fields.join(', ')}]) ${dropped.join(', ')} not carried into the normalized schema`);
+
       attrs.indexes.push({
         type: kind === 'id' ? 'primary' : kind,
         fields,
@@ -226,145 +237,303 @@ function parseModelLevelAttributes(lines) {
   return attrs;
 }
 
-function parseEnumBlocks(schemaText) {
-  const enums = [];
-  const re = /enum\s+(\w+)\s*\{([\s\S]*?)\}/g;
+function scanTopLevelBlocks(schemaText) {
+  // Balanced-brace scan: a "}" inside a string (e.g. @default("{}")) must not end the block.
+  const blocks = [];
+  const re = /^[ \t]*(\w+)[ \t]+(\w+)[ \t]*\{/gm;
   let m;
   while ((m = re.exec(schemaText)) !== null) {
-    const name = m[1];
-    const body = m[2] || '';
-    const values = [];
-    for (const rawLine of body.split(/\r?\n/)) {
-      const line = rawLine.trim();
-      if (!line) continue;
-      if (line.startsWith('//')) continue;
-      if (line.startsWith('@@')) continue;
-      const token = (line.match(/^(\w+)/) || [])[1];
-      if (token) values.push(token);
+    let depth = 1;
+    let inString = false;
+    let i = re.lastIndex;
+    for (; i < schemaText.length && depth > 0; i += 1) {
+      const ch = schemaText[i];
+      if (inString) {
+        if (ch === '\\') i += 1;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') inString = true;
+      else if (ch === '{') depth += 1;
+      else if (ch === '}') depth -= 1;
     }
-    enums.push({ name, values: uniq(values) });
+    blocks.push({ keyword: m[1], name: m[2], body: schemaText.slice(re.lastIndex, depth === 0 ? i - 1 : i) });
+    re.lastIndex = i;
   }
-  return stableSortBy(enums, (e) => e.name);
+  return blocks;
 }
 
-function parseModelBlocks(schemaText) {
-  const models = [];
-  const re = /model\s+(\w+)\s*\{([\s\S]*?)\}/g;
-  let m;
-  while ((m = re.exec(schemaText)) !== null) {
-    const name = m[1];
-    const body = m[2] || '';
-
-    const fieldLines = [];
-    const modelAttrLines = [];
-
-    for (const rawLine of body.split(/\r?\n/)) {
-      const line = rawLine.trim();
-      if (!line) continue;
-      if (line.startsWith('//')) continue;
-      if (line.startsWith('@@')) {
-        modelAttrLines.push(line);
-        continue;
-      }
-      fieldLines.push(line);
+function splitBlockBody(body) {
+  const fieldLines = [];
+  const attrLines = [];
+  for (const rawLine of String(body || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    if (line.startsWith('//')) continue;
+    if (line.startsWith('@@')) {
+      attrLines.push(line);
+      continue;
     }
+    fieldLines.push(line);
+  }
+  return { fieldLines, attrLines };
+}
 
-    models.push({ name, fieldLines, modelAttrLines });
+function parseEnumBlock(block, warn) {
+  const { fieldLines, attrLines } = splitBlockBody(block.body);
+  const attrs = parseModelLevelAttributes(attrLines, warn);
+  const values = [];
+  for (const line of fieldLines) {
+    const token = (line.match(/^(\w+)/) || [])[1];
+    if (!token) continue;
+    values.push(token);
+    const map = line.match(/@map\(\s*"([^"]*)"\s*\)/);
+    if (map) warn(`value ${token} @map("${map[1]}") not carried into the normalized schema; the database stores "${map[1]}"`);
+    const other = (line.slice(token.length).match(/@[\w.]+/g) || []).filter((a) => a !== '@map');
+    for (const a of other) warn(`unsupported attribute ${a} on value ${token} ignored`);
   }
-  return models;
+
+  const out = { name: block.name, values: uniq(values) };
+  if (attrs.dbName) out.dbName = attrs.dbName;
+  if (attrs.schema) out.schema = attrs.schema;
+  return out;
 }
 
-export function parsePrismaSchema(schemaTextRaw) {
-  const schemaText = stripPrismaComments(String(schemaTextRaw || ''));
+function parseFieldLines(fieldLines, { modelNames, enumNames, warn }) {
+  const columns = [];
+  const relations = [];
 
-  const datasource = parseDatasource(schemaText);
-  const enums = parseEnumBlocks(schemaText);
-  const modelsRaw = parseModelBlocks(schemaText);
+  for (const rawLine of fieldLines) {
+    // Unsupported("...") may contain spaces, so it is matched as a whole.
+    const m = rawLine.match(/^(\w+)\s+(Unsupported\("(?:[^"\\]|\\.)*"\)\S*|\S+)\s*(.*)$/);
+    if (!m) {
+      warn(`unparsed line ignored: ${rawLine}`);
+      continue;
+    }
 
-  const modelNames = new Set(modelsRaw.map((m) => m.name));
-  const enumNames = new Set(enums.map((e) => e.name));
+    const fieldName = m[1];
+    const typeToken = m[2];
+    const rest = m[3] || '';
 
-  const tables = [];
+    const attrTokens = tokenizeAttributes(rest);
+    for (const token of attrTokens) {
+      const attr = attributeName(token);
+      if (!KNOWN_FIELD_ATTRIBUTES.has(attr) && !attr.startsWith('@db.')) {
+        warn(`field ${fieldName}: unsupported attribute ${attr} ignored`);
+      }
+    }
 
-  for (const model of modelsRaw) {
-    const modelAttrs = parseModelLevelAttributes(model.modelAttrLines);
+    let isList = false;
+    let nullable = false;
+    let baseType = typeToken;
 
-    const columns = [];
-    const relations = [];
+    if (baseType.endsWith('[]')) {
+      isList = true;
+      baseType = baseType.slice(0, -2);
+    }
+    if (baseType.endsWith('?')) {
+      nullable = true;
+      baseType = baseType.slice(0, -1);
+    }
 
-    for (const rawLine of model.fieldLines) {
-      const m = rawLine.match(/^(\w+)\s+([^\s]+)\s*(.*)$/);
-      if (!m) continue;
+    let unsupportedDbType = null;
+    const unsupported = baseType.match(/^Unsupported\("((?:[^"\\]|\\.)*)"\)$/);
+    if (unsupported) {
+      baseType = 'Unsupported';
+      unsupportedDbType = unsupported[1];
+    }
 
-      const fieldName = m[1];
-      const typeToken = m[2];
-      const rest = m[3] || '';
+    const isRelationField =
+      attrTokens.some((t) => String(t).startsWith('@relation')) ||
+      (modelNames.has(baseType) && !SCALAR_TYPES.has(baseType) && !enumNames.has(baseType));
+
+    const mappedName = attrTokens.map(parseMapAttr).find(Boolean) || null;
+    const dbType = attrTokens.map(parseDbTypeAttr).find(Boolean) || unsupportedDbType;
+    const def = attrTokens.map(parseDefaultAttr).find(Boolean) || null;
+    const rel = attrTokens.map(parseRelationAttr).find(Boolean) || null;
+
+    const isPrimaryKey = attrTokens.includes('@id');
+    const isUnique = attrTokens.includes('@unique');
+    const isIgnored = attrTokens.includes('@ignore');
+
+    if (isRelationField) {
+      relations.push({
+        field: fieldName,
+        to: baseType,
+        optional: nullable,
+        list: isList,
+        relationName: rel?.name || null,
+        fields: rel?.fields || [],
+        references: rel?.references || [],
+        ...(isIgnored ? { ignored: true } : {})
+      });
+    } else {
+      columns.push({
+        name: fieldName,
+        type: baseType,
+        nullable,
+        list: isList,
+        dbName: mappedName,
+        dbType,
+        default: def,
+        primaryKey: isPrimaryKey,
+        unique: isUnique,
+        ...(isIgnored ? { ignored: true } : {})
+      });
+    }
+  }
 
-      const attrTokens = tokenizeAttributes(rest);
+  return {
+    columns: stableSortBy(columns, (c) => c.name),
+    relations: stableSortBy(relations, (r) => r.field)
+  };
+}
 
-      let isList = false;
-      let nullable = false;
-      let baseType = typeToken;
+function parseDatasourceBlock(body) {
+  const out = { provider: null, schemas: [] };
+  const prov = String(body || '').match(/provider\s*=\s*"([^"]+)"/);
+  if (prov) out.provider = prov[1];
+  const schemas = String(body || '').match(/schemas\s*=\s*\[([^\]]*)\]/);
+  if (schemas) out.schemas = parseStringArrayLiteral(schemas[1]);
+  return out;
+}
 
-      if (baseType.endsWith('[]')) {
-        isList = true;
-        baseType = baseType.slice(0, -2);
-      }
-      if (baseType.endsWith('?')) {
-        nullable = true;
-        baseType = baseType.slice(0, -1);
-      }
+function isFile(p) {
+  try {
+    return fs.statSync(p).isFile();
+  } catch {
+    return false;
+  }
+}
 
-      const isRelationField =
-        attrTokens.some((t) => String(t).startsWith('@relation')) ||
-        (modelNames.has(baseType) && !SCALAR_TYPES.has(baseType) && !enumNames.has(baseType));
-
-      const mappedName = attrTokens.map(parseMapAttr).find(Boolean) || null;
-      const dbType = attrTokens.map(parseDbTypeAttr).find(Boolean) || null;
-      const def = attrTokens.map(parseDefaultAttr).find(Boolean) || null;
-      const rel = attrTokens.map(parseRelationAttr).find(Boolean) || null;
-
-      const isPrimaryKey = attrTokens.includes('@id');
-      const isUnique = attrTokens.includes('@unique');
-
-      if (isRelationField) {
-        relations.push({
-          field: fieldName,
-          to: baseType,
-          optional: nullable,
-          list: isList,
-          relationName: rel?.name || null,
-          fields: rel?.fields || [],
-          references: rel?.references || []
-        });
-      } else {
-        columns.push({
-          name: fieldName,
-          type: baseType,
-          nullable,
-          list: isList,
-          dbName: mappedName,
-          dbType,
-          default: def,
-          primaryKey: isPrimaryKey,
-          unique: isUnique
-        });
-      }
+function listPrismaFiles(dir) {
+  const out = [];
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return out;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...listPrismaFiles(full));
+    else if (entry.isFile() && entry.name.endsWith('.prisma')) out.push(full);
+  }
+  return out.sort();
+}
+
+/**
+ * Locate the Prisma schema of a repo: prisma/schema.prisma, or the
+ * multi-file prismaSchemaFolder layout (every *.prisma under prisma/schema/).
+ *
+ * Returns { kind: 'file'|'folder'|'missing', path, files }.
+ */
+export function resolvePrismaSchemaLocation(repoRoot) {
+  const file = path.join(repoRoot, 'prisma', 'schema.prisma');
+  if (isFile(file)) return { kind: 'file', path: file, files: [file] };
+
+  const dir = path.join(repoRoot, 'prisma', 'schema');
+  const files = listPrismaFiles(dir);
+  if (files.length > 0) return { kind: 'folder', path: dir, files };
+
+  return { kind: 'missing', path: file, files: [] };
+}
+
+/**
+ * Read every file of a resolved Prisma schema location as
+ * [{ path, text }], ready for parsePrismaSchema.
+ */
+export function readPrismaSchemaFiles(location) {
+  return (location?.files || [])
+    .map((p) => ({ path: p, text: safeReadText(p) }))
+    .filter((f) => typeof f.text === 'string');
+}
+
+/**
+ * Parse a Prisma schema into normalized enums/tables (plus views and
+ * composite types when present).
+ *
+ * Accepts the schema text, or [{ path, text }] for multi-file schemas.
+ * Constructs that cannot be represented are reported in `warnings`
+ * instead of being dropped silently.
+ */
+export function parsePrismaSchema(input) {
+  const sources = Array.isArray(input)
+    ? input.map((f) => ({ path: f?.path || '', text: String(f?.text || '') }))
+    : [{ path: '', text: String(input || '') }];
+
+  const warnings = [];
+  const blocks = [];
+  for (const src of sources) {
+    for (const block of scanTopLevelBlocks(stripPrismaComments(src.text))) {
+      blocks.push({ ...block, file: src.path });
+    }
+  }
+
+  const warnerFor = (block) => (msg) => {
+    const where = block.file ? `${block.file}: ` : '';
+    warnings.push(`${where}${block.keyword} ${block.name}: ${msg}`);
+  };
+
+  const datasourceBlocks = blocks.filter((b) => b.keyword === 'datasource');
+  if (datasourceBlocks.length > 1) {
+    warnings.push(`Multiple datasource blocks found (${datasourceBlocks.map((b) => b.name).join(', ')}); using the first.`);
+  }
+  const datasource = parseDatasourceBlock(datasourceBlocks[0]?.body);
+
+  for (const block of blocks) {
+    if (!['datasource', 'generator', 'model', 'view', 'enum', 'type'].includes(block.keyword)) {
+      warnings.push(`${block.file ? `${block.file}: ` : ''}Unsupported block "${block.keyword} ${block.name}" ignored.`);
     }
+  }
+
+  const enums = stableSortBy(
+    blocks.filter((b) => b.keyword === 'enum').map((b) => parseEnumBlock(b, warnerFor(b))),
+    (e) => e.name
+  );
 
-    // Promote model-level indexes
-    const indexes = modelAttrs.indexes || [];
+  const modelBlocks = blocks.filter((b) => b.keyword === 'model' || b.keyword === 'view');
+  const typeBlocks = blocks.filter((b) => b.keyword === 'type');
+
+  // Views can take part in relations just like models.
+  const modelNames = new Set(modelBlocks.map((b) => b.name));
+  const enumNames = new Set(enums.map((e) => e.name));
 
-    tables.push({
-      name: model.name,
+  const multiSchema = (datasource.schemas || []).length > 0;
+  const tables = [];
+  const views = [];
+
+  for (const block of modelBlocks) {
+    const warn = warnerFor(block);
+    const { fieldLines, attrLines } = splitBlockBody(block.body);
+    const modelAttrs = parseModelLevelAttributes(attrLines, warn);
+    const { columns, relations } = parseFieldLines(fieldLines, { modelNames, enumNames, warn });
+
+    if (multiSchema && !modelAttrs.schema) {
+      warn('no @@schema although the datasource lists schemas');
+    }
+
+    const entry = {
+      name: block.name,
       dbName: modelAttrs.dbName,
       schema: modelAttrs.schema,
-      columns: stableSortBy(columns, (c) => c.name),
-      relations: stableSortBy(relations, (r) => r.field),
-      indexes
-    });
+      columns,
+      relations,
+      indexes: modelAttrs.indexes,
+      ...(modelAttrs.ignored ? { ignored: true } : {})
+    };
+    (block.keyword === 'view' ? views : tables).push(entry);
   }
 
+  const compositeTypes = typeBlocks.map((block) => {
+    const warn = warnerFor(block);
+    const { fieldLines, attrLines } = splitBlockBody(block.body);
+    if (attrLines.length > 0) warn('block attributes are not supported on composite types; ignored');
+    const { columns, relations } = parseFieldLines(fieldLines, { modelNames, enumNames, warn });
+    if (relations.length > 0) warn('relation fields are not supported on composite types; ignored');
+    return { name: block.name, fields: columns };
+  });
+
   return {
     datasource,
     database: {
@@ -374,7 +543,10 @@ export function parsePrismaSchema(schemaTextRaw) {
       schemas: datasource.schemas || []
     },
     enums,
-    tables: stableSortBy(tables, (t) => t.name)
+    tables: stableSortBy(tables, (t) => t.name),
+    views: stableSortBy(views, (v) => v.name),
+    compositeTypes: stableSortBy(compositeTypes, (t) => t.name),
+    warnings
   };
 }
 
@@ -418,6 +590,7 @@ export function normalizeDbMirrorSchema(raw) {
       },
       enums: stableSortBy(enums, (e) => e.name),
       tables: stableSortBy(tables, (t) => t.name),
+      ...optionalSchemaSections(obj),
       notes: obj.notes || ''
     };
   }
@@ -470,7 +643,17 @@ export function normalizeDbMirrorSchema(raw) {
   };
 }
 
-export function buildNormalizedDbSchema({ mode, source, database, enums, tables, notes }) {
+function optionalSchemaSections({ views, compositeTypes }) {
+  // Only emitted when present so contracts without them stay unchanged.
+  const out = {};
+  if (Array.isArray(views) && views.length > 0) out.views = stableSortBy(views, (v) => v.name);
+  if (Array.isArray(compositeTypes) && compositeTypes.length > 0) {
+    out.compositeTypes = stableSortBy(compositeTypes, (t) => t.name);
+  }
+  return out;
+}
+
+export function buildNormalizedDbSchema({ mode, source, database, enums, tables, views, compositeTypes, notes }) {
   const now = toIsoNow();
 
   const dialect = database?.dialect || 'generic';
@@ -494,6 +677,179 @@ export function buildNormalizedDbSchema({ mode, source, database, enums, tables,
     },
     enums: stableSortBy(Array.isArray(enums) ? enums : [], (e) => e.name),
     tables: stableSortBy(Array.isArray(tables) ? tables : [], (t) => t.name),
+    ...optionalSchemaSections({ views, compositeTypes }),
     notes: notes || ''
   };
 }
+
+const COLUMN_DIFF_FIELDS = ['type', 'nullable', 'list', 'dbName', 'dbType', 'default', 'primaryKey', 'unique'];
+const TABLE_DIFF_FIELDS = ['dbName', 'schema'];
+const RELATION_DIFF_FIELDS = ['to', 'optional', 'list', 'relationName', 'fields', 'references'];
+const INDEX_DIFF_FIELDS = ['name', 'map'];
+
+function comparable(v) {
+  if (v === undefined || v === null || v === '') return null;
+  return v;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+}
+
+function diffFields(before, after, fields) {
+  const changes = [];
+  for (const field of fields) {
+    if (!sameValue(before?.[field], after?.[field])) {
+      changes.push({ field, from: comparable(before?.[field]), to: comparable(after?.[field]) });
+    }
+  }
+  return changes;
+}
+
+function byKey(items, keyFn) {
+  const map = new Map();
+  for (const item of Array.isArray(items) ? items : []) {
+    if (!item || typeof item !== 'object') continue;
+    const key = keyFn(item);
+    if (key) map.set(key, item);
+  }
+  return map;
+}
+
+function indexKey(index) {
+  const fields = Array.isArray(index.fields) ? index.fields : Array.isArray(index.columns) ? index.columns : [];
+  return `${index.type || 'index'}(${fields.join(', ')})`;
+}
+
+function diffKeyed(beforeItems, afterItems, keyFn, fields) {
+  const before = byKey(beforeItems, keyFn);
+  const after = byKey(afterItems, keyFn);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, item] of after.entries()) {
+    if (!before.has(key)) added.push({ key, item });
+  }
+  for (const [key, item] of before.entries()) {
+    if (!after.has(key)) {
+      removed.push({ key, item });
+      continue;
+    }
+    const changes = diffFields(item, after.get(key), fields);
+    if (changes.length > 0) changed.push({ key, changes });
+  }
+
+  const sortByKey = (arr) => stableSortBy(arr, (x) => x.key);
+  return { added: sortByKey(added), removed: sortByKey(removed), changed: sortByKey(changed) };
+}
+
+function diffTableLike(beforeItems, afterItems) {
+  // Tables and views share one shape (columns, relations, indexes).
+  const beforeTables = byKey(beforeItems, (t) => t.name);
+  const afterTables = byKey(afterItems, (t) => t.name);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [name, t] of afterTables.entries()) {
+    if (!beforeTables.has(name)) added.push(t);
+  }
+  for (const [name, prev] of beforeTables.entries()) {
+    const next = afterTables.get(name);
+    if (!next) {
+      removed.push(prev);
+      continue;
+    }
+
+    const attributes = diffFields(prev, next, TABLE_DIFF_FIELDS);
+    const columns = diffKeyed(prev.columns, next.columns, (c) => c.name, COLUMN_DIFF_FIELDS);
+    const indexes = diffKeyed(prev.indexes, next.indexes, indexKey, INDEX_DIFF_FIELDS);
+    const relations = diffKeyed(prev.relations, next.relations, (r) => r.field, RELATION_DIFF_FIELDS);
+
+    const touched =
+      attributes.length > 0 ||
+      [columns, indexes, relations].some((d) => d.added.length || d.removed.length || d.changed.length);
+
+    if (touched) {
+      changed.push({ name, before: prev, after: next, attributes, columns, indexes, relations });
+    }
+  }
+
+  return {
+    added: stableSortBy(added, (t) => t.name),
+    removed: stableSortBy(removed, (t) => t.name),
+    changed: stableSortBy(changed, (t) => t.name)
+  };
+}
+
+function diffCompositeTypes(beforeItems, afterItems) {
+  const typeDiff = diffKeyed(beforeItems, afterItems, (t) => t.name, []);
+  const beforeTypes = byKey(beforeItems, (t) => t.name);
+  const changed = [];
+  for (const [name, next] of byKey(afterItems, (t) => t.name).entries()) {
+    const prev = beforeTypes.get(name);
+    if (!prev) continue;
+    const fields = diffKeyed(prev.fields, next.fields, (f) => f.name, COLUMN_DIFF_FIELDS);
+    if (fields.added.length || fields.removed.length || fields.changed.length) changed.push({ name, fields });
+  }
+  return {
+    added: typeDiff.added.map((x) => x.item),
+    removed: typeDiff.removed.map((x) => x.item),
+    changed: stableSortBy(changed, (x) => x.name)
+  };
+}
+
+/**
+ * Compare two normalized DB schemas (v2).
+ *
+ * "added" means present only in `after`, "removed" only in `before`.
+ * Tables, views, enums and composite types are matched by name, columns and
+ * composite-type fields by name, relations by field and indexes by type +
+ * field list.
+ */
+export function diffNormalizedDbSchemas(before, after) {
+  const enumDiff = diffKeyed(before?.enums, after?.enums, (e) => e.name, []);
+  const beforeEnums = byKey(before?.enums, (e) => e.name);
+  const afterEnums = byKey(after?.enums, (e) => e.name);
+  const enumsChanged = [];
+  for (const [name, e] of afterEnums.entries()) {
+    const prev = beforeEnums.get(name);
+    if (!prev) continue;
+    const prevValues = new Set(prev.values || []);
+    const nextValues = new Set(e.values || []);
+    const addedValues = [...nextValues].filter((v) => !prevValues.has(v));
+    const removedValues = [...prevValues].filter((v) => !nextValues.has(v));
+    if (addedValues.length || removedValues.length) enumsChanged.push({ name, addedValues, removedValues });
+  }
+
+  const diff = {
+    enums: {
+      added: enumDiff.added.map((x) => x.item),
+      removed: enumDiff.removed.map((x) => x.item),
+      changed: stableSortBy(enumsChanged, (x) => x.name)
+    },
+    tables: diffTableLike(before?.tables, after?.tables),
+    views: diffTableLike(before?.views, after?.views),
+    compositeTypes: diffCompositeTypes(before?.compositeTypes, after?.compositeTypes)
+  };
+
+  diff.summary = {
+    enumsAdded: diff.enums.added.length,
+    enumsRemoved: diff.enums.removed.length,
+    enumsChanged: diff.enums.changed.length,
+    tablesAdded: diff.tables.added.length,
+    tablesRemoved: diff.tables.removed.length,
+    tablesChanged: diff.tables.changed.length,
+    viewsAdded: diff.views.added.length,
+    viewsRemoved: diff.views.removed.length,
+    viewsChanged: diff.views.changed.length,
+    compositeTypesAdded: diff.compositeTypes.added.length,
+    compositeTypesRemoved: diff.compositeTypes.removed.length,
+    compositeTypesChanged: diff.compositeTypes.changed.length
+  };
+  diff.identical = Object.values(diff.summary).every((n) => n === 0);
+
+  return diff;
+}
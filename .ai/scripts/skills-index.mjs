@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+
+/**
+ * Skills Index
+ *
+ * Builds a compact, machine-readable index of the SSOT skills under .ai/skills/
+ * and ranks skills for a free-text query (BM25 over frontmatter and headings),
+ * so humans and agents can find the right skill without scanning every SKILL.md.
+ *
+ * Commands:
+ *   build     Write .ai/skills/_meta/skills-index.json (or --check that it is current)
+ *   search    Rank skills for a query
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { colors, die, ok, info } from './lib/colors.mjs';
+import { extractFrontmatterBlock } from './lib/frontmatter.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const repoRoot = path.resolve(__dirname, '..', '..');
+const SKILL_MD = 'SKILL.md';
+
+const defaultSkillsRoot = path.join(repoRoot, '.ai', 'skills');
+const defaultIndexPath = path.join(defaultSkillsRoot, '_meta', 'skills-index.json');
+
+const INDEX_VERSION = 1;
+const MAX_HEADINGS = 20;
+const MAX_KEYWORDS = 8;
+
+// Field weights for BM25F-style scoring: a term in the name counts more than one in a heading.
+const FIELD_WEIGHTS = { name: 3, keywords: 2, description: 2, category: 1, headings: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'i', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'so', 'that', 'the', 'their', 'this', 'to', 'use', 'when', 'with', 'within', 'without',
+  'you', 'your', 'skill', 'skills', 'md',
+]);
+
+function printHelp() {
+  console.log([
+    'Build a skills index and search it.',
+    '',
+    'Usage: node .ai/scripts/skills-index.mjs <command> [options]',
+    '',
+    'Commands:',
+    '  build                   Write the index (default: .ai/skills/_meta/skills-index.json)',
+    '    --out <path>          Output path',
+    '    --check               Exit 1 if the index on disk is missing or out of date (no writes)',
+    '  search <query...>       Rank skills for a query (BM25 over name, description, keywords, category, headings)',
+    '    --limit <n>           Max results (default: 5)',
+    '    --category <prefix>   Only skills whose category starts with <prefix> (e.g. backend, workflows/planning)',
+    '    --format <text|json>  Output format (default: text)',
+    '',
+    'Options:',
+    '  -h, --help              Show help',
+    '',
+    'search reads the index when it matches a fresh build, and otherwise indexes the skills in memory.',
+    '',
+    'Examples:',
+    '  node .ai/scripts/skills-index.mjs build',
+    '  node .ai/scripts/skills-index.mjs search "retry failed http calls"',
+    '  node .ai/scripts/skills-index.mjs search react loading states --category frontend --format json',
+    '',
+  ].join('\n'));
+}
+
+function parseArgs(argv) {
+  const args = { command: null, terms: [], out: defaultIndexPath, check: false, limit: 5, category: '', format: 'text', help: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === '-h' || a === '--help') {
+      args.help = true;
+    } else if (a === '--check') {
+      args.check = true;
+    } else if (a === '--out' || a === '--limit' || a === '--category' || a === '--format') {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) die(`[error] ${a} requires a value`);
+      i += 1;
+      if (a === '--out') args.out = path.resolve(value);
+      if (a === '--limit') args.limit = Number(value);
+      if (a === '--category') args.category = value.replace(/^\/+|\/+$/g, '');
+      if (a === '--format') args.format = value.toLowerCase();
+    } else if (a.startsWith('--')) {
+      die(`[error] Unknown option: ${a}`);
+    } else if (!args.command) {
+      args.command = a;
+    } else {
+      args.terms.push(a);
+    }
+  }
+
+  if (!Number.isInteger(args.limit) || args.limit < 1) die('[error] --limit must be a positive integer');
+  if (!['text', 'json'].includes(args.format)) die(`[error] Invalid --format: ${args.format}`);
+  return args;
+}
+
+function toPosix(p) {
+  return p.replace(/\\/g, '/');
+}
+
+// ============================================================================
+// Indexing
+// ============================================================================
+
+function findSkillDirs(rootDir) {
+  if (!fs.existsSync(rootDir)) die(`[error] Missing skills root: ${rootDir}`);
+
+  const ignoreDirNames = new Set(['.git', '.hg', '.svn', '__pycache__', 'node_modules', '_meta']);
+  const stack = [rootDir];
+  const skillDirs = [];
+
+  while (stack.length > 0) {
+    const dir = stack.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    if (entries.some((e) => e.isFile() && e.name === SKILL_MD)) {
+      skillDirs.push(dir);
+      continue;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && !ignoreDirNames.has(entry.name)) stack.push(path.join(dir, entry.name));
+    }
+  }
+
+  return skillDirs.sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Read one frontmatter field, supporting folded/literal block scalars and lists
+ * (inline `[a, b]` or `- a` items). Returns a string, an array, or null.
+ */
+function readField(yaml, key) {
+  const lines = yaml.split(/\r?\n/);
+  const idx = lines.findIndex((l) => l.startsWith(`${key}:`));
+  if (idx === -1) return null;
+
+  const value = lines[idx].slice(key.length + 1).trim();
+  const following = [];
+  for (let i = idx + 1; i < lines.length && /^(\s+\S|\s*-\s)/.test(lines[i]); i += 1) following.push(lines[i].trim());
+
+  const unquote = (s) => s.replace(/^(['"])([\s\S]*)\1$/, '$2').trim();
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+  }
+  if (!value && following.length > 0 && following.every((l) => l.startsWith('-'))) {
+    return following.map((l) => unquote(l.replace(/^-\s*/, ''))).filter(Boolean);
+  }
+  if (/^[>|][-+]?$/.test(value)) return following.join(' ');
+  return unquote(value);
+}
+
+function readHeadings(body) {
+  const headings = [];
+  let inFence = false;
+  for (const line of body.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (inFence) continue;
+    const m = line.match(/^#{2,3}\s+(.+?)\s*#*\s*$/);
+    if (m) headings.push(m[1]);
+  }
+  return headings.slice(0, MAX_HEADINGS);
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t))
+    .map(stem);
+}
+
+// Light suffix stripping so "errors"/"error" and "migrations"/"migration" meet.
+function stem(token) {
+  if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+// Most frequent distinctive words when the frontmatter declares no keywords/tags.
+function deriveKeywords({ name, description, headings }) {
+  const counts = new Map();
+  const words = `${name.replace(/-/g, ' ')} ${description} ${headings.join(' ')}`
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length > 2 && !STOPWORDS.has(w));
+  for (const word of words) counts.set(word, (counts.get(word) || 0) + 1);
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_KEYWORDS)
+    .map(([word]) => word);
+}
+
+function indexSkill(skillsRoot, dir) {
+  const content = fs.readFileSync(path.join(dir, SKILL_MD), 'utf8');
+  const block = extractFrontmatterBlock(content);
+  const yaml = block ? block.yaml : '';
+  const body = block ? block.rest : content;
+
+  const rel = toPosix(path.relative(skillsRoot, dir));
+  const name = String(readField(yaml, 'name') || path.basename(dir));
+  const description = String(readField(yaml, 'description') || '').replace(/\s+/g, ' ').trim();
+  const headings = readHeadings(body);
+  const declared = readField(yaml, 'keywords') || readField(yaml, 'tags');
+  const keywords = Array.isArray(declared)
+    ? declared.map((k) => String(k).toLowerCase())
+    : declared
+      ? String(declared).split(',').map((k) => k.trim().toLowerCase()).filter(Boolean)
+      : null;
+
+  return {
+    name,
+    description,
+    category: rel.includes('/') ? rel.slice(0, rel.lastIndexOf('/')) : '',
+    ssot_path: toPosix(path.relative(repoRoot, dir)),
+    keywords,
+    headings,
+    lines: content.split('\n').length - (content.endsWith('\n') ? 1 : 0),
+  };
+}
+
+function buildIndex(skillsRoot) {
+  const skills = findSkillDirs(skillsRoot).map((dir) => indexSkill(skillsRoot, dir));
+  skills.sort((a, b) => a.ssot_path.localeCompare(b.ssot_path));
+
+  // Template sections shared by most skills ("Purpose", "Steps", ...) carry no signal.
+  const headingCounts = new Map();
+  for (const skill of skills) {
+    for (const heading of new Set(skill.headings.map((h) => h.toLowerCase()))) {
+      headingCounts.set(heading, (headingCounts.get(heading) || 0) + 1);
+    }
+  }
+  const common = (heading) => skills.length > 4 && headingCounts.get(heading.toLowerCase()) > skills.length / 4;
+  for (const skill of skills) {
+    skill.headings = skill.headings.filter((h) => !common(h));
+    if (!skill.keywords) skill.keywords = deriveKeywords(skill);
+  }
+
+  return {
+    version: INDEX_VERSION,
+    generatedBy: 'node .ai/scripts/skills-index.mjs build',
+    skillsRoot: toPosix(path.relative(repoRoot, skillsRoot)),
+    count: skills.length,
+    skills,
+  };
+}
+
+// One skill per line keeps the file compact and its diffs readable.
+function serializeIndex(index) {
+  const { skills, ...head } = index;
+  const headLines = Object.entries(head).map(([k, v]) => `  ${JSON.stringify(k)}: ${JSON.stringify(v)},`);
+  const skillLines = skills.map((s, i) => `    ${JSON.stringify(s)}${i < skills.length - 1 ? ',' : ''}`);
+  return ['{', ...headLines, '  "skills": [', ...skillLines, '  ]', '}', ''].join('\n');
+}
+
+// ============================================================================
+// Search
+// ============================================================================
+
+/**
+ * Rank skills with BM25F: per-field term frequencies are weighted by FIELD_WEIGHTS
+ * and normalized by the weighted document length.
+ */
+function rankSkills(skills, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+
+  const docs = skills.map((skill) => {
+    const tf = new Map();
+    let length = 0;
+    const fields = {
+      name: skill.name.replace(/-/g, ' '),
+      keywords: skill.keywords.join(' '),
+      description: skill.description,
+      category: skill.category.replace(/\//g, ' '),
+      headings: skill.headings.join(' '),
+    };
+    for (const [field, text] of Object.entries(fields)) {
+      for (const token of tokenize(text)) {
+        tf.set(token, (tf.get(token) || 0) + FIELD_WEIGHTS[field]);
+        length += FIELD_WEIGHTS[field];
+      }
+    }
+    return { skill, tf, length };
+  });
+
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / Math.max(docs.length, 1) || 1;
+  const idf = new Map(queryTerms.map((term) => {
+    const df = docs.filter((d) => d.tf.has(term)).length;
+    return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  return docs
+    .map(({ skill, tf, length }) => {
+      let score = 0;
+      const matched = [];
+      for (const term of queryTerms) {
+        const f = tf.get(term);
+        if (!f) continue;
+        matched.push(term);
+        score += idf.get(term) * ((f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + (BM25_B * length) / avgLength)));
+      }
+      return { skill, score, matched };
+    })
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || a.skill.name.localeCompare(b.skill.name));
+}
+
+// The index file is used only when it matches what `build` would write now. Comparing content
+// (not mtimes) keeps a checkout, a branch switch or a hand-edited index from serving stale rankings.
+function loadIndexForSearch(indexPath) {
+  const index = buildIndex(defaultSkillsRoot);
+  if (!fs.existsSync(indexPath)) return { index, source: 'in-memory (no index file)' };
+  if (fs.readFileSync(indexPath, 'utf8') !== serializeIndex(index)) {
+    return { index, source: 'in-memory (index file is out of date)' };
+  }
+  return { index, source: toPosix(path.relative(repoRoot, indexPath)) };
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+function cmdBuild(args) {
+  const index = buildIndex(defaultSkillsRoot);
+  const text = serializeIndex(index);
+  const rel = toPosix(path.relative(repoRoot, args.out));
+
+  if (args.check) {
+    const current = fs.existsSync(args.out) ? fs.readFileSync(args.out, 'utf8') : null;
+    if (current === text) {
+      ok(`[ok] ${rel} is up to date (${index.count} skills)`);
+      return;
+    }
+    console.error(colors.red(`[error] ${rel} is ${current === null ? 'missing' : 'out of date'}`));
+    info('Regenerate: node .ai/scripts/skills-index.mjs build');
+    process.exit(1);
+  }
+
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, text, 'utf8');
+  ok(`[ok] Wrote ${rel} (${index.count} skills, ${Buffer.byteLength(text)} bytes)`);
+}
+
+function cmdSearch(args) {
+  const query = args.terms.join(' ').trim();
+  if (!query) die('[error] search requires a query, e.g. search "react loading states"');
+
+  const { index, source } = loadIndexForSearch(args.out);
+  const scoped = args.category
+    ? index.skills.filter((s) => s.category === args.category || s.category.startsWith(`${args.category}/`))
+    : index.skills;
+  const results = rankSkills(scoped, query).slice(0, args.limit);
+
+  if (args.format === 'json') {
+    console.log(JSON.stringify({
+      query,
+      source,
+      results: results.map(({ skill, score, matched }) => ({
+        name: skill.name,
+        score: Number(score.toFixed(3)),
+        matched,
+        category: skill.category,
+        ssot_path: skill.ssot_path,
+        description: skill.description,
+        lines: skill.lines,
+      })),
+    }, null, 2));
+    return;
+  }
+
+  info(`Index: ${source}`);
+  if (results.length === 0) {
+    console.log(`No skills match "${query}".`);
+    return;
+  }
+  results.forEach(({ skill, score }, i) => {
+    console.log(`${String(i + 1).padStart(2)}. ${colors.bold(skill.name)} ${colors.gray(`(${skill.category || '.'}, score ${score.toFixed(2)})`)}`);
+    if (skill.description) console.log(`    ${skill.description}`);
+    console.log(colors.gray(`    ${skill.ssot_path}/${SKILL_MD} (${skill.lines} lines)`));
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.command) {
+    printHelp();
+    process.exit(args.help ? 0 : 1);
+  }
+
+  if (args.command === 'build') {
+    if (args.terms.length > 0) die(`[error] Unexpected argument: ${args.terms[0]}`);
+    cmdBuild(args);
+  } else if (args.command === 'search') {
+    cmdSearch(args);
+  } else {
+    die(`[error] Unknown command: ${args.command}`);
+  }
+}
+
+main();
@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+import crypto from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -12,11 +13,61 @@ const SKILL_MD = 'SKILL.md';
 
 const defaultSkillsRoot = path.join(repoRoot, '.ai', 'skills');
 const defaultManifestPath = path.join(defaultSkillsRoot, '_meta', 'sync-manifest.json');
-const providerDefaults = {
-  codex: path.join(repoRoot, '.codex', 'skills'),
-  claude: path.join(repoRoot, '.claude', 'skills'),
+const hashesPath = path.join(defaultSkillsRoot, '_meta', 'sync-hashes.json');
+
+/**
+ * Provider registry.
+ *
+ * Each provider declares where its wrappers live and how a skill is rendered for it:
+ * - kind "files":   one wrapper file per skill under `root`. The root is owned by this script
+ *                   (--mode reset deletes it). `file(rel)` maps a skill path (relative to the SSOT
+ *                   skills root) to a wrapper path under `root`; `fromFile(fileRel)` maps it back and
+ *                   returns null for files that are not wrappers.
+ * - kind "section": one marked section inside a shared `file`; `entry(skill)` renders one line.
+ *                   Content outside the markers is left untouched.
+ *
+ * Every sync records a hash of what it wrote per provider and skill (.ai/skills/_meta/sync-hashes.json);
+ * --check uses it to tell stale wrappers (an untouched earlier render) from hand-modified ones.
+ *
+ * To add a target, add an entry here; `--providers` accepts any key, the PROVIDER_GROUPS aliases, and
+ * `present` (providers whose wrappers exist in this checkout).
+ */
+const PROVIDERS = {
+  codex: skillMdProvider('.codex/skills', 'Codex skill wrappers (<rel>/SKILL.md)'),
+  claude: skillMdProvider('.claude/skills', 'Claude skill wrappers (<rel>/SKILL.md)'),
+  gemini: skillMdProvider('.gemini/skills', 'Gemini skill wrappers (<rel>/SKILL.md)'),
+  cursor: {
+    kind: 'files',
+    root: '.cursor/rules/skills',
+    description: 'Cursor project rules (<rel>.mdc, agent-requested)',
+    file: (rel) => `${rel}.mdc`,
+    fromFile: (fileRel) => (fileRel.endsWith('.mdc') ? fileRel.slice(0, -'.mdc'.length) : null),
+    render: renderCursorRule,
+  },
+  windsurf: {
+    kind: 'files',
+    root: '.windsurf/rules/skills',
+    description: 'Windsurf workspace rules (<rel>.md, model decision)',
+    file: (rel) => `${rel}.md`,
+    fromFile: (fileRel) => (fileRel.endsWith('.md') ? fileRel.slice(0, -'.md'.length) : null),
+    render: renderWindsurfRule,
+  },
+  copilot: {
+    kind: 'section',
+    file: '.github/copilot-instructions.md',
+    description: 'GitHub Copilot repository instructions (one managed section)',
+    entry: renderCopilotEntry,
+  },
 };
 
+const PROVIDER_GROUPS = {
+  both: ['codex', 'claude'],
+  all: Object.keys(PROVIDERS),
+};
+
+const SECTION_BEGIN = '<!-- sync-skills:begin (generated by node .ai/scripts/sync-skills.mjs; DO NOT EDIT) -->';
+const SECTION_END = '<!-- sync-skills:end -->';
+
 const colors = {
   cyan: (s) => `\x1b[36m${s}\x1b[0m`,
   green: (s) => `\x1b[32m${s}\x1b[0m`,
@@ -33,7 +84,7 @@ function printHelp() {
     `Usage: ${cmd} [options]`,
     '',
     'Options:',
-    '  --providers <codex|claude|both|csv>   Providers to write (default: both)',
+    '  --providers <name|both|all|present|csv> Providers to write (default: both = codex,claude)',
     '  --scope <all|minimal|current|specific> Skill selection scope (default: all)',
     '  --skills <csv>                        Skill names (for --scope specific)',
     '  --skill <name>                        Repeatable; adds one skill name',
@@ -47,10 +98,16 @@ function printHelp() {
     '  --clean-empty                         With --delete-skills: remove empty parent dirs after deletion',
     '  --[no-]update-meta                    With --delete-skills: update .ai/skills/_meta/sync-manifest.json (default: update)',
     '  --list                                List discovered skills (respects --scope filters)',
+    '  --check                               Compare wrappers on disk with a fresh render; exit 1 on drift (no writes)',
     '  --dry-run                             Print actions without writing',
     '  --yes                                 Required for destructive operations (reset/prune/delete), unless --dry-run',
     '  -h, --help                            Show help',
     '',
+    'Providers:',
+    ...Object.entries(PROVIDERS).map(([id, p]) => `  ${id.padEnd(8)} - ${p.kind === 'section' ? p.file : `${p.root}/`}: ${p.description}`),
+    ...Object.entries(PROVIDER_GROUPS).map(([id, list]) => `  ${id.padEnd(8)} - ${list.join(', ')}`),
+    `  ${'present'.padEnd(8)} - providers whose wrappers exist in this checkout`,
+    '',
     'Scopes:',
     '  all      - all skills under the SSOT skills root',
     '  minimal  - default minimal set (workflows only)',
@@ -82,6 +139,34 @@ function extractName(frontmatter, fallback) {
   return match ? match[1].trim() : fallback;
 }
 
+function extractDescription(frontmatter) {
+  if (!frontmatter) return '';
+  const lines = frontmatter.split('\n');
+  const idx = lines.findIndex((l) => /^description:/.test(l));
+  if (idx === -1) return '';
+  let value = lines[idx].replace(/^description:\s*/, '').trim();
+  // Folded/literal block scalars continue on the following indented lines.
+  if (/^[>|][-+]?$/.test(value)) {
+    const block = [];
+    for (let i = idx + 1; i < lines.length && /^\s+\S/.test(lines[i]); i += 1) block.push(lines[i].trim());
+    value = block.join(' ');
+  }
+  return unquoteScalar(value).replace(/\s+/g, ' ').trim();
+}
+
+function unquoteScalar(value) {
+  // Double-quoted values use JSON-compatible escapes (the rule renderers write JSON.stringify output).
+  if (/^"[\s\S]*"$/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (/^'[\s\S]*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  return value;
+}
+
 function toPosix(p) {
   return p.replace(/\\/g, '/');
 }
@@ -108,6 +193,37 @@ function readJson(jsonPath) {
   }
 }
 
+function hashText(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Hashes of the wrappers each provider last wrote, keyed by skill path:
+ * { version: 1, providers: { codex: { "<rel>": "<sha256>" } } }.
+ */
+function loadHashes() {
+  const data = fs.existsSync(hashesPath) ? readJson(hashesPath) : null;
+  return { version: 1, providers: (data && data.providers) || {} };
+}
+
+function saveHashes(hashes) {
+  const providers = {};
+  for (const id of Object.keys(hashes.providers).sort()) {
+    const entries = Object.entries(hashes.providers[id]).sort(([a], [b]) => a.localeCompare(b));
+    if (entries.length > 0) providers[id] = Object.fromEntries(entries);
+  }
+  ensureDir(path.dirname(hashesPath));
+  fs.writeFileSync(hashesPath, `${JSON.stringify({ version: 1, providers }, null, 2)}\n`, 'utf8');
+}
+
+// Drop the recorded hashes of wrappers that were deleted.
+function forgetHashes(provider, relPaths) {
+  if (relPaths.length === 0) return;
+  const hashes = loadHashes();
+  for (const relPath of relPaths) delete (hashes.providers[provider] || {})[relPath];
+  saveHashes(hashes);
+}
+
 function parseManifest(manifestPath) {
   if (!fs.existsSync(manifestPath)) {
     console.error(colors.red(`Missing manifest: ${manifestPath}`));
@@ -271,6 +387,70 @@ function buildStub(skillName, sourceRelDirFromRepoRoot, sourceContent, relFromSk
   ].join('\n');
 }
 
+function skillMdProvider(root, description) {
+  return {
+    kind: 'files',
+    root,
+    description,
+    file: (rel) => `${rel}/${SKILL_MD}`,
+    fromFile: (fileRel) => (fileRel.endsWith(`/${SKILL_MD}`) ? fileRel.slice(0, -(SKILL_MD.length + 1)) : null),
+    render: (skill) => buildStub(skill.name, skill.relFromRepoRoot, skill.content, skill.relFromSkillsRoot),
+  };
+}
+
+function summarizeSkill(skill) {
+  const canonicalDir = skill.relFromRepoRoot.replace(/\/$/, '');
+  return {
+    name: skill.name,
+    canonicalDir,
+    description: extractDescription(readFrontmatter(skill.content)) || `See ${canonicalDir}/SKILL.md`,
+  };
+}
+
+function ruleBody({ name, canonicalDir }) {
+  return [
+    `# ${name} (entry)`,
+    '',
+    `Canonical source: \`${canonicalDir}/\``,
+    '',
+    `Open \`${canonicalDir}/SKILL.md\` and any supporting files referenced there before acting on a matching task.`,
+    '',
+  ];
+}
+
+function renderCursorRule(skill) {
+  const summary = summarizeSkill(skill);
+  return [
+    '---',
+    // Quoted: descriptions often contain `: ` or start with characters YAML would misread.
+    `description: ${JSON.stringify(summary.description)}`,
+    'globs:',
+    'alwaysApply: false',
+    `ssot_path: ${summary.canonicalDir}`,
+    '---',
+    '',
+    ...ruleBody(summary),
+  ].join('\n');
+}
+
+function renderWindsurfRule(skill) {
+  const summary = summarizeSkill(skill);
+  return [
+    '---',
+    'trigger: model_decision',
+    `description: ${JSON.stringify(summary.description)}`,
+    `ssot_path: ${summary.canonicalDir}`,
+    '---',
+    '',
+    ...ruleBody(summary),
+  ].join('\n');
+}
+
+function renderCopilotEntry(skill) {
+  const summary = summarizeSkill(skill);
+  return `- \`${summary.canonicalDir}/SKILL.md\` — **${summary.name}**: ${summary.description}`;
+}
+
 function parseCsv(value) {
   return String(value || '')
     .split(',')
@@ -282,11 +462,12 @@ function parseArgs(argv) {
   const args = {
     skillsRoot: defaultSkillsRoot,
     manifestPath: defaultManifestPath,
-    providers: ['codex', 'claude'],
+    providers: ['both'],
     scope: 'all',
     mode: 'reset',
     prune: false,
     list: false,
+    check: false,
     dryRun: false,
     yes: false,
     specificSkills: [],
@@ -330,6 +511,10 @@ function parseArgs(argv) {
       args.list = true;
       continue;
     }
+    if (a === '--check') {
+      args.check = true;
+      continue;
+    }
     if (a === '--dry-run') {
       args.dryRun = true;
       continue;
@@ -389,19 +574,31 @@ function normalizeProviders(providers) {
   const raw = providers.length === 0 ? ['both'] : providers;
   const expanded = raw.flatMap((p) => {
     const v = String(p).trim().toLowerCase();
-    if (!v || v === 'both') return ['codex', 'claude'];
-    return [v];
+    if (!v) return PROVIDER_GROUPS.both;
+    if (v === 'present') return presentProviders();
+    return PROVIDER_GROUPS[v] || [v];
   });
 
   const dedup = [...new Set(expanded)];
-  const invalid = dedup.filter((p) => !Object.prototype.hasOwnProperty.call(providerDefaults, p));
+  const invalid = dedup.filter((p) => !Object.prototype.hasOwnProperty.call(PROVIDERS, p));
   if (invalid.length > 0) {
     console.error(colors.red(`Invalid provider(s): ${invalid.join(', ')}`));
+    console.error(colors.gray(`Valid values: ${[...Object.keys(PROVIDERS), ...Object.keys(PROVIDER_GROUPS), 'present'].join(', ')}`));
     process.exit(1);
   }
   return dedup;
 }
 
+// Providers with wrappers on disk: a "files" root, or a shared file that holds the managed section.
+function presentProviders() {
+  return Object.keys(PROVIDERS).filter((id) => {
+    const spec = PROVIDERS[id];
+    const p = providerPath(spec);
+    if (spec.kind !== 'section') return fs.existsSync(p);
+    return fs.existsSync(p) && fs.readFileSync(p, 'utf8').includes(SECTION_BEGIN);
+  });
+}
+
 function selectSkills(args, allSkills) {
   const scope = String(args.scope || '').toLowerCase();
   if (scope === 'all' || scope === '') {
@@ -461,11 +658,16 @@ function selectSkills(args, allSkills) {
   process.exit(1);
 }
 
+function providerPath(spec) {
+  return path.join(repoRoot, spec.kind === 'section' ? spec.file : spec.root);
+}
+
 /**
- * Find all wrapper directories (containing SKILL.md) under targetRoot.
- * Returns array of { relPath, absPath } where relPath is relative to targetRoot.
+ * Find the wrapper files a "files" provider has on disk.
+ * Returns array of { relPath, absPath } where relPath is the skill path (relative to the SSOT skills root).
  */
-function findWrapperDirs(targetRoot) {
+function findWrappers(spec) {
+  const targetRoot = providerPath(spec);
   if (!fs.existsSync(targetRoot)) return [];
 
   const wrappers = [];
@@ -480,22 +682,95 @@ function findWrapperDirs(targetRoot) {
       continue;
     }
 
-    const hasSkillMd = entries.some((e) => e.isFile() && e.name === SKILL_MD);
-    if (hasSkillMd) {
-      wrappers.push({
-        relPath: toPosix(path.relative(targetRoot, dir)),
-        absPath: dir,
-      });
-      continue;
+    for (const entry of entries) {
+      const absPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        stack.push(absPath);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+      const relPath = spec.fromFile(toPosix(path.relative(targetRoot, absPath)));
+      if (relPath) wrappers.push({ relPath, absPath });
     }
+  }
 
-    for (const entry of entries) {
-      if (!entry.isDirectory()) continue;
-      stack.push(path.join(dir, entry.name));
+  return wrappers.sort((a, b) => a.relPath.localeCompare(b.relPath));
+}
+
+/**
+ * Read a "section" provider's file and split it around the managed section.
+ * Entries are keyed by skill path (relative to the SSOT skills root); text outside the markers is kept verbatim.
+ */
+function readSection(spec) {
+  const filePath = providerPath(spec);
+  const text = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+  const entries = new Map();
+  const begin = text.indexOf(SECTION_BEGIN);
+  const end = begin === -1 ? -1 : text.indexOf(SECTION_END, begin);
+  if (begin === -1 || end === -1) {
+    return { filePath, before: text, after: '', entries };
+  }
+
+  const skillsRel = toPosix(path.relative(repoRoot, defaultSkillsRoot));
+  for (const line of text.slice(begin + SECTION_BEGIN.length, end).split('\n')) {
+    const match = line.match(/^- `(.+?)\/SKILL\.md`/);
+    if (match && match[1].startsWith(`${skillsRel}/`)) {
+      entries.set(match[1].slice(skillsRel.length + 1), line);
     }
   }
+  return { filePath, before: text.slice(0, begin), after: text.slice(end + SECTION_END.length), entries };
+}
 
-  return wrappers;
+function renderSection(section) {
+  const skillsRel = toPosix(path.relative(repoRoot, defaultSkillsRoot));
+  const lines = [...section.entries.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, line]) => line);
+  const body = [
+    SECTION_BEGIN,
+    '## Skills',
+    '',
+    `Repository skills live under \`${skillsRel}/\`. When a task matches a skill below, open its \`SKILL.md\` (and the files it references) before acting.`,
+    '',
+    ...lines,
+    SECTION_END,
+  ].join('\n');
+  const before = section.before ? section.before.replace(/\n*$/, '\n\n') : '';
+  return `${before}${body}${section.after || '\n'}`;
+}
+
+/**
+ * Remove the wrappers for the given skill paths from one provider.
+ * Returns [{ relPath, target, status, error? }] with status: deleted | dry_run | not_found | blocked | error.
+ */
+function removeWrappers(spec, relPaths, dryRun) {
+  if (spec.kind === 'section') {
+    const section = readSection(spec);
+    const target = toPosix(path.relative(repoRoot, section.filePath));
+    const results = relPaths.map((relPath) => {
+      if (!section.entries.delete(relPath)) return { relPath, target, status: 'not_found' };
+      return { relPath, target, status: dryRun ? 'dry_run' : 'deleted' };
+    });
+    if (!dryRun && results.some((r) => r.status === 'deleted')) {
+      fs.writeFileSync(section.filePath, renderSection(section), 'utf8');
+    }
+    return results;
+  }
+
+  const targetRoot = providerPath(spec);
+  return relPaths.map((relPath) => {
+    const absPath = resolveSafeChildDir(targetRoot, spec.file(relPath));
+    if (!absPath) return { relPath, target: relPath, status: 'blocked' };
+    const target = toPosix(path.relative(repoRoot, absPath));
+    if (!fs.existsSync(absPath)) return { relPath, target, status: 'not_found' };
+    if (dryRun) return { relPath, target, status: 'dry_run' };
+    try {
+      fs.rmSync(absPath, { force: true });
+      // Wrapper directories only hold generated files, so drop any that are now empty.
+      cleanEmptyParents(absPath, targetRoot);
+      return { relPath, target, status: 'deleted' };
+    } catch (err) {
+      return { relPath, target, status: 'error', error: err.message };
+    }
+  });
 }
 
 function deleteWrappers({ providers, skillNames, dryRun, allSkills }) {
@@ -511,28 +786,27 @@ function deleteWrappers({ providers, skillNames, dryRun, allSkills }) {
     }
   }
 
+  // Try to resolve names to paths using allSkills, otherwise treat them as paths
+  const relPaths = skillNames.map((nameOrPath) => nameToPath.get(nameOrPath) || nameOrPath);
+
   for (const provider of providers) {
-    const targetRoot = providerDefaults[provider];
     console.log('');
     console.log(colors.green(`Provider: ${provider}`));
 
-    for (const nameOrPath of skillNames) {
-      // Try to resolve name to path using allSkills, otherwise treat as path
-      const targetRelPath = nameToPath.get(nameOrPath) || nameOrPath;
-      const targetDir = path.join(targetRoot, targetRelPath);
-
-      if (!fs.existsSync(targetDir)) {
-        console.log(colors.gray(`  [-] ${targetRelPath} (not present)`));
-        continue;
-      }
-
-      if (dryRun) {
-        console.log(colors.gray(`  [~] ${targetRelPath} (dry-run delete)`));
-        continue;
+    const results = removeWrappers(PROVIDERS[provider], relPaths, dryRun);
+    forgetHashes(provider, results.filter((r) => r.status === 'deleted').map((r) => r.relPath));
+    for (const r of results) {
+      if (r.status === 'not_found') {
+        console.log(colors.gray(`  [-] ${r.relPath} (not present)`));
+      } else if (r.status === 'dry_run') {
+        console.log(colors.gray(`  [~] ${r.relPath} (dry-run delete)`));
+      } else if (r.status === 'deleted') {
+        console.log(colors.gray(`  [-] ${r.relPath}`));
+      } else if (r.status === 'blocked') {
+        console.log(colors.red(`  [!] ${r.relPath}: path traversal blocked`));
+      } else {
+        console.log(colors.red(`  [!] ${r.relPath}: failed to delete (${r.error})`));
       }
-
-      fs.rmSync(targetDir, { recursive: true, force: true });
-      console.log(colors.gray(`  [-] ${targetRelPath}`));
     }
   }
 }
@@ -757,8 +1031,19 @@ function deleteSkills({ providers, identifiers, deleteScope, cleanEmpty, updateM
 
     if (scope === 'all' || scope === 'providers') {
       for (const provider of providers) {
-        const providerRoot = providerDefaults[provider];
-        deleteDirSafe(providerRoot, t.relPath, provider, { ...opts, stopAt: providerRoot });
+        const [r] = removeWrappers(PROVIDERS[provider], [t.relPath], dryRun);
+        if (r.status === 'deleted') forgetHashes(provider, [r.relPath]);
+        if (r.status === 'not_found') {
+          console.log(colors.gray(`  [-] ${provider}: not present`));
+        } else if (r.status === 'dry_run') {
+          console.log(colors.yellow(`  [~] ${provider}: ${r.target} (dry-run)`));
+        } else if (r.status === 'deleted') {
+          console.log(colors.green(`  [✓] ${provider}: ${r.target}`));
+        } else if (r.status === 'blocked') {
+          console.log(colors.red(`  [!] ${provider}: path traversal blocked (${t.relPath})`));
+        } else {
+          console.log(colors.red(`  [!] ${provider}: failed to delete (${r.error})`));
+        }
       }
     }
   }
@@ -779,6 +1064,157 @@ function deleteSkills({ providers, identifiers, deleteScope, cleanEmpty, updateM
   }
 }
 
+function syncSection(spec, { mode, prune, dryRun, selectedSkills, allPaths, selectedPaths, recorded }) {
+  const section = readSection(spec);
+  const target = toPosix(path.relative(repoRoot, section.filePath));
+
+  if (mode === 'reset') {
+    section.entries.clear();
+  } else if (prune) {
+    for (const relPath of [...section.entries.keys()]) {
+      if (!allPaths.has(relPath) || selectedPaths.has(relPath)) continue;
+      section.entries.delete(relPath);
+      delete recorded[relPath];
+      console.log(colors.gray(dryRun ? `  [~] prune ${relPath} (dry-run)` : `  [-] ${relPath} (pruned)`));
+    }
+  }
+
+  for (const skill of selectedSkills) {
+    const line = spec.entry(skill);
+    section.entries.set(skill.relFromSkillsRoot, line);
+    recorded[skill.relFromSkillsRoot] = hashText(line);
+  }
+
+  if (dryRun) {
+    console.log(colors.gray(`  [~] ${mode === 'reset' ? 'reset' : 'update'} section (${section.entries.size} entries) -> ${target}`));
+    return;
+  }
+
+  ensureDir(path.dirname(section.filePath));
+  fs.writeFileSync(section.filePath, renderSection(section), 'utf8');
+  for (const skill of selectedSkills) {
+    console.log(colors.gray(`  [+] ${skill.relFromSkillsRoot}`));
+  }
+}
+
+function firstDifference(expected, actual) {
+  const a = expected.split('\n');
+  const b = actual.split('\n');
+  for (let i = 0; i < Math.max(a.length, b.length); i += 1) {
+    if (a[i] !== b[i]) return `line ${i + 1}`;
+  }
+  return 'whitespace';
+}
+
+/**
+ * Classify an existing wrapper against its expected render: null when identical, "stale" when it is
+ * exactly what the last sync wrote (`recorded` hash) and only .ai/skills/ moved on, otherwise "modified".
+ */
+function classifyWrapper(expected, actual, recorded) {
+  if (actual === expected) return null;
+  return recorded && recorded === hashText(actual) ? 'stale' : 'modified';
+}
+
+/**
+ * Regenerate the wrappers for the selected skills in memory and compare them with disk.
+ * Findings: missing (no wrapper), stale (behind SSOT), modified (hand-edited), orphaned (wrapper without a selected skill).
+ * Returns true when every provider is clean.
+ */
+function checkWrappers({ providers, scope, selectedSkills, allSkills }) {
+  const allPaths = new Set(allSkills.map((s) => s.relFromSkillsRoot));
+  const selectedPaths = new Set(selectedSkills.map((s) => s.relFromSkillsRoot));
+  const orphanDetail = (relPath) => (allPaths.has(relPath) ? 'skill not in selected scope' : 'no SSOT skill at this path');
+
+  console.log(colors.cyan('========================================'));
+  console.log(colors.cyan('  Checking skill stubs'));
+  console.log(colors.cyan('========================================'));
+  console.log(colors.gray(`  providers: ${providers.join(', ')}`));
+  console.log(colors.gray(`  scope: ${scope}`));
+  console.log(colors.gray(`  selected_skills: ${selectedSkills.length}`));
+
+  const counts = { missing: 0, stale: 0, modified: 0, orphaned: 0 };
+  const hashes = loadHashes();
+  for (const provider of providers) {
+    const spec = PROVIDERS[provider];
+    const recorded = hashes.providers[provider] || {};
+    const findings = [];
+
+    if (spec.kind === 'section') {
+      const section = readSection(spec);
+      const target = toPosix(path.relative(repoRoot, section.filePath));
+      for (const skill of selectedSkills) {
+        const relPath = skill.relFromSkillsRoot;
+        if (!section.entries.has(relPath)) {
+          findings.push({ kind: 'missing', relPath, target });
+          continue;
+        }
+        const actual = section.entries.get(relPath);
+        const kind = classifyWrapper(spec.entry(skill), actual, recorded[relPath]);
+        if (kind) findings.push({ kind, relPath, target });
+      }
+      for (const relPath of section.entries.keys()) {
+        if (!selectedPaths.has(relPath)) findings.push({ kind: 'orphaned', relPath, target, detail: orphanDetail(relPath) });
+      }
+      // Re-rendering the parsed entries must reproduce the file; anything else is a hand edit around them.
+      if (section.entries.size > 0) {
+        const actualText = fs.readFileSync(section.filePath, 'utf8');
+        const expectedText = renderSection(section);
+        if (actualText !== expectedText) {
+          findings.push({ kind: 'modified', relPath: '(section)', target, detail: firstDifference(expectedText, actualText) });
+        }
+      }
+    } else {
+      const targetRoot = providerPath(spec);
+      const existing = new Map(findWrappers(spec).map((w) => [w.relPath, w.absPath]));
+      for (const skill of selectedSkills) {
+        const relPath = skill.relFromSkillsRoot;
+        const target = toPosix(path.relative(repoRoot, path.join(targetRoot, spec.file(relPath))));
+        if (!existing.has(relPath)) {
+          findings.push({ kind: 'missing', relPath, target });
+          continue;
+        }
+        const actual = fs.readFileSync(existing.get(relPath), 'utf8');
+        const expected = spec.render(skill);
+        const kind = classifyWrapper(expected, actual, recorded[relPath]);
+        if (kind) {
+          const detail = kind === 'modified' ? firstDifference(expected, actual) : undefined;
+          findings.push({ kind, relPath, target, detail });
+        }
+      }
+      for (const [relPath, absPath] of existing) {
+        if (selectedPaths.has(relPath)) continue;
+        findings.push({ kind: 'orphaned', relPath, target: toPosix(path.relative(repoRoot, absPath)), detail: orphanDetail(relPath) });
+      }
+    }
+
+    console.log('');
+    if (findings.length === 0) {
+      console.log(colors.green(`[ok] ${provider}: ${selectedSkills.length} wrapper(s) up to date`));
+      continue;
+    }
+    console.log(colors.red(`[error] ${provider}: ${findings.length} drift finding(s)`));
+    for (const f of findings) {
+      counts[f.kind] += 1;
+      const color = f.kind === 'stale' ? colors.yellow : colors.red;
+      console.log(color(`  [${f.kind}] ${f.relPath} -> ${f.target}${f.detail ? ` (${f.detail})` : ''}`));
+    }
+  }
+
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  console.log('');
+  console.log(colors.cyan('========================================'));
+  if (total === 0) {
+    console.log(colors.green('  Skill stubs up to date'));
+    console.log(colors.cyan('========================================'));
+    return true;
+  }
+  console.log(colors.red(`  Drift: ${counts.missing} missing, ${counts.stale} stale, ${counts.modified} modified, ${counts.orphaned} orphaned`));
+  console.log(colors.cyan('========================================'));
+  console.log(colors.gray('Regenerate (hand edits are overwritten; move them into .ai/skills/ first):'));
+  console.log(colors.gray(`  node .ai/scripts/sync-skills.mjs --scope ${scope} --providers ${providers.join(',')} --mode reset --yes`));
+  return false;
+}
+
 function sync() {
   const args = parseArgs(process.argv.slice(2));
   if (args.help) {
@@ -795,6 +1231,7 @@ function sync() {
 
   const isDestructive =
     !args.list &&
+    !args.check &&
     !args.dryRun &&
     (mode === 'reset' ||
       (mode === 'update' && args.prune) ||
@@ -816,6 +1253,16 @@ function sync() {
     process.exit(1);
   }
 
+  if (args.check) {
+    if (args.list || hasDeleteSkills || hasDeleteWrappers) {
+      console.error(colors.red('Cannot combine --check with --list or delete operations.'));
+      process.exit(1);
+    }
+    const clean = checkWrappers({ providers, scope: args.scope, selectedSkills: selectSkills(args, allSkills), allSkills });
+    if (!clean) process.exit(1);
+    return;
+  }
+
   if (args.list) {
     if (hasDeleteSkills || hasDeleteWrappers) {
       console.error(colors.red('Cannot combine --list with delete operations.'));
@@ -859,12 +1306,22 @@ function sync() {
   // Use relFromSkillsRoot (paths) for matching instead of flat names (Option A).
   const allPaths = new Set(allSkills.map((s) => s.relFromSkillsRoot));
   const selectedPaths = new Set(selectedSkills.map((s) => s.relFromSkillsRoot));
+  const hashes = loadHashes();
 
   for (const provider of providers) {
-    const targetRoot = providerDefaults[provider];
+    const spec = PROVIDERS[provider];
     console.log('');
     console.log(colors.green(`Writing ${provider} stubs...`));
+    // reset rewrites the whole provider, so earlier records go with it.
+    if (mode === 'reset' || !hashes.providers[provider]) hashes.providers[provider] = {};
+    const recorded = hashes.providers[provider];
 
+    if (spec.kind === 'section') {
+      syncSection(spec, { mode, prune: args.prune, dryRun: args.dryRun, selectedSkills, allPaths, selectedPaths, recorded });
+      continue;
+    }
+
+    const targetRoot = providerPath(spec);
     if (mode === 'reset') {
       if (args.dryRun) {
         console.log(colors.gray(`  [~] reset ${toPosix(path.relative(repoRoot, targetRoot))} (dry-run)`));
@@ -881,36 +1338,36 @@ function sync() {
 
     if (mode === 'update' && args.prune) {
       // Find existing wrappers recursively (they now have hierarchy)
-      const existingWrappers = findWrapperDirs(targetRoot);
-      for (const wrapper of existingWrappers) {
-        if (!allPaths.has(wrapper.relPath)) continue; // not a known skill
-        if (selectedPaths.has(wrapper.relPath)) continue; // is in selected set
-        if (args.dryRun) {
-          console.log(colors.gray(`  [~] prune ${wrapper.relPath} (dry-run)`));
-        } else {
-          fs.rmSync(wrapper.absPath, { recursive: true, force: true });
-          console.log(colors.gray(`  [-] ${wrapper.relPath} (pruned)`));
+      const stale = findWrappers(spec)
+        .map((w) => w.relPath)
+        .filter((relPath) => allPaths.has(relPath) && !selectedPaths.has(relPath)); // known skill, not selected
+      for (const r of removeWrappers(spec, stale, args.dryRun)) {
+        if (r.status === 'dry_run') {
+          console.log(colors.gray(`  [~] prune ${r.relPath} (dry-run)`));
+        } else if (r.status === 'deleted') {
+          delete recorded[r.relPath];
+          console.log(colors.gray(`  [-] ${r.relPath} (pruned)`));
         }
       }
     }
 
     for (const skill of selectedSkills) {
-      const sourceRelDir = toPosix(path.relative(repoRoot, skill.dir));
-      const stub = buildStub(skill.name, sourceRelDir, skill.content, skill.relFromSkillsRoot);
       // Option A: preserve hierarchy using relFromSkillsRoot instead of flat names.
-      const targetDir = path.join(targetRoot, skill.relFromSkillsRoot);
-      const targetSkillMd = path.join(targetDir, SKILL_MD);
+      const targetFile = path.join(targetRoot, spec.file(skill.relFromSkillsRoot));
 
       if (args.dryRun) {
-        console.log(colors.gray(`  [~] write ${skill.relFromSkillsRoot} -> ${toPosix(path.relative(repoRoot, targetSkillMd))}`));
+        console.log(colors.gray(`  [~] write ${skill.relFromSkillsRoot} -> ${toPosix(path.relative(repoRoot, targetFile))}`));
         continue;
       }
 
-      ensureDir(targetDir);
-      fs.writeFileSync(targetSkillMd, stub, 'utf8');
+      const text = spec.render(skill);
+      ensureDir(path.dirname(targetFile));
+      fs.writeFileSync(targetFile, text, 'utf8');
+      recorded[skill.relFromSkillsRoot] = hashText(text);
       console.log(colors.gray(`  [+] ${skill.relFromSkillsRoot}`));
     }
   }
+  if (!args.dryRun) saveHashes(hashes);
 
   console.log('');
   console.log(colors.cyan('========================================'));
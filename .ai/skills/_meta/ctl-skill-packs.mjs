@@ -10,13 +10,19 @@
  *   enable-pack       Enable a skill pack
  *   disable-pack      Disable a skill pack
  *   list-packs        List available packs
+ *   graph             Show the resolved pack set (dependencies + version checks)
+ *   install-pack      Install an external pack from a directory or .tar.gz
+ *   uninstall-pack    Remove an installed pack (shows the per-file plan first)
+ *   upgrade-pack      Upgrade an installed pack (shows a per-file diff first)
  *   sync              Synchronize provider wrappers
  *   help              Show help
  */
 
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
-import { spawn } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { spawn, spawnSync } from 'node:child_process';
 
 // ============================================================================
 // CLI Argument Parsing
@@ -38,24 +44,50 @@ Commands:
 
   enable-pack <pack-name>
     --repo-root <path>          Repo root (default: cwd)
-    --providers <both|codex|claude>  Provider targets (default: both)
+    --providers <both|all|csv>  Provider targets, passed to sync-skills.mjs (default: both)
     --no-sync                   Don't run sync after enabling
-    Enable a skill pack.
+    Enable a skill pack and, transitively, the packs it depends on.
 
   disable-pack <pack-name>
     --repo-root <path>          Repo root (default: cwd)
-    --providers <both|codex|claude>  Provider targets (default: both)
+    --providers <both|all|csv>  Provider targets, passed to sync-skills.mjs (default: both)
+    --cascade                   Also disable enabled packs that depend on it
     --no-sync                   Don't run sync after disabling
-    Disable a skill pack.
+    Disable a skill pack (refused while an enabled pack depends on it, unless --cascade).
 
   list-packs
     --repo-root <path>          Repo root (default: cwd)
     --format <text|json>        Output format (default: text)
     List available packs.
 
+  graph [<pack-name>]
+    --repo-root <path>          Repo root (default: cwd)
+    --format <text|json>        Output format (default: text)
+    Resolve a pack (default: all enabled packs) with its dependencies and check version ranges.
+
+  install-pack --from <dir|tar.gz>
+    --repo-root <path>          Repo root (default: cwd)
+    --force                     Overwrite existing files that differ from the pack
+    Validate an external pack, copy its skills/ into .ai/skills/ and record provenance
+    (source, version, content hash) in .ai/skills/_meta/packs.lock.json. Does not enable it.
+
+  uninstall-pack <pack-name>
+    --repo-root <path>          Repo root (default: cwd)
+    --yes                       Apply (default: print the per-file plan only)
+    --force                     Also delete files that were modified locally
+    Remove an installed (disabled) pack's files, manifest and lockfile entry.
+
+  upgrade-pack [<pack-name>] --from <dir|tar.gz>
+    --repo-root <path>          Repo root (default: cwd)
+    --yes                       Apply (default: print the per-file plan and diffs only)
+    --force                     Overwrite local edits, allow downgrades and broken dependent ranges
+    --providers <both|all|csv>  Provider targets for the re-sync of an enabled pack (default: both)
+    --no-sync                   Don't run sync after upgrading an enabled pack
+    Upgrade an installed pack; locally modified files are kept unless --force.
+
   sync
     --repo-root <path>          Repo root (default: cwd)
-    --providers <both|codex|claude>  Provider targets (default: both)
+    --providers <both|all|csv>  Provider targets, passed to sync-skills.mjs (default: both)
     --sync-mode <update|reset>  sync-skills mode (default: update)
     --yes                       Allow destructive sync (required for reset)
     Synchronize provider wrappers.
@@ -64,7 +96,11 @@ Examples:
   node .ai/skills/_meta/ctl-skill-packs.mjs status
   node .ai/skills/_meta/ctl-skill-packs.mjs enable-pack backend --providers both
   node .ai/skills/_meta/ctl-skill-packs.mjs disable-pack frontend
+  node .ai/skills/_meta/ctl-skill-packs.mjs disable-pack workflows --cascade
   node .ai/skills/_meta/ctl-skill-packs.mjs list-packs
+  node .ai/skills/_meta/ctl-skill-packs.mjs graph testing
+  node .ai/skills/_meta/ctl-skill-packs.mjs install-pack --from ../shared-skills/dist/org-backend-1.2.0.tar.gz
+  node .ai/skills/_meta/ctl-skill-packs.mjs upgrade-pack org-backend --from ../shared-skills/packs/org-backend --yes
   node .ai/skills/_meta/ctl-skill-packs.mjs sync --providers both
 `;
   console.log(msg.trim());
@@ -195,6 +231,7 @@ function listAvailablePacks(repoRoot) {
         version: packData.version || '0.0.0',
         description: packData.description || '',
         includePrefixes: packData.includePrefixes || [],
+        dependencies: packData.dependencies || [],
         file: file
       });
     }
@@ -212,6 +249,504 @@ function uniq(arr) {
   return Array.from(new Set(arr));
 }
 
+// ============================================================================
+// Semver
+// ============================================================================
+
+function parseVersion(version) {
+  const m = String(version || '').trim().replace(/^v/, '')
+    .match(/^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/);
+  if (!m) return null;
+  return { major: Number(m[1]), minor: Number(m[2]), patch: Number(m[3]), pre: m[4] ? m[4].split('.') : [] };
+}
+
+function compareVersions(a, b) {
+  for (const key of ['major', 'minor', 'patch']) {
+    if (a[key] !== b[key]) return a[key] < b[key] ? -1 : 1;
+  }
+  // A release sorts after any of its prereleases.
+  if (a.pre.length === 0 || b.pre.length === 0) return b.pre.length - a.pre.length;
+  for (let i = 0; i < Math.max(a.pre.length, b.pre.length); i++) {
+    const x = a.pre[i];
+    const y = b.pre[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    const xNum = /^\d+$/.test(x);
+    const yNum = /^\d+$/.test(y);
+    if (xNum && yNum) return Number(x) < Number(y) ? -1 : 1;
+    if (xNum !== yNum) return xNum ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+// Partial version for ranges: "1", "1.2", "1.x", "1.2.*", "*" (missing parts are null).
+function parsePartialVersion(text) {
+  const m = String(text).trim().replace(/^[=v]+/, '')
+    .match(/^(\*|x|X|\d+)(?:\.(\*|x|X|\d+))?(?:\.(\*|x|X|\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/);
+  if (!m) return null;
+  const num = (part) => (part === undefined || /^[*xX]$/.test(part) ? null : Number(part));
+  const major = num(m[1]);
+  const minor = major === null ? null : num(m[2]);
+  const patch = minor === null ? null : num(m[3]);
+  return { major, minor, patch, pre: patch !== null && m[4] ? m[4].split('.') : [] };
+}
+
+function comparatorsFor(token) {
+  const m = token.match(/^(\^|~>?|>=|<=|>|<|=)?(.*)$/);
+  const op = m[1] || '';
+  const p = parsePartialVersion(m[2]);
+  if (!p) return null;
+  if (p.major === null) return [];
+
+  const at = (major, minor, patch, pre = []) => ({ major, minor, patch, pre });
+  // Upper bounds use the "-0" prerelease so prereleases of the next version stay excluded.
+  // They are `implied`: unlike a prerelease the range spells out, they never admit prereleases (see satisfies).
+  const below = (major, minor, patch) => ({ op: '<', version: at(major, minor, patch, ['0']), implied: true });
+  const low = at(p.major, p.minor ?? 0, p.patch ?? 0, p.pre);
+  const next = p.minor === null ? at(p.major + 1, 0, 0, ['0'])
+    : p.patch === null ? at(p.major, p.minor + 1, 0, ['0'])
+      : null;
+
+  switch (op) {
+    case '^':
+      if (p.major > 0 || p.minor === null) return [{ op: '>=', version: low }, below(p.major + 1, 0, 0)];
+      if (p.minor > 0 || p.patch === null) return [{ op: '>=', version: low }, below(0, p.minor + 1, 0)];
+      return [{ op: '>=', version: low }, below(0, 0, p.patch + 1)];
+    case '~':
+    case '~>':
+      return [{ op: '>=', version: low }, p.minor === null ? below(p.major + 1, 0, 0) : below(p.major, p.minor + 1, 0)];
+    case '>':
+      return next ? [{ op: '>=', version: next, implied: true }] : [{ op: '>', version: low }];
+    case '>=':
+      return [{ op: '>=', version: low }];
+    case '<':
+      return next ? [below(low.major, low.minor, low.patch)] : [{ op: '<', version: low }];
+    case '<=':
+      return next ? [{ op: '<', version: next, implied: true }] : [{ op: '<=', version: low }];
+    default:
+      return next ? [{ op: '>=', version: low }, { op: '<', version: next, implied: true }] : [{ op: '=', version: low }];
+  }
+}
+
+/**
+ * Parse an npm-style range ("^1.2.0", "~1.4", ">=1 <3", "1.x || 2.x", "1.0.0 - 2.0.0", "*").
+ * Returns a list of comparator sets (OR of ANDs), or null when the range is invalid.
+ */
+function parseRange(range) {
+  const sets = [];
+  for (const part of String(range ?? '').split('||')) {
+    const text = part.trim();
+    const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+    const tokens = hyphen
+      ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+      : text.replace(/(\^|~>?|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    const set = [];
+    for (const token of tokens) {
+      const comparators = comparatorsFor(token);
+      if (!comparators) return null;
+      set.push(...comparators);
+    }
+    sets.push(set);
+  }
+  return sets;
+}
+
+function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  const sets = parseRange(range);
+  if (!parsed || !sets) return false;
+  return sets.some(set => {
+    // npm semantics: a prerelease only matches a set that names a prerelease of the same
+    // major.minor.patch (">=1.2.0-beta.1" admits 1.2.0-beta.3, but "^1.0.0" admits no 1.3.0-rc.1).
+    if (parsed.pre.length > 0 && !set.some(({ version: bound, implied }) => !implied && bound.pre.length > 0
+      && bound.major === parsed.major && bound.minor === parsed.minor && bound.patch === parsed.patch)) {
+      return false;
+    }
+    return set.every(({ op, version: bound }) => {
+      const c = compareVersions(parsed, bound);
+      if (op === '>=') return c >= 0;
+      if (op === '>') return c > 0;
+      if (op === '<=') return c <= 0;
+      if (op === '<') return c < 0;
+      return c === 0;
+    });
+  });
+}
+
+// ============================================================================
+// Dependency Resolution
+// ============================================================================
+
+/**
+ * Normalize a pack's `dependencies` into [{ id, range }].
+ * Accepted forms: "id", "id@<range>", { "id": "...", "version": "<range>" }, or an { id: range } map.
+ */
+function normalizeDependencies(packInfo) {
+  const raw = packInfo.dependencies || [];
+  const entries = Array.isArray(raw) ? raw : Object.entries(raw).map(([id, version]) => ({ id, version }));
+  return entries.map(entry => {
+    if (typeof entry === 'string') {
+      const at = entry.indexOf('@');
+      return at === -1
+        ? { id: entry.trim(), range: '*' }
+        : { id: entry.slice(0, at).trim(), range: entry.slice(at + 1).trim() || '*' };
+    }
+    if (entry && typeof entry === 'object' && typeof entry.id === 'string') {
+      return { id: entry.id.trim(), range: String(entry.version || '*').trim() };
+    }
+    throw new Error(`invalid dependency entry ${JSON.stringify(entry)}`);
+  });
+}
+
+/**
+ * Resolve packs and their dependencies transitively.
+ * Returns { nodes, order, errors }: `order` lists dependencies before their dependents;
+ * each node is { id, version, dependencies: [{ id, range, version, ok }] }.
+ */
+function resolvePackSet(repoRoot, rootIds) {
+  const nodes = new Map();
+  const order = [];
+  const errors = [];
+  const stack = [];
+
+  const visit = (id, from) => {
+    if (stack.includes(id)) {
+      errors.push(`dependency cycle: ${[...stack.slice(stack.indexOf(id)), id].join(' -> ')}`);
+      return;
+    }
+    if (nodes.has(id)) return;
+
+    const info = getPackInfo(repoRoot, id);
+    if (!info) {
+      errors.push(from ? `${from} depends on missing pack "${id}"` : `pack "${id}" not found`);
+      return;
+    }
+
+    const node = { id, version: info.version || '0.0.0', dependencies: [] };
+    nodes.set(id, node);
+    stack.push(id);
+
+    let deps = [];
+    try {
+      deps = normalizeDependencies(info);
+    } catch (e) {
+      errors.push(`${id}: ${e.message}`);
+    }
+
+    for (const dep of deps) {
+      visit(dep.id, id);
+      const target = nodes.get(dep.id);
+      const edge = { id: dep.id, range: dep.range, version: target ? target.version : null, ok: false };
+      if (target) {
+        if (!parseRange(dep.range)) {
+          errors.push(`${id}: invalid version range "${dep.range}" for dependency ${dep.id}`);
+        } else if (!parseVersion(target.version)) {
+          errors.push(`${dep.id}: invalid version "${target.version}" (expected semver x.y.z)`);
+        } else if (!satisfies(target.version, dep.range)) {
+          errors.push(`${id} requires ${dep.id}@${dep.range}, but ${dep.id} is ${target.version}`);
+        } else {
+          edge.ok = true;
+        }
+      }
+      node.dependencies.push(edge);
+    }
+
+    stack.pop();
+    order.push(id);
+  };
+
+  for (const id of rootIds) visit(id, null);
+  return { nodes, order, errors };
+}
+
+function formatResolveErrors(errors) {
+  return errors.map(e => `  - ${e}`).join('\n');
+}
+
+// Enabled packs (other than packId) that need packId directly or transitively.
+function findDependents(repoRoot, enabledPacks, packId) {
+  return enabledPacks.filter(id => id !== packId && resolvePackSet(repoRoot, [id]).order.includes(packId));
+}
+
+// ============================================================================
+// Pack Installation
+// ============================================================================
+
+// Pack source layout (directory or .tar.gz, optionally wrapped in one top-level directory):
+//   pack.json            Pack manifest (same schema as .ai/skills/_meta/packs/*.json)
+//   skills/<prefix>/...  Files copied to .ai/skills/<prefix>/...
+const PACK_MANIFEST_FILE = 'pack.json';
+const PACK_SKILLS_DIR = 'skills';
+const IGNORED_SOURCE_NAMES = new Set(['.git', '.DS_Store', 'Thumbs.db', 'node_modules', '__pycache__']);
+
+function getSkillsRoot(repoRoot) {
+  return path.join(repoRoot, '.ai', 'skills');
+}
+
+function getLockPath(repoRoot) {
+  return path.join(getSkillsMetaDir(repoRoot), 'packs.lock.json');
+}
+
+function loadLock(repoRoot) {
+  const data = readJson(getLockPath(repoRoot));
+  if (!data || typeof data.packs !== 'object' || data.packs === null) {
+    return { version: 1, packs: {} };
+  }
+  return data;
+}
+
+function saveLock(repoRoot, lock) {
+  const packs = {};
+  for (const id of Object.keys(lock.packs).sort()) packs[id] = lock.packs[id];
+  writeJson(getLockPath(repoRoot), { version: 1, packs });
+}
+
+function sha256(content) {
+  return `sha256:${createHash('sha256').update(content).digest('hex')}`;
+}
+
+// Hash of a whole pack: stable over the sorted (path, file hash) pairs.
+function contentHash(fileHashes) {
+  const lines = Object.keys(fileHashes).sort().map(rel => `${rel}\0${fileHashes[rel]}\n`);
+  return sha256(lines.join(''));
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+function displayPath(repoRoot, absPath) {
+  const rel = path.relative(repoRoot, absPath);
+  return rel && !rel.startsWith('..') && !path.isAbsolute(rel) ? toPosix(rel) : absPath;
+}
+
+// Lockfile provenance is committed, so it must not carry machine-specific paths: repo-relative
+// for sources inside the repo, otherwise the file/directory name (contentHash pins the content).
+function lockSource(repoRoot, absPath) {
+  const shown = displayPath(repoRoot, absPath);
+  return shown === absPath ? path.basename(absPath) : shown;
+}
+
+function listFilesRecursive(rootDir) {
+  const files = [];
+  const stack = [rootDir];
+  while (stack.length > 0) {
+    const dir = stack.pop();
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (IGNORED_SOURCE_NAMES.has(entry.name)) continue;
+      const abs = path.join(dir, entry.name);
+      if (entry.isSymbolicLink()) {
+        throw new Error(`symbolic links are not allowed in packs: ${toPosix(path.relative(rootDir, abs))}`);
+      }
+      if (entry.isDirectory()) stack.push(abs);
+      else if (entry.isFile()) files.push(toPosix(path.relative(rootDir, abs)));
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Open a pack source (directory or .tar.gz / .tgz archive).
+ * Returns { root, sourceType, source, display } where root should contain pack.json;
+ * `source` is recorded in the lockfile, `display` is for messages.
+ */
+function openPackSource(repoRoot, from) {
+  if (!from || from === true) die('[error] --from <dir|tar.gz> is required');
+  const abs = path.resolve(String(from));
+  if (!fs.existsSync(abs)) die(`[error] Pack source not found: ${from}`);
+
+  let dir = abs;
+  let sourceType = 'dir';
+  if (!fs.statSync(abs).isDirectory()) {
+    if (!/\.(tar\.gz|tgz)$/i.test(abs)) die(`[error] Unsupported pack source (expected a directory or .tar.gz): ${from}`);
+    sourceType = 'archive';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skill-pack-'));
+    const cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+    // die() exits the process directly, so remove the extraction directory on exit.
+    process.once('exit', cleanup);
+    const res = spawnSync('tar', ['-xzf', abs, '-C', dir], { encoding: 'utf8' });
+    if (res.error || res.status !== 0) {
+      die(`[error] Failed to extract ${from}: ${res.error ? res.error.message : (res.stderr || '').trim()}`);
+    }
+  }
+
+  // Accept archives that wrap everything in a single top-level directory.
+  let root = dir;
+  if (!fs.existsSync(path.join(root, PACK_MANIFEST_FILE))) {
+    const entries = fs.readdirSync(root, { withFileTypes: true }).filter(e => !IGNORED_SOURCE_NAMES.has(e.name));
+    if (entries.length === 1 && entries[0].isDirectory() && fs.existsSync(path.join(root, entries[0].name, PACK_MANIFEST_FILE))) {
+      root = path.join(root, entries[0].name);
+    }
+  }
+  return { root, sourceType, source: lockSource(repoRoot, abs), display: displayPath(repoRoot, abs) };
+}
+
+/**
+ * Validate a pack source and load its files.
+ * Returns { manifest, files: Map(rel -> Buffer), hashes: { rel: sha256 } } or throws with a list of problems.
+ */
+function loadPackSource(root) {
+  const problems = [];
+  const manifest = readJson(path.join(root, PACK_MANIFEST_FILE));
+  if (!manifest) throw new Error(`missing or invalid ${PACK_MANIFEST_FILE}`);
+
+  if (typeof manifest.id !== 'string' || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(manifest.id)) {
+    problems.push('id must be a kebab-case string');
+  }
+  if (!parseVersion(manifest.version)) problems.push(`version must be semver x.y.z (got ${JSON.stringify(manifest.version)})`);
+  if (manifest.description !== undefined && typeof manifest.description !== 'string') problems.push('description must be a string');
+  const prefixes = manifest.includePrefixes;
+  if (!Array.isArray(prefixes) || prefixes.length === 0 || prefixes.some(p => typeof p !== 'string' || !p.trim())) {
+    problems.push('includePrefixes must be a non-empty array of strings');
+  }
+  try {
+    for (const dep of normalizeDependencies(manifest)) {
+      if (!parseRange(dep.range)) problems.push(`dependency ${dep.id}: invalid version range "${dep.range}"`);
+    }
+  } catch (e) {
+    problems.push(e.message);
+  }
+
+  const skillsDir = path.join(root, PACK_SKILLS_DIR);
+  const files = new Map();
+  const hashes = {};
+  if (!fs.existsSync(skillsDir) || !fs.statSync(skillsDir).isDirectory()) {
+    problems.push(`missing ${PACK_SKILLS_DIR}/ directory`);
+  } else {
+    for (const rel of listFilesRecursive(skillsDir)) {
+      if (rel.split('/').some(part => part === '..') || rel.startsWith('_meta/')) {
+        problems.push(`${PACK_SKILLS_DIR}/${rel}: path not allowed`);
+        continue;
+      }
+      const content = fs.readFileSync(path.join(skillsDir, rel));
+      files.set(rel, content);
+      hashes[rel] = sha256(content);
+    }
+  }
+
+  if (Array.isArray(prefixes) && problems.length === 0) {
+    const normalized = prefixes.map(p => p.replace(/^\/+/, ''));
+    const under = (rel, prefix) => rel === prefix || rel.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`);
+    const covered = (rel) => normalized.some(prefix => under(rel, prefix));
+    for (const rel of files.keys()) {
+      if (!covered(rel)) problems.push(`${PACK_SKILLS_DIR}/${rel}: not under any includePrefixes entry`);
+    }
+    for (const prefix of normalized) {
+      if (![...files.keys()].some(rel => under(rel, prefix) && path.posix.basename(rel) === 'SKILL.md')) {
+        problems.push(`includePrefixes "${prefix}" contains no SKILL.md`);
+      }
+    }
+    for (const [rel, content] of files) {
+      if (path.posix.basename(rel) !== 'SKILL.md') continue;
+      const frontmatter = content.toString('utf8').match(/^---\r?\n([\s\S]*?)\r?\n---/);
+      if (!frontmatter || !/^name:\s*\S/m.test(frontmatter[1]) || !/^description:\s*\S/m.test(frontmatter[1])) {
+        problems.push(`${PACK_SKILLS_DIR}/${rel}: frontmatter must declare name and description`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    const err = new Error(`invalid pack:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    err.problems = problems;
+    throw err;
+  }
+  return { manifest, files, hashes };
+}
+
+function readLocalHash(repoRoot, rel) {
+  const abs = path.join(getSkillsRoot(repoRoot), rel);
+  return fs.existsSync(abs) ? sha256(fs.readFileSync(abs)) : null;
+}
+
+function removeEmptyParents(filePath, stopAt) {
+  let dir = path.dirname(filePath);
+  const stop = path.resolve(stopAt);
+  while (dir !== stop && dir.startsWith(stop)) {
+    if (fs.readdirSync(dir).length > 0) break;
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+// Minimal line diff (LCS) with `context` lines around each change; hunks are separated by "@@".
+function lineDiff(oldText, newText, context = 2) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+  if (a.length * b.length > 4_000_000) return [`@@ (diff too large: ${a.length} -> ${b.length} lines)`];
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { ops.push([' ', a[i]]); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push(['-', a[i++]]);
+    else ops.push(['+', b[j++]]);
+  }
+  while (i < a.length) ops.push(['-', a[i++]]);
+  while (j < b.length) ops.push(['+', b[j++]]);
+
+  const keep = ops.map(() => false);
+  ops.forEach(([type], k) => {
+    if (type === ' ') return;
+    for (let d = -context; d <= context; d++) if (ops[k + d]) keep[k + d] = true;
+  });
+  const out = [];
+  let skipped = false;
+  ops.forEach(([type, line], k) => {
+    if (keep[k]) {
+      if (skipped && out.length > 0) out.push('@@');
+      out.push(`${type}${line}`);
+      skipped = false;
+    } else {
+      skipped = true;
+    }
+  });
+  return out;
+}
+
+function printFileDiff(rel, oldContent, newContent) {
+  console.log(`    --- a/${rel}`);
+  console.log(`    +++ b/${rel}`);
+  for (const line of lineDiff(oldContent.toString('utf8'), newContent.toString('utf8'))) {
+    console.log(`    ${line}`);
+  }
+}
+
+// Enabled/available packs whose dependency range on packId rejects `version`.
+function findRangeConflicts(repoRoot, packId, version) {
+  const conflicts = [];
+  for (const pack of listAvailablePacks(repoRoot)) {
+    if (pack.id === packId) continue;
+    let deps = [];
+    try {
+      deps = normalizeDependencies(pack);
+    } catch {
+      continue;
+    }
+    for (const dep of deps) {
+      if (dep.id === packId && !satisfies(version, dep.range)) conflicts.push(`${pack.id} requires ${packId}@${dep.range}`);
+    }
+  }
+  return conflicts;
+}
+
+function printPlan(plan) {
+  const labels = { add: 'A', update: 'M', delete: 'D', keep: '=', conflict: 'C' };
+  for (const item of plan) {
+    console.log(`  [${labels[item.action]}] ${item.rel}${item.note ? ` (${item.note})` : ''}`);
+    if (item.diff) printFileDiff(item.rel, item.diff.old, item.diff.new);
+  }
+}
+
 // ============================================================================
 // Sync Helper
 // ============================================================================
@@ -312,22 +847,31 @@ async function cmdEnablePack(repoRoot, packId, providers, noSync, syncMode, yes)
     die(`[error] Pack "${packId}" not found. Run: node .ai/skills/_meta/ctl-skill-packs.mjs list-packs`);
   }
 
+  const { order, errors } = resolvePackSet(repoRoot, [packId]);
+  if (errors.length > 0) {
+    die(`[error] Cannot enable "${packId}":\n${formatResolveErrors(errors)}`);
+  }
+
   const manifest = loadManifest(repoRoot);
   const state = loadState(repoRoot);
 
-  // Add prefixes from pack to manifest
-  const newPrefixes = packInfo.includePrefixes || [];
-  manifest.includePrefixes = uniq([...manifest.includePrefixes, ...newPrefixes]);
+  // Add prefixes from the pack and its dependencies to the manifest
+  const packPrefixes = uniq(order.flatMap(id => getPackInfo(repoRoot, id).includePrefixes || []));
+  const newPrefixes = packPrefixes.filter(p => !manifest.includePrefixes.includes(p));
+  manifest.includePrefixes = uniq([...manifest.includePrefixes, ...packPrefixes]);
 
-  // Add pack to enabled list
-  if (!state.enabledPacks.includes(packId)) {
-    state.enabledPacks.push(packId);
-  }
+  // Add the pack and any missing dependencies to the enabled list (dependencies first)
+  const newlyEnabled = order.filter(id => !state.enabledPacks.includes(id));
+  state.enabledPacks.push(...newlyEnabled);
 
   saveManifest(repoRoot, manifest);
   saveState(repoRoot, state);
 
   console.log(`[ok] Enabled pack: ${packId}`);
+  const dependencies = newlyEnabled.filter(id => id !== packId);
+  if (dependencies.length > 0) {
+    console.log(`     Enabled dependencies: ${dependencies.join(', ')}`);
+  }
   console.log(`     Added prefixes: ${newPrefixes.join(', ') || '(none)'}`);
 
   // Run sync unless --no-sync
@@ -343,7 +887,7 @@ async function cmdEnablePack(repoRoot, packId, providers, noSync, syncMode, yes)
   }
 }
 
-async function cmdDisablePack(repoRoot, packId, providers, noSync, syncMode, yes) {
+async function cmdDisablePack(repoRoot, packId, providers, noSync, syncMode, yes, cascade) {
   if (!packId) die('[error] Pack name is required');
 
   const packInfo = getPackInfo(repoRoot, packId);
@@ -354,13 +898,19 @@ async function cmdDisablePack(repoRoot, packId, providers, noSync, syncMode, yes
   const manifest = loadManifest(repoRoot);
   const state = loadState(repoRoot);
 
-  // Remove prefixes that are only from this pack
-  const packPrefixes = packInfo.includePrefixes || [];
-  
-  // Get prefixes from all other enabled packs
+  const dependents = findDependents(repoRoot, state.enabledPacks, packId);
+  if (dependents.length > 0 && !cascade) {
+    die(
+      `[error] Cannot disable "${packId}": required by enabled pack(s): ${dependents.join(', ')}\n` +
+      '        Disable those first, or re-run with --cascade to disable them too.'
+    );
+  }
+  const toDisable = [packId, ...dependents];
+
+  // Get prefixes from all packs that stay enabled
   const otherPrefixes = new Set();
   for (const otherPackId of state.enabledPacks) {
-    if (otherPackId === packId) continue;
+    if (toDisable.includes(otherPackId)) continue;
     const otherPack = getPackInfo(repoRoot, otherPackId);
     if (otherPack && otherPack.includePrefixes) {
       for (const prefix of otherPack.includePrefixes) {
@@ -370,16 +920,20 @@ async function cmdDisablePack(repoRoot, packId, providers, noSync, syncMode, yes
   }
 
   // Only remove prefixes that aren't used by other packs
+  const packPrefixes = uniq(toDisable.flatMap(id => getPackInfo(repoRoot, id)?.includePrefixes || []));
   const prefixesToRemove = packPrefixes.filter(p => !otherPrefixes.has(p));
   manifest.includePrefixes = manifest.includePrefixes.filter(p => !prefixesToRemove.includes(p));
 
-  // Remove pack from enabled list
-  state.enabledPacks = state.enabledPacks.filter(p => p !== packId);
+  // Remove the pack (and cascaded dependents) from the enabled list
+  state.enabledPacks = state.enabledPacks.filter(p => !toDisable.includes(p));
 
   saveManifest(repoRoot, manifest);
   saveState(repoRoot, state);
 
   console.log(`[ok] Disabled pack: ${packId}`);
+  if (dependents.length > 0) {
+    console.log(`     Disabled dependents: ${dependents.join(', ')}`);
+  }
   console.log(`     Removed prefixes: ${prefixesToRemove.join(', ') || '(none)'}`);
 
   // Run sync unless --no-sync
@@ -398,12 +952,16 @@ async function cmdDisablePack(repoRoot, packId, providers, noSync, syncMode, yes
 function cmdListPacks(repoRoot, format) {
   const packs = listAvailablePacks(repoRoot);
   const state = loadState(repoRoot);
+  const lock = loadLock(repoRoot);
 
   if (format === 'json') {
     console.log(JSON.stringify({
       packs: packs.map(p => ({
         ...p,
-        enabled: state.enabledPacks.includes(p.id)
+        enabled: state.enabledPacks.includes(p.id),
+        installed: lock.packs[p.id]
+          ? { source: lock.packs[p.id].source, version: lock.packs[p.id].version, contentHash: lock.packs[p.id].contentHash }
+          : null
       }))
     }, null, 2));
     return;
@@ -419,14 +977,334 @@ function cmdListPacks(repoRoot, format) {
     const enabled = state.enabledPacks.includes(pack.id) ? ' [enabled]' : '';
     console.log(`  ${pack.id}${enabled}`);
     console.log(`    Version: ${pack.version}`);
+    if (lock.packs[pack.id]) {
+      console.log(`    Installed from: ${lock.packs[pack.id].source}`);
+    }
     if (pack.description) {
       console.log(`    Description: ${pack.description}`);
     }
     console.log(`    Prefixes: ${pack.includePrefixes.join(', ') || '(none)'}`);
+    if (pack.dependencies.length > 0) {
+      const deps = normalizeDependencies(pack).map(d => (d.range === '*' ? d.id : `${d.id}@${d.range}`));
+      console.log(`    Dependencies: ${deps.join(', ')}`);
+    }
     console.log('');
   }
 }
 
+function cmdGraph(repoRoot, packId, format) {
+  const state = loadState(repoRoot);
+  const roots = packId ? [packId] : state.enabledPacks;
+  const { nodes, order, errors } = resolvePackSet(repoRoot, roots);
+  const notEnabled = order.filter(id => !state.enabledPacks.includes(id));
+
+  if (format === 'json') {
+    console.log(JSON.stringify({
+      roots,
+      order,
+      packs: order.map(id => ({ ...nodes.get(id), enabled: state.enabledPacks.includes(id) })),
+      notEnabled,
+      errors
+    }, null, 2));
+    if (errors.length > 0) process.exit(1);
+    return;
+  }
+
+  if (roots.length === 0) {
+    console.log('No enabled packs. Pass a pack id to resolve it: graph <pack-name>');
+    return;
+  }
+
+  console.log(`Resolved pack set (${order.length} pack(s), from: ${roots.join(', ')}):\n`);
+  for (const id of order) {
+    const node = nodes.get(id);
+    const enabled = state.enabledPacks.includes(id) ? ' [enabled]' : '';
+    console.log(`  ${id}@${node.version}${enabled}`);
+    for (const dep of node.dependencies) {
+      const found = dep.version === null ? 'missing' : dep.version;
+      console.log(`    -> ${dep.id} ${dep.range} (${found}) ${dep.ok ? '[ok]' : '[unsatisfied]'}`);
+    }
+  }
+  console.log('');
+  console.log(`Enable order: ${order.join(', ') || '(none)'}`);
+
+  if (notEnabled.length > 0) {
+    console.log(`[warn] Resolved but not enabled: ${notEnabled.join(', ')}`);
+  }
+  if (errors.length > 0) {
+    die(`[error] Resolution failed:\n${formatResolveErrors(errors)}`);
+  }
+}
+
+function warnUnsatisfiedDependencies(repoRoot, manifest) {
+  for (const dep of normalizeDependencies(manifest)) {
+    const info = getPackInfo(repoRoot, dep.id);
+    if (!info) {
+      console.warn(`[warn] Dependency "${dep.id}" is not available; enable-pack ${manifest.id} will fail until it is installed.`);
+    } else if (!satisfies(info.version || '0.0.0', dep.range)) {
+      console.warn(`[warn] ${manifest.id} requires ${dep.id}@${dep.range}, but ${dep.id} is ${info.version}.`);
+    }
+  }
+}
+
+function writePackFiles(repoRoot, plan, files) {
+  const skillsRoot = getSkillsRoot(repoRoot);
+  for (const item of plan) {
+    const abs = path.join(skillsRoot, item.rel);
+    if (item.action === 'add' || item.action === 'update') {
+      fs.mkdirSync(path.dirname(abs), { recursive: true });
+      fs.writeFileSync(abs, files.get(item.rel));
+    } else if (item.action === 'delete') {
+      fs.rmSync(abs, { force: true });
+      removeEmptyParents(abs, skillsRoot);
+    }
+  }
+}
+
+function lockEntry(manifest, src, hashes, previous, plan) {
+  // Adopted files (identical copies that were already present) stay owned by the repo: they are
+  // left out of `files`, so uninstall never deletes them. contentHash still covers the whole pack.
+  const adopted = new Set(plan.filter(item => item.adopted).map(item => item.rel));
+  const now = new Date().toISOString();
+  const files = {};
+  for (const rel of Object.keys(hashes).sort()) {
+    if (!adopted.has(rel)) files[rel] = hashes[rel];
+  }
+  return {
+    version: manifest.version,
+    source: src.source,
+    sourceType: src.sourceType,
+    contentHash: contentHash(hashes),
+    installedAt: previous ? previous.installedAt : now,
+    updatedAt: now,
+    files
+  };
+}
+
+function loadSourceOrDie(src) {
+  try {
+    return loadPackSource(src.root);
+  } catch (e) {
+    die(`[error] ${src.display}: ${e.message}`);
+  }
+}
+
+function cmdInstallPack(repoRoot, from, force) {
+  const src = openPackSource(repoRoot, from);
+  const { manifest, files, hashes } = loadSourceOrDie(src);
+  const id = manifest.id;
+
+  const lock = loadLock(repoRoot);
+  if (lock.packs[id]) {
+    die(`[error] Pack "${id}" is already installed (${lock.packs[id].version}). Use: upgrade-pack ${id} --from ${from}`);
+  }
+  if (getPackInfo(repoRoot, id)) {
+    die(`[error] A local pack "${id}" already exists in .ai/skills/_meta/packs/ (not installed from a source).`);
+  }
+
+  // Never overwrite an existing file with different content unless --force.
+  const plan = [];
+  for (const rel of files.keys()) {
+    const local = readLocalHash(repoRoot, rel);
+    if (local === null) {
+      plan.push({ rel, action: 'add' });
+    } else if (local === hashes[rel]) {
+      plan.push({ rel, action: 'keep', adopted: true, note: 'identical file already present; not owned by the pack' });
+    } else {
+      plan.push({ rel, action: force ? 'update' : 'conflict', note: force ? 'local file overwritten (--force)' : 'local file differs' });
+    }
+  }
+
+  console.log(`Installing ${id}@${manifest.version} from ${src.display}:`);
+  printPlan(plan);
+  const conflicts = plan.filter(item => item.action === 'conflict');
+  if (conflicts.length > 0) {
+    die(
+      `[error] ${conflicts.length} file(s) already exist under .ai/skills/ with different content; refusing to overwrite local edits.\n` +
+      '        Move them aside, or re-run with --force to overwrite.'
+    );
+  }
+
+  writePackFiles(repoRoot, plan, files);
+  writeJson(path.join(getPacksDir(repoRoot), `${id}.json`), manifest);
+  lock.packs[id] = lockEntry(manifest, src, hashes, null, plan);
+  saveLock(repoRoot, lock);
+
+  console.log(`[ok] Installed pack: ${id}@${manifest.version} (${files.size} file(s))`);
+  warnUnsatisfiedDependencies(repoRoot, manifest);
+  console.log(`     Enable it with: node .ai/skills/_meta/ctl-skill-packs.mjs enable-pack ${id}`);
+}
+
+function cmdUninstallPack(repoRoot, packId, force, yes) {
+  if (!packId) die('[error] Pack name is required');
+
+  const lock = loadLock(repoRoot);
+  const entry = lock.packs[packId];
+  if (!entry) {
+    die(`[error] Pack "${packId}" was not installed with install-pack (no entry in .ai/skills/_meta/packs.lock.json).`);
+  }
+  const state = loadState(repoRoot);
+  if (state.enabledPacks.includes(packId)) {
+    die(`[error] Pack "${packId}" is enabled. Disable it first: node .ai/skills/_meta/ctl-skill-packs.mjs disable-pack ${packId}`);
+  }
+
+  const plan = [];
+  for (const rel of Object.keys(entry.files).sort()) {
+    const local = readLocalHash(repoRoot, rel);
+    if (local === null) continue;
+    if (local === entry.files[rel]) {
+      plan.push({ rel, action: 'delete' });
+    } else {
+      plan.push({ rel, action: force ? 'delete' : 'conflict', note: force ? 'modified locally; deleted (--force)' : 'modified locally; kept' });
+    }
+  }
+
+  console.log(`Uninstalling ${packId}@${entry.version} (installed from ${entry.source}):`);
+  printPlan(plan);
+  const dependents = listAvailablePacks(repoRoot)
+    .filter(p => p.id !== packId && normalizeDependencies(p).some(d => d.id === packId))
+    .map(p => p.id);
+  if (dependents.length > 0) {
+    console.warn(`[warn] Pack(s) depending on ${packId} will no longer resolve: ${dependents.join(', ')}`);
+  }
+
+  if (!yes) {
+    console.log('');
+    console.log('Dry run: nothing changed. Re-run with --yes to uninstall.');
+    return;
+  }
+
+  writePackFiles(repoRoot, plan, new Map());
+  fs.rmSync(path.join(getPacksDir(repoRoot), `${packId}.json`), { force: true });
+  delete lock.packs[packId];
+  saveLock(repoRoot, lock);
+
+  console.log(`[ok] Uninstalled pack: ${packId}`);
+  const kept = plan.filter(item => item.action === 'conflict');
+  if (kept.length > 0) {
+    console.warn(`[warn] Kept ${kept.length} locally modified file(s) under .ai/skills/`);
+  }
+}
+
+/**
+ * Plan an upgrade file by file, comparing the installed (lock), local and new upstream hashes.
+ * Local edits are kept as conflicts unless `force` is set.
+ */
+function planUpgrade(repoRoot, entry, files, hashes, force) {
+  const skillsRoot = getSkillsRoot(repoRoot);
+  const readLocal = (rel) => fs.readFileSync(path.join(skillsRoot, rel));
+  const plan = [];
+  const rels = uniq([...Object.keys(entry.files), ...files.keys()]).sort();
+
+  for (const rel of rels) {
+    const oldHash = entry.files[rel] || null;
+    const newHash = hashes[rel] || null;
+    const local = readLocalHash(repoRoot, rel);
+    const editedLocally = local !== null && oldHash !== null && local !== oldHash;
+
+    if (!oldHash) {
+      if (local === null) plan.push({ rel, action: 'add' });
+      else if (local === newHash) plan.push({ rel, action: 'keep', adopted: true, note: 'identical file already present; not owned by the pack' });
+      else plan.push({ rel, action: force ? 'update' : 'conflict', note: 'untracked local file differs', diff: { old: readLocal(rel), new: files.get(rel) } });
+    } else if (!newHash) {
+      if (local === null) continue;
+      if (!editedLocally) plan.push({ rel, action: 'delete', note: 'removed upstream' });
+      else plan.push({ rel, action: force ? 'delete' : 'conflict', note: 'removed upstream but modified locally' });
+    } else if (newHash === oldHash) {
+      if (editedLocally) plan.push({ rel, action: 'keep', note: 'unchanged upstream; local edits kept' });
+    } else if (local === null) {
+      plan.push({ rel, action: 'add', note: 'missing locally' });
+    } else if (local === newHash) {
+      plan.push({ rel, action: 'keep', note: 'already matches upstream' });
+    } else if (!editedLocally) {
+      plan.push({ rel, action: 'update', diff: { old: readLocal(rel), new: files.get(rel) } });
+    } else {
+      plan.push({
+        rel,
+        action: force ? 'update' : 'conflict',
+        note: force ? 'modified locally and upstream; overwritten (--force)' : 'modified locally and upstream; kept',
+        diff: { old: readLocal(rel), new: files.get(rel) }
+      });
+    }
+  }
+  return plan;
+}
+
+async function cmdUpgradePack(repoRoot, packId, from, force, yes, providers, noSync, syncMode) {
+  const src = openPackSource(repoRoot, from);
+  const { manifest, files, hashes } = loadSourceOrDie(src);
+  const id = manifest.id;
+  if (packId && packId !== id) die(`[error] ${src.display} contains pack "${id}", not "${packId}"`);
+
+  const lock = loadLock(repoRoot);
+  const entry = lock.packs[id];
+  if (!entry) die(`[error] Pack "${id}" is not installed. Use: install-pack --from ${from}`);
+
+  const installed = parseVersion(entry.version);
+  const incoming = parseVersion(manifest.version);
+  if (installed && compareVersions(incoming, installed) < 0 && !force) {
+    die(`[error] ${id}@${manifest.version} is older than the installed ${entry.version}; re-run with --force to downgrade.`);
+  }
+  if (contentHash(hashes) === entry.contentHash && manifest.version === entry.version) {
+    console.log(`[ok] ${id}@${entry.version} is already up to date.`);
+    return;
+  }
+
+  const rangeConflicts = findRangeConflicts(repoRoot, id, manifest.version);
+  if (rangeConflicts.length > 0 && !force) {
+    die(`[error] ${id}@${manifest.version} breaks dependent pack(s):\n${formatResolveErrors(rangeConflicts)}\n        Re-run with --force to upgrade anyway.`);
+  }
+
+  const plan = planUpgrade(repoRoot, entry, files, hashes, force);
+  console.log(`Upgrading ${id}: ${entry.version} -> ${manifest.version} (from ${src.display}):`);
+  if (plan.length === 0) console.log('  (no file changes)');
+  printPlan(plan);
+  const conflicts = plan.filter(item => item.action === 'conflict');
+
+  if (!yes) {
+    console.log('');
+    if (conflicts.length > 0) console.log(`${conflicts.length} conflict(s) keep their local content; --force overwrites them.`);
+    console.log('Dry run: nothing changed. Re-run with --yes to apply.');
+    return;
+  }
+
+  const oldPrefixes = getPackInfo(repoRoot, id)?.includePrefixes || [];
+  writePackFiles(repoRoot, plan, files);
+  writeJson(path.join(getPacksDir(repoRoot), `${id}.json`), manifest);
+  lock.packs[id] = lockEntry(manifest, src, hashes, entry, plan);
+  saveLock(repoRoot, lock);
+
+  console.log(`[ok] Upgraded pack: ${id}@${manifest.version}`);
+  if (conflicts.length > 0) {
+    console.warn(`[warn] Kept ${conflicts.length} locally modified file(s); review them against the new version.`);
+  }
+  warnUnsatisfiedDependencies(repoRoot, manifest);
+
+  const state = loadState(repoRoot);
+  if (!state.enabledPacks.includes(id)) return;
+
+  // Keep the effective selection in step with the pack's (possibly changed) prefixes.
+  const manifestSel = loadManifest(repoRoot);
+  const otherPrefixes = new Set(state.enabledPacks
+    .filter(other => other !== id)
+    .flatMap(other => getPackInfo(repoRoot, other)?.includePrefixes || []));
+  const newPrefixes = manifest.includePrefixes;
+  const dropped = oldPrefixes.filter(p => !newPrefixes.includes(p) && !otherPrefixes.has(p));
+  manifestSel.includePrefixes = uniq([...manifestSel.includePrefixes.filter(p => !dropped.includes(p)), ...newPrefixes]);
+  saveManifest(repoRoot, manifestSel);
+
+  if (!noSync) {
+    try {
+      await runSync(repoRoot, providers, syncMode, yes);
+      state.lastSync = new Date().toISOString();
+      saveState(repoRoot, state);
+    } catch (err) {
+      console.error(`[error] Sync failed: ${err.message}`);
+      process.exit(1);
+    }
+  }
+}
+
 async function cmdSync(repoRoot, providers, syncMode, yes) {
   const state = loadState(repoRoot);
 
@@ -453,6 +1331,8 @@ async function main() {
   const noSync = !!opts['no-sync'];
   const syncMode = opts['sync-mode'] || 'update';
   const yes = !!opts['yes'];
+  const cascade = !!opts['cascade'];
+  const force = !!opts['force'];
 
   switch (command) {
     case 'help':
@@ -465,11 +1345,23 @@ async function main() {
       await cmdEnablePack(repoRoot, positionals[0], providers, noSync, syncMode, yes);
       break;
     case 'disable-pack':
-      await cmdDisablePack(repoRoot, positionals[0], providers, noSync, syncMode, yes);
+      await cmdDisablePack(repoRoot, positionals[0], providers, noSync, syncMode, yes, cascade);
       break;
     case 'list-packs':
       cmdListPacks(repoRoot, format);
       break;
+    case 'install-pack':
+      cmdInstallPack(repoRoot, opts['from'], force);
+      break;
+    case 'uninstall-pack':
+      cmdUninstallPack(repoRoot, positionals[0], force, yes);
+      break;
+    case 'upgrade-pack':
+      await cmdUpgradePack(repoRoot, positionals[0], opts['from'], force, yes, providers, noSync, syncMode);
+      break;
+    case 'graph':
+      cmdGraph(repoRoot, positionals[0], format);
+      break;
     case 'sync':
       await cmdSync(repoRoot, providers, syncMode, yes);
       break;
@@ -1193,6 +1193,427 @@ function renderApiDoc({ schemaMeta, table }) {
   ].filter(Boolean).join('\n');
 }
 
+const EXPORT_FORMATS = {
+  dbml: { ext: 'dbml' },
+  mermaid: { ext: 'mmd' },
+  'json-schema': { ext: 'schema.json' },
+  openapi: { ext: 'openapi.json' }
+};
+
+function resolveExportScope({ idx, graph, term, depth, maxTables }) {
+  if (!term) {
+    return { ok: true, label: 'schema', title: 'DB schema', tables: idx.tables, enums: idx.enums, truncated: false };
+  }
+
+  const cluster = buildConceptCluster({ idx, graph, term, depth, maxTables });
+  if (!cluster.ok) return { ok: false, candidates: cluster.candidates || [] };
+
+  const tables = cluster.tables.map((t) => t.table);
+  const used = new Set(tables.flatMap((t) => (t.columns || []).map((c) => String(c.type || ''))));
+  return {
+    ok: true,
+    label: term,
+    title: `DB schema: ${term} (concept cluster)`,
+    tables,
+    enums: idx.enums.filter((e) => used.has(String(e.name || ''))),
+    truncated: cluster.truncated
+  };
+}
+
+function foreignKeyColumns(table) {
+  const set = new Set();
+  for (const r of table.relations || []) {
+    for (const f of r.fields || []) set.add(f);
+  }
+  return set;
+}
+
+function primaryKeyColumns(table) {
+  const composite = (table.indexes || []).find((i) => i.type === 'primary');
+  if (composite) return new Set(composite.fields || []);
+  return new Set((table.columns || []).filter((c) => c.primaryKey).map((c) => c.name));
+}
+
+// Owning side of each relation (the side that holds the foreign key fields).
+function ownedRelations(scope) {
+  const names = new Set(scope.tables.map((t) => t.name));
+  const out = [];
+  for (const t of scope.tables) {
+    for (const r of t.relations || []) {
+      if (!Array.isArray(r.fields) || !r.fields.length || !names.has(r.to)) continue;
+      const cols = new Map((t.columns || []).map((c) => [c.name, c]));
+      const oneToOne = r.fields.length === 1 && cols.get(r.fields[0])?.unique === true;
+      out.push({ from: t.name, to: r.to, field: r.field, fields: r.fields, references: r.references || [], optional: r.optional === true, oneToOne });
+    }
+  }
+  return out;
+}
+
+function dbmlName(name) {
+  const s = String(name || '');
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(s) ? s : `"${s.replace(/"/g, '\\"')}"`;
+}
+
+function dbmlDefault(raw) {
+  const v = String(raw || '').trim();
+  if (!v || /^autoincrement\(\)$/i.test(v)) return '';
+  const generated = v.match(/^dbgenerated\(\s*"([\s\S]*)"\s*\)$/);
+  if (generated) return `\`${generated[1].replace(/\\"/g, '"')}\``;
+  if (/^"[\s\S]*"$/.test(v)) return `'${JSON.parse(v).replace(/'/g, "\\'")}'`;
+  if (/^(true|false|-?\d+(\.\d+)?)$/.test(v)) return v;
+  if (/\(.*\)$/.test(v)) return `\`${v}\``;
+  return `'${v}'`; // enum value
+}
+
+function renderDbmlExport({ schemaMeta, scope }) {
+  const lines = [
+    `// ${scope.title} (DBML)`,
+    `// Source: ${schemaMeta.sourcePath || schemaMeta.sourceKind || 'unknown'} (dialect: ${schemaMeta.dialect})`,
+    `// Generated at: ${toIsoNow()}`,
+    ''
+  ];
+
+  for (const e of scope.enums) {
+    lines.push(`Enum ${dbmlName(e.name)} {`);
+    for (const v of e.values || []) lines.push(`  ${dbmlName(v)}`);
+    lines.push('}', '');
+  }
+
+  for (const t of scope.tables) {
+    const pk = primaryKeyColumns(t);
+    const singlePk = pk.size === 1;
+    lines.push(`Table ${dbmlName(t.name)} {`);
+    for (const c of t.columns || []) {
+      const type = c.list ? `"${c.type}[]"` : dbmlName(c.type);
+      const settings = [];
+      if (singlePk && pk.has(c.name)) settings.push('pk');
+      if (/^autoincrement\(\)$/i.test(String(c.default || ''))) settings.push('increment');
+      if (c.unique && !(singlePk && pk.has(c.name))) settings.push('unique');
+      settings.push(c.nullable ? 'null' : 'not null');
+      const def = dbmlDefault(c.default);
+      if (def) settings.push(`default: ${def}`);
+      if (isSensitiveColumnName(c.name)) settings.push("note: 'sensitive'");
+      lines.push(`  ${dbmlName(c.name)} ${type} [${settings.join(', ')}]`);
+    }
+
+    const indexes = (t.indexes || []).filter((i) => !(i.type === 'primary' && singlePk));
+    if (indexes.length) {
+      lines.push('', '  Indexes {');
+      for (const i of indexes) {
+        const settings = [];
+        if (i.type === 'primary') settings.push('pk');
+        if (i.type === 'unique') settings.push('unique');
+        if (i.type === 'fulltext') settings.push("note: 'fulltext'");
+        if (i.map || i.name) settings.push(`name: '${i.map || i.name}'`);
+        const cols = `(${(i.fields || []).map(dbmlName).join(', ')})`;
+        lines.push(`    ${cols}${settings.length ? ` [${settings.join(', ')}]` : ''}`);
+      }
+      lines.push('  }');
+    }
+    lines.push('}', '');
+  }
+
+  for (const r of ownedRelations(scope)) {
+    const side = (table, cols) => (cols.length === 1 ? `${dbmlName(table)}.${dbmlName(cols[0])}` : `${dbmlName(table)}.(${cols.map(dbmlName).join(', ')})`);
+    lines.push(`Ref: ${side(r.from, r.fields)} ${r.oneToOne ? '-' : '>'} ${side(r.to, r.references)}`);
+  }
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+function renderMermaidErExport({ schemaMeta, scope }) {
+  const lines = [
+    `%% ${scope.title} (Mermaid ER)`,
+    `%% Source: ${schemaMeta.sourcePath || schemaMeta.sourceKind || 'unknown'} (dialect: ${schemaMeta.dialect})`,
+    `%% Generated at: ${toIsoNow()}`,
+    'erDiagram'
+  ];
+
+  for (const t of scope.tables) {
+    const pk = primaryKeyColumns(t);
+    const fks = foreignKeyColumns(t);
+    lines.push(`  ${mermaidId(t.name)} {`);
+    for (const c of t.columns || []) {
+      const keys = [];
+      if (pk.has(c.name)) keys.push('PK');
+      if (fks.has(c.name)) keys.push('FK');
+      if (c.unique && !pk.has(c.name)) keys.push('UK');
+      const type = mermaidId(c.type) + (c.list ? '[]' : '');
+      const comment = isSensitiveColumnName(c.name) ? ' "sensitive"' : '';
+      lines.push(`    ${type} ${mermaidId(c.name)}${keys.length ? ` ${keys.join(', ')}` : ''}${comment}`);
+    }
+    lines.push('  }');
+  }
+
+  for (const r of ownedRelations(scope)) {
+    const parent = r.optional ? '|o' : '||';
+    const child = r.oneToOne ? 'o|' : 'o{';
+    lines.push(`  ${mermaidId(r.to)} ${parent}--${child} ${mermaidId(r.from)} : "${r.field || r.fields.join(', ')}"`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function jsonSchemaForScalar(type) {
+  const t = String(type || '');
+  if (t === 'Int') return { type: 'integer' };
+  if (t === 'BigInt') return { type: 'integer', format: 'int64' };
+  if (t === 'Float') return { type: 'number' };
+  if (t === 'Decimal') return { type: 'string', format: 'decimal' };
+  if (t === 'DateTime') return { type: 'string', format: 'date-time' };
+  if (t === 'Bytes') return { type: 'string', contentEncoding: 'base64' };
+
+  const ts = tsTypeFromPrismaType(t);
+  if (ts === 'string' || ts === 'boolean') return { type: ts };
+  return {}; // Json / Unsupported: any JSON value
+}
+
+function jsonSchemaForColumn(col, { enumNames, refPrefix }) {
+  let schema = enumNames.has(String(col.type || ''))
+    ? { $ref: `${refPrefix}${col.type}` }
+    : jsonSchemaForScalar(col.type);
+  if (col.list) schema = { type: 'array', items: schema };
+  if (col.nullable) {
+    schema = typeof schema.type === 'string' && !schema.$ref
+      ? { ...schema, type: [schema.type, 'null'] }
+      : { anyOf: [schema, { type: 'null' }] };
+  }
+  return schema;
+}
+
+function jsonSchemaDefinitions(scope, { refPrefix, includeSensitive }) {
+  const enumNames = new Set(scope.enums.map((e) => String(e.name || '')));
+  const defs = {};
+  const omitted = [];
+
+  for (const e of scope.enums) {
+    defs[e.name] = { type: 'string', enum: [...(e.values || [])] };
+  }
+
+  for (const t of scope.tables) {
+    const properties = {};
+    const required = [];
+    for (const c of t.columns || []) {
+      if (c.ignored) continue;
+      const sensitive = isSensitiveColumnName(c.name);
+      if (sensitive && !includeSensitive) {
+        omitted.push(`${t.name}.${c.name}`);
+        continue;
+      }
+      const prop = jsonSchemaForColumn(c, { enumNames, refPrefix });
+      if (sensitive) Object.assign(prop, { writeOnly: true, 'x-sensitive': true });
+      properties[c.name] = prop;
+      if (!c.nullable) required.push(c.name);
+    }
+    defs[t.name] = {
+      type: 'object',
+      properties,
+      ...(required.length ? { required } : {}),
+      additionalProperties: false
+    };
+  }
+
+  return { defs, omitted };
+}
+
+function renderJsonSchemaExport({ schemaMeta, scope, includeSensitive }) {
+  const { defs, omitted } = jsonSchemaDefinitions(scope, { refPrefix: '#/$defs/', includeSensitive });
+  const doc = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: scope.title,
+    $comment: `Generated by ctl-db-doc export from ${schemaMeta.sourcePath || schemaMeta.sourceKind || 'unknown'} at ${toIsoNow()}`,
+    $defs: defs
+  };
+  return { content: JSON.stringify(doc, null, 2) + '\n', omitted };
+}
+
+function renderOpenApiExport({ schemaMeta, scope, includeSensitive }) {
+  const { defs, omitted } = jsonSchemaDefinitions(scope, { refPrefix: '#/components/schemas/', includeSensitive });
+  const doc = {
+    openapi: '3.1.0',
+    info: {
+      title: scope.title,
+      version: '0.0.0',
+      description: `Generated by ctl-db-doc export from ${schemaMeta.sourcePath || schemaMeta.sourceKind || 'unknown'} at ${toIsoNow()}`
+    },
+    paths: {},
+    components: { schemas: defs }
+  };
+  return { content: JSON.stringify(doc, null, 2) + '\n', omitted };
+}
+
+const CODEGEN_TARGETS = ['ts', 'zod'];
+
+// Defaults filled in by the database or the Prisma client; such columns are dropped from create/update inputs.
+function isAutoGeneratedColumn(col) {
+  const def = String(col?.default || '').trim();
+  if (/^(autoincrement|uuid|cuid|nanoid|ulid|sequence|now|dbgenerated)\(/i.test(def)) return true;
+  return compactKey(col?.name) === 'updatedat';
+}
+
+function codegenTypeName(name) {
+  const ident = splitTokens(name).map((t) => t.charAt(0).toUpperCase() + t.slice(1)).join('');
+  if (!ident) return 'Unnamed';
+  return /^[0-9]/.test(ident) ? `T${ident}` : ident;
+}
+
+function codegenPropName(name) {
+  const s = String(name || '');
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(s) ? s : JSON.stringify(s);
+}
+
+function codegenHeader(schemaMeta, target) {
+  return [
+    `// Code generated by ctl-db-doc codegen from ${schemaMeta.sourcePath || schemaMeta.sourceKind || 'the DB schema contract'}. DO NOT EDIT.`,
+    `// Regenerate: node .ai/skills/features/database/db-human-interface/scripts/ctl-db-doc.mjs codegen --target ${target} --out <dir>`,
+    ''
+  ].join('\n');
+}
+
+// Column sets for the read / create / update variants of a table.
+function codegenVariants(table, includeSensitive) {
+  const cols = (table.columns || []).filter((c) => c && c.name && !c.ignored);
+  const pk = primaryKeyColumns(table);
+  const read = cols.filter((c) => !isSensitiveColumnName(c.name));
+  const writable = cols.filter((c) => !isAutoGeneratedColumn(c) && (includeSensitive || !isSensitiveColumnName(c.name)));
+  return {
+    read,
+    create: writable,
+    update: writable.filter((c) => !pk.has(c.name)),
+    omittedSensitive: cols.filter((c) => isSensitiveColumnName(c.name)).map((c) => c.name)
+  };
+}
+
+function tsColumnType(col, enumTypes) {
+  const base = enumTypes.get(String(col.type || '')) || tsTypeFromPrismaType(col.type);
+  const t = col.list ? `${base}[]` : base;
+  return col.nullable ? `${t} | null` : t;
+}
+
+function renderTsEnumFile({ schemaMeta, e }) {
+  const typeName = codegenTypeName(e.name);
+  const values = (e.values || []).map((v) => `'${String(v).replace(/'/g, "\\'")}'`);
+  return [
+    codegenHeader(schemaMeta, 'ts'),
+    `export const ${typeName}Values = [${values.join(', ')}] as const;`,
+    '',
+    `export type ${typeName} = (typeof ${typeName}Values)[number];`,
+    ''
+  ].join('\n');
+}
+
+function renderTsTableFile({ schemaMeta, table, enumTypes, includeSensitive }) {
+  const typeName = codegenTypeName(table.name);
+  const variants = codegenVariants(table, includeSensitive);
+  const used = new Set([...variants.read, ...variants.create].map((c) => enumTypes.get(String(c.type || ''))).filter(Boolean));
+
+  const field = (c, optional) => `  ${codegenPropName(c.name)}${optional ? '?' : ''}: ${tsColumnType(c, enumTypes)};`;
+  const block = (decl, cols, optionalFn) => (cols.length
+    ? [`${decl} {`, ...cols.map((c) => field(c, optionalFn(c))), '}']
+    : [`${decl} {}`]);
+
+  const lines = [codegenHeader(schemaMeta, 'ts')];
+  for (const name of Array.from(used).sort()) lines.push(`import type { ${name} } from './${name}';`);
+  if (used.size) lines.push('');
+
+  lines.push(`/** Row of table \`${table.name}\`${variants.omittedSensitive.length ? ' (sensitive columns omitted)' : ''}. */`);
+  lines.push(...block(`export interface ${typeName}`, variants.read, () => false), '');
+  lines.push('/** Create input: auto-generated columns omitted; columns with defaults or NULL are optional. */');
+  lines.push(...block(`export interface ${typeName}CreateInput`, variants.create, (c) => c.nullable || Boolean(c.default)), '');
+  lines.push('/** Update input: every writable non-key column is optional. */');
+  lines.push(...block(`export interface ${typeName}UpdateInput`, variants.update, () => true), '');
+  return lines.join('\n');
+}
+
+function zodScalar(type) {
+  const map = {
+    String: 'z.string()',
+    Boolean: 'z.boolean()',
+    Int: 'z.number().int()',
+    BigInt: 'z.bigint()',
+    Float: 'z.number()',
+    Decimal: 'z.string()',
+    DateTime: 'z.string().datetime()',
+    Json: 'z.unknown()',
+    Bytes: 'z.string()'
+  };
+  return map[String(type || '')] || 'z.unknown()';
+}
+
+function zodColumnSchema(col, enumTypes, optional) {
+  const enumType = enumTypes.get(String(col.type || ''));
+  let s = enumType ? `${enumType}Schema` : zodScalar(col.type);
+  if (col.list) s = `z.array(${s})`;
+  if (col.nullable) s += '.nullable()';
+  if (optional) s += '.optional()';
+  return s;
+}
+
+function renderZodEnumFile({ schemaMeta, e }) {
+  const typeName = codegenTypeName(e.name);
+  const values = (e.values || []).map((v) => `'${String(v).replace(/'/g, "\\'")}'`);
+  return [
+    codegenHeader(schemaMeta, 'zod'),
+    "import { z } from 'zod';",
+    '',
+    `export const ${typeName}Schema = z.enum([${values.join(', ')}]);`,
+    '',
+    `export type ${typeName} = z.infer<typeof ${typeName}Schema>;`,
+    ''
+  ].join('\n');
+}
+
+function renderZodTableFile({ schemaMeta, table, enumTypes, includeSensitive }) {
+  const typeName = codegenTypeName(table.name);
+  const variants = codegenVariants(table, includeSensitive);
+  const used = new Set([...variants.read, ...variants.create].map((c) => enumTypes.get(String(c.type || ''))).filter(Boolean));
+
+  const object = (name, cols, optionalFn) => (cols.length
+    ? [`export const ${name}Schema = z.object({`, ...cols.map((c) => `  ${codegenPropName(c.name)}: ${zodColumnSchema(c, enumTypes, optionalFn(c))},`), '});']
+    : [`export const ${name}Schema = z.object({});`]);
+
+  const lines = [codegenHeader(schemaMeta, 'zod'), "import { z } from 'zod';"];
+  for (const name of Array.from(used).sort()) lines.push(`import { ${name}Schema } from './${name}';`);
+  lines.push('');
+
+  lines.push(`/** Row of table \`${table.name}\`${variants.omittedSensitive.length ? ' (sensitive columns omitted)' : ''}. */`);
+  lines.push(...object(typeName, variants.read, () => false));
+  lines.push(`export type ${typeName} = z.infer<typeof ${typeName}Schema>;`, '');
+  lines.push('/** Create input: auto-generated columns omitted; columns with defaults or NULL are optional. */');
+  lines.push(...object(`${typeName}CreateInput`, variants.create, (c) => c.nullable || Boolean(c.default)));
+  lines.push(`export type ${typeName}CreateInput = z.infer<typeof ${typeName}CreateInputSchema>;`, '');
+  lines.push('/** Update input: every writable non-key column is optional. */');
+  lines.push(...object(`${typeName}UpdateInput`, variants.update, () => true));
+  lines.push(`export type ${typeName}UpdateInput = z.infer<typeof ${typeName}UpdateInputSchema>;`, '');
+  return lines.join('\n');
+}
+
+function renderCodegenFiles({ schemaMeta, idx, target, includeSensitive }) {
+  const enums = idx.enums.filter((e) => e && e.name);
+  const tables = idx.tables.filter((t) => t && t.name && !t.ignored);
+  const enumTypes = new Map(enums.map((e) => [String(e.name), codegenTypeName(e.name)]));
+  const renderEnum = target === 'zod' ? renderZodEnumFile : renderTsEnumFile;
+  const renderTable = target === 'zod' ? renderZodTableFile : renderTsTableFile;
+
+  const files = new Map();
+  const omitted = [];
+  const add = (typeName, content) => {
+    if (files.has(`${typeName}.ts`)) throw new Error(`codegen: two schema objects map to ${typeName}.ts`);
+    files.set(`${typeName}.ts`, content);
+  };
+
+  for (const e of enums) add(codegenTypeName(e.name), renderEnum({ schemaMeta, e }));
+  for (const t of tables) {
+    add(codegenTypeName(t.name), renderTable({ schemaMeta, table: t, enumTypes, includeSensitive }));
+    const { omittedSensitive } = codegenVariants(t, includeSensitive);
+    for (const c of omittedSensitive) omitted.push(`${t.name}.${c}`);
+  }
+
+  const modules = Array.from(files.keys()).map((f) => f.replace(/\.ts$/, '')).sort();
+  files.set('index.ts', [codegenHeader(schemaMeta, target), ...modules.map((m) => `export * from './${m}';`), ''].join('\n'));
+  return { files, omitted };
+}
+
 function renderConceptModifyDoc({ schemaMeta, cluster, existingDbops }) {
   const header = `# Modify Concept: ${cluster.term}\n\n`;
 
@@ -2039,16 +2460,500 @@ function renderRunbookDoc({ schemaMeta, idx, objectLabel, dbops }) {
   return [header, meta, '', ...sections, post].join('\n');
 }
 
+function flipChange(ch) {
+  return { field: ch.field, from: ch.to, to: ch.from };
+}
+
+function invertSchemaDiff(payload) {
+  // The down migration is rendered as the up migration of the inverse diff.
+  const flip = (d) => ({
+    added: d?.removed || [],
+    removed: d?.added || [],
+    changed: (d?.changed || []).map((x) => ({ key: x.key, changes: (x.changes || []).map(flipChange) }))
+  });
+
+  return {
+    from: payload.to,
+    to: payload.from,
+    enums: {
+      added: payload.enums?.removed || [],
+      removed: payload.enums?.added || [],
+      changed: (payload.enums?.changed || []).map((e) => ({ name: e.name, addedValues: e.removedValues || [], removedValues: e.addedValues || [] }))
+    },
+    tables: {
+      added: payload.tables?.removed || [],
+      removed: payload.tables?.added || [],
+      changed: (payload.tables?.changed || []).map((t) => ({
+        name: t.name,
+        attributes: (t.attributes || []).map(flipChange),
+        columns: flip(t.columns),
+        indexes: flip(t.indexes),
+        relations: flip(t.relations)
+      }))
+    },
+    views: { added: payload.views?.removed || [], removed: payload.views?.added || [], changed: payload.views?.changed || [] },
+    compositeTypes: {
+      added: payload.compositeTypes?.removed || [],
+      removed: payload.compositeTypes?.added || [],
+      changed: payload.compositeTypes?.changed || []
+    }
+  };
+}
+
+function createMigrationSqlContext(dialect, before, after) {
+  const tablesOf = (schema) => new Map((Array.isArray(schema?.tables) ? schema.tables : []).map((t) => [t.name, t]));
+  const enumsOf = (schema) => new Map((Array.isArray(schema?.enums) ? schema.enums : []).map((e) => [e.name, e]));
+  return {
+    dialect,
+    qt: (x) => quoteIdent(dialect, x),
+    before: { tables: tablesOf(before), enums: enumsOf(before) },
+    after: { tables: tablesOf(after), enums: enumsOf(after) },
+    warnings: []
+  };
+}
+
+function sqlTableName(table) {
+  return String(table?.dbName || table?.name || '');
+}
+
+function sqlTableRef(ctx, table) {
+  const name = ctx.qt(sqlTableName(table));
+  return table?.schema && ctx.dialect !== 'sqlite' ? `${ctx.qt(table.schema)}.${name}` : name;
+}
+
+function sqlColumnName(table, field) {
+  const col = (Array.isArray(table?.columns) ? table.columns : []).find((c) => c && c.name === field);
+  return String(col?.dbName || field || '');
+}
+
+function sqlColumnType(ctx, col, enums) {
+  const type = String(col?.type || 'String');
+  const e = enums.get(type);
+  let sqlType;
+
+  if (e) {
+    if (ctx.dialect === 'postgres') sqlType = ctx.qt(e.name);
+    else if (ctx.dialect === 'mysql') sqlType = `ENUM(${(e.values || []).map((v) => `'${String(v).replace(/'/g, "''")}'`).join(', ')})`;
+    else sqlType = prismaTypeToSql('String', ctx.dialect);
+  } else {
+    sqlType = prismaTypeToSql(type, ctx.dialect);
+  }
+
+  if (col?.list) {
+    if (ctx.dialect === 'postgres') return `${sqlType}[]`;
+    ctx.warnings.push(`List column ${col.name} has no native ${ctx.dialect} type; stored as JSON.`);
+    return prismaTypeToSql('Json', ctx.dialect);
+  }
+  return sqlType;
+}
+
+function sqlColumnDefault(ctx, col) {
+  const raw = String(col?.default || '').trim();
+  if (!raw) return { sql: '', autoincrement: false };
+  if (/^autoincrement\(\)$/i.test(raw)) return { sql: '', autoincrement: true };
+  if (/^(cuid|nanoid|ulid|auto|sequence)\(.*\)$/i.test(raw)) {
+    // Generated by the Prisma client (or the engine); there is no SQL default.
+    return { sql: '', autoincrement: false };
+  }
+  const generated = raw.match(/^dbgenerated\(\s*"([\s\S]*)"\s*\)$/);
+  if (generated) return { sql: generated[1].replace(/\\"/g, '"'), autoincrement: false };
+  return { sql: prismaDefaultToSql(raw, ctx.dialect, col.type), autoincrement: false };
+}
+
+function sqlColumnDefinition(ctx, col, enums, { inlinePrimaryKey = false } = {}) {
+  const def = sqlColumnDefault(ctx, col);
+  let sqlType = sqlColumnType(ctx, col, enums);
+
+  if (def.autoincrement && ctx.dialect === 'postgres') {
+    sqlType = String(col.type) === 'BigInt' ? 'BIGSERIAL' : 'SERIAL';
+  }
+
+  const parts = [ctx.qt(col.dbName || col.name), sqlType];
+  if (inlinePrimaryKey) {
+    parts.push('PRIMARY KEY');
+    if (def.autoincrement && ctx.dialect === 'sqlite') parts.push('AUTOINCREMENT');
+  }
+  if (def.autoincrement && ctx.dialect === 'mysql') parts.push('AUTO_INCREMENT');
+  if (col.nullable !== true && !inlinePrimaryKey) parts.push('NOT NULL');
+  if (def.sql) parts.push(`DEFAULT ${def.sql}`);
+  return parts.join(' ');
+}
+
+function sqlIndexName(table, index) {
+  if (index?.map) return String(index.map);
+  if (index?.name) return String(index.name);
+  const cols = (index?.fields || []).map((f) => sqlColumnName(table, f));
+  const suffix = index?.type === 'unique' ? 'key' : index?.type === 'fulltext' ? 'ft' : 'idx';
+  return `${sqlTableName(table)}_${cols.join('_')}_${suffix}`;
+}
+
+function sqlCreateIndex(ctx, table, index) {
+  const cols = (index?.fields || []).map((f) => ctx.qt(sqlColumnName(table, f))).join(', ');
+  if (index?.type === 'fulltext') {
+    if (ctx.dialect === 'mysql') {
+      return `CREATE FULLTEXT INDEX ${ctx.qt(sqlIndexName(table, index))} ON ${sqlTableRef(ctx, table)} (${cols});`;
+    }
+    ctx.warnings.push(`Full-text index on ${table.name} (${(index.fields || []).join(', ')}) has no generic ${ctx.dialect} equivalent; add it manually.`);
+    return `-- Full-text index on ${sqlTableRef(ctx, table)} (${cols}) must be created manually for ${ctx.dialect}.`;
+  }
+  const unique = index?.type === 'unique';
+  return `${unique ? 'CREATE UNIQUE INDEX' : 'CREATE INDEX'} ${ctx.qt(sqlIndexName(table, index))} ON ${sqlTableRef(ctx, table)} (${cols});`;
+}
+
+function sqlDropIndex(ctx, table, index) {
+  const name = ctx.qt(sqlIndexName(table, index));
+  if (ctx.dialect === 'mysql') return `DROP INDEX ${name} ON ${sqlTableRef(ctx, table)};`;
+  if (index?.type === 'fulltext') return `-- Full-text index ${name} on ${sqlTableRef(ctx, table)} must be dropped manually.`;
+  if (ctx.dialect === 'postgres' && table?.schema) return `DROP INDEX ${ctx.qt(table.schema)}.${name};`;
+  return `DROP INDEX ${name};`;
+}
+
+function sqlForeignKeyName(table, relation) {
+  const cols = (relation?.fields || []).map((f) => sqlColumnName(table, f));
+  return `${sqlTableName(table)}_${cols.join('_')}_fkey`;
+}
+
+function sqlForeignKeyClause(ctx, table, relation, tables) {
+  const target = tables.get(relation.to) || { name: relation.to };
+  const cols = (relation.fields || []).map((f) => ctx.qt(sqlColumnName(table, f))).join(', ');
+  const refs = (relation.references || []).map((f) => ctx.qt(sqlColumnName(target, f))).join(', ');
+  return `CONSTRAINT ${ctx.qt(sqlForeignKeyName(table, relation))} FOREIGN KEY (${cols}) REFERENCES ${sqlTableRef(ctx, target)} (${refs})`;
+}
+
+function sqlAddForeignKey(ctx, table, relation, tables) {
+  if (ctx.dialect === 'sqlite') {
+    ctx.warnings.push(`SQLite cannot add a foreign key to existing table ${table.name} (${relation.field}); rebuild the table.`);
+    return `-- SQLite: add foreign key ${sqlForeignKeyName(table, relation)} via table rebuild.`;
+  }
+  return `ALTER TABLE ${sqlTableRef(ctx, table)} ADD ${sqlForeignKeyClause(ctx, table, relation, tables)};`;
+}
+
+function sqlDropForeignKey(ctx, table, relation) {
+  const name = ctx.qt(sqlForeignKeyName(table, relation));
+  if (ctx.dialect === 'mysql') return `ALTER TABLE ${sqlTableRef(ctx, table)} DROP FOREIGN KEY ${name};`;
+  if (ctx.dialect === 'sqlite') {
+    ctx.warnings.push(`SQLite cannot drop a foreign key from table ${table.name} (${relation.field}); rebuild the table.`);
+    return `-- SQLite: drop foreign key ${sqlForeignKeyName(table, relation)} via table rebuild.`;
+  }
+  return `ALTER TABLE ${sqlTableRef(ctx, table)} DROP CONSTRAINT ${name};`;
+}
+
+function ownedForeignKeys(table) {
+  return (Array.isArray(table?.relations) ? table.relations : []).filter((r) => Array.isArray(r.fields) && r.fields.length > 0);
+}
+
+function sqlCreateTable(ctx, table, side) {
+  const columns = Array.isArray(table.columns) ? table.columns : [];
+  const pkColumns = columns.filter((c) => c.primaryKey);
+  const compositePk = (table.indexes || []).find((ix) => ix.type === 'primary');
+  const inlinePk = ctx.dialect === 'sqlite' && !compositePk && pkColumns.length === 1 ? pkColumns[0] : null;
+
+  const lines = columns.map((c) => `  ${sqlColumnDefinition(ctx, c, side.enums, { inlinePrimaryKey: c === inlinePk })}`);
+
+  const pkFields = compositePk ? compositePk.fields || [] : pkColumns.map((c) => c.name);
+  if (!inlinePk && pkFields.length > 0) {
+    const cols = pkFields.map((f) => ctx.qt(sqlColumnName(table, f))).join(', ');
+    lines.push(ctx.dialect === 'postgres'
+      ? `  CONSTRAINT ${ctx.qt(`${sqlTableName(table)}_pkey`)} PRIMARY KEY (${cols})`
+      : `  PRIMARY KEY (${cols})`);
+  }
+
+  // SQLite cannot add foreign keys later, so they are declared inline.
+  if (ctx.dialect === 'sqlite') {
+    for (const r of ownedForeignKeys(table)) lines.push(`  ${sqlForeignKeyClause(ctx, table, r, side.tables)}`);
+  }
+
+  const statements = [`CREATE TABLE ${sqlTableRef(ctx, table)} (\n${lines.join(',\n')}\n);`];
+
+  for (const c of columns.filter((x) => x.unique && !x.primaryKey)) {
+    statements.push(sqlCreateIndex(ctx, table, { type: 'unique', fields: [c.name] }));
+  }
+  for (const ix of (table.indexes || []).filter((x) => x.type !== 'primary')) {
+    statements.push(sqlCreateIndex(ctx, table, ix));
+  }
+
+  return statements;
+}
+
+function orderTablesForDrop(tables) {
+  // Drop tables that reference other dropped tables first.
+  const remaining = [...tables];
+  const ordered = [];
+  while (remaining.length > 0) {
+    const names = new Set(remaining.map((t) => t.name));
+    const idx = remaining.findIndex((t) => !remaining.some((o) => o !== t && ownedForeignKeys(o).some((r) => r.to === t.name && names.has(o.name))));
+    ordered.push(...remaining.splice(idx >= 0 ? idx : 0, 1));
+  }
+  return ordered;
+}
+
+function sqlAlterColumn(ctx, table, before, after, fields) {
+  const tableRef = sqlTableRef(ctx, table);
+  const colIdent = ctx.qt(after.dbName || after.name);
+  const statements = [];
+
+  if (ctx.dialect === 'sqlite') {
+    ctx.warnings.push(`SQLite cannot alter column ${table.name}.${after.name} (${fields.join(', ')}); rebuild the table.`);
+    statements.push(`-- SQLite: change ${fields.join(', ')} of ${tableRef}.${colIdent} via table rebuild.`);
+    return statements;
+  }
+
+  if (ctx.dialect === 'mysql') {
+    statements.push(`ALTER TABLE ${tableRef} MODIFY ${sqlColumnDefinition(ctx, after, ctx.after.enums)};`);
+    return statements;
+  }
+
+  if (fields.includes('type') || fields.includes('list') || fields.includes('dbType')) {
+    const sqlType = sqlColumnType(ctx, after, ctx.after.enums);
+    statements.push(`ALTER TABLE ${tableRef} ALTER COLUMN ${colIdent} TYPE ${sqlType} USING ${colIdent}::${sqlType};`);
+  }
+  if (fields.includes('default')) {
+    const def = sqlColumnDefault(ctx, after);
+    statements.push(def.sql
+      ? `ALTER TABLE ${tableRef} ALTER COLUMN ${colIdent} SET DEFAULT ${def.sql};`
+      : `ALTER TABLE ${tableRef} ALTER COLUMN ${colIdent} DROP DEFAULT;`);
+  }
+  if (fields.includes('nullable')) {
+    if (after.nullable === true) {
+      statements.push(`ALTER TABLE ${tableRef} ALTER COLUMN ${colIdent} DROP NOT NULL;`);
+    } else {
+      statements.push(`-- Existing NULL rows must be backfilled first:\n-- UPDATE ${tableRef} SET ${colIdent} = <value> WHERE ${colIdent} IS NULL;`);
+      statements.push(`ALTER TABLE ${tableRef} ALTER COLUMN ${colIdent} SET NOT NULL;`);
+    }
+  }
+  return statements;
+}
+
+function sqlChangedTable(ctx, change) {
+  const beforeTable = ctx.before.tables.get(change.name) || { name: change.name };
+  const afterTable = ctx.after.tables.get(change.name) || beforeTable;
+  const statements = [];
+
+  const renamed = (change.attributes || []).find((a) => a.field === 'dbName');
+  if (renamed) {
+    const from = sqlTableRef(ctx, beforeTable);
+    const to = ctx.qt(sqlTableName(afterTable));
+    statements.push(ctx.dialect === 'mysql' ? `RENAME TABLE ${from} TO ${to};` : `ALTER TABLE ${from} RENAME TO ${to};`);
+  }
+  if ((change.attributes || []).some((a) => a.field === 'schema')) {
+    ctx.warnings.push(`Table ${change.name} moved between schemas; move it manually.`);
+    statements.push(`-- Table ${change.name} moved schema; add the dialect-specific statement manually.`);
+  }
+
+  const tableRef = sqlTableRef(ctx, afterTable);
+  const relations = change.relations || { added: [], removed: [], changed: [] };
+  const indexes = change.indexes || { added: [], removed: [], changed: [] };
+  const columns = change.columns || { added: [], removed: [], changed: [] };
+
+  const beforeRelation = (key) => (beforeTable.relations || []).find((r) => r.field === key);
+  const afterRelation = (key) => (afterTable.relations || []).find((r) => r.field === key);
+  const beforeIndex = (key) => (beforeTable.indexes || []).find((ix) => `${ix.type || 'index'}(${(ix.fields || []).join(', ')})` === key);
+  const afterIndex = (key) => (afterTable.indexes || []).find((ix) => `${ix.type || 'index'}(${(ix.fields || []).join(', ')})` === key);
+
+  // 1) Drop what goes away (foreign keys first, then indexes, then columns).
+  for (const r of [...relations.removed.map((x) => x.item), ...relations.changed.map((x) => beforeRelation(x.key))]) {
+    if (r && r.fields && r.fields.length) statements.push(sqlDropForeignKey(ctx, beforeTable, r));
+  }
+  for (const ix of [...indexes.removed.map((x) => x.item), ...indexes.changed.map((x) => beforeIndex(x.key))]) {
+    if (!ix) continue;
+    if (ix.type === 'primary') {
+      ctx.warnings.push(`Primary key of ${change.name} changed; update it manually.`);
+      statements.push(`-- Primary key (${(ix.fields || []).join(', ')}) of ${tableRef} removed; update it manually.`);
+      continue;
+    }
+    statements.push(sqlDropIndex(ctx, beforeTable, ix));
+  }
+  for (const x of columns.removed) {
+    if (ctx.warnDestructive) ctx.warnings.push(`Column ${change.name}.${x.key} is dropped (destructive).`);
+    statements.push(`ALTER TABLE ${tableRef} DROP COLUMN ${ctx.qt(x.item.dbName || x.item.name)};`);
+  }
+
+  // 2) Renames and column changes.
+  for (const x of columns.changed) {
+    const before = (beforeTable.columns || []).find((c) => c.name === x.key);
+    const after = (afterTable.columns || []).find((c) => c.name === x.key);
+    if (!before || !after) continue;
+    const fields = x.changes.map((ch) => ch.field);
+
+    if (fields.includes('dbName')) {
+      statements.push(`ALTER TABLE ${tableRef} RENAME COLUMN ${ctx.qt(before.dbName || before.name)} TO ${ctx.qt(after.dbName || after.name)};`);
+    }
+
+    const typeFields = fields.filter((f) => ['type', 'list', 'dbType', 'default', 'nullable'].includes(f));
+    if (typeFields.length) statements.push(...sqlAlterColumn(ctx, afterTable, before, after, typeFields));
+
+    if (fields.includes('unique')) {
+      const ix = { type: 'unique', fields: [after.name] };
+      statements.push(after.unique ? sqlCreateIndex(ctx, afterTable, ix) : sqlDropIndex(ctx, beforeTable, { type: 'unique', fields: [before.name] }));
+    }
+    if (fields.includes('primaryKey')) {
+      ctx.warnings.push(`Primary key flag of ${change.name}.${x.key} changed; update it manually.`);
+      statements.push(`-- Primary key membership of ${tableRef}.${ctx.qt(after.dbName || after.name)} changed; update it manually.`);
+    }
+  }
+
+  for (const x of columns.added) {
+    const col = x.item;
+    const def = sqlColumnDefault(ctx, col);
+    const keyword = ctx.dialect === 'sqlserver' ? 'ADD' : 'ADD COLUMN';
+    if (ctx.dialect === 'sqlite' && col.nullable !== true && !def.sql && !def.autoincrement) {
+      // SQLite rejects ADD COLUMN ... NOT NULL without a default outright.
+      const colIdent = ctx.qt(col.dbName || col.name);
+      ctx.warnings.push(`SQLite cannot add NOT NULL column ${change.name}.${x.key} without a default; rebuild the table.`);
+      statements.push(
+        `-- SQLite: ${tableRef}.${colIdent} is NOT NULL without a default; rebuild the table:\n` +
+        `-- 1) CREATE TABLE with the new column, 2) INSERT ... SELECT with a backfilled value,\n` +
+        `-- 3) DROP the old table, 4) ALTER TABLE ... RENAME TO ${tableRef}.\n` +
+        `-- ALTER TABLE ${tableRef} ADD COLUMN ${sqlColumnDefinition(ctx, col, ctx.after.enums)};`
+      );
+      if (col.unique) statements.push(`-- ${sqlCreateIndex(ctx, afterTable, { type: 'unique', fields: [col.name] })}`);
+      continue;
+    }
+    statements.push(`ALTER TABLE ${tableRef} ${keyword} ${sqlColumnDefinition(ctx, col, ctx.after.enums)};`);
+    if (col.nullable !== true && !def.sql && !def.autoincrement) {
+      ctx.warnings.push(`NOT NULL column ${change.name}.${x.key} has no default; existing rows need a backfill.`);
+      statements.push(notNullBackfillGuidance(ctx.dialect, tableRef, ctx.qt(col.dbName || col.name), sqlColumnType(ctx, col, ctx.after.enums)));
+    }
+    if (col.unique) statements.push(sqlCreateIndex(ctx, afterTable, { type: 'unique', fields: [col.name] }));
+  }
+
+  // 3) Create what is new (indexes, then foreign keys).
+  for (const ix of [...indexes.added.map((x) => x.item), ...indexes.changed.map((x) => afterIndex(x.key))]) {
+    if (!ix) continue;
+    if (ix.type === 'primary') {
+      ctx.warnings.push(`Primary key of ${change.name} changed; update it manually.`);
+      statements.push(`-- Primary key (${(ix.fields || []).join(', ')}) of ${tableRef} added; update it manually.`);
+      continue;
+    }
+    statements.push(sqlCreateIndex(ctx, afterTable, ix));
+  }
+  for (const r of [...relations.added.map((x) => x.item), ...relations.changed.map((x) => afterRelation(x.key))]) {
+    if (r && r.fields && r.fields.length) statements.push(sqlAddForeignKey(ctx, afterTable, r, ctx.after.tables));
+  }
+
+  return statements.length ? [`-- Table: ${change.name}`, ...statements] : [];
+}
+
+function renderSchemaChangeSql({ dialect, diff, warnDestructive = true }) {
+  const ctx = createMigrationSqlContext(dialect, diff.from?.schema, diff.to?.schema);
+  ctx.warnDestructive = warnDestructive;
+  const out = [];
+
+  // Views and composite types are diffed, but the contract carries no SQL definition for them.
+  for (const [section, kind] of [[diff.views, 'View'], [diff.compositeTypes, 'Composite type']]) {
+    for (const state of ['added', 'removed', 'changed']) {
+      for (const item of section?.[state] || []) {
+        ctx.warnings.push(`${kind} ${item.name} ${state}; no SQL is generated for it, write it manually.`);
+        out.push(`-- ${kind} ${item.name} ${state}: write the statement manually.`);
+      }
+    }
+  }
+
+  // Enums first: new tables may use them.
+  for (const e of diff.enums?.added || []) {
+    if (dialect === 'postgres') {
+      out.push(`CREATE TYPE ${ctx.qt(e.name)} AS ENUM (${(e.values || []).map((v) => `'${String(v).replace(/'/g, "''")}'`).join(', ')});`);
+    } else if (dialect !== 'mysql') {
+      out.push(`-- Enum ${e.name} (${(e.values || []).join(', ')}) is stored as ${prismaTypeToSql('String', dialect)}; validate values in the app or add a CHECK constraint.`);
+    }
+  }
+  for (const e of diff.enums?.changed || []) {
+    if (dialect !== 'postgres') continue;
+    if ((e.addedValues || []).length) {
+      ctx.warnings.push(
+        `Enum ${e.name} gains values via ALTER TYPE ... ADD VALUE; migrate.mjs apply runs each migration in one transaction, ` +
+        'where Postgres < 12 rejects it and newer versions cannot use the value before commit. Consider a separate migration.'
+      );
+    }
+    for (const v of e.addedValues || []) out.push(`ALTER TYPE ${ctx.qt(e.name)} ADD VALUE '${String(v).replace(/'/g, "''")}';`);
+    if ((e.removedValues || []).length) {
+      ctx.warnings.push(`Enum ${e.name} drops values (${e.removedValues.join(', ')}); Postgres requires recreating the type.`);
+      out.push(`-- Enum ${e.name}: removing values (${e.removedValues.join(', ')}) requires recreating the type; do it manually.`);
+    }
+  }
+
+  for (const t of diff.tables?.added || []) out.push(...sqlCreateTable(ctx, t, ctx.after));
+  for (const change of diff.tables?.changed || []) out.push(...sqlChangedTable(ctx, change));
+
+  if (dialect === 'mysql') {
+    // MySQL enums are column types: once the tables have their new names and columns,
+    // restate every surviving column that uses a changed enum and was not altered above.
+    const changedEnums = new Set((diff.enums?.changed || []).map((e) => e.name));
+    const alteredColumns = new Set();
+    for (const change of diff.tables?.changed || []) {
+      for (const x of change.columns?.added || []) alteredColumns.add(`${change.name}.${x.key}`);
+      for (const x of change.columns?.changed || []) {
+        if ((x.changes || []).some((ch) => ['type', 'list', 'dbType', 'default', 'nullable'].includes(ch.field))) {
+          alteredColumns.add(`${change.name}.${x.key}`);
+        }
+      }
+    }
+    for (const t of ctx.after.tables.values()) {
+      const prev = ctx.before.tables.get(t.name);
+      if (!prev) continue;
+      for (const c of (t.columns || []).filter((x) => changedEnums.has(x.type))) {
+        if (alteredColumns.has(`${t.name}.${c.name}`)) continue;
+        if (!(prev.columns || []).some((x) => x.name === c.name)) continue;
+        out.push(`ALTER TABLE ${sqlTableRef(ctx, t)} MODIFY ${sqlColumnDefinition(ctx, c, ctx.after.enums)};`);
+      }
+    }
+  }
+
+  // Foreign keys of new tables are added once every new table exists.
+  if (dialect !== 'sqlite') {
+    for (const t of diff.tables?.added || []) {
+      for (const r of ownedForeignKeys(t)) out.push(sqlAddForeignKey(ctx, t, r, ctx.after.tables));
+    }
+  }
+
+  for (const t of orderTablesForDrop(diff.tables?.removed || [])) {
+    if (ctx.warnDestructive) ctx.warnings.push(`Table ${t.name} is dropped (destructive).`);
+    out.push(`DROP TABLE ${sqlTableRef(ctx, t)};`);
+  }
+  for (const e of diff.enums?.removed || []) {
+    if (dialect === 'postgres') out.push(`DROP TYPE ${ctx.qt(e.name)};`);
+  }
+
+  return { sql: out.join('\n\n'), warnings: ctx.warnings };
+}
+
+function renderMigrationSql({ dialect, payload }) {
+  const up = renderSchemaChangeSql({ dialect, diff: payload });
+  // Dropping what the up step created is the point of the down step; don't warn about it.
+  const down = renderSchemaChangeSql({ dialect, diff: invertSchemaDiff(payload), warnDestructive: false });
+  const warnings = [...up.warnings, ...down.warnings.map((w) => `Down: ${w}`)];
+  if (!['postgres', 'mysql', 'sqlite'].includes(dialect)) {
+    warnings.unshift(`Dialect '${dialect}' is not fully supported; review every statement.`);
+  }
+  return { dialect, up: up.sql, down: down.sql, warnings: Array.from(new Set(warnings)) };
+}
+
 function printHelp() {
   const msg = `ctl-db-doc.mjs — Human-friendly DB structure and change drafting\n\n` +
     `Usage:\n` +
     `  node .ai/skills/features/database/db-human-interface/scripts/ctl-db-doc.mjs status\n` +
     `  node .ai/skills/features/database/db-human-interface/scripts/ctl-db-doc.mjs search <term>\n` +
     `  node .ai/skills/features/database/db-human-interface/scripts/ctl-db-doc.mjs query <object> [--view table|concept|graph|api] [--depth <n>] [--max-tables <n>]\n` +
+    `  node .ai/skills/features/database/db-human-interface/scripts/ctl-db-doc.mjs export [<object>] --format dbml|mermaid|json-schema|openapi [--include-sensitive] [--out <path>]\n` +
+    `  node .ai/skills/features/database/db-human-interface/scripts/ctl-db-doc.mjs codegen --target ts|zod --out <dir> [--include-sensitive]\n` +
     `  node .ai/skills/features/database/db-human-interface/scripts/ctl-db-doc.mjs modify <object> [--scope table|concept] [--depth <n>] [--max-tables <n>]\n` +
-    `  node .ai/skills/features/database/db-human-interface/scripts/ctl-db-doc.mjs plan <object>\n\n` +
+    `  node .ai/skills/features/database/db-human-interface/scripts/ctl-db-doc.mjs plan <object>\n` +
+    `  node .ai/skills/features/database/db-human-interface/scripts/ctl-db-doc.mjs migration-sql --diff <path> [--dialect <d>] [--format text|json]\n\n` +
+    `export:\n` +
+    `  Exports the whole schema, or the concept cluster around <object> (--depth/--max-tables as in query),\n` +
+    `  as DBML, a Mermaid erDiagram, JSON Schema ($defs per table) or OpenAPI 3.1 components/schemas.\n` +
+    `  Sensitive columns are marked in DBML/Mermaid and omitted from JSON Schema/OpenAPI unless --include-sensitive.\n\n` +
+    `codegen:\n` +
+    `  Writes one TypeScript (--target ts) or Zod (--target zod) module per table and enum, plus index.ts.\n` +
+    `  Each table gets read / CreateInput / UpdateInput variants; auto-generated columns are dropped from inputs\n` +
+    `  and sensitive columns are dropped everywhere (--include-sensitive keeps them in the inputs).\n\n` +
+    `migration-sql:\n` +
+    `  Renders up/down SQL from a schema diff produced by\n` +
+    `  \`node .ai/scripts/ctl-db-ssot.mjs diff --format json --with-schemas\`.\n` +
+    `  --dialect defaults to the diff's target dialect (postgres|mysql|sqlite|sqlserver|generic).\n\n` +
     `Artifacts:\n` +
     `  .ai/.tmp/database/structure_query/<object>.md\n` +
+    `  .ai/.tmp/database/export/<object|schema>.<dbml|mmd|schema.json|openapi.json>\n` +
     `  .ai/.tmp/database/structure_modify/<object>.md\n` +
     `  .ai/.tmp/database/structure_modify/<object>.plan.md\n` +
     `  .ai/.tmp/database/structure_modify/<object>.runbook.md (db.ssot=database)\n`;
@@ -2067,6 +2972,54 @@ async function main() {
     return EXIT.OK;
   }
 
+  // migration-sql works on a diff file and does not need the current schema.
+  if (cmd === 'migration-sql') {
+    const parsedArgs = parseTermAndOpts(argv.slice(1));
+    const diffPath = optStr(parsedArgs.opts, 'diff', '');
+    const format = optStr(parsedArgs.opts, 'format', 'text');
+    if (!diffPath) {
+      console.error('migration-sql requires --diff <path>.');
+      return EXIT.USAGE;
+    }
+    if (!['text', 'json'].includes(format)) {
+      console.error(`Unknown --format: ${format}`);
+      return EXIT.USAGE;
+    }
+
+    const absDiff = path.resolve(process.cwd(), diffPath);
+    if (!exists(absDiff)) {
+      console.error(`Diff file not found: ${diffPath}`);
+      return EXIT.FAILED;
+    }
+
+    let payload;
+    try {
+      payload = readJson(absDiff);
+    } catch (e) {
+      console.error(`Failed to parse diff JSON: ${e.message}`);
+      return EXIT.FAILED;
+    }
+    if (!payload?.to?.schema || !payload?.from?.schema) {
+      console.error('Diff JSON has no embedded schemas; re-run ctl-db-ssot diff with --with-schemas.');
+      return EXIT.FAILED;
+    }
+
+    const dialect = sqlDialect({ dialect: optStr(parsedArgs.opts, 'dialect', '') || payload.to.dialect });
+    const result = renderMigrationSql({ dialect, payload });
+
+    if (format === 'json') {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`-- Dialect: ${result.dialect}`);
+      for (const w of result.warnings) console.log(`-- WARNING: ${w}`);
+      console.log('\n-- +up');
+      console.log(result.up || '-- (no changes)');
+      console.log('\n-- +down');
+      console.log(result.down || '-- (no changes)');
+    }
+    return EXIT.OK;
+  }
+
   const ssotCfg = loadSsotConfig(repoRoot);
   const loaded = loadNormalizedSchema(repoRoot, ssotCfg);
 
@@ -2222,6 +3175,87 @@ async function main() {
     return EXIT.OK;
   }
 
+  if (cmd === 'export') {
+    const parsedArgs = parseTermAndOpts(argv.slice(1));
+    const term = parsedArgs.term;
+    const opts = parsedArgs.opts;
+
+    const format = optStr(opts, 'format', '').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      console.error(`export requires --format ${Object.keys(EXPORT_FORMATS).join('|')}.`);
+      return EXIT.USAGE;
+    }
+
+    const scope = resolveExportScope({
+      idx,
+      graph: schemaMeta.graph,
+      term,
+      depth: Math.max(0, Math.min(optInt(opts, 'depth', 1), 3)),
+      maxTables: Math.max(2, Math.min(optInt(opts, 'max-tables', 12), 50))
+    });
+    if (!scope.ok) {
+      console.error(`No tables found for '${term}'.`);
+      if (scope.candidates.length) {
+        console.error(mdTable(['Kind', 'Name', 'Score', 'Count'], scope.candidates.map((c) => [c.kind, c.name, String(c.score), c.count ? String(c.count) : ''])));
+      }
+      return EXIT.FAILED;
+    }
+
+    const includeSensitive = opts.includeSensitive === true;
+    let content = '';
+    let omitted = [];
+    if (format === 'dbml') content = renderDbmlExport({ schemaMeta, scope });
+    else if (format === 'mermaid') content = renderMermaidErExport({ schemaMeta, scope });
+    else {
+      const render = format === 'openapi' ? renderOpenApiExport : renderJsonSchemaExport;
+      ({ content, omitted } = render({ schemaMeta, scope, includeSensitive }));
+    }
+
+    const outOpt = optStr(opts, 'out', '');
+    const outPath = outOpt
+      ? path.resolve(process.cwd(), outOpt)
+      : path.join(repoRoot, '.ai', '.tmp', 'database', 'export', `${safeSlug(scope.label)}.${EXPORT_FORMATS[format].ext}`);
+    writeText(outPath, content);
+
+    if (scope.truncated) {
+      console.error(`Note: the '${term}' cluster was truncated to ${scope.tables.length} tables. Use --max-tables to expand.`);
+    }
+    if (omitted.length) {
+      console.error(`Omitted sensitive columns (use --include-sensitive to keep them): ${omitted.join(', ')}`);
+    }
+    console.log(path.relative(repoRoot, outPath));
+    return EXIT.OK;
+  }
+
+  if (cmd === 'codegen') {
+    const parsedArgs = parseTermAndOpts(argv.slice(1));
+    const opts = parsedArgs.opts;
+
+    const target = optStr(opts, 'target', '').toLowerCase();
+    if (!CODEGEN_TARGETS.includes(target)) {
+      console.error(`codegen requires --target ${CODEGEN_TARGETS.join('|')}.`);
+      return EXIT.USAGE;
+    }
+    const outOpt = optStr(opts, 'out', '');
+    if (!outOpt) {
+      console.error('codegen requires --out <dir>.');
+      return EXIT.USAGE;
+    }
+
+    const outDir = path.resolve(process.cwd(), outOpt);
+    const { files, omitted } = renderCodegenFiles({ schemaMeta, idx, target, includeSensitive: opts.includeSensitive === true });
+    for (const [file, content] of files) {
+      const outPath = path.join(outDir, file);
+      writeText(outPath, content);
+      console.log(path.relative(process.cwd(), outPath));
+    }
+    if (omitted.length) {
+      const where = opts.includeSensitive === true ? 'read models' : 'all models (use --include-sensitive to keep them in create/update inputs)';
+      console.error(`Omitted sensitive columns from ${where}: ${omitted.join(', ')}`);
+    }
+    return EXIT.OK;
+  }
+
   if (cmd === 'modify') {
     const parsedArgs = parseTermAndOpts(argv.slice(1));
     const term = parsedArgs.term;
@@ -7,6 +7,8 @@
  * Commands:
  *   init                 Initialize db/ skeleton (idempotent)
  *   import-prisma        Import schema from prisma/schema.prisma to db/schema/tables.json
+ *   import-sql           Import schema from a SQL DDL dump to db/schema/tables.json
+ *   introspect           Introspect a live SQLite database into db/schema/tables.json
  *   generate-migration   Generate a new migration file
  *   verify               Verify db configuration and schema consistency
  *   status               Show current db status
@@ -15,6 +17,7 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
+import { spawnSync } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -41,10 +44,35 @@ Commands:
     --dry-run                   Show what would be imported
     Import schema from Prisma to db/schema/tables.json.
 
+  import-sql
+    --dialect <postgres|mysql|sqlite>  DDL dialect (required)
+    --file <path>               SQL DDL file (required; pg_dump --schema-only,
+                                SHOW CREATE TABLE output, or SQLite .schema)
+    --repo-root <path>          Repo root (default: cwd)
+    --dry-run                   Show what would be imported
+    Import tables, columns, primary keys, foreign keys, unique constraints,
+    indexes and enums from SQL DDL to db/schema/tables.json.
+
+  introspect
+    --sqlite <path>             SQLite database file (required)
+    --repo-root <path>          Repo root (default: cwd)
+    --dry-run                   Show what would be imported
+    Read sqlite_master from a live SQLite database (via node:sqlite when
+    available, otherwise the sqlite3 CLI) and write db/schema/tables.json.
+    No Python or Prisma engines required.
+
   generate-migration
     --name <string>             Migration name (required, e.g. add_users)
     --repo-root <path>          Repo root (default: cwd)
-    Generate a new timestamped migration file.
+    --paired                    Write the down step to a separate <file>.down.sql
+    --from-diff                 Fill the migration from the schema diff (see below)
+    --base <git-ref>            Baseline for --from-diff (default: HEAD)
+    --to <source>               Target for --from-diff (default: ssot; see ctl-db-ssot diff)
+    --dialect <dialect>         SQL dialect for --from-diff (default: target schema dialect)
+    Generate a new timestamped migration file with "-- +up" / "-- +down" sections
+    (or a paired up/down file set with --paired).
+    With --from-diff, the up/down SQL is generated from the difference between
+    docs/context/db/schema.json at --base and the current --to schema.
 
   verify
     --repo-root <path>          Repo root (default: cwd)
@@ -59,7 +87,10 @@ Commands:
 Examples:
   node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs init
   node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs import-prisma
+  node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs import-sql --dialect postgres --file schema.sql
+  node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs introspect --sqlite prisma/dev.db
   node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs generate-migration --name add_users
+  node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs generate-migration --name add_posts --from-diff
   node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs verify
   node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs status
 `;
@@ -138,6 +169,48 @@ function writeFileIfMissing(filePath, content) {
 // Schema Parsing (Lightweight Prisma Parser)
 // ============================================================================
 
+// Arguments of a field attribute such as @default(...), with nested parentheses and strings kept intact.
+function readAttributeArgs(rest, attr) {
+  const start = rest.indexOf(`${attr}(`);
+  if (start === -1) return null;
+  let depth = 0;
+  let inString = false;
+  for (let i = start + attr.length; i < rest.length; i++) {
+    const ch = rest[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '(') depth++;
+    else if (ch === ')' && --depth === 0) return rest.slice(start + attr.length + 1, i).trim();
+  }
+  return null;
+}
+
+// Drop a trailing `// comment` that is not inside a string.
+function stripTrailingComment(line) {
+  let inString = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '/' && line[i + 1] === '/') {
+      return line.slice(0, i).trimEnd();
+    }
+  }
+  return line;
+}
+
+/**
+ * Parse a Prisma schema into the mirror shape. Fields follow the normalized parser used by
+ * ctl-db-ssot (nullable from `?`, model-typed fields as relations, @db native type names,
+ * full @default expressions), so `ctl-db-ssot diff --from prisma --to mirror` is clean after import.
+ */
 function parsePrismaSchema(content) {
   const schema = {
     version: 2,
@@ -161,13 +234,14 @@ function parsePrismaSchema(content) {
   };
 
   const lines = content.replace(/\r\n/g, '\n').split('\n');
+  const modelNames = new Set(lines.map(l => (l.trim().match(/^model\s+(\w+)\s*\{/) || [])[1]).filter(Boolean));
   let currentModel = null;
   let currentEnum = null;
   let braceDepth = 0;
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
-    const trimmed = line.trim();
+    const trimmed = stripTrailingComment(line.trim());
 
     // Skip comments
     if (trimmed.startsWith('//')) continue;
@@ -215,8 +289,10 @@ function parsePrismaSchema(content) {
 
     // Track braces
     if (currentModel || currentEnum) {
-      const opens = (trimmed.match(/\{/g) || []).length;
-      const closes = (trimmed.match(/\}/g) || []).length;
+      // Braces inside strings (e.g. @default("{}")) do not open or close blocks.
+      const code = trimmed.replace(/"(?:[^"\\]|\\.)*"/g, '""');
+      const opens = (code.match(/\{/g) || []).length;
+      const closes = (code.match(/\}/g) || []).length;
       braceDepth += opens - closes;
 
       if (braceDepth <= 0) {
@@ -250,14 +326,14 @@ function parsePrismaSchema(content) {
       }
 
       // @@index / @@unique
-      const indexMatch = trimmed.match(/@@(index|unique)\(\[([^\]]+)\](?:,\s*(?:name|map)\s*:\s*"([^"]+)")?\)/);
+      const indexMatch = trimmed.match(/@@(index|unique)\(\s*(?:fields\s*:\s*)?\[([^\]]+)\]/);
       if (indexMatch) {
-        const fields = indexMatch[2].split(',').map(f => f.trim());
+        const fields = indexMatch[2].split(',').map(f => f.trim().split('(')[0].trim());
         currentModel.indexes.push({
           type: indexMatch[1],
           fields,
-          name: indexMatch[3] || null,
-          map: null
+          name: (trimmed.match(/name\s*:\s*"([^"]+)"/) || [])[1] || null,
+          map: (trimmed.match(/map\s*:\s*"([^"]+)"/) || [])[1] || null
         });
         continue;
       }
@@ -276,27 +352,25 @@ function parsePrismaSchema(content) {
       }
 
       // Field line (simple parser)
-      const fieldMatch = trimmed.match(/^(\w+)\s+(\w+)(\[\])?\??(.*)$/);
+      const fieldMatch = trimmed.match(/^(\w+)\s+(\w+)(\[\])?(\?)?(.*)$/);
       if (fieldMatch && !trimmed.startsWith('@')) {
         const fieldName = fieldMatch[1];
         const fieldType = fieldMatch[2];
         const isList = !!fieldMatch[3];
-        const rest = fieldMatch[4] || '';
-
-        const nullable = !isList && rest.includes('?') === false && !rest.includes('@id') && rest.includes('?') === false;
+        const nullable = !!fieldMatch[4];
+        const rest = fieldMatch[5] || '';
 
-        // Check for relation
-        const relationMatch = rest.match(/@relation\(([^)]*)\)/);
-        if (relationMatch) {
-          const relArgs = relationMatch[1];
-          const fieldsMatch = relArgs.match(/fields:\s*\[([^\]]+)\]/);
-          const refsMatch = relArgs.match(/references:\s*\[([^\]]+)\]/);
-          const nameMatch = relArgs.match(/name:\s*"([^"]+)"/);
+        // Relation fields (with @relation, or typed as another model) are not columns.
+        const relArgs = readAttributeArgs(rest, '@relation');
+        if (relArgs !== null || modelNames.has(fieldType)) {
+          const fieldsMatch = (relArgs || '').match(/fields:\s*\[([^\]]+)\]/);
+          const refsMatch = (relArgs || '').match(/references:\s*\[([^\]]+)\]/);
+          const nameMatch = (relArgs || '').match(/name:\s*"([^"]+)"/) || (relArgs || '').match(/^"([^"]+)"/);
 
           currentModel.relations.push({
             field: fieldName,
             to: fieldType,
-            optional: rest.includes('?'),
+            optional: nullable,
             list: isList,
             fields: fieldsMatch ? fieldsMatch[1].split(',').map(f => f.trim()) : [],
             references: refsMatch ? refsMatch[1].split(',').map(f => f.trim()) : [],
@@ -307,7 +381,7 @@ function parsePrismaSchema(content) {
           const column = {
             name: fieldName,
             type: fieldType,
-            nullable: rest.includes('?') && !rest.includes('@id'),
+            nullable,
             list: isList,
             dbName: null,
             dbType: null,
@@ -321,13 +395,12 @@ function parsePrismaSchema(content) {
           const colMapMatch = rest.match(/@map\("([^"]+)"\)/);
           if (colMapMatch) column.dbName = colMapMatch[1];
 
-          // @db.Type
-          const dbTypeMatch = rest.match(/@db\.(\w+)(?:\(([^)]+)\))?/);
-          if (dbTypeMatch) column.dbType = dbTypeMatch[2] ? `${dbTypeMatch[1]}(${dbTypeMatch[2]})` : dbTypeMatch[1];
+          // @db.Type: the native type name only, as import-sql and the normalized schema record it
+          const dbTypeMatch = rest.match(/@db\.(\w+)/);
+          if (dbTypeMatch) column.dbType = dbTypeMatch[1];
 
           // @default
-          const defaultMatch = rest.match(/@default\(([^)]+)\)/);
-          if (defaultMatch) column.default = defaultMatch[1];
+          column.default = readAttributeArgs(rest, '@default');
 
           currentModel.columns.push(column);
         }
@@ -336,15 +409,948 @@ function parsePrismaSchema(content) {
 
     // Parse enum values
     if (currentEnum && braceDepth > 0) {
-      if (trimmed && !trimmed.startsWith('//') && !trimmed.includes('{') && !trimmed.includes('}')) {
-        currentEnum.values.push(trimmed);
-      }
+      const value = (trimmed.match(/^(\w+)/) || [])[1];
+      if (value && !trimmed.startsWith('@@')) currentEnum.values.push(value);
     }
   }
 
   return schema;
 }
 
+// ============================================================================
+// Schema Parsing (SQL DDL)
+// ============================================================================
+
+const SQL_DIALECTS = {
+  postgres: 'postgresql',
+  postgresql: 'postgresql',
+  mysql: 'mysql',
+  sqlite: 'sqlite'
+};
+
+// Words that end a column type and start a column constraint/option.
+const COLUMN_OPTION_WORDS = new Set([
+  'NOT', 'NULL', 'DEFAULT', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'CHECK', 'CONSTRAINT',
+  'GENERATED', 'AUTO_INCREMENT', 'AUTOINCREMENT', 'COLLATE', 'COMMENT', 'ON', 'AS',
+  'CHARSET', 'IDENTITY', 'INVISIBLE', 'VISIBLE', 'STORAGE', 'COMPRESSION'
+]);
+
+// Words that may continue a multi-word type name (e.g. "timestamp(3) without time zone").
+const TYPE_CONTINUATION_WORDS = new Set([
+  'VARYING', 'PRECISION', 'WITH', 'WITHOUT', 'TIME', 'ZONE', 'UNSIGNED', 'SIGNED', 'ZEROFILL'
+]);
+
+const SQL_SCALAR_TYPES = [
+  [/^(tinyint\(1\)|bit\(1\)|bool|boolean)$/, 'Boolean'],
+  [/^(bigint|int8|bigserial|serial8)$/, 'BigInt'],
+  [/^(int|integer|int2|int4|smallint|tinyint|mediumint|serial|serial4|smallserial|serial2)$/, 'Int'],
+  [/^(real|float|float4|float8|double|double precision)$/, 'Float'],
+  [/^(numeric|decimal|money|dec|fixed)$/, 'Decimal'],
+  [/^(date|time|timetz|timestamp|timestamptz|datetime|year|time with(out)? time zone|timestamp with(out)? time zone)$/, 'DateTime'],
+  [/^(json|jsonb)$/, 'Json'],
+  [/^(bytea|blob|tinyblob|mediumblob|longblob|binary|varbinary|bit)$/, 'Bytes'],
+  [/^(char|character|nchar|varchar|nvarchar|character varying|text|tinytext|mediumtext|longtext|clob|uuid|citext|inet|cidr|macaddr|xml|set)$/, 'String']
+];
+
+// Prisma native type names (@db.X) per dialect, keyed by the SQL base type.
+const PRISMA_NATIVE_TYPES = {
+  postgresql: {
+    text: 'Text',
+    'character varying': 'VarChar',
+    varchar: 'VarChar',
+    character: 'Char',
+    char: 'Char',
+    integer: 'Integer',
+    int: 'Integer',
+    int4: 'Integer',
+    serial: 'Integer',
+    serial4: 'Integer',
+    smallint: 'SmallInt',
+    int2: 'SmallInt',
+    smallserial: 'SmallInt',
+    serial2: 'SmallInt',
+    bigint: 'BigInt',
+    int8: 'BigInt',
+    bigserial: 'BigInt',
+    serial8: 'BigInt',
+    'double precision': 'DoublePrecision',
+    float8: 'DoublePrecision',
+    real: 'Real',
+    float4: 'Real',
+    numeric: 'Decimal',
+    decimal: 'Decimal',
+    money: 'Money',
+    boolean: 'Boolean',
+    bool: 'Boolean',
+    timestamp: 'Timestamp',
+    'timestamp without time zone': 'Timestamp',
+    timestamptz: 'Timestamptz',
+    'timestamp with time zone': 'Timestamptz',
+    date: 'Date',
+    time: 'Time',
+    'time without time zone': 'Time',
+    timetz: 'Timetz',
+    'time with time zone': 'Timetz',
+    json: 'Json',
+    jsonb: 'JsonB',
+    bytea: 'ByteA',
+    uuid: 'Uuid',
+    xml: 'Xml',
+    inet: 'Inet',
+    citext: 'Citext',
+    bit: 'Bit',
+    'bit varying': 'VarBit',
+    varbit: 'VarBit'
+  },
+  mysql: {
+    varchar: 'VarChar',
+    char: 'Char',
+    text: 'Text',
+    tinytext: 'TinyText',
+    mediumtext: 'MediumText',
+    longtext: 'LongText',
+    int: 'Int',
+    integer: 'Int',
+    'int unsigned': 'UnsignedInt',
+    'integer unsigned': 'UnsignedInt',
+    smallint: 'SmallInt',
+    'smallint unsigned': 'UnsignedSmallInt',
+    tinyint: 'TinyInt',
+    'tinyint unsigned': 'UnsignedTinyInt',
+    mediumint: 'MediumInt',
+    'mediumint unsigned': 'UnsignedMediumInt',
+    bigint: 'BigInt',
+    'bigint unsigned': 'UnsignedBigInt',
+    double: 'Double',
+    float: 'Float',
+    decimal: 'Decimal',
+    numeric: 'Decimal',
+    datetime: 'DateTime',
+    timestamp: 'Timestamp',
+    date: 'Date',
+    time: 'Time',
+    year: 'Year',
+    json: 'Json',
+    bit: 'Bit',
+    binary: 'Binary',
+    varbinary: 'VarBinary',
+    blob: 'Blob',
+    tinyblob: 'TinyBlob',
+    mediumblob: 'MediumBlob',
+    longblob: 'LongBlob'
+  }
+};
+
+// Native types Prisma maps each scalar to by default (no @db attribute needed).
+const PRISMA_DEFAULT_NATIVE_TYPES = {
+  postgresql: {
+    String: 'Text',
+    Int: 'Integer',
+    BigInt: 'BigInt',
+    Float: 'DoublePrecision',
+    Decimal: 'Decimal',
+    Boolean: 'Boolean',
+    DateTime: 'Timestamp',
+    Json: 'JsonB',
+    Bytes: 'ByteA'
+  },
+  mysql: {
+    String: 'VarChar',
+    Int: 'Int',
+    BigInt: 'BigInt',
+    Float: 'Double',
+    Decimal: 'Decimal',
+    Boolean: 'TinyInt',
+    DateTime: 'DateTime',
+    Json: 'Json',
+    Bytes: 'LongBlob'
+  }
+};
+
+// Backslash escapes inside '...' exist only in MySQL and in Postgres E'...' strings; pg_dump and
+// SQLite literals are standard (standard_conforming_strings), so 'C:\' ends at its second quote.
+function tokenizeSql(sql, dialect) {
+  const tokens = [];
+  const n = sql.length;
+  let i = 0;
+
+  while (i < n) {
+    const ch = sql[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    if ((ch === '-' && sql[i + 1] === '-') || ch === '#') {
+      while (i < n && sql[i] !== '\n') i += 1;
+      continue;
+    }
+    if (ch === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end < 0 ? n : end + 2;
+      continue;
+    }
+
+    const start = i;
+
+    const escapeString = dialect === 'postgresql' && (ch === 'E' || ch === 'e') && sql[i + 1] === "'";
+    if (ch === "'" || escapeString) {
+      const backslashEscapes = dialect === 'mysql' || escapeString;
+      let value = '';
+      i += escapeString ? 2 : 1;
+      while (i < n) {
+        if (backslashEscapes && sql[i] === '\\' && i + 1 < n) {
+          value += sql[i + 1];
+          i += 2;
+          continue;
+        }
+        if (sql[i] === "'") {
+          if (sql[i + 1] === "'") {
+            value += "'";
+            i += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[i];
+        i += 1;
+      }
+      i += 1;
+      tokens.push({ type: 'string', value, start, end: i });
+      continue;
+    }
+
+    if (ch === '"' || ch === '`') {
+      let value = '';
+      i += 1;
+      while (i < n) {
+        if (sql[i] === ch) {
+          if (sql[i + 1] === ch) {
+            value += ch;
+            i += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[i];
+        i += 1;
+      }
+      i += 1;
+      tokens.push({ type: 'ident', value, start, end: i });
+      continue;
+    }
+
+    const dollarTag = ch === '$' ? sql.slice(i).match(/^\$[A-Za-z_]*\$/) : null;
+    if (dollarTag) {
+      const bodyStart = i + dollarTag[0].length;
+      const close = sql.indexOf(dollarTag[0], bodyStart);
+      i = close < 0 ? n : close + dollarTag[0].length;
+      tokens.push({ type: 'string', value: sql.slice(bodyStart, close < 0 ? n : close), start, end: i });
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      while (i < n && /[A-Za-z0-9_$]/.test(sql[i])) i += 1;
+      tokens.push({ type: 'word', value: sql.slice(start, i), start, end: i });
+      continue;
+    }
+
+    if (/[0-9]/.test(ch)) {
+      while (i < n && /[0-9.]/.test(sql[i])) i += 1;
+      tokens.push({ type: 'number', value: sql.slice(start, i), start, end: i });
+      continue;
+    }
+
+    if (ch === ':' && sql[i + 1] === ':') {
+      i += 2;
+      tokens.push({ type: 'punct', value: '::', start, end: i });
+      continue;
+    }
+
+    i += 1;
+    tokens.push({ type: 'punct', value: ch, start, end: i });
+  }
+
+  return tokens;
+}
+
+function isWord(tok, ...words) {
+  return !!tok && tok.type === 'word' && words.includes(tok.value.toUpperCase());
+}
+
+function isPunct(tok, value) {
+  return !!tok && tok.type === 'punct' && tok.value === value;
+}
+
+function isName(tok) {
+  return !!tok && (tok.type === 'word' || tok.type === 'ident');
+}
+
+function splitTopLevel(tokens, separator) {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+  for (const tok of tokens) {
+    if (isPunct(tok, '(')) depth += 1;
+    if (isPunct(tok, ')')) depth = Math.max(0, depth - 1);
+    if (depth === 0 && isPunct(tok, separator)) {
+      if (current.length) parts.push(current);
+      current = [];
+      continue;
+    }
+    current.push(tok);
+  }
+  if (current.length) parts.push(current);
+  return parts;
+}
+
+function skipGroup(tokens, i) {
+  // tokens[i] is "("; returns the index after the matching ")".
+  let depth = 0;
+  for (; i < tokens.length; i += 1) {
+    if (isPunct(tokens[i], '(')) depth += 1;
+    if (isPunct(tokens[i], ')')) {
+      depth -= 1;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return tokens.length;
+}
+
+function readGroup(tokens, i) {
+  const end = skipGroup(tokens, i);
+  return { inner: tokens.slice(i + 1, end - 1), next: end };
+}
+
+function readQualifiedName(tokens, i) {
+  const parts = [];
+  while (isName(tokens[i])) {
+    parts.push(tokens[i].value);
+    i += 1;
+    if (!isPunct(tokens[i], '.')) break;
+    i += 1;
+  }
+  return {
+    schema: parts.length > 1 ? parts[parts.length - 2] : null,
+    name: parts.length ? parts[parts.length - 1] : null,
+    next: i
+  };
+}
+
+function sourceText(sql, tokens) {
+  if (!tokens.length) return '';
+  return sql.slice(tokens[0].start, tokens[tokens.length - 1].end);
+}
+
+function readNameList(inner) {
+  return splitTopLevel(inner, ',').map((part) => (isName(part[0]) ? part[0].value : null)).filter(Boolean);
+}
+
+function readIndexColumns(inner) {
+  // Plain column references only; "col DESC", "col(10)" (MySQL prefix) and
+  // "col opclass" are fine, expressions such as lower(email) are not.
+  const fields = [];
+  let expression = false;
+  for (const part of splitTopLevel(inner, ',')) {
+    const first = part[0];
+    const second = part[1];
+    const prefixLength = isPunct(second, '(') && part[2]?.type === 'number' && isPunct(part[3], ')');
+    if (isName(first) && (!second || prefixLength || second.type === 'word')) {
+      fields.push(first.value);
+    } else {
+      expression = true;
+    }
+  }
+  return { fields, expression };
+}
+
+function readDefaultExpr(tokens, i) {
+  // Returns the default value tokens without trailing casts ("'x'::text" → 'x').
+  const start = i;
+  if (isPunct(tokens[i], '-') || isPunct(tokens[i], '+')) i += 1;
+  if (isPunct(tokens[i], '(')) {
+    i = skipGroup(tokens, i);
+  } else {
+    i += 1;
+    while (isPunct(tokens[i], '.') && isName(tokens[i + 1])) i += 2;
+    if (isPunct(tokens[i], '(')) i = skipGroup(tokens, i);
+  }
+  const valueEnd = i;
+
+  while (isPunct(tokens[i], '::')) {
+    i += 1;
+    const castStart = i;
+    while (i < tokens.length) {
+      if (isName(tokens[i]) && (i === castStart || isPunct(tokens[i - 1], '.') || isWord(tokens[i], ...TYPE_CONTINUATION_WORDS))) {
+        i += 1;
+      } else if (isPunct(tokens[i], '.') || isPunct(tokens[i], '[') || isPunct(tokens[i], ']')) {
+        i += 1;
+      } else if (isPunct(tokens[i], '(')) {
+        i = skipGroup(tokens, i);
+      } else {
+        break;
+      }
+    }
+  }
+
+  return { value: tokens.slice(start, valueEnd), next: i };
+}
+
+function skipColumnOption(tokens, i) {
+  // Skip an option value (a single token, a qualified name or a group).
+  if (isPunct(tokens[i], '(')) return skipGroup(tokens, i);
+  i += 1;
+  while (isPunct(tokens[i], '.') && isName(tokens[i + 1])) i += 2;
+  if (isPunct(tokens[i], '(')) return skipGroup(tokens, i);
+  return i;
+}
+
+function readReferences(tokens, i) {
+  // tokens[i] is REFERENCES
+  const target = readQualifiedName(tokens, i + 1);
+  i = target.next;
+  let references = [];
+  if (isPunct(tokens[i], '(')) {
+    const group = readGroup(tokens, i);
+    references = readNameList(group.inner);
+    i = group.next;
+  }
+  while (i < tokens.length && (isWord(tokens[i], 'ON', 'MATCH', 'DEFERRABLE', 'NOT', 'INITIALLY') || isWord(tokens[i - 1], 'ON', 'MATCH', 'INITIALLY', 'SET', 'NO', 'DELETE', 'UPDATE'))) {
+    if (isWord(tokens[i], 'NOT') && !isWord(tokens[i + 1], 'DEFERRABLE')) break;
+    i += 1;
+  }
+  return { to: target.name, references, next: i };
+}
+
+function createDdlTable(schemaName, name) {
+  return {
+    name,
+    schema: schemaName,
+    columns: [],
+    primaryKey: null,
+    uniques: [],
+    indexes: [],
+    foreignKeys: []
+  };
+}
+
+function parseDdlColumn(sql, table, tokens, ctx) {
+  const column = {
+    name: tokens[0].value,
+    rawType: '',
+    nullable: true,
+    default: null,
+    autoincrement: false,
+    primaryKey: false,
+    unique: false
+  };
+
+  let i = 1;
+  const typeStart = i;
+  while (i < tokens.length) {
+    const tok = tokens[i];
+    if (tok.type === 'word' && COLUMN_OPTION_WORDS.has(tok.value.toUpperCase())) break;
+    if (isWord(tok, 'CHARACTER') && isWord(tokens[i + 1], 'SET')) break;
+    if (isPunct(tok, '(')) {
+      i = skipGroup(tokens, i);
+      continue;
+    }
+    i += 1;
+  }
+  column.rawType = sourceText(sql, tokens.slice(typeStart, i));
+
+  while (i < tokens.length) {
+    const tok = tokens[i];
+    if (isWord(tok, 'NOT') && isWord(tokens[i + 1], 'NULL')) {
+      column.nullable = false;
+      i += 2;
+    } else if (isWord(tok, 'NULL')) {
+      i += 1;
+    } else if (isWord(tok, 'DEFAULT')) {
+      const expr = readDefaultExpr(tokens, i + 1);
+      column.default = expr.value;
+      i = expr.next;
+    } else if (isWord(tok, 'PRIMARY') && isWord(tokens[i + 1], 'KEY')) {
+      column.primaryKey = true;
+      column.nullable = false;
+      i += 2;
+      if (isWord(tokens[i], 'ASC', 'DESC')) i += 1;
+    } else if (isWord(tok, 'UNIQUE')) {
+      column.unique = true;
+      i += isWord(tokens[i + 1], 'KEY') ? 2 : 1;
+    } else if (isWord(tok, 'REFERENCES')) {
+      const ref = readReferences(tokens, i);
+      table.foreignKeys.push({ name: null, fields: [column.name], to: ref.to, references: ref.references });
+      i = ref.next;
+    } else if (isWord(tok, 'AUTO_INCREMENT', 'AUTOINCREMENT')) {
+      column.autoincrement = true;
+      i += 1;
+    } else if (isWord(tok, 'GENERATED')) {
+      // GENERATED {ALWAYS | BY DEFAULT} AS IDENTITY [(...)] | GENERATED ALWAYS AS (expr) [STORED]
+      let j = i + 1;
+      while (j < tokens.length && !isWord(tokens[j], 'AS')) j += 1;
+      if (isWord(tokens[j + 1], 'IDENTITY')) {
+        column.autoincrement = true;
+        i = isPunct(tokens[j + 2], '(') ? skipGroup(tokens, j + 2) : j + 2;
+      } else {
+        ctx.warn(`${table.name}.${column.name}: generated column expression ignored`);
+        i = isPunct(tokens[j + 1], '(') ? skipGroup(tokens, j + 1) : j + 1;
+      }
+    } else if (isWord(tok, 'AS') && isPunct(tokens[i + 1], '(')) {
+      ctx.warn(`${table.name}.${column.name}: generated column expression ignored`);
+      i = skipGroup(tokens, i + 1);
+    } else if (isWord(tok, 'CHECK')) {
+      ctx.warn(`${table.name}.${column.name}: CHECK constraint ignored`);
+      i = skipColumnOption(tokens, i + 1);
+    } else if (isWord(tok, 'CONSTRAINT') || isWord(tok, 'COLLATE', 'COMMENT', 'CHARSET')) {
+      i = skipColumnOption(tokens, i + 1);
+    } else if (isWord(tok, 'CHARACTER') && isWord(tokens[i + 1], 'SET')) {
+      i = skipColumnOption(tokens, i + 2);
+    } else if (isWord(tok, 'ON') && isWord(tokens[i + 1], 'UPDATE')) {
+      i = skipColumnOption(tokens, i + 2);
+    } else {
+      i += 1;
+    }
+  }
+
+  const existing = table.columns.findIndex((c) => c.name === column.name);
+  if (existing >= 0) table.columns[existing] = column;
+  else table.columns.push(column);
+}
+
+function parseDdlTableItem(sql, table, tokens, ctx) {
+  let constraintName = null;
+  let i = 0;
+  if (isWord(tokens[0], 'CONSTRAINT')) {
+    constraintName = isName(tokens[1]) ? tokens[1].value : null;
+    i = 2;
+  }
+
+  const tok = tokens[i];
+  const groupAfter = (j) => {
+    // Skip an optional index name / USING clause, then read the column group.
+    while (j < tokens.length && !isPunct(tokens[j], '(')) j += 1;
+    return j < tokens.length ? readGroup(tokens, j) : { inner: [], next: j };
+  };
+  const optionalName = (j) => (isName(tokens[j]) && !isPunct(tokens[j], '(') && !isWord(tokens[j], 'USING') ? tokens[j].value : null);
+
+  if (isWord(tok, 'PRIMARY') && isWord(tokens[i + 1], 'KEY')) {
+    table.primaryKey = { name: constraintName, fields: readIndexColumns(groupAfter(i + 2).inner).fields };
+    return;
+  }
+  if (isWord(tok, 'UNIQUE')) {
+    let j = i + 1;
+    if (isWord(tokens[j], 'KEY', 'INDEX')) j += 1;
+    const name = constraintName || optionalName(j);
+    table.uniques.push({ name, fields: readIndexColumns(groupAfter(j).inner).fields });
+    return;
+  }
+  if (isWord(tok, 'KEY', 'INDEX') || isWord(tok, 'FULLTEXT')) {
+    let j = i + 1;
+    if (isWord(tok, 'FULLTEXT') && isWord(tokens[j], 'KEY', 'INDEX')) j += 1;
+    const name = optionalName(j);
+    const cols = readIndexColumns(groupAfter(j).inner);
+    if (cols.expression) ctx.warn(`${table.name}: expression index${name ? ` ${name}` : ''} ignored`);
+    else table.indexes.push({ type: isWord(tok, 'FULLTEXT') ? 'fulltext' : 'index', name, fields: cols.fields });
+    return;
+  }
+  if (isWord(tok, 'FOREIGN') && isWord(tokens[i + 1], 'KEY')) {
+    const group = groupAfter(i + 2);
+    let j = group.next;
+    while (j < tokens.length && !isWord(tokens[j], 'REFERENCES')) j += 1;
+    if (j >= tokens.length) {
+      ctx.warn(`${table.name}: FOREIGN KEY without REFERENCES ignored`);
+      return;
+    }
+    const ref = readReferences(tokens, j);
+    table.foreignKeys.push({ name: constraintName, fields: readNameList(group.inner), to: ref.to, references: ref.references });
+    return;
+  }
+  if (isWord(tok, 'CHECK')) {
+    ctx.warn(`${table.name}: CHECK constraint${constraintName ? ` ${constraintName}` : ''} ignored`);
+    return;
+  }
+  if (isWord(tok, 'SPATIAL', 'EXCLUDE', 'LIKE', 'PERIOD')) {
+    ctx.warn(`${table.name}: ${tok.value.toUpperCase()} clause ignored`);
+    return;
+  }
+
+  if (isName(tok)) {
+    parseDdlColumn(sql, table, tokens.slice(i), ctx);
+  }
+}
+
+function parseDdlCreateTable(sql, tokens, ctx) {
+  let i = 1;
+  while (isWord(tokens[i], 'TEMP', 'TEMPORARY', 'UNLOGGED', 'GLOBAL', 'LOCAL')) i += 1;
+  i += 1; // TABLE
+  if (isWord(tokens[i], 'IF') && isWord(tokens[i + 1], 'NOT') && isWord(tokens[i + 2], 'EXISTS')) i += 3;
+
+  const qn = readQualifiedName(tokens, i);
+  if (!qn.name) return;
+  if (!isPunct(tokens[qn.next], '(')) {
+    ctx.warn(`table ${qn.name}: CREATE TABLE without a column list (AS SELECT / PARTITION OF / LIKE) ignored`);
+    return;
+  }
+
+  const table = ctx.tables.get(qn.name) || createDdlTable(qn.schema, qn.name);
+  ctx.tables.set(qn.name, table);
+
+  const group = readGroup(tokens, qn.next);
+  for (const item of splitTopLevel(group.inner, ',')) {
+    parseDdlTableItem(sql, table, item, ctx);
+  }
+}
+
+function parseDdlCreateIndex(tokens, ctx) {
+  let i = 1;
+  let type = 'index';
+  if (isWord(tokens[i], 'UNIQUE')) {
+    type = 'unique';
+    i += 1;
+  } else if (isWord(tokens[i], 'FULLTEXT')) {
+    type = 'fulltext';
+    i += 1;
+  } else if (isWord(tokens[i], 'SPATIAL')) {
+    ctx.warn('SPATIAL index ignored');
+    return;
+  }
+  i += 1; // INDEX
+  if (isWord(tokens[i], 'CONCURRENTLY')) i += 1;
+  if (isWord(tokens[i], 'IF') && isWord(tokens[i + 1], 'NOT') && isWord(tokens[i + 2], 'EXISTS')) i += 3;
+
+  let name = null;
+  if (!isWord(tokens[i], 'ON')) {
+    const qname = readQualifiedName(tokens, i);
+    name = qname.name;
+    i = qname.next;
+  }
+  while (i < tokens.length && !isWord(tokens[i], 'ON')) i += 1;
+  i += 1;
+  if (isWord(tokens[i], 'ONLY')) i += 1;
+
+  const qn = readQualifiedName(tokens, i);
+  i = qn.next;
+  while (i < tokens.length && !isPunct(tokens[i], '(')) i += 1;
+  if (i >= tokens.length) return;
+
+  const group = readGroup(tokens, i);
+  const table = ctx.tables.get(qn.name);
+  if (!table) {
+    ctx.warn(`index${name ? ` ${name}` : ''} on unknown table ${qn.name} ignored`);
+    return;
+  }
+
+  const cols = readIndexColumns(group.inner);
+  if (cols.expression) {
+    ctx.warn(`${table.name}: expression index${name ? ` ${name}` : ''} ignored`);
+    return;
+  }
+  if (tokens.slice(group.next).some((t) => isWord(t, 'WHERE'))) {
+    ctx.warn(`${table.name}: partial index${name ? ` ${name}` : ''} imported without its WHERE clause`);
+  }
+
+  if (type === 'unique') table.uniques.push({ name, fields: cols.fields });
+  else table.indexes.push({ type, name, fields: cols.fields });
+}
+
+function parseDdlCreateType(tokens, ctx) {
+  const qn = readQualifiedName(tokens, 2);
+  if (isWord(tokens[qn.next], 'AS') && isWord(tokens[qn.next + 1], 'ENUM') && isPunct(tokens[qn.next + 2], '(')) {
+    const group = readGroup(tokens, qn.next + 2);
+    const values = group.inner.filter((t) => t.type === 'string').map((t) => t.value);
+    ctx.enums.set(qn.name, { name: qn.name, values, ...(qn.schema && qn.schema !== 'public' ? { schema: qn.schema } : {}) });
+    return;
+  }
+  ctx.warn(`type ${qn.name}: only ENUM types are imported; ignored`);
+}
+
+function parseDdlAlterTable(sql, tokens, ctx) {
+  let i = 2;
+  if (isWord(tokens[i], 'IF') && isWord(tokens[i + 1], 'EXISTS')) i += 2;
+  if (isWord(tokens[i], 'ONLY')) i += 1;
+  const qn = readQualifiedName(tokens, i);
+  const table = ctx.tables.get(qn.name);
+  if (!table) return;
+
+  for (const action of splitTopLevel(tokens.slice(qn.next), ',')) {
+    if (isWord(action[0], 'ADD')) {
+      let rest = action.slice(1);
+      if (isWord(rest[0], 'COLUMN')) rest = rest.slice(1);
+      if (isWord(rest[0], 'IF') && isWord(rest[1], 'NOT') && isWord(rest[2], 'EXISTS')) rest = rest.slice(3);
+      if (rest.length) parseDdlTableItem(sql, table, rest, ctx);
+      continue;
+    }
+
+    if (isWord(action[0], 'ALTER')) {
+      let j = 1;
+      if (isWord(action[j], 'COLUMN')) j += 1;
+      const column = table.columns.find((c) => c.name === action[j]?.value);
+      if (!column) continue;
+      j += 1;
+      if (isWord(action[j], 'SET') && isWord(action[j + 1], 'DEFAULT')) {
+        column.default = readDefaultExpr(action, j + 2).value;
+      } else if (isWord(action[j], 'SET') && isWord(action[j + 1], 'NOT') && isWord(action[j + 2], 'NULL')) {
+        column.nullable = false;
+      } else if (isWord(action[j], 'DROP') && isWord(action[j + 1], 'NOT') && isWord(action[j + 2], 'NULL')) {
+        column.nullable = true;
+      } else if (isWord(action[j], 'ADD') && isWord(action[j + 1], 'GENERATED')) {
+        column.autoincrement = true;
+      }
+    }
+  }
+}
+
+function sqlTypeToScalar(rawType, dialect, enumNames) {
+  let raw = String(rawType || '').trim();
+  let list = false;
+  if (/\[\s*\]$/.test(raw) || /\bARRAY$/i.test(raw)) {
+    list = true;
+    raw = raw.replace(/\s*(\[\s*\])+$/, '').replace(/\s+ARRAY$/i, '');
+  }
+
+  const unquoted = raw.replace(/["`]/g, '');
+  const bare = unquoted.split('.').pop();
+  if (enumNames.has(bare)) return { type: bare, list, enumRef: true };
+
+  const lower = unquoted.toLowerCase().replace(/\s+/g, ' ');
+  const inlineEnum = lower.startsWith('enum(') || lower.startsWith('enum (');
+  if (inlineEnum) return { type: null, list, inlineEnum: true };
+
+  const withoutParams = lower.replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').trim();
+  const candidates = [lower.replace(/\s+(unsigned|signed|zerofill)\b/g, ''), withoutParams.replace(/\s+(unsigned|signed|zerofill)\b/g, '')];
+
+  for (const candidate of candidates) {
+    for (const [re, type] of SQL_SCALAR_TYPES) {
+      if (re.test(candidate)) return { type, list, serial: /serial/.test(candidate) };
+    }
+  }
+
+  if (dialect === 'sqlite') {
+    // SQLite type affinity rules.
+    if (/int/.test(lower)) return { type: 'Int', list };
+    if (/char|clob|text/.test(lower)) return { type: 'String', list };
+    if (!lower || /blob/.test(lower)) return { type: 'Bytes', list };
+    if (/real|floa|doub/.test(lower)) return { type: 'Float', list };
+    return { type: 'Decimal', list };
+  }
+
+  return { type: 'Unsupported', list };
+}
+
+// Mirror the Prisma contract: dbType holds the @db native type name only when it
+// differs from the scalar's default mapping. SQLite has no native type attributes.
+function sqlNativeType(rawType, type, dialect) {
+  if (type === 'Unsupported') return String(rawType || '').trim() || null;
+  const natives = PRISMA_NATIVE_TYPES[dialect];
+  if (!natives) return null;
+
+  const base = String(rawType || '')
+    .replace(/\s*(\[\s*\])+$/, '')
+    .replace(/\s+ARRAY$/i, '')
+    .replace(/["`]/g, '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, '')
+    .replace(/\s+zerofill\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const native = natives[base.split('.').pop()];
+  if (!native) return null;
+  return native === PRISMA_DEFAULT_NATIVE_TYPES[dialect][type] ? null : native;
+}
+
+function normalizeDdlDefault(sql, valueTokens, column) {
+  if (!valueTokens || valueTokens.length === 0) return null;
+  const text = sourceText(sql, valueTokens).trim();
+  const first = valueTokens[0];
+
+  if (valueTokens.length === 1 && isWord(first, 'NULL')) return null;
+  if (/^nextval\s*\(/i.test(text)) return 'autoincrement()';
+  if (/^\(?\s*(now\s*\(\s*\)|current_timestamp(\s*\(\s*\d*\s*\))?|localtimestamp|transaction_timestamp\s*\(\s*\))\s*\)?$/i.test(text)) return 'now()';
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase();
+
+  const numeric = ['Int', 'BigInt', 'Float', 'Decimal'].includes(column.type);
+  if (valueTokens.length === 1 && first.type === 'string') {
+    if (column.type === 'Boolean' && /^(0|1|true|false)$/i.test(first.value)) {
+      return /^(1|true)$/i.test(first.value) ? 'true' : 'false';
+    }
+    if (numeric && /^-?\d+(\.\d+)?$/.test(first.value)) return first.value;
+    if (column.enumRef) return first.value;
+    return JSON.stringify(first.value);
+  }
+  if (column.type === 'Boolean' && /^[01]$/.test(text)) return text === '1' ? 'true' : 'false';
+  if (/^[-+]?\d+(\.\d+)?$/.test(text)) return text;
+
+  return `dbgenerated("${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}")`;
+}
+
+function uniqueFieldName(taken, base, alt) {
+  if (!taken.has(base)) return base;
+  if (!taken.has(alt)) return alt;
+  let n = 2;
+  while (taken.has(`${alt}${n}`)) n += 1;
+  return `${alt}${n}`;
+}
+
+function finalizeDdlSchema(sql, ctx, dialect) {
+  const enumNames = new Set(ctx.enums.keys());
+  const enums = new Map(ctx.enums);
+  const tables = [];
+
+  const imported = [...ctx.tables.values()].filter((t) => {
+    if (t.name === '_prisma_migrations' || /^sqlite_/.test(t.name)) {
+      ctx.info.push(`Skipped internal table ${t.name}`);
+      return false;
+    }
+    return true;
+  });
+  const importedNames = new Set(imported.map((t) => t.name));
+
+  for (const t of imported) {
+    const pkFields = t.primaryKey ? t.primaryKey.fields : t.columns.filter((c) => c.primaryKey).map((c) => c.name);
+    const uniqueSingles = new Set(t.uniques.filter((u) => u.fields.length === 1).map((u) => u.fields[0]));
+
+    const columns = t.columns.map((c) => {
+      const mapped = sqlTypeToScalar(c.rawType, dialect, enumNames);
+      let type = mapped.type;
+      let dbType = sqlNativeType(c.rawType, type, dialect);
+
+      if (mapped.inlineEnum) {
+        // MySQL inline ENUM('a','b') → a named enum, like Prisma introspection does.
+        type = `${t.name}_${c.name}`;
+        const values = (c.rawType.match(/'((?:[^'\\]|''|\\.)*)'/g) || []).map((v) => v.slice(1, -1).replace(/''/g, "'"));
+        enums.set(type, { name: type, values });
+        dbType = null;
+      } else if (mapped.enumRef) {
+        dbType = null;
+      }
+
+      const column = {
+        name: c.name,
+        type,
+        nullable: c.nullable && !pkFields.includes(c.name),
+        list: mapped.list,
+        dbName: null,
+        dbType,
+        default: null,
+        primaryKey: pkFields.length === 1 && pkFields[0] === c.name,
+        unique: c.unique || uniqueSingles.has(c.name),
+        constraints: []
+      };
+
+      const info = { type, enumRef: mapped.enumRef || mapped.inlineEnum };
+      const sqliteRowid = dialect === 'sqlite' && column.primaryKey && /^integer$/i.test(c.rawType.trim());
+      if (c.autoincrement || mapped.serial || sqliteRowid) column.default = 'autoincrement()';
+      const def = normalizeDdlDefault(sql, c.default, info);
+      if (def && !(def === 'autoincrement()' && column.default)) column.default = def;
+      if (type === 'Unsupported') ctx.warn(`${t.name}.${c.name}: unknown type "${c.rawType}" imported as Unsupported`);
+      return column;
+    });
+
+    const indexes = [];
+    const seen = new Set();
+    // The real constraint/index name goes into `map`, so diffs and migrations keep it instead of a derived one.
+    const pushIndex = (type, fields, name) => {
+      const key = `${type}(${fields.join(',')})`;
+      if (seen.has(key) || fields.length === 0) return;
+      seen.add(key);
+      indexes.push({ type, fields, name: null, map: name || null });
+    };
+    if (pkFields.length > 1) {
+      const pkName = t.primaryKey?.name && dialect === 'postgresql' ? t.primaryKey.name : null;
+      pushIndex('primary', pkFields, pkName);
+    }
+    for (const u of t.uniques) {
+      if (u.fields.length > 1) pushIndex('unique', u.fields, u.name);
+    }
+    for (const ix of t.indexes) pushIndex(ix.type, ix.fields, ix.name);
+
+    tables.push({ source: t, entry: { name: t.name, dbName: null, schema: t.schema && !['public', 'main'].includes(t.schema) ? t.schema : null, columns, relations: [], indexes } });
+  }
+
+  // Relations: one field per foreign key plus the back-relation on the referenced table.
+  const byName = new Map(tables.map((x) => [x.entry.name, x.entry]));
+  const pairCounts = new Map();
+  for (const { source } of tables) {
+    for (const fk of source.foreignKeys) {
+      const pair = [source.name, fk.to].sort().join('|');
+      pairCounts.set(pair, (pairCounts.get(pair) || 0) + 1);
+    }
+  }
+
+  for (const { source, entry } of tables) {
+    for (const fk of source.foreignKeys) {
+      const target = byName.get(fk.to);
+      if (!target || !importedNames.has(fk.to)) {
+        ctx.warn(`${source.name}: foreign key to unknown table ${fk.to} ignored`);
+        continue;
+      }
+      const references = fk.references.length ? fk.references : target.columns.filter((c) => c.primaryKey).map((c) => c.name);
+      const pair = [source.name, fk.to].sort().join('|');
+      const ambiguous = pairCounts.get(pair) > 1 || source.name === fk.to;
+      const relationName = ambiguous ? (fk.name || `${source.name}_${fk.fields.join('_')}_fkey`) : null;
+
+      const ownTaken = new Set([...entry.columns.map((c) => c.name), ...entry.relations.map((r) => r.field)]);
+      const field = uniqueFieldName(ownTaken, fk.to, `${fk.to}_${fk.fields.join('_')}`);
+      const optional = fk.fields.some((f) => entry.columns.find((c) => c.name === f)?.nullable);
+      entry.relations.push({ field, to: fk.to, optional, list: false, relationName, fields: fk.fields, references });
+
+      const oneToOne =
+        (fk.fields.length === 1 && entry.columns.find((c) => c.name === fk.fields[0])?.unique) ||
+        entry.indexes.some((ix) => (ix.type === 'unique' || ix.type === 'primary') && ix.fields.join(',') === fk.fields.join(','));
+      const backTaken = new Set([...target.columns.map((c) => c.name), ...target.relations.map((r) => r.field)]);
+      const backField = uniqueFieldName(backTaken, source.name, `${source.name}_${fk.fields.join('_')}`);
+      target.relations.push({ field: backField, to: source.name, optional: oneToOne, list: !oneToOne, relationName, fields: [], references: [] });
+    }
+  }
+
+  const schemas = Array.from(new Set(tables.map((x) => x.entry.schema).filter(Boolean))).sort();
+  const sortByName = (arr) => [...arr].sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    database: { kind: 'relational', dialect, name: '', schemas },
+    enums: sortByName([...enums.values()]),
+    tables: sortByName(tables.map((x) => ({ ...x.entry, relations: [...x.entry.relations].sort((a, b) => a.field.localeCompare(b.field)) })))
+  };
+}
+
+/**
+ * Parse SQL DDL (pg_dump --schema-only, SHOW CREATE TABLE, SQLite .schema)
+ * into the normalized v2 mirror shape. Unsupported statements and clauses
+ * are reported as warnings.
+ */
+function parseSqlDdl(sql, dialectOpt) {
+  const dialect = SQL_DIALECTS[String(dialectOpt || '').toLowerCase()];
+  const warnings = [];
+  const ctx = {
+    tables: new Map(),
+    enums: new Map(),
+    info: [],
+    warn: (msg) => warnings.push(msg)
+  };
+  const skipped = {};
+
+  for (const stmt of splitTopLevel(tokenizeSql(sql, dialect), ';')) {
+    const [a, b] = stmt;
+    if (isWord(a, 'CREATE')) {
+      const kind = stmt.slice(1).find((t) => isWord(t, 'TABLE', 'INDEX', 'TYPE', 'VIEW', 'SEQUENCE', 'FUNCTION', 'PROCEDURE', 'TRIGGER', 'EXTENSION', 'SCHEMA', 'DOMAIN', 'DATABASE'));
+      const word = kind ? kind.value.toUpperCase() : (b?.value || '').toUpperCase();
+      if (word === 'TABLE' && !isWord(b, 'INDEX', 'UNIQUE')) parseDdlCreateTable(sql, stmt, ctx);
+      else if (word === 'INDEX') parseDdlCreateIndex(stmt, ctx);
+      else if (word === 'TYPE') parseDdlCreateType(stmt, ctx);
+      else if (word === 'VIEW' || word === 'DOMAIN') ctx.warn(`CREATE ${isWord(b, 'MATERIALIZED') ? 'MATERIALIZED VIEW' : word} ${readQualifiedName(stmt, stmt.indexOf(kind) + 1).name || ''} ignored`);
+      else skipped[word] = (skipped[word] || 0) + 1;
+    } else if (isWord(a, 'ALTER') && isWord(b, 'TABLE')) {
+      parseDdlAlterTable(sql, stmt, ctx);
+    } else if (a) {
+      const word = [a, isWord(a, 'ALTER', 'DROP', 'COMMENT') ? b : null].filter(Boolean).map((t) => t.value.toUpperCase()).join(' ');
+      skipped[word] = (skipped[word] || 0) + 1;
+    }
+  }
+
+  const result = finalizeDdlSchema(sql, ctx, dialect);
+  return { ...result, warnings, info: ctx.info, skipped };
+}
+
 // ============================================================================
 // DB Management
 // ============================================================================
@@ -410,6 +1416,8 @@ This directory contains the database schema mirror when the real database is the
 \`\`\`bash
 node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs init
 node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs import-prisma
+node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs import-sql --dialect <postgres|mysql|sqlite> --file <dump.sql>
+node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs introspect --sqlite <file>
 node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs generate-migration --name <name>
 node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs verify
 node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs status
@@ -423,8 +1431,8 @@ node .ai/skills/features/database/sync-code-schema-from-db/scripts/ctl-db.mjs st
 
 ## Guidelines
 
-- Do NOT manually edit \`tables.json\`; use \`import-prisma\` after pulling from DB.
-- Migration files should be applied manually by humans.
+- Do NOT manually edit \`tables.json\`; use \`import-prisma\` (or \`import-sql\` / \`introspect\`) after pulling from DB.
+- Migration files are applied by humans (manually, or via \`migrate.mjs apply --env <env> --yes\`).
 `;
 
   if (dryRun) {
@@ -499,7 +1507,176 @@ function cmdImportPrisma(repoRoot, prismaPath, dryRun) {
   console.log(`  Dialect: ${schema.database.dialect}`);
 }
 
-function cmdGenerateMigration(repoRoot, name) {
+function writeDdlMirror(repoRoot, parsed, source, label, dryRun) {
+  const schema = {
+    version: 2,
+    updatedAt: new Date().toISOString(),
+    ssot: {
+      mode: 'database',
+      source
+    },
+    database: parsed.database,
+    enums: parsed.enums,
+    tables: parsed.tables,
+    notes: `Imported from ${label} (${parsed.database.dialect}).`
+  };
+
+  const skipped = Object.entries(parsed.skipped).map(([k, n]) => `${k} x${n}`).join(', ');
+  const report = () => {
+    console.log(`  Tables: ${schema.tables.length}`);
+    console.log(`  Enums: ${schema.enums.length}`);
+    console.log(`  Dialect: ${schema.database.dialect}`);
+    if (skipped) console.log(`  Skipped statements: ${skipped}`);
+    for (const line of parsed.info) console.log(`  ${line}`);
+    for (const w of parsed.warnings) console.warn(`[warn] ${w}`);
+  };
+
+  if (dryRun) {
+    console.log('[dry-run] Would write:');
+    report();
+    return;
+  }
+
+  saveTablesJson(repoRoot, schema);
+  console.log(`[ok] Imported ${label} to db/schema/tables.json`);
+  report();
+}
+
+function cmdImportSql(repoRoot, filePath, dialect, dryRun) {
+  if (!dialect) die('[error] --dialect is required (postgres|mysql|sqlite)');
+  if (!SQL_DIALECTS[String(dialect).toLowerCase()]) {
+    die(`[error] Unsupported --dialect: ${dialect} (expected postgres|mysql|sqlite)`);
+  }
+  if (!filePath) die('[error] --file is required');
+
+  const sqlPath = path.resolve(repoRoot, filePath);
+  if (!fs.existsSync(sqlPath)) {
+    die(`[error] SQL file not found at: ${sqlPath}`);
+  }
+
+  const parsed = parseSqlDdl(fs.readFileSync(sqlPath, 'utf8'), dialect);
+  writeDdlMirror(repoRoot, parsed, { kind: 'sql-ddl', path: path.relative(repoRoot, sqlPath) }, 'SQL DDL', dryRun);
+}
+
+// ============================================================================
+// SQLite Introspection
+// ============================================================================
+
+const SQLITE_MASTER_QUERY =
+  "SELECT type, name, sql FROM sqlite_master WHERE sql IS NOT NULL AND type IN ('table', 'index') ORDER BY rowid";
+
+function loadNodeSqlite() {
+  // process.getBuiltinModule keeps the command synchronous; node:sqlite ships with Node 22.5+.
+  if (typeof process.getBuiltinModule !== 'function') return null;
+  try {
+    return process.getBuiltinModule('node:sqlite') || null;
+  } catch {
+    return null;
+  }
+}
+
+function querySqliteMaster(dbPath) {
+  const sqlite = loadNodeSqlite();
+  if (sqlite?.DatabaseSync) {
+    const db = new sqlite.DatabaseSync(dbPath, { readOnly: true });
+    try {
+      return { driver: 'node:sqlite', rows: db.prepare(SQLITE_MASTER_QUERY).all() };
+    } finally {
+      db.close();
+    }
+  }
+
+  const res = spawnSync('sqlite3', ['-readonly', '-json', dbPath, SQLITE_MASTER_QUERY], { encoding: 'utf8' });
+  if (res.error) {
+    if (res.error.code === 'ENOENT') {
+      die('[error] SQLite introspection needs node:sqlite (Node 22.5+) or the sqlite3 CLI on PATH.');
+    }
+    die(`[error] Failed to run sqlite3: ${res.error.message}`);
+  }
+  if (res.status !== 0) die(`[error] sqlite3 failed: ${(res.stderr || res.stdout).trim()}`);
+  const out = res.stdout.trim();
+  return { driver: 'sqlite3', rows: out ? JSON.parse(out) : [] };
+}
+
+function cmdIntrospect(repoRoot, opts, dryRun) {
+  const sqliteFile = opts['sqlite'];
+  if (!sqliteFile || sqliteFile === true) die('[error] --sqlite <path> is required');
+
+  const dbPath = path.resolve(repoRoot, sqliteFile);
+  if (!fs.existsSync(dbPath)) {
+    die(`[error] SQLite database not found at: ${dbPath}`);
+  }
+
+  // sqlite_master keeps the (normalized) CREATE statement for every table and
+  // index, so the live schema goes through the same parser as import-sql.
+  const { driver, rows } = querySqliteMaster(dbPath);
+  const ddl = rows.map((r) => `${String(r.sql).trim()};`).join('\n\n');
+  const parsed = parseSqlDdl(ddl, 'sqlite');
+  parsed.info.push(`Driver: ${driver}`);
+
+  writeDdlMirror(repoRoot, parsed, { kind: 'sqlite', path: path.relative(repoRoot, dbPath) }, 'SQLite database', dryRun);
+}
+
+// ============================================================================
+// Migration SQL from schema diffs
+// ============================================================================
+
+function getAiDir() {
+  return path.resolve(__dirname, '..', '..', '..', '..', '..');
+}
+
+function runNodeScript(scriptPath, args) {
+  const res = spawnSync(process.execPath, [scriptPath, ...args], { encoding: 'utf8' });
+  if (res.error) die(`[error] Failed to run ${path.basename(scriptPath)}: ${res.error.message}`);
+  if (res.status !== 0) {
+    die(`[error] ${path.basename(scriptPath)} failed:\n${(res.stderr || res.stdout || '').trim()}`);
+  }
+  return res.stdout;
+}
+
+function readBaselineContract(repoRoot, ref) {
+  const res = spawnSync('git', ['-C', repoRoot, 'show', `${ref}:docs/context/db/schema.json`], { encoding: 'utf8' });
+  if (res.error) die(`[error] Failed to run git: ${res.error.message}`);
+  if (res.status !== 0) {
+    console.log(`[info] docs/context/db/schema.json not found at ${ref}; diffing against an empty schema.`);
+    return { version: 2, enums: [], tables: [] };
+  }
+  try {
+    return JSON.parse(res.stdout);
+  } catch (e) {
+    die(`[error] docs/context/db/schema.json at ${ref} is not valid JSON: ${e.message}`);
+  }
+}
+
+function buildMigrationFromDiff(repoRoot, opts) {
+  const ref = opts['base'] || 'HEAD';
+  const target = opts['to'] || 'ssot';
+
+  const tmpDir = path.join(repoRoot, '.ai', '.tmp', 'database');
+  ensureDir(tmpDir);
+  const baselinePath = path.join(tmpDir, 'migration-baseline.json');
+  const diffPath = path.join(tmpDir, 'migration-diff.json');
+
+  writeJson(baselinePath, readBaselineContract(repoRoot, ref));
+
+  const diffJson = runNodeScript(path.join(getAiDir(), 'scripts', 'ctl-db-ssot.mjs'), [
+    'diff', '--repo-root', repoRoot, '--from', baselinePath, '--to', target, '--format', 'json', '--with-schemas'
+  ]);
+  const diff = JSON.parse(diffJson);
+  if (diff.identical) return null;
+  fs.writeFileSync(diffPath, diffJson, 'utf8');
+
+  const docArgs = ['migration-sql', '--diff', diffPath, '--format', 'json'];
+  if (opts['dialect']) docArgs.push('--dialect', String(opts['dialect']));
+  const sql = JSON.parse(runNodeScript(
+    path.resolve(__dirname, '..', '..', 'db-human-interface', 'scripts', 'ctl-db-doc.mjs'),
+    docArgs
+  ));
+
+  return { ref, target, ...sql };
+}
+
+function cmdGenerateMigration(repoRoot, name, paired, opts = {}) {
   if (!name) {
     die('[error] --name is required');
   }
@@ -509,6 +1686,15 @@ function cmdGenerateMigration(repoRoot, name) {
     die('[error] Migration name should only contain letters, numbers, and underscores');
   }
 
+  let generated = null;
+  if (opts['from-diff']) {
+    generated = buildMigrationFromDiff(repoRoot, opts);
+    if (!generated) {
+      console.log(`[info] No schema differences against ${opts['base'] || 'HEAD'}; no migration generated.`);
+      return;
+    }
+  }
+
   const migrationsDir = getMigrationsDir(repoRoot);
   ensureDir(migrationsDir);
 
@@ -520,35 +1706,77 @@ function cmdGenerateMigration(repoRoot, name) {
 
   const filename = `${timestamp}_${name}.sql`;
   const filepath = path.join(migrationsDir, filename);
+  const downFilename = `${timestamp}_${name}.down.sql`;
+  const downFilepath = path.join(migrationsDir, downFilename);
 
   if (fs.existsSync(filepath)) {
     die(`[error] Migration file already exists: ${filename}`);
   }
+  if (paired && fs.existsSync(downFilepath)) {
+    die(`[error] Migration file already exists: ${downFilename}`);
+  }
+
+  const upBody = generated
+    ? `${generated.up}\n`
+    : `-- Add your forward migration SQL below
+
+`;
+  const downBody = generated
+    ? `${generated.down}\n`
+    : `-- DROP TABLE IF EXISTS ...;
+`;
+
+  const downSection = paired
+    ? `-- The down step lives in ${downFilename}.
+`
+    : generated
+      ? `-- +down
+${downBody}`
+      : `-- +down
+-- Add SQL that reverts the +up section (used by migrate.mjs rollback-plan)
+${downBody}`;
+
+  const generatedNote = generated
+    ? `--
+-- Generated from the schema diff: docs/context/db/schema.json@${generated.ref} -> ${generated.target} (${generated.dialect}).
+-- Review every statement before applying.
+${generated.warnings.map((w) => `-- WARNING: ${w}\n`).join('')}`
+    : '';
 
   const template = `-- Migration: ${name}
 -- Created: ${now.toISOString()}
 --
 -- Instructions:
--- 1. Add your forward migration SQL below
+-- 1. Add forward SQL under "-- +up" and the SQL that reverts it under "-- +down"
+--    (or in the paired .down.sql file)
 -- 2. Test in a development environment first
--- 3. Apply using your preferred tool (psql, mysql, etc.)
--- 4. Run: node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs mark-applied --migration ${filename} --env <env>
-
--- === FORWARD MIGRATION ===
-
--- Add your SQL statements here
-
-
--- === ROLLBACK (optional, for reference) ===
-
--- Uncomment and modify if you need rollback capability
--- DROP TABLE IF EXISTS ...;
-`;
+-- 3. Apply: node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs apply --env <env> --yes
+--    (or apply with your preferred tool, then run:
+--     node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs mark-applied --migration ${filename} --env <env>)
+${generatedNote}
+-- +up
+${upBody}
+${downSection}`;
 
   fs.writeFileSync(filepath, template, 'utf8');
 
   console.log(`[ok] Generated migration: ${filename}`);
   console.log(`  Path: ${path.relative(repoRoot, filepath)}`);
+  if (generated) {
+    for (const w of generated.warnings) console.log(`[warn] ${w}`);
+  }
+
+  if (paired) {
+    const downTemplate = `-- Down migration for: ${filename}
+-- Created: ${now.toISOString()}
+--
+-- Reverts ${filename}. Listed by:
+-- node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs rollback-plan --env <env> --to <migration>
+
+${downBody}`;
+    fs.writeFileSync(downFilepath, downTemplate, 'utf8');
+    console.log(`  Down: ${path.relative(repoRoot, downFilepath)}`);
+  }
 }
 
 function cmdVerify(repoRoot, strict) {
@@ -625,7 +1853,7 @@ function cmdStatus(repoRoot, format) {
   }
 
   if (fs.existsSync(migrationsDir)) {
-    const files = fs.readdirSync(migrationsDir).filter(f => f.endsWith('.sql'));
+    const files = fs.readdirSync(migrationsDir).filter(f => f.endsWith('.sql') && !f.endsWith('.down.sql'));
     status.migrations = files.length;
   }
 
@@ -662,8 +1890,14 @@ function main() {
     case 'import-prisma':
       cmdImportPrisma(repoRoot, opts['prisma-path'], !!opts['dry-run']);
       break;
+    case 'import-sql':
+      cmdImportSql(repoRoot, opts['file'], opts['dialect'], !!opts['dry-run']);
+      break;
+    case 'introspect':
+      cmdIntrospect(repoRoot, opts, !!opts['dry-run']);
+      break;
     case 'generate-migration':
-      cmdGenerateMigration(repoRoot, opts['name']);
+      cmdGenerateMigration(repoRoot, opts['name'], !!opts['paired'], opts);
       break;
     case 'verify':
       cmdVerify(repoRoot, !!opts['strict']);
@@ -3,19 +3,26 @@
  * migrate.mjs
  *
  * Migration execution helper for the DB Mirror feature.
- * Note: This script does NOT execute migrations automatically for safety.
- * It helps track and plan migrations; humans must execute them.
+ * Note: This script never executes migrations implicitly. SQL only runs via
+ * the opt-in `apply --env <id> --yes` command (human-run); everything else
+ * tracks and plans migrations.
  *
  * Commands:
  *   list              List all migrations and their status
  *   status            Show migration status for an environment
  *   plan              Show what would be applied
+ *   apply             Execute pending migrations (opt-in, requires --yes)
+ *   verify            Detect edited, deleted or out-of-order migrations (CI)
+ *   rollback-plan     List down steps (reverse order) back to a migration
  *   mark-applied      Mark a migration as applied (for tracking)
  *   mark-pending      Mark a migration as pending (for tracking)
  */
 
+import crypto from 'node:crypto';
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
+import { spawnSync } from 'node:child_process';
 
 // ============================================================================
 // CLI Argument Parsing
@@ -43,11 +50,48 @@ Commands:
     --repo-root <path>          Repo root (default: cwd)
     Show what migrations would be applied.
 
+  apply
+    --env <string>              Environment (required)
+    --yes                       Required to execute SQL
+    --dry-run                   Show what would be executed and exit
+    --url <string>              Connection URL (default: env connectionTemplate
+                                from db/config/db-environments.json)
+    --driver <sqlite|postgres>  Force a driver (default: inferred from the URL)
+    --operator <string>         Operator recorded in the state file (default: OS user)
+    --repo-root <path>          Repo root (default: cwd)
+    Execute pending migrations in order, each inside a transaction.
+    A migration that opens its own transaction (BEGIN / START TRANSACTION,
+    or COMMIT / END TRANSACTION) runs as written instead, without the
+    wrapping transaction; statements outside its BEGIN ... COMMIT are
+    then not rolled back on failure. Stops on the first failure.
+
+  verify
+    --env <string>              Environment (required)
+    --repo-root <path>          Repo root (default: cwd)
+    --format <text|json>        Output format (default: text)
+    --strict                    Also fail on applied migrations without a recorded checksum
+    Compare applied migrations against their recorded SHA-256 checksums and
+    flag edited, deleted or out-of-order (older than the latest applied) files.
+    Exits non-zero when problems are found.
+
+  rollback-plan
+    --env <string>              Environment (required)
+    --to <string>               Target migration filename (required; stays applied),
+                                or 0 to roll back every applied migration
+    --repo-root <path>          Repo root (default: cwd)
+    --format <text|json|markdown>  Output format (default: text)
+    --strict                    Exit non-zero when a down step is missing or empty
+    List the down steps that revert every migration applied after --to,
+    newest first. Down SQL comes from the "-- +down" section of the migration
+    or from a paired <migration>.down.sql file.
+
   mark-applied
     --migration <string>        Migration filename (required)
     --env <string>              Environment (required)
+    --operator <string>         Operator recorded in the state file (default: OS user)
     --repo-root <path>          Repo root (default: cwd)
-    Mark a migration as applied (for tracking).
+    Mark a migration as applied (for tracking) and record its checksum.
+    Re-running on an applied migration without a checksum backfills it.
 
   mark-pending
     --migration <string>        Migration filename (required)
@@ -59,10 +103,15 @@ Examples:
   node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs list
   node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs status --env staging
   node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs plan --env prod
+  node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs apply --env dev --url sqlite:///dev.db --yes
+  node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs verify --env staging
+  node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs rollback-plan --env staging --to 20241228120000_add_users.sql
+  node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs rollback-plan --env staging --to 0
   node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs mark-applied --migration 20241228120000_add_users.sql --env staging
 
-Note: This script does NOT execute migrations. Humans must run them manually.
-The script helps track which migrations have been applied to each environment.
+Note: Only \`apply --yes\` executes SQL; it is meant to be run by humans.
+Drivers: sqlite (node:sqlite or the sqlite3 CLI), postgres (psql CLI).
+Connection templates may reference \${VAR} placeholders resolved from the process environment.
 `;
   console.log(msg.trim());
   process.exit(exitCode);
@@ -158,10 +207,95 @@ function listMigrationFiles(repoRoot) {
 
   const files = fs.readdirSync(migrationsDir);
   return files
-    .filter(f => f.endsWith('.sql'))
+    .filter(f => f.endsWith('.sql') && !f.endsWith('.down.sql'))
     .sort();
 }
 
+function getDownFilename(filename) {
+  return filename.replace(/\.sql$/, '.down.sql');
+}
+
+/**
+ * Split a migration into its up/down parts.
+ *
+ * Files may contain "-- +up" and "-- +down" marker lines. Anything before the
+ * first marker belongs to the up part; files without markers are entirely up.
+ */
+function parseMigrationSections(sql) {
+  const lines = String(sql || '').replace(/\r\n/g, '\n').split('\n');
+  const up = [];
+  const down = [];
+  let current = up;
+  let hasDownMarker = false;
+
+  for (const line of lines) {
+    if (/^\s*--\s*\+up\b/i.test(line)) {
+      current = up;
+      continue;
+    }
+    if (/^\s*--\s*\+down\b/i.test(line)) {
+      current = down;
+      hasDownMarker = true;
+      continue;
+    }
+    current.push(line);
+  }
+
+  return {
+    up: up.join('\n'),
+    down: hasDownMarker ? down.join('\n') : null
+  };
+}
+
+function isEffectivelyEmptySql(sql) {
+  return String(sql || '')
+    .split('\n')
+    .map(l => l.replace(/--.*$/, '').trim())
+    .every(l => l === '');
+}
+
+// Statements that open or close a transaction. A bare END (trigger bodies) and
+// BEGIN followed by more SQL (BEGIN ... END blocks) do not count.
+const TRANSACTION_STATEMENT =
+  /^(BEGIN(\s+(DEFERRED|IMMEDIATE|EXCLUSIVE))?(\s+(TRANSACTION|WORK))?|START\s+TRANSACTION\b.*|COMMIT(\s+(TRANSACTION|WORK))?|END\s+(TRANSACTION|WORK))$/is;
+
+/**
+ * Whether a migration manages its own transaction. Comments, string literals,
+ * quoted identifiers and dollar-quoted bodies are ignored.
+ */
+function managesOwnTransaction(sql) {
+  const code = String(sql || '')
+    .replace(/\$([A-Za-z_][A-Za-z0-9_]*)?\$[\s\S]*?\$\1\$|'(?:[^']|'')*'|"(?:[^"]|"")*"|--[^\n]*|\/\*[\s\S]*?\*\//g, ' ');
+  return code.split(';').some(statement => TRANSACTION_STATEMENT.test(statement.trim()));
+}
+
+function loadDownStep(repoRoot, filename) {
+  const migrationsDir = getMigrationsDir(repoRoot);
+  const upPath = path.join(migrationsDir, filename);
+  const downPath = path.join(migrationsDir, getDownFilename(filename));
+
+  if (fs.existsSync(downPath)) {
+    const sql = fs.readFileSync(downPath, 'utf8');
+    return { source: path.basename(downPath), sql, empty: isEffectivelyEmptySql(sql) };
+  }
+
+  if (!fs.existsSync(upPath)) {
+    return { source: null, sql: null, empty: true, warning: 'migration file not found' };
+  }
+
+  const sections = parseMigrationSections(fs.readFileSync(upPath, 'utf8'));
+  if (sections.down === null) {
+    return { source: null, sql: null, empty: true, warning: 'no "-- +down" section or .down.sql file' };
+  }
+  const empty = isEffectivelyEmptySql(sections.down);
+  return {
+    source: `${filename} (-- +down)`,
+    sql: sections.down.trim(),
+    empty,
+    warning: empty ? 'down section is empty' : undefined
+  };
+}
+
 function getMigrationInfo(filename) {
   // Parse filename like: 20241228120000_add_users.sql
   const match = filename.match(/^(\d{14})_(.+)\.sql$/);
@@ -182,6 +316,234 @@ function getMigrationInfo(filename) {
   };
 }
 
+function computeChecksum(content) {
+  return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+function readMigrationChecksum(repoRoot, filename) {
+  const filePath = path.join(getMigrationsDir(repoRoot), filename);
+  if (!fs.existsSync(filePath)) return null;
+  return computeChecksum(fs.readFileSync(filePath));
+}
+
+function verifyEnvironment(repoRoot, env) {
+  const files = listMigrationFiles(repoRoot);
+  const state = loadMigrationState(repoRoot);
+  const envState = state.environments?.[env] || { applied: [] };
+  const applied = Array.isArray(envState.applied) ? envState.applied : [];
+  const records = envState.records || {};
+
+  const problems = [];
+
+  for (const migration of applied) {
+    if (!files.includes(migration)) {
+      problems.push({ level: 'error', kind: 'deleted', migration, message: 'applied migration file no longer exists' });
+      continue;
+    }
+    const recorded = records[migration]?.checksum;
+    if (!recorded) {
+      problems.push({ level: 'warning', kind: 'untracked', migration, message: 'no checksum recorded (re-run mark-applied to backfill)' });
+      continue;
+    }
+    const actual = readMigrationChecksum(repoRoot, migration);
+    if (actual !== recorded) {
+      problems.push({ level: 'error', kind: 'edited', migration, message: `checksum mismatch (recorded ${recorded}, actual ${actual})` });
+    }
+  }
+
+  const appliedTimestamps = applied
+    .map(f => getMigrationInfo(f).timestamp)
+    .filter(Boolean)
+    .sort();
+  const latestApplied = appliedTimestamps[appliedTimestamps.length - 1] || null;
+
+  if (latestApplied) {
+    for (const f of files) {
+      if (applied.includes(f)) continue;
+      const info = getMigrationInfo(f);
+      if (info.timestamp && info.timestamp < latestApplied) {
+        problems.push({ level: 'error', kind: 'out-of-order', migration: f, message: `pending but older than latest applied migration (${latestApplied})` });
+      }
+    }
+  }
+
+  return {
+    environment: env,
+    checked: applied.length,
+    latestApplied,
+    problems
+  };
+}
+
+function resolveOperator(explicit) {
+  if (explicit && explicit !== true) return String(explicit);
+  try {
+    return os.userInfo().username || 'unknown';
+  } catch (e) {
+    return process.env.USER || process.env.USERNAME || 'unknown';
+  }
+}
+
+// ============================================================================
+// Connection Resolution
+// ============================================================================
+
+function getEnvironmentsConfigPath(repoRoot) {
+  return path.join(getDbDir(repoRoot), 'config', 'db-environments.json');
+}
+
+function loadEnvironmentConfig(repoRoot, env) {
+  const data = readJson(getEnvironmentsConfigPath(repoRoot));
+  const list = Array.isArray(data?.environments) ? data.environments : [];
+  return list.find(e => e && e.id === env) || null;
+}
+
+function expandConnectionTemplate(template) {
+  const missing = [];
+  const url = String(template || '').replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+      missing.push(name);
+      return '';
+    }
+    return encodeURIComponent(value);
+  });
+  return { url, missing };
+}
+
+function redactUrl(url) {
+  // Never print credentials: user:password@ -> ***@
+  return String(url || '').replace(/\/\/[^/@]*@/, '//***@');
+}
+
+function sqlitePathFromUrl(url, repoRoot) {
+  // Accepted forms (SQLAlchemy + Prisma style):
+  //   sqlite:////abs/path.db   sqlite:///relative.db   file:./relative.db   file:/abs/path.db
+  const raw = String(url || '');
+  let p = null;
+  if (raw.startsWith('sqlite:///')) p = raw.slice('sqlite:///'.length);
+  else if (raw.startsWith('sqlite:')) p = raw.slice('sqlite:'.length);
+  else if (raw.startsWith('file:')) p = raw.slice('file:'.length);
+  if (!p) return null;
+  p = p.split('?')[0];
+  return path.isAbsolute(p) ? p : path.resolve(repoRoot, p);
+}
+
+// ============================================================================
+// Drivers
+// ============================================================================
+//
+// A driver executes one migration's SQL inside a single transaction (or as
+// written when `ownTransaction` is set) and reports { ok, error }. To support
+// another dialect, add an entry here with `matches(url)`, `available()` and
+// `execute({ url, repoRoot, sql, ownTransaction })`.
+
+function commandAvailable(cmd, args) {
+  const res = spawnSync(cmd, args, { encoding: 'utf8' });
+  return !res.error && res.status === 0;
+}
+
+function loadNodeSqlite() {
+  // node:sqlite ships with newer Node versions; older ones fall back to the sqlite3 CLI.
+  if (typeof process.getBuiltinModule !== 'function') return null;
+  try {
+    return process.getBuiltinModule('node:sqlite') || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function executeSqliteNode(sqliteModule, dbPath, sql, ownTransaction) {
+  let db;
+  try {
+    db = new sqliteModule.DatabaseSync(dbPath);
+  } catch (e) {
+    return { ok: false, error: `Cannot open SQLite database ${dbPath}: ${e && e.message ? e.message : String(e)}` };
+  }
+  try {
+    if (!ownTransaction) db.exec('BEGIN');
+    try {
+      db.exec(sql);
+      if (!ownTransaction) db.exec('COMMIT');
+    } catch (e) {
+      try {
+        db.exec('ROLLBACK');
+      } catch (rollbackError) {
+        // the migration's own transaction was never opened or already closed
+      }
+      return { ok: false, error: e && e.message ? e.message : String(e) };
+    }
+    return { ok: true };
+  } finally {
+    db.close();
+  }
+}
+
+function executeSqliteCli(dbPath, sql, ownTransaction) {
+  // -bail stops at the first error; closing the connection rolls back the open transaction.
+  const res = spawnSync('sqlite3', ['-bail', dbPath], {
+    input: ownTransaction ? `${sql}\n;\n` : `BEGIN;\n${sql}\n;\nCOMMIT;\n`,
+    encoding: 'utf8'
+  });
+  if (res.error) return { ok: false, error: String(res.error.message || res.error) };
+  if (res.status !== 0) return { ok: false, error: (res.stderr || res.stdout || `sqlite3 exited with ${res.status}`).trim() };
+  return { ok: true };
+}
+
+function psqlConnection(url) {
+  // Keep the password off the psql command line (visible to every local user via `ps`):
+  // strip it from the URL and hand it over through PGPASSWORD instead.
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { target: url, env: {} };
+  }
+  if (!parsed.password) return { target: url, env: {} };
+  const password = decodeURIComponent(parsed.password);
+  parsed.password = '';
+  return { target: parsed.toString(), env: { PGPASSWORD: password } };
+}
+
+const DRIVERS = {
+  sqlite: {
+    id: 'sqlite',
+    matches: (url) => /^(sqlite|file):/i.test(url),
+    available: () => !!loadNodeSqlite() || commandAvailable('sqlite3', ['-version']),
+    execute({ url, repoRoot, sql, ownTransaction }) {
+      const dbPath = sqlitePathFromUrl(url, repoRoot);
+      if (!dbPath) return { ok: false, error: `Invalid SQLite URL: ${redactUrl(url)}` };
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+      const sqliteModule = loadNodeSqlite();
+      if (sqliteModule) return executeSqliteNode(sqliteModule, dbPath, sql, ownTransaction);
+      return executeSqliteCli(dbPath, sql, ownTransaction);
+    }
+  },
+  postgres: {
+    id: 'postgres',
+    matches: (url) => /^postgres(ql)?:/i.test(url),
+    available: () => commandAvailable('psql', ['--version']),
+    execute({ url, sql, ownTransaction }) {
+      const conn = psqlConnection(url);
+      // --single-transaction does not nest: a BEGIN/COMMIT in the file would end it early.
+      const txArgs = ownTransaction ? [] : ['--single-transaction'];
+      const res = spawnSync('psql', ['-X', '-q', ...txArgs, '-v', 'ON_ERROR_STOP=1', '-f', '-', conn.target], {
+        input: sql,
+        encoding: 'utf8',
+        env: { ...process.env, ...conn.env }
+      });
+      if (res.error) return { ok: false, error: String(res.error.message || res.error) };
+      if (res.status !== 0) return { ok: false, error: (res.stderr || res.stdout || `psql exited with ${res.status}`).trim() };
+      return { ok: true };
+    }
+  }
+};
+
+function resolveDriver(driverId, url) {
+  if (driverId) return DRIVERS[String(driverId).toLowerCase()] || null;
+  return Object.values(DRIVERS).find(d => d.matches(url)) || null;
+}
+
 // ============================================================================
 // Commands
 // ============================================================================
@@ -194,8 +556,15 @@ function cmdList(repoRoot, format) {
     const info = getMigrationInfo(f);
     const envStatus = {};
     
+    const checksum = readMigrationChecksum(repoRoot, f);
+
     for (const [env, envState] of Object.entries(state.environments || {})) {
-      envStatus[env] = envState.applied?.includes(f) ? 'applied' : 'pending';
+      if (!envState.applied?.includes(f)) {
+        envStatus[env] = 'pending';
+        continue;
+      }
+      const recorded = envState.records?.[f]?.checksum;
+      envStatus[env] = recorded && recorded !== checksum ? 'applied (edited)' : 'applied';
     }
 
     return {
@@ -222,7 +591,7 @@ function cmdList(repoRoot, format) {
     console.log(`  ${m.filename}${validity}`);
     if (Object.keys(m.environments).length > 0) {
       for (const [env, status] of Object.entries(m.environments)) {
-        const icon = status === 'applied' ? '✓' : '○';
+        const icon = status === 'pending' ? '○' : status === 'applied' ? '✓' : '!';
         console.log(`    ${icon} ${env}: ${status}`);
       }
     }
@@ -245,7 +614,8 @@ function cmdStatus(repoRoot, env, format) {
     applied: applied.length,
     pending: pending.length,
     appliedMigrations: applied,
-    pendingMigrations: pending
+    pendingMigrations: pending,
+    integrityProblems: verifyEnvironment(repoRoot, env).problems.filter(p => p.level === 'error').length
   };
 
   if (format === 'json') {
@@ -267,6 +637,11 @@ function cmdStatus(repoRoot, env, format) {
   } else {
     console.log('  All migrations applied.');
   }
+
+  if (status.integrityProblems > 0) {
+    console.log('');
+    console.log(`  [warn] ${status.integrityProblems} integrity problem(s). Run: migrate.mjs verify --env ${env}`);
+  }
 }
 
 function cmdPlan(repoRoot, env) {
@@ -293,11 +668,115 @@ function cmdPlan(repoRoot, env) {
   console.log('\n  Instructions:');
   console.log('  1. Review each migration file carefully');
   console.log('  2. Backup your database before applying');
-  console.log('  3. Apply migrations in order using your preferred tool');
-  console.log('  4. Run: node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs mark-applied --migration <file> --env ' + env);
+  console.log('  3. Apply migrations in order using your preferred tool, or run:');
+  console.log('     node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs apply --env ' + env + ' --yes');
+  console.log('  4. If applied manually, run: node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs mark-applied --migration <file> --env ' + env);
 }
 
-function cmdMarkApplied(repoRoot, migration, env) {
+function cmdVerify(repoRoot, env, format, strict) {
+  if (!env) die('[error] --env is required');
+
+  const result = verifyEnvironment(repoRoot, env);
+  const errors = result.problems.filter(p => p.level === 'error');
+  const warnings = result.problems.filter(p => p.level === 'warning');
+  const ok = errors.length === 0 && (!strict || warnings.length === 0);
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ ok, ...result }, null, 2));
+    process.exit(ok ? 0 : 1);
+  }
+
+  console.log(`Migration Verify for "${env}":\n`);
+  console.log(`  Applied migrations checked: ${result.checked}`);
+  console.log('');
+
+  if (errors.length > 0) {
+    console.log('Errors:');
+    for (const p of errors) console.log(`  - [${p.kind}] ${p.migration}: ${p.message}`);
+  }
+
+  if (warnings.length > 0) {
+    console.log('Warnings:');
+    for (const p of warnings) console.log(`  - [${p.kind}] ${p.migration}: ${p.message}`);
+  }
+
+  console.log(ok ? '[ok] Migration verification passed.' : '[error] Migration verification failed.');
+  process.exit(ok ? 0 : 1);
+}
+
+function cmdRollbackPlan(repoRoot, env, to, format, strict) {
+  if (!env) die('[error] --env is required');
+  if (!to || to === true) die('[error] --to is required');
+
+  const state = loadMigrationState(repoRoot);
+  const applied = [...(state.environments?.[env]?.applied || [])].sort();
+  // --to 0 targets the empty database: every applied migration is rolled back.
+  const full = String(to) === '0';
+  if (!full && !applied.includes(to)) {
+    die(`[error] Migration is not applied in "${env}": ${to}`);
+  }
+
+  const steps = applied
+    .filter(f => full || f > to)
+    .reverse()
+    .map(migration => {
+      const down = loadDownStep(repoRoot, migration);
+      if (down.empty && !down.warning) down.warning = 'down file is empty';
+      return { migration, ...down };
+    });
+  const warnings = steps.filter(s => s.warning).map(s => `${s.migration}: ${s.warning}`);
+
+  const target = full ? 'nothing applied' : to;
+  if (format === 'json') {
+    console.log(JSON.stringify({ environment: env, to: full ? null : to, steps, warnings }, null, 2));
+  } else if (format === 'markdown') {
+    const lines = [
+      `# Rollback plan: ${env} → ${target}`,
+      '',
+      `- Environment: \`${env}\``,
+      full ? '- Target: roll back every applied migration' : `- Target (stays applied): \`${to}\``,
+      `- Steps: ${steps.length}`,
+      ''
+    ];
+    if (warnings.length > 0) {
+      lines.push('## Warnings', '', ...warnings.map(w => `- ${w}`), '');
+    }
+    steps.forEach((step, i) => {
+      lines.push(`## ${i + 1}. ${step.migration}`, '');
+      if (step.sql && !step.empty) {
+        lines.push(`Source: \`${step.source}\``, '', '```sql', step.sql.trim(), '```', '');
+      } else {
+        lines.push(`_Missing down step: ${step.warning}. Write the revert SQL manually._`, '');
+      }
+      lines.push(`After running: \`migrate.mjs mark-pending --migration ${step.migration} --env ${env}\``, '');
+    });
+    console.log(lines.join('\n').trimEnd());
+  } else {
+    console.log(`Rollback Plan for "${env}" (to ${target}):\n`);
+    if (steps.length === 0) {
+      console.log('  Nothing to roll back.');
+    }
+    steps.forEach((step, i) => {
+      const source = step.source && !step.empty ? ` [${step.source}]` : '';
+      console.log(`  ${i + 1}. ${step.migration}${source}`);
+      if (step.sql && !step.empty) {
+        for (const line of step.sql.trim().split('\n')) console.log(`       ${line}`);
+      }
+    });
+    if (warnings.length > 0) {
+      console.log('\nWarnings:');
+      for (const w of warnings) console.log(`  - ${w}`);
+    }
+    if (steps.length > 0) {
+      console.log('\n  After running each down step, run:');
+      console.log(`  node .ai/skills/features/database/sync-code-schema-from-db/scripts/migrate.mjs mark-pending --migration <file> --env ${env}`);
+    }
+  }
+
+  if (strict && warnings.length > 0) process.exit(1);
+}
+
+function cmdMarkApplied(repoRoot, migration, env, operatorOpt) {
   if (!migration) die('[error] --migration is required');
   if (!env) die('[error] --env is required');
 
@@ -311,14 +790,35 @@ function cmdMarkApplied(repoRoot, migration, env) {
     state.environments[env] = { applied: [] };
   }
 
-  if (state.environments[env].applied.includes(migration)) {
-    console.log(`[info] Migration already marked as applied: ${migration}`);
+  const envState = state.environments[env];
+  if (!envState.records || typeof envState.records !== 'object') envState.records = {};
+
+  if (envState.applied.includes(migration)) {
+    if (envState.records[migration]?.checksum) {
+      console.log(`[info] Migration already marked as applied: ${migration}`);
+      return;
+    }
+    envState.records[migration] = {
+      checksum: readMigrationChecksum(repoRoot, migration),
+      appliedAt: null,
+      operator: resolveOperator(operatorOpt),
+      driver: 'manual'
+    };
+    envState.lastUpdated = new Date().toISOString();
+    saveMigrationState(repoRoot, state);
+    console.log(`[ok] Backfilled checksum: ${migration} (${env})`);
     return;
   }
 
-  state.environments[env].applied.push(migration);
-  state.environments[env].applied.sort();
-  state.environments[env].lastUpdated = new Date().toISOString();
+  envState.applied.push(migration);
+  envState.applied.sort();
+  envState.records[migration] = {
+    checksum: readMigrationChecksum(repoRoot, migration),
+    appliedAt: new Date().toISOString(),
+    operator: resolveOperator(operatorOpt),
+    driver: 'manual'
+  };
+  envState.lastUpdated = new Date().toISOString();
 
   saveMigrationState(repoRoot, state);
   console.log(`[ok] Marked as applied: ${migration} (${env})`);
@@ -341,12 +841,126 @@ function cmdMarkPending(repoRoot, migration, env) {
   }
 
   state.environments[env].applied.splice(index, 1);
+  if (state.environments[env].records) delete state.environments[env].records[migration];
   state.environments[env].lastUpdated = new Date().toISOString();
 
   saveMigrationState(repoRoot, state);
   console.log(`[ok] Marked as pending: ${migration} (${env})`);
 }
 
+function cmdApply(repoRoot, opts) {
+  const env = opts['env'];
+  if (!env || env === true) die('[error] --env is required');
+
+  const yes = !!opts['yes'];
+  const dryRun = !!opts['dry-run'];
+
+  const files = listMigrationFiles(repoRoot);
+  const state = loadMigrationState(repoRoot);
+  const envState = state.environments?.[env] || { applied: [] };
+  const pending = files.filter(f => !envState.applied?.includes(f));
+
+  if (pending.length === 0) {
+    console.log(`[ok] No pending migrations for "${env}".`);
+    return;
+  }
+
+  const envConfig = loadEnvironmentConfig(repoRoot, env);
+  if (envConfig?.permissions?.migrations === false) {
+    die(`[error] Environment "${env}" does not allow migrations (permissions.migrations = false).`);
+  }
+
+  let url = opts['url'] && opts['url'] !== true ? String(opts['url']) : '';
+  if (!url) {
+    if (!envConfig?.connectionTemplate) {
+      die(`[error] No connection for "${env}". Pass --url or set connectionTemplate in db/config/db-environments.json.`);
+    }
+    const expanded = expandConnectionTemplate(envConfig.connectionTemplate);
+    if (expanded.missing.length > 0) {
+      die(`[error] Missing environment variables for "${env}" connection: ${expanded.missing.join(', ')}`);
+    }
+    url = expanded.url;
+  }
+
+  const driverId = opts['driver'] && opts['driver'] !== true ? opts['driver'] : envConfig?.driver;
+  const driver = resolveDriver(driverId, url);
+  if (!driver) {
+    die(`[error] No driver for ${driverId ? `"${driverId}"` : redactUrl(url)}. Available: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  console.log(`Apply Plan for "${env}":\n`);
+  console.log(`  Driver: ${driver.id}`);
+  console.log(`  Target: ${redactUrl(url)}`);
+  if (typeof envConfig?.permissions?.migrations === 'string') {
+    console.log(`  Policy: ${envConfig.permissions.migrations}`);
+  }
+  console.log('');
+  for (let i = 0; i < pending.length; i++) {
+    console.log(`  ${i + 1}. ${pending[i]}`);
+  }
+  console.log('');
+
+  if (dryRun) {
+    console.log('[dry-run] No SQL executed.');
+    return;
+  }
+
+  if (!yes) {
+    die('[error] Refusing to execute migrations without --yes. Preview with --dry-run, then re-run with --yes.');
+  }
+
+  if (!driver.available()) {
+    die(`[error] Driver "${driver.id}" is not available on this machine.`);
+  }
+
+  const operator = resolveOperator(opts['operator']);
+  if (!state.environments[env]) state.environments[env] = { applied: [] };
+  const target = state.environments[env];
+  if (!Array.isArray(target.applied)) target.applied = [];
+  if (!target.records || typeof target.records !== 'object') target.records = {};
+
+  for (const migration of pending) {
+    const content = fs.readFileSync(path.join(getMigrationsDir(repoRoot), migration));
+    const sql = parseMigrationSections(content.toString('utf8')).up;
+    const checksum = computeChecksum(content);
+    const startedAt = new Date();
+    const result = driver.execute({ url, repoRoot, sql, ownTransaction: managesOwnTransaction(sql) });
+    const durationMs = Date.now() - startedAt.getTime();
+
+    if (!result.ok) {
+      target.lastFailure = {
+        migration,
+        checksum,
+        failedAt: new Date().toISOString(),
+        durationMs,
+        operator,
+        error: result.error || 'unknown error'
+      };
+      target.lastUpdated = new Date().toISOString();
+      saveMigrationState(repoRoot, state);
+      console.error(`[error] Failed: ${migration} (${durationMs}ms)`);
+      console.error(`  ${result.error || 'unknown error'}`);
+      die('[error] Stopped at first failure; remaining migrations were not applied.');
+    }
+
+    target.applied.push(migration);
+    target.applied.sort();
+    target.records[migration] = {
+      checksum,
+      appliedAt: startedAt.toISOString(),
+      durationMs,
+      operator,
+      driver: driver.id
+    };
+    delete target.lastFailure;
+    target.lastUpdated = new Date().toISOString();
+    saveMigrationState(repoRoot, state);
+    console.log(`[ok] Applied: ${migration} (${durationMs}ms)`);
+  }
+
+  console.log(`\n[ok] ${pending.length} migration(s) applied to "${env}".`);
+}
+
 // ============================================================================
 // Main
 // ============================================================================
@@ -366,8 +980,17 @@ function main() {
     case 'plan':
       cmdPlan(repoRoot, opts['env']);
       break;
+    case 'apply':
+      cmdApply(repoRoot, opts);
+      break;
+    case 'verify':
+      cmdVerify(repoRoot, opts['env'], format, !!opts['strict']);
+      break;
+    case 'rollback-plan':
+      cmdRollbackPlan(repoRoot, opts['env'], opts['to'], format, !!opts['strict']);
+      break;
     case 'mark-applied':
-      cmdMarkApplied(repoRoot, opts['migration'], opts['env']);
+      cmdMarkApplied(repoRoot, opts['migration'], opts['env'], opts['operator']);
       break;
     case 'mark-pending':
       cmdMarkPending(repoRoot, opts['migration'], opts['env']);
@@ -14,6 +14,8 @@ import * as dbSuite from './suites/database/index.mjs';
 import * as contextSuite from './suites/context-awareness/index.mjs';
 import * as deploySuite from './suites/deployment/index.mjs';
 import * as iacSuite from './suites/iac/index.mjs';
+import * as governanceSuite from './suites/governance/index.mjs';
+import * as skillsSuite from './suites/skills/index.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,13 +29,15 @@ const SUITES = {
   'context-awareness': contextSuite,
   deployment: deploySuite,
   iac: iacSuite,
+  governance: governanceSuite,
+  skills: skillsSuite,
 };
 
 function usage(exitCode) {
   const msg = [
     'Usage:',
     '  node .ai/tests/run.mjs --list',
-    '  node .ai/tests/run.mjs --suite <ui|environment|database|context-awareness|deployment|iac>',
+    '  node .ai/tests/run.mjs --suite <ui|environment|database|context-awareness|deployment|iac|governance|skills>',
     '',
     'Options:',
     '  --keep-artifacts     Keep evidence even on PASS (default: false)',
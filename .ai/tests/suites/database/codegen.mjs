@@ -0,0 +1,111 @@
+/**
+ * codegen.mjs
+ * ctl-db-doc codegen: normalized DB contract → TypeScript interfaces and Zod schemas (read/create/update)
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+import { assertIncludes } from '../../lib/text.mjs';
+
+export const name = 'database-codegen';
+
+const column = (name, type, extra = {}) => ({
+  name,
+  type,
+  nullable: false,
+  list: false,
+  dbName: null,
+  dbType: null,
+  default: null,
+  primaryKey: false,
+  unique: false,
+  ...extra,
+});
+
+const CONTRACT = {
+  version: 2,
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  ssot: { mode: 'repo-prisma', source: { kind: 'prisma-schema', path: 'prisma/schema.prisma' } },
+  database: { kind: 'relational', dialect: 'postgresql', name: '', schemas: [] },
+  enums: [{ name: 'Role', values: ['USER', 'ADMIN'] }],
+  tables: [
+    {
+      name: 'user_account',
+      dbName: null,
+      schema: null,
+      columns: [
+        column('createdAt', 'DateTime', { default: 'now()' }),
+        column('email', 'String', { unique: true }),
+        column('id', 'Int', { primaryKey: true, default: 'autoincrement()' }),
+        column('nickname', 'String', { nullable: true }),
+        column('passwordHash', 'String'),
+        column('role', 'Role', { default: 'USER' }),
+      ],
+      relations: [],
+      indexes: [],
+    },
+  ],
+  notes: '',
+};
+
+function fail(error) {
+  return { name, status: 'FAIL', error };
+}
+
+export function run(ctx) {
+  const testDir = path.join(ctx.evidenceDir, name);
+  const rootDir = path.join(testDir, 'fixture');
+
+  // ctl-db-doc resolves the repo root from its own location, so run a copy inside the fixture.
+  const scriptRel = path.join('.ai', 'skills', 'features', 'database', 'db-human-interface', 'scripts', 'ctl-db-doc.mjs');
+  const script = path.join(rootDir, scriptRel);
+  fs.mkdirSync(path.dirname(script), { recursive: true });
+  fs.copyFileSync(path.join(ctx.repoRoot, scriptRel), script);
+  fs.mkdirSync(path.join(rootDir, 'docs', 'context', 'db'), { recursive: true });
+  fs.writeFileSync(path.join(rootDir, 'docs', 'context', 'db', 'schema.json'), JSON.stringify(CONTRACT, null, 2) + '\n', 'utf8');
+
+  const generated = {};
+  for (const target of ['ts', 'zod']) {
+    const res = runCommand({
+      cmd: 'node',
+      args: [script, 'codegen', '--target', target, '--out', path.join('gen', target)],
+      cwd: rootDir,
+      evidenceDir: testDir,
+      label: `${name}.${target}`,
+    });
+    if (res.error || res.code !== 0) {
+      const detail = res.error ? String(res.error) : res.stderr || res.stdout;
+      return fail(`ctl-db-doc codegen --target ${target} failed: ${detail}`);
+    }
+    const outDir = path.join(rootDir, 'gen', target);
+    for (const file of ['Role.ts', 'UserAccount.ts', 'index.ts']) {
+      if (!fs.existsSync(path.join(outDir, file))) return fail(`codegen --target ${target} did not write ${file}`);
+    }
+    generated[target] = fs.readFileSync(path.join(outDir, 'UserAccount.ts'), 'utf8');
+    assertIncludes(generated[target], 'DO NOT EDIT', `Expected a generated-file header (${target})`);
+    if (generated[target].includes('passwordHash')) return fail(`sensitive column leaked into ${target} output`);
+  }
+
+  const ts = generated.ts;
+  assertIncludes(ts, "import type { Role } from './Role';", 'Expected enum type import');
+  assertIncludes(ts, 'export interface UserAccount {\n  createdAt: string;', 'Expected read interface with all columns');
+  assertIncludes(ts, '  nickname: string | null;', 'Expected nullable column in read interface');
+  const create = ts.slice(ts.indexOf('export interface UserAccountCreateInput'), ts.indexOf('export interface UserAccountUpdateInput'));
+  if (/\b(id|createdAt)\b/.test(create)) return fail(`auto-generated columns must be dropped from CreateInput:\n${create}`);
+  assertIncludes(create, '  email: string;', 'Expected required column in CreateInput');
+  assertIncludes(create, '  role?: Role;', 'Expected defaulted column to be optional in CreateInput');
+
+  const zod = generated.zod;
+  assertIncludes(zod, "import { RoleSchema } from './Role';", 'Expected enum schema import');
+  assertIncludes(zod, '  nickname: z.string().nullable().optional(),', 'Expected nullable optional create field');
+  assertIncludes(zod, 'export type UserAccountUpdateInput = z.infer<typeof UserAccountUpdateInputSchema>;', 'Expected inferred update type');
+  assertIncludes(
+    fs.readFileSync(path.join(rootDir, 'gen', 'zod', 'Role.ts'), 'utf8'),
+    "export const RoleSchema = z.enum(['USER', 'ADMIN']);",
+    'Expected z.enum for Role'
+  );
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -0,0 +1,146 @@
+/**
+ * import-sql.mjs
+ * ctl-db import-sql: pg_dump-style DDL → db/schema/tables.json mirror (enums, FKs, uniques, composite keys,
+ * index names, standard-conforming string literals)
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+import { assertIncludes } from '../../lib/text.mjs';
+
+export const name = 'database-import-sql';
+
+const PG_DUMP = `--
+-- PostgreSQL database dump
+--
+SET statement_timeout = 0;
+SELECT pg_catalog.set_config('search_path', '', false);
+
+CREATE TYPE public."Role" AS ENUM (
+    'USER',
+    'ADMIN'
+);
+
+CREATE FUNCTION public.touch() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$ BEGIN NEW."updatedAt" = now(); RETURN NEW; END; $$;
+
+CREATE TABLE public."User" (
+    id integer NOT NULL,
+    email text NOT NULL,
+    name character varying(100),
+    role public."Role" DEFAULT 'USER'::public."Role" NOT NULL,
+    "createdAt" timestamp(3) without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE SEQUENCE public."User_id_seq" AS integer START WITH 1 INCREMENT BY 1;
+
+CREATE TABLE public."Post" (
+    id integer NOT NULL,
+    title text DEFAULT 'untitled'::text NOT NULL,
+    path text DEFAULT 'C:\\'::text NOT NULL,
+    note text DEFAULT E'it\\'s'::text,
+    "authorId" integer NOT NULL
+);
+
+CREATE TABLE public."PostTag" (
+    "postId" integer NOT NULL,
+    tag text NOT NULL
+);
+
+CREATE VIEW public.recent_posts AS SELECT id FROM public."Post";
+
+ALTER TABLE ONLY public."User" ALTER COLUMN id SET DEFAULT nextval('public."User_id_seq"'::regclass);
+ALTER TABLE ONLY public."User" ADD CONSTRAINT "User_pkey" PRIMARY KEY (id);
+ALTER TABLE ONLY public."Post" ADD CONSTRAINT "Post_pkey" PRIMARY KEY (id);
+ALTER TABLE ONLY public."PostTag" ADD CONSTRAINT "PostTag_pkey" PRIMARY KEY ("postId", tag);
+CREATE UNIQUE INDEX "User_email_key" ON public."User" USING btree (email);
+CREATE INDEX "Post_authorId_idx" ON public."Post" USING btree ("authorId");
+ALTER TABLE ONLY public."Post"
+    ADD CONSTRAINT "Post_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES public."User"(id) ON DELETE CASCADE;
+ALTER TABLE ONLY public."PostTag"
+    ADD CONSTRAINT "PostTag_postId_fkey" FOREIGN KEY ("postId") REFERENCES public."Post"(id);
+`;
+
+function fail(error) {
+  return { name, status: 'FAIL', error };
+}
+
+export function run(ctx) {
+  const testDir = path.join(ctx.evidenceDir, name);
+  const rootDir = path.join(testDir, 'fixture');
+  fs.mkdirSync(rootDir, { recursive: true });
+  fs.writeFileSync(path.join(rootDir, 'schema.sql'), PG_DUMP, 'utf8');
+
+  const ctlDb = path.join(
+    ctx.repoRoot,
+    '.ai',
+    'skills',
+    'features',
+    'database',
+    'sync-code-schema-from-db',
+    'scripts',
+    'ctl-db.mjs'
+  );
+  const res = runCommand({
+    cmd: 'node',
+    args: [ctlDb, 'import-sql', '--repo-root', rootDir, '--dialect', 'postgres', '--file', 'schema.sql'],
+    evidenceDir: testDir,
+    label: `${name}.import-sql`,
+  });
+  if (res.error || res.code !== 0) {
+    const detail = res.error ? String(res.error) : res.stderr || res.stdout;
+    return fail(`ctl-db import-sql failed: ${detail}`);
+  }
+  assertIncludes(res.stdout, 'Tables: 3', 'Expected three imported tables');
+  assertIncludes(res.stderr, 'CREATE VIEW recent_posts ignored', 'Expected a warning for the skipped view');
+
+  const mirror = JSON.parse(fs.readFileSync(path.join(rootDir, 'db', 'schema', 'tables.json'), 'utf8'));
+  if (mirror.version !== 2 || mirror.database?.dialect !== 'postgresql') {
+    return fail(`expected a v2 postgresql mirror: ${JSON.stringify(mirror.database)}`);
+  }
+
+  const role = (mirror.enums || []).find((e) => e.name === 'Role');
+  if (!role || role.values.join(',') !== 'USER,ADMIN') return fail(`expected enum Role: ${JSON.stringify(mirror.enums)}`);
+
+  const tables = new Map((mirror.tables || []).map((t) => [t.name, t]));
+  const columns = (t) => new Map((tables.get(t)?.columns || []).map((c) => [c.name, c]));
+
+  const user = columns('User');
+  if (!user.get('id')?.primaryKey || user.get('id').default !== 'autoincrement()') {
+    return fail(`expected User.id to be an autoincrement primary key: ${JSON.stringify(user.get('id'))}`);
+  }
+  if (!user.get('email')?.unique) return fail('expected the unique index to mark User.email unique');
+  if (user.get('role')?.type !== 'Role' || user.get('role').default !== 'USER') {
+    return fail(`expected User.role to reference enum Role: ${JSON.stringify(user.get('role'))}`);
+  }
+  if (user.get('name')?.dbType !== 'VarChar' || !user.get('name').nullable) {
+    return fail(`expected User.name as nullable VarChar: ${JSON.stringify(user.get('name'))}`);
+  }
+  if (user.get('createdAt')?.default !== 'now()') return fail('expected CURRENT_TIMESTAMP to map to now()');
+  if (columns('Post').get('title')?.default !== '"untitled"') return fail('expected the ::text cast to be stripped from defaults');
+
+  const post = tables.get('Post');
+  const author = (post.relations || []).find((r) => r.to === 'User');
+  if (!author || author.fields.join(',') !== 'authorId' || author.references.join(',') !== 'id') {
+    return fail(`expected Post → User relation from the foreign key: ${JSON.stringify(post.relations)}`);
+  }
+  if (!(tables.get('User').relations || []).some((r) => r.to === 'Post' && r.list)) {
+    return fail('expected the back-relation User.Post[]');
+  }
+  if (!(post.indexes || []).some((i) => i.type === 'index' && i.fields.join(',') === 'authorId' && i.map === 'Post_authorId_idx')) {
+    return fail(`expected index Post_authorId_idx on Post.authorId: ${JSON.stringify(post.indexes)}`);
+  }
+  // Without standard_conforming_strings handling, 'C:\' would swallow the rest of the dump.
+  if (columns('Post').get('path')?.default !== '"C:\\\\"') return fail(`expected a trailing backslash literal: ${JSON.stringify(columns('Post').get('path'))}`);
+  if (columns('Post').get('note')?.default !== '"it\'s"') return fail(`expected an E'' escape string: ${JSON.stringify(columns('Post').get('note'))}`);
+
+  const pk = (tables.get('PostTag').indexes || []).find((i) => i.type === 'primary');
+  if (!pk || pk.fields.join(',') !== 'postId,tag' || pk.map !== 'PostTag_pkey') {
+    return fail(`expected composite primary key on PostTag: ${JSON.stringify(tables.get('PostTag').indexes)}`);
+  }
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -3,8 +3,16 @@
  * Database test suite
  */
 import * as sqliteSmoke from './sqlite-smoke.mjs';
+import * as migrateSmoke from './migrate-smoke.mjs';
+import * as migrationFromDiff from './migration-from-diff.mjs';
+import * as prismaCoverage from './prisma-coverage.mjs';
+import * as importSql from './import-sql.mjs';
+import * as schemaExport from './schema-export.mjs';
+import * as codegen from './codegen.mjs';
+import * as schemaDiff from './schema-diff.mjs';
+import * as migrationSql from './migration-sql.mjs';
 
-const TESTS = [sqliteSmoke];
+const TESTS = [sqliteSmoke, migrateSmoke, migrationFromDiff, prismaCoverage, importSql, schemaExport, codegen, schemaDiff, migrationSql];
 
 export function run(ctx) {
   const results = [];
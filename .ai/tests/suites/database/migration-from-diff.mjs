@@ -0,0 +1,148 @@
+/**
+ * migration-from-diff.mjs
+ * ctl-db generate-migration --from-diff: committed DB contract vs edited Prisma schema → up/down SQL
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+import { assertIncludes } from '../../lib/text.mjs';
+
+export const name = 'database-migration-from-diff';
+
+const BASE_PRISMA = `datasource db {
+  provider = "sqlite"
+  url      = "file:./dev.db"
+}
+
+model User {
+  id    Int    @id @default(autoincrement())
+  email String @unique
+}
+`;
+
+const NEXT_PRISMA = `datasource db {
+  provider = "sqlite"
+  url      = "file:./dev.db"
+}
+
+model User {
+  id    Int     @id @default(autoincrement())
+  email String  @unique
+  bio   String?
+  posts Post[]
+}
+
+model Post {
+  id       Int    @id @default(autoincrement())
+  title    String
+  authorId Int
+  author   User   @relation(fields: [authorId], references: [id])
+
+  @@index([authorId])
+}
+`;
+
+function fail(error) {
+  return { name, status: 'FAIL', error };
+}
+
+export function run(ctx) {
+  const probe = runCommand({ cmd: 'git', args: ['--version'], label: 'probe-git' });
+  if (probe.error || probe.code !== 0) {
+    ctx.log(`[${name}] SKIP (git not available)`);
+    return { name, status: 'SKIP', reason: 'git not available' };
+  }
+
+  const testDir = path.join(ctx.evidenceDir, name);
+  const rootDir = path.join(testDir, 'fixture');
+  fs.mkdirSync(path.join(rootDir, 'prisma'), { recursive: true });
+  fs.mkdirSync(path.join(rootDir, 'docs', 'project'), { recursive: true });
+
+  const ctlDb = path.join(
+    ctx.repoRoot,
+    '.ai',
+    'skills',
+    'features',
+    'database',
+    'sync-code-schema-from-db',
+    'scripts',
+    'ctl-db.mjs'
+  );
+  const ctlDbSsot = path.join(ctx.repoRoot, '.ai', 'scripts', 'ctl-db-ssot.mjs');
+
+  fs.writeFileSync(path.join(rootDir, 'prisma', 'schema.prisma'), BASE_PRISMA, 'utf8');
+  fs.writeFileSync(
+    path.join(rootDir, 'docs', 'project', 'db-ssot.json'),
+    JSON.stringify({ version: 1, ssot: { mode: 'repo-prisma' } }, null, 2) + '\n',
+    'utf8'
+  );
+
+  // 1) Commit the baseline contract
+  const steps = [
+    { cmd: 'node', args: [ctlDbSsot, 'sync-to-context', '--repo-root', rootDir], label: 'sync-to-context' },
+    { cmd: 'git', args: ['init', '-q'], label: 'git-init' },
+    { cmd: 'git', args: ['add', '-A'], label: 'git-add' },
+    {
+      cmd: 'git',
+      args: ['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'baseline'],
+      label: 'git-commit',
+    },
+  ];
+  for (const step of steps) {
+    const res = runCommand({ ...step, cwd: rootDir, evidenceDir: testDir, label: `${name}.${step.label}` });
+    if (res.error || res.code !== 0) {
+      const detail = res.error ? String(res.error) : res.stderr || res.stdout;
+      return fail(`${step.label} failed: ${detail}`);
+    }
+  }
+
+  const genArgs = [ctlDb, 'generate-migration', '--repo-root', rootDir, '--from-diff'];
+  const migrationsDir = path.join(rootDir, 'db', 'migrations');
+
+  // 2) No schema change → no migration
+  const noop = runCommand({
+    cmd: 'node',
+    args: [...genArgs, '--name', 'noop'],
+    evidenceDir: testDir,
+    label: `${name}.noop`,
+  });
+  if (noop.error || noop.code !== 0) {
+    const detail = noop.error ? String(noop.error) : noop.stderr || noop.stdout;
+    return fail(`generate-migration --from-diff (no changes) failed: ${detail}`);
+  }
+  if (fs.existsSync(migrationsDir) && fs.readdirSync(migrationsDir).length > 0) {
+    return fail('generate-migration --from-diff should not write a migration when nothing changed');
+  }
+
+  // 3) Edit the schema and generate up/down SQL
+  fs.writeFileSync(path.join(rootDir, 'prisma', 'schema.prisma'), NEXT_PRISMA, 'utf8');
+  const gen = runCommand({
+    cmd: 'node',
+    args: [...genArgs, '--name', 'add_posts'],
+    evidenceDir: testDir,
+    label: `${name}.generate`,
+  });
+  if (gen.error || gen.code !== 0) {
+    const detail = gen.error ? String(gen.error) : gen.stderr || gen.stdout;
+    return fail(`generate-migration --from-diff failed: ${detail}`);
+  }
+
+  const files = fs.readdirSync(migrationsDir).filter((f) => f.endsWith('_add_posts.sql'));
+  if (files.length !== 1) {
+    return fail(`expected one add_posts migration, got ${JSON.stringify(fs.readdirSync(migrationsDir))}`);
+  }
+  const sql = fs.readFileSync(path.join(migrationsDir, files[0]), 'utf8');
+  const [up, down] = sql.split('\n-- +down\n');
+  if (!down) return fail('generated migration has no "-- +down" section');
+
+  assertIncludes(up, 'CREATE TABLE "Post"', 'Expected CREATE TABLE in up section');
+  assertIncludes(up, 'FOREIGN KEY ("authorId") REFERENCES "User" ("id")', 'Expected inline SQLite foreign key');
+  assertIncludes(up, 'CREATE INDEX "Post_authorId_idx" ON "Post" ("authorId");', 'Expected @@index in up section');
+  assertIncludes(up, 'ALTER TABLE "User" ADD COLUMN "bio" TEXT;', 'Expected added column in up section');
+  assertIncludes(down, 'DROP TABLE "Post";', 'Expected DROP TABLE in down section');
+  assertIncludes(down, 'ALTER TABLE "User" DROP COLUMN "bio";', 'Expected dropped column in down section');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
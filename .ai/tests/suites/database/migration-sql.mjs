@@ -0,0 +1,140 @@
+/**
+ * migration-sql.mjs
+ * ctl-db-doc migration-sql: statement order and dialect guards (MySQL enums, SQLite NOT NULL, Postgres ADD VALUE)
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+import { assertIncludes } from '../../lib/text.mjs';
+
+export const name = 'database-migration-sql';
+
+const column = (name, type, extra = {}) => ({
+  name,
+  type,
+  nullable: false,
+  list: false,
+  dbName: null,
+  dbType: null,
+  default: null,
+  primaryKey: false,
+  unique: false,
+  ...extra,
+});
+
+const schema = (enums, tables) => ({
+  version: 2,
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  database: { kind: 'relational', dialect: 'generic', name: '', schemas: [] },
+  enums,
+  tables,
+  notes: '',
+});
+
+// The User table is renamed, gains a column using the changed enum and a required column without a default.
+const BEFORE = schema(
+  [{ name: 'Role', values: ['USER', 'ADMIN'] }],
+  [
+    {
+      name: 'User',
+      dbName: null,
+      schema: null,
+      columns: [column('id', 'Int', { primaryKey: true }), column('role', 'Role', { default: 'USER' })],
+      relations: [],
+      indexes: [],
+    },
+  ]
+);
+
+const AFTER = schema(
+  [{ name: 'Role', values: ['USER', 'ADMIN', 'OWNER'] }],
+  [
+    {
+      name: 'User',
+      dbName: 'users',
+      schema: null,
+      columns: [
+        column('id', 'Int', { primaryKey: true }),
+        column('nickname', 'String'),
+        column('role', 'Role', { default: 'USER' }),
+        column('tier', 'Role', { nullable: true }),
+      ],
+      relations: [],
+      indexes: [],
+    },
+  ]
+);
+
+function fail(error) {
+  return { name, status: 'FAIL', error };
+}
+
+export function run(ctx) {
+  const testDir = path.join(ctx.evidenceDir, name);
+  const rootDir = path.join(testDir, 'fixture');
+  fs.mkdirSync(rootDir, { recursive: true });
+  fs.writeFileSync(path.join(rootDir, 'before.json'), JSON.stringify(BEFORE, null, 2) + '\n', 'utf8');
+  fs.writeFileSync(path.join(rootDir, 'after.json'), JSON.stringify(AFTER, null, 2) + '\n', 'utf8');
+
+  const diff = runCommand({
+    cmd: 'node',
+    args: [
+      path.join(ctx.repoRoot, '.ai', 'scripts', 'ctl-db-ssot.mjs'),
+      'diff', '--repo-root', rootDir, '--from', 'before.json', '--to', 'after.json', '--format', 'json', '--with-schemas',
+    ],
+    evidenceDir: testDir,
+    label: `${name}.diff`,
+  });
+  if (diff.error || diff.code !== 0) {
+    const detail = diff.error ? String(diff.error) : diff.stderr || diff.stdout;
+    return fail(`ctl-db-ssot diff failed: ${detail}`);
+  }
+  const diffPath = path.join(rootDir, 'diff.json');
+  fs.writeFileSync(diffPath, diff.stdout, 'utf8');
+
+  const script = path.join(ctx.repoRoot, '.ai', 'skills', 'features', 'database', 'db-human-interface', 'scripts', 'ctl-db-doc.mjs');
+  const render = (dialect) => {
+    const res = runCommand({
+      cmd: 'node',
+      args: [script, 'migration-sql', '--diff', diffPath, '--dialect', dialect, '--format', 'json'],
+      evidenceDir: testDir,
+      label: `${name}.${dialect}`,
+    });
+    if (res.error || res.code !== 0) {
+      throw new Error(`ctl-db-doc migration-sql --dialect ${dialect} failed: ${res.error ? String(res.error) : res.stderr || res.stdout}`);
+    }
+    return JSON.parse(res.stdout);
+  };
+
+  // MySQL: the enum column is restated only after the rename, and the new enum column is not restated.
+  const mysql = render('mysql');
+  const renameAt = mysql.up.indexOf('RENAME TABLE `User` TO `users`;');
+  const modifyAt = mysql.up.indexOf('ALTER TABLE `users` MODIFY `role`');
+  if (renameAt < 0 || modifyAt < 0 || modifyAt < renameAt) {
+    return fail(`expected RENAME TABLE before MODIFY role:\n${mysql.up}`);
+  }
+  assertIncludes(mysql.up, 'ADD COLUMN `tier`', 'Expected the new enum column to be added');
+  if (/MODIFY `tier`|MODIFY `role`[\s\S]*MODIFY `role`|`User` MODIFY/.test(mysql.up)) {
+    return fail(`unexpected enum restatement in MySQL up SQL:\n${mysql.up}`);
+  }
+
+  // SQLite: a required column without a default can only be added through a rebuild.
+  const sqlite = render('sqlite');
+  if (/^ALTER TABLE "users" ADD COLUMN "nickname"/m.test(sqlite.up)) {
+    return fail(`SQLite must not run ADD COLUMN ... NOT NULL without a default:\n${sqlite.up}`);
+  }
+  assertIncludes(sqlite.up, '-- ALTER TABLE "users" ADD COLUMN "nickname" TEXT NOT NULL;', 'Expected a commented SQLite ADD COLUMN');
+  assertIncludes(sqlite.warnings.join('\n'), 'SQLite cannot add NOT NULL column User.nickname', 'Expected a SQLite rebuild warning');
+  if (!/^ALTER TABLE "users" ADD COLUMN "tier" TEXT;$/m.test(sqlite.up)) {
+    return fail(`expected the nullable column to be added normally on SQLite:\n${sqlite.up}`);
+  }
+
+  // Postgres: ADD VALUE is emitted and flagged because apply runs each migration in one transaction.
+  const postgres = render('postgres');
+  assertIncludes(postgres.up, `ALTER TYPE "Role" ADD VALUE 'OWNER';`, 'Expected ALTER TYPE ... ADD VALUE');
+  assertIncludes(postgres.warnings.join('\n'), 'Enum Role gains values via ALTER TYPE ... ADD VALUE', 'Expected an ADD VALUE transaction warning');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
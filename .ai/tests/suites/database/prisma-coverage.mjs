@@ -0,0 +1,141 @@
+/**
+ * prisma-coverage.mjs
+ * ctl-db-ssot sync-to-context on a multi-file Prisma schema (views, composite types, @@schema, @@fulltext, @ignore)
+ * and warnings for what the normalized schema cannot carry
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+
+export const name = 'database-prisma-coverage';
+
+const MAIN_PRISMA = `datasource db {
+  provider = "mysql"
+  url      = env("DATABASE_URL")
+  schemas  = ["base", "audit"]
+}
+`;
+
+const MODELS_PRISMA = `model User {
+  id       Int     @id @default(autoincrement())
+  email    String  @unique
+  settings Json    @default("{}")
+  legacy   String? @ignore
+
+  @@fulltext([email])
+  @@index([settings], type: Hash)
+  @@schema("base")
+}
+
+model Archive {
+  id Int @id
+
+  @@ignore
+  @@schema("audit")
+}
+
+enum Role {
+  USER
+  ADMIN  @map("admin")
+
+  @@schema("audit")
+}
+
+view UserInfo {
+  id    Int    @unique
+  email String
+
+  @@schema("base")
+}
+
+type Address {
+  street String
+  zip    String @map("zip_code")
+}
+
+model Legacy {
+  id Int @id @shardKey
+
+  @@schema("base")
+}
+`;
+
+function fail(error) {
+  return { name, status: 'FAIL', error };
+}
+
+export function run(ctx) {
+  const testDir = path.join(ctx.evidenceDir, name);
+  const rootDir = path.join(testDir, 'fixture');
+  const schemaDir = path.join(rootDir, 'prisma', 'schema');
+  fs.mkdirSync(path.join(schemaDir, 'models'), { recursive: true });
+  fs.writeFileSync(path.join(schemaDir, 'main.prisma'), MAIN_PRISMA, 'utf8');
+  fs.writeFileSync(path.join(schemaDir, 'models', 'all.prisma'), MODELS_PRISMA, 'utf8');
+
+  const ctlDbSsot = path.join(ctx.repoRoot, '.ai', 'scripts', 'ctl-db-ssot.mjs');
+  const res = runCommand({
+    cmd: 'node',
+    args: [ctlDbSsot, 'sync-to-context', '--repo-root', rootDir, '--format', 'json'],
+    evidenceDir: testDir,
+    label: `${name}.sync-to-context`,
+  });
+  if (res.error || res.code !== 0) {
+    const detail = res.error ? String(res.error) : res.stderr || res.stdout;
+    return fail(`ctl-db-ssot sync-to-context failed: ${detail}`);
+  }
+
+  const result = JSON.parse(res.stdout);
+  if (result.mode !== 'repo-prisma') {
+    return fail(`expected repo-prisma mode for a prisma/schema/ folder, got ${result.mode}`);
+  }
+
+  const contract = JSON.parse(fs.readFileSync(path.join(rootDir, 'docs', 'context', 'db', 'schema.json'), 'utf8'));
+  const tables = new Map((contract.tables || []).map((t) => [t.name, t]));
+
+  if (!tables.has('User') || !tables.has('Archive')) {
+    return fail(`models from the schema folder are missing: ${JSON.stringify([...tables.keys()])}`);
+  }
+  const user = tables.get('User');
+  if (user.schema !== 'base') return fail(`expected User @@schema "base", got ${user.schema}`);
+  if (!(user.indexes || []).some((i) => i.type === 'fulltext' && i.fields.join(',') === 'email')) {
+    return fail(`expected a fulltext index on User.email: ${JSON.stringify(user.indexes)}`);
+  }
+  const legacy = (user.columns || []).find((c) => c.name === 'legacy');
+  if (!legacy || legacy.ignored !== true) return fail('expected User.legacy to be kept and marked ignored');
+  const settings = (user.columns || []).find((c) => c.name === 'settings');
+  if (!settings || settings.default !== '"{}"') return fail(`braces inside a default broke parsing: ${JSON.stringify(settings)}`);
+  if (tables.get('Archive').ignored !== true) return fail('expected @@ignore model to be marked ignored');
+
+  const role = (contract.enums || []).find((e) => e.name === 'Role');
+  if (!role || role.schema !== 'audit') return fail(`expected Role @@schema "audit": ${JSON.stringify(role)}`);
+
+  const view = (contract.views || []).find((v) => v.name === 'UserInfo');
+  if (!view || view.schema !== 'base' || (view.columns || []).length !== 2) {
+    return fail(`expected view UserInfo in contract.views: ${JSON.stringify(contract.views)}`);
+  }
+  if (tables.has('UserInfo')) return fail('views must not be listed as tables');
+
+  const address = (contract.compositeTypes || []).find((t) => t.name === 'Address');
+  const zip = address && (address.fields || []).find((f) => f.name === 'zip');
+  if (!zip || zip.dbName !== 'zip_code') {
+    return fail(`expected composite type Address in contract.compositeTypes: ${JSON.stringify(contract.compositeTypes)}`);
+  }
+
+  const warnings = result.warnings || [];
+  if (!warnings.some((w) => w.includes('@shardKey'))) {
+    return fail(`expected a warning for the unsupported @shardKey attribute: ${JSON.stringify(warnings)}`);
+  }
+  if (!warnings.some((w) => w.includes('enum Role: value ADMIN @map("admin")'))) {
+    return fail(`expected a warning for the enum value @map: ${JSON.stringify(warnings)}`);
+  }
+  if (!warnings.some((w) => w.includes('model User: @@index([settings]) type: Hash'))) {
+    return fail(`expected a warning for @@index(type: Hash): ${JSON.stringify(warnings)}`);
+  }
+  if (JSON.stringify(role.values) !== JSON.stringify(['USER', 'ADMIN'])) {
+    return fail(`enum values must keep their Prisma names: ${JSON.stringify(role.values)}`);
+  }
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -0,0 +1,194 @@
+/**
+ * schema-diff.mjs
+ * ctl-db-ssot diff: two normalized schemas → tables, columns, enums, views and composite types;
+ * prisma → ctl-db import-prisma → diff --from prisma --to mirror has no drift
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+import { assertIncludes } from '../../lib/text.mjs';
+
+export const name = 'database-schema-diff';
+
+const column = (name, type, extra = {}) => ({
+  name,
+  type,
+  nullable: false,
+  list: false,
+  dbName: null,
+  dbType: null,
+  default: null,
+  primaryKey: false,
+  unique: false,
+  ...extra,
+});
+
+const schema = ({ enums, tables, views, compositeTypes }) => ({
+  version: 2,
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  database: { kind: 'relational', dialect: 'postgresql', name: '', schemas: [] },
+  enums,
+  tables,
+  views,
+  compositeTypes,
+  notes: '',
+});
+
+const table = (name, columns, extra = {}) => ({ name, dbName: null, schema: null, columns, relations: [], indexes: [], ...extra });
+
+const BEFORE = schema({
+  enums: [{ name: 'Role', values: ['USER', 'ADMIN'] }],
+  tables: [
+    table('User', [column('id', 'Int', { primaryKey: true }), column('email', 'String'), column('legacy', 'String', { nullable: true })]),
+    table('Audit', [column('id', 'Int', { primaryKey: true })]),
+  ],
+  views: [table('ActiveUser', [column('id', 'Int')])],
+  compositeTypes: [{ name: 'Address', fields: [column('street', 'String'), column('zip', 'String')] }],
+});
+
+const AFTER = schema({
+  enums: [{ name: 'Role', values: ['USER', 'ADMIN', 'OWNER'] }],
+  tables: [
+    table('User', [column('id', 'Int', { primaryKey: true }), column('email', 'String', { unique: true }), column('role', 'Role', { default: 'USER' })]),
+    table('Post', [column('id', 'Int', { primaryKey: true })]),
+  ],
+  views: [table('ActiveUser', [column('id', 'Int'), column('email', 'String')]), table('PostStats', [column('count', 'Int')])],
+  compositeTypes: [{ name: 'Address', fields: [column('street', 'String'), column('zip', 'Int')] }],
+});
+
+// Defaults with parentheses, @db types with arguments, optional fields and back-relations.
+const PRISMA = `datasource db {
+  provider = "postgresql"
+  url      = env("DATABASE_URL")
+}
+
+enum Role {
+  USER
+  ADMIN
+}
+
+model User {
+  id        Int      @id @default(autoincrement())
+  email     String   @unique @db.VarChar(200)
+  name      String?
+  role      Role     @default(USER)
+  settings  Json     @default("{}") // kept as a string
+  createdAt DateTime @default(now()) @map("created_at")
+  posts     Post[]
+  profile   Profile? @relation("ProfileUser")
+
+  @@map("users")
+}
+
+model Post {
+  id       Int    @id @default(autoincrement())
+  title    String @db.VarChar(200)
+  author   User   @relation(fields: [authorId], references: [id])
+  authorId Int
+
+  @@index([authorId], map: "posts_author_idx")
+}
+
+model Profile {
+  id     Int   @id
+  userId Int   @unique
+  user   User? @relation("ProfileUser", fields: [userId], references: [id])
+}
+`;
+
+function fail(error) {
+  return { name, status: 'FAIL', error };
+}
+
+export function run(ctx) {
+  const testDir = path.join(ctx.evidenceDir, name);
+  const rootDir = path.join(testDir, 'fixture');
+  fs.mkdirSync(rootDir, { recursive: true });
+  fs.writeFileSync(path.join(rootDir, 'before.json'), JSON.stringify(BEFORE, null, 2) + '\n', 'utf8');
+  fs.writeFileSync(path.join(rootDir, 'after.json'), JSON.stringify(AFTER, null, 2) + '\n', 'utf8');
+
+  const ssot = path.join(ctx.repoRoot, '.ai', 'scripts', 'ctl-db-ssot.mjs');
+  const diffArgs = (format, extra = []) => [ssot, 'diff', '--repo-root', rootDir, '--from', 'before.json', '--to', 'after.json', '--format', format, ...extra];
+
+  const json = runCommand({ cmd: 'node', args: diffArgs('json'), evidenceDir: testDir, label: `${name}.json` });
+  if (json.error || json.code !== 0) {
+    const detail = json.error ? String(json.error) : json.stderr || json.stdout;
+    return fail(`ctl-db-ssot diff --format json failed: ${detail}`);
+  }
+  const diff = JSON.parse(json.stdout);
+  const expectedSummary = {
+    enumsAdded: 0,
+    enumsRemoved: 0,
+    enumsChanged: 1,
+    tablesAdded: 1,
+    tablesRemoved: 1,
+    tablesChanged: 1,
+    viewsAdded: 1,
+    viewsRemoved: 0,
+    viewsChanged: 1,
+    compositeTypesAdded: 0,
+    compositeTypesRemoved: 0,
+    compositeTypesChanged: 1,
+  };
+  if (JSON.stringify(diff.summary) !== JSON.stringify(expectedSummary)) {
+    return fail(`unexpected summary: ${JSON.stringify(diff.summary)}`);
+  }
+  if (diff.identical !== false) return fail('schemas with changes must not be reported identical');
+
+  const user = diff.tables.changed[0];
+  if (user.name !== 'User' || 'before' in user) return fail(`expected a trimmed User change: ${JSON.stringify(user)}`);
+  if (user.columns.added[0]?.key !== 'role' || user.columns.removed[0]?.key !== 'legacy') {
+    return fail(`unexpected User column diff: ${JSON.stringify(user.columns)}`);
+  }
+  if (JSON.stringify(user.columns.changed[0]) !== JSON.stringify({ key: 'email', changes: [{ field: 'unique', from: false, to: true }] })) {
+    return fail(`unexpected email change: ${JSON.stringify(user.columns.changed)}`);
+  }
+  if (JSON.stringify(diff.enums.changed[0]) !== JSON.stringify({ name: 'Role', addedValues: ['OWNER'], removedValues: [] })) {
+    return fail(`unexpected enum change: ${JSON.stringify(diff.enums.changed)}`);
+  }
+  if (diff.views.added[0]?.name !== 'PostStats' || diff.views.changed[0]?.columns.added[0]?.key !== 'email') {
+    return fail(`unexpected view diff: ${JSON.stringify(diff.views)}`);
+  }
+  const zip = diff.compositeTypes.changed[0]?.fields.changed[0];
+  if (!zip || zip.key !== 'zip' || zip.changes[0].to !== 'Int') {
+    return fail(`unexpected composite type diff: ${JSON.stringify(diff.compositeTypes)}`);
+  }
+
+  const markdown = runCommand({ cmd: 'node', args: diffArgs('markdown'), evidenceDir: testDir, label: `${name}.markdown` });
+  assertIncludes(markdown.stdout, '| Views | 1 | 0 | 1 |', 'Expected a Views row in the Markdown summary');
+  assertIncludes(markdown.stdout, '| Composite types | 0 | 0 | 1 |', 'Expected a Composite types row in the Markdown summary');
+  assertIncludes(markdown.stdout, '## ~ type `Address`', 'Expected a composite type section');
+
+  const strict = runCommand({ cmd: 'node', args: diffArgs('text', ['--strict']), evidenceDir: testDir, label: `${name}.strict` });
+  if (strict.code === 0) return fail('diff --strict should exit non-zero when the schemas differ');
+  assertIncludes(strict.stdout, '~ view ActiveUser', 'Expected the changed view in text output');
+
+  const same = runCommand({
+    cmd: 'node',
+    args: [ssot, 'diff', '--repo-root', rootDir, '--from', 'after.json', '--to', 'after.json', '--strict'],
+    evidenceDir: testDir,
+    label: `${name}.identical`,
+  });
+  if (same.code !== 0) return fail(`diff of a schema against itself should pass --strict: ${same.stdout}`);
+  assertIncludes(same.stdout, 'No differences.', 'Expected "No differences." for identical schemas');
+
+  // A mirror imported from the Prisma schema must match it, so diff --strict can gate a fresh project.
+  const prismaRoot = path.join(testDir, 'prisma-project');
+  fs.mkdirSync(path.join(prismaRoot, 'prisma'), { recursive: true });
+  fs.writeFileSync(path.join(prismaRoot, 'prisma', 'schema.prisma'), PRISMA, 'utf8');
+  const ctlDb = path.join(ctx.repoRoot, '.ai', 'skills', 'features', 'database', 'sync-code-schema-from-db', 'scripts', 'ctl-db.mjs');
+  const imported = runCommand({ cmd: 'node', args: [ctlDb, 'import-prisma', '--repo-root', prismaRoot], evidenceDir: testDir, label: `${name}.import-prisma` });
+  if (imported.error || imported.code !== 0) return fail(`ctl-db import-prisma failed: ${imported.stderr || imported.stdout}`);
+  const fresh = runCommand({
+    cmd: 'node',
+    args: [ssot, 'diff', '--repo-root', prismaRoot, '--from', 'prisma', '--to', 'mirror', '--strict'],
+    evidenceDir: testDir,
+    label: `${name}.prisma-to-mirror`,
+  });
+  if (fresh.code !== 0) return fail(`diff --from prisma --to mirror reported drift right after import-prisma:\n${fresh.stdout}`);
+  assertIncludes(fresh.stdout, 'No differences.', 'Expected no drift after import-prisma');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
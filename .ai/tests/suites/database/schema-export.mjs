@@ -0,0 +1,147 @@
+/**
+ * schema-export.mjs
+ * ctl-db-doc export: normalized DB contract → DBML, Mermaid erDiagram, JSON Schema, OpenAPI components
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+import { assertIncludes } from '../../lib/text.mjs';
+
+export const name = 'database-schema-export';
+
+const column = (name, type, extra = {}) => ({
+  name,
+  type,
+  nullable: false,
+  list: false,
+  dbName: null,
+  dbType: null,
+  default: null,
+  primaryKey: false,
+  unique: false,
+  ...extra,
+});
+
+const CONTRACT = {
+  version: 2,
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  ssot: { mode: 'repo-prisma', source: { kind: 'prisma-schema', path: 'prisma/schema.prisma' } },
+  database: { kind: 'relational', dialect: 'postgresql', name: '', schemas: [] },
+  enums: [{ name: 'Role', values: ['USER', 'ADMIN'] }],
+  tables: [
+    {
+      name: 'Post',
+      dbName: null,
+      schema: null,
+      columns: [
+        column('authorId', 'Int', { nullable: true }),
+        column('id', 'Int', { primaryKey: true, default: 'autoincrement()' }),
+        column('title', 'String', { default: '"untitled"' }),
+      ],
+      relations: [
+        { field: 'author', to: 'User', optional: true, list: false, relationName: null, fields: ['authorId'], references: ['id'] },
+      ],
+      indexes: [{ type: 'index', fields: ['authorId'], name: null, map: null }],
+    },
+    {
+      name: 'User',
+      dbName: null,
+      schema: null,
+      columns: [
+        column('email', 'String', { unique: true }),
+        column('id', 'Int', { primaryKey: true, default: 'autoincrement()' }),
+        column('passwordHash', 'String'),
+        column('role', 'Role', { default: 'USER' }),
+      ],
+      relations: [
+        { field: 'posts', to: 'Post', optional: false, list: true, relationName: null, fields: [], references: [] },
+      ],
+      indexes: [],
+    },
+  ],
+  notes: '',
+};
+
+function fail(error) {
+  return { name, status: 'FAIL', error };
+}
+
+export function run(ctx) {
+  const testDir = path.join(ctx.evidenceDir, name);
+  const rootDir = path.join(testDir, 'fixture');
+
+  // ctl-db-doc resolves the repo root from its own location, so run a copy inside the fixture.
+  const scriptRel = path.join('.ai', 'skills', 'features', 'database', 'db-human-interface', 'scripts', 'ctl-db-doc.mjs');
+  const script = path.join(rootDir, scriptRel);
+  fs.mkdirSync(path.dirname(script), { recursive: true });
+  fs.copyFileSync(path.join(ctx.repoRoot, scriptRel), script);
+  fs.mkdirSync(path.join(rootDir, 'docs', 'context', 'db'), { recursive: true });
+  fs.writeFileSync(path.join(rootDir, 'docs', 'context', 'db', 'schema.json'), JSON.stringify(CONTRACT, null, 2) + '\n', 'utf8');
+
+  const outputs = {};
+  for (const format of ['dbml', 'mermaid', 'json-schema', 'openapi']) {
+    const res = runCommand({
+      cmd: 'node',
+      args: [script, 'export', '--format', format],
+      cwd: rootDir,
+      evidenceDir: testDir,
+      label: `${name}.${format}`,
+    });
+    if (res.error || res.code !== 0) {
+      const detail = res.error ? String(res.error) : res.stderr || res.stdout;
+      return fail(`ctl-db-doc export --format ${format} failed: ${detail}`);
+    }
+    const outPath = path.join(rootDir, res.stdout.trim());
+    if (!fs.existsSync(outPath)) return fail(`export --format ${format} did not write ${res.stdout.trim()}`);
+    outputs[format] = { text: fs.readFileSync(outPath, 'utf8'), stderr: res.stderr };
+  }
+
+  const dbml = outputs.dbml.text;
+  assertIncludes(dbml, 'Enum Role {', 'Expected enum block in DBML');
+  assertIncludes(dbml, 'id Int [pk, increment, not null]', 'Expected primary key column in DBML');
+  assertIncludes(dbml, "passwordHash String [not null, note: 'sensitive']", 'Expected sensitive note in DBML');
+  assertIncludes(dbml, 'Ref: Post.authorId > User.id', 'Expected foreign key ref in DBML');
+
+  const mermaid = outputs.mermaid.text;
+  assertIncludes(mermaid, 'erDiagram', 'Expected a Mermaid erDiagram');
+  assertIncludes(mermaid, 'Int authorId FK', 'Expected FK marker in Mermaid');
+  assertIncludes(mermaid, 'User |o--o{ Post : "author"', 'Expected optional one-to-many edge in Mermaid');
+
+  const jsonSchema = JSON.parse(outputs['json-schema'].text);
+  const user = jsonSchema.$defs?.User;
+  if (!user || user.properties.role?.$ref !== '#/$defs/Role') {
+    return fail(`expected User.role to reference the Role enum: ${JSON.stringify(user)}`);
+  }
+  if ('passwordHash' in user.properties) return fail('sensitive columns must be omitted from JSON Schema by default');
+  assertIncludes(outputs['json-schema'].stderr, 'User.passwordHash', 'Expected omitted sensitive columns to be reported');
+  const authorId = jsonSchema.$defs.Post.properties.authorId;
+  if (JSON.stringify(authorId.type) !== JSON.stringify(['integer', 'null'])) {
+    return fail(`expected nullable integer for Post.authorId: ${JSON.stringify(authorId)}`);
+  }
+
+  const openapi = JSON.parse(outputs.openapi.text);
+  if (openapi.openapi !== '3.1.0' || openapi.components?.schemas?.User?.properties?.role?.$ref !== '#/components/schemas/Role') {
+    return fail(`expected OpenAPI components/schemas with component refs: ${outputs.openapi.text.slice(0, 400)}`);
+  }
+
+  // Sensitive fields can be kept (marked writeOnly) on request.
+  const withSensitive = runCommand({
+    cmd: 'node',
+    args: [script, 'export', '--format', 'openapi', '--include-sensitive', '--out', 'api.json'],
+    cwd: rootDir,
+    evidenceDir: testDir,
+    label: `${name}.openapi-sensitive`,
+  });
+  if (withSensitive.error || withSensitive.code !== 0) {
+    const detail = withSensitive.error ? String(withSensitive.error) : withSensitive.stderr || withSensitive.stdout;
+    return fail(`ctl-db-doc export --include-sensitive failed: ${detail}`);
+  }
+  const api = JSON.parse(fs.readFileSync(path.join(rootDir, 'api.json'), 'utf8'));
+  if (api.components.schemas.User.properties.passwordHash?.writeOnly !== true) {
+    return fail('expected --include-sensitive to keep passwordHash as a writeOnly property');
+  }
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -1,6 +1,6 @@
 /**
  * sqlite-smoke.mjs
- * SQLite smoke test
+ * SQLite smoke test (Python snapshot scripts + ctl-db introspect round-trip)
  */
 import fs from 'fs';
 import path from 'path';
@@ -11,50 +11,103 @@ import { assertIncludes } from '../../lib/text.mjs';
 
 export const name = 'database-sqlite-smoke';
 
+const CREATE_STATEMENTS = [
+  'CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT NOT NULL UNIQUE, created_at TEXT)',
+  'CREATE TABLE posts (id INTEGER PRIMARY KEY, user_id INTEGER NOT NULL, title TEXT, FOREIGN KEY(user_id) REFERENCES users(id))',
+  'CREATE INDEX posts_user_id_idx ON posts (user_id)',
+];
+
 function sqliteUrlFromPath(filePath) {
   const abs = path.resolve(filePath);
   const posix = abs.split(path.sep).join('/');
   return `sqlite:///${posix}`;
 }
 
+function hasSqliteCli() {
+  const res = runCommand({ cmd: 'sqlite3', args: ['-version'], label: 'probe-sqlite3' });
+  return !res.error && res.code === 0;
+}
+
+function hasNodeSqlite() {
+  if (typeof process.getBuiltinModule !== 'function') return false;
+  try {
+    return Boolean(process.getBuiltinModule('node:sqlite'));
+  } catch {
+    return false;
+  }
+}
+
+function createDb({ python, dbPath, testDir }) {
+  if (python) {
+    return runCommand({
+      cmd: python.cmd,
+      args: [
+        ...python.argsPrefix,
+        '-B',
+        '-c',
+        [
+          'import json, sqlite3, sys',
+          'db_path = sys.argv[1]',
+          'conn = sqlite3.connect(db_path)',
+          'cur = conn.cursor()',
+          'for stmt in json.loads(sys.argv[2]):',
+          '    cur.execute(stmt)',
+          'conn.commit()',
+          'conn.close()',
+          'print(db_path)',
+        ].join('\n'),
+        dbPath,
+        JSON.stringify(CREATE_STATEMENTS),
+      ],
+      evidenceDir: testDir,
+      label: `${name}.mkdb`,
+    });
+  }
+  return runCommand({
+    cmd: 'sqlite3',
+    args: [dbPath, CREATE_STATEMENTS.map((s) => `${s};`).join('\n')],
+    evidenceDir: testDir,
+    label: `${name}.mkdb`,
+  });
+}
+
 export function run(ctx) {
   const python = pickPython();
-  if (!python) {
-    ctx.log(`[${name}] SKIP (python not available)`);
-    return { name, status: 'SKIP', reason: 'python not available' };
+  const sqliteCli = hasSqliteCli();
+  if (!python && !sqliteCli) {
+    ctx.log(`[${name}] SKIP (neither python nor sqlite3 available)`);
+    return { name, status: 'SKIP', reason: 'neither python nor sqlite3 available' };
   }
 
   const testDir = path.join(ctx.evidenceDir, name);
   fs.mkdirSync(testDir, { recursive: true });
 
   const dbPath = path.join(testDir, 'test.db');
-  const mkDb = runCommand({
-    cmd: python.cmd,
-    args: [
-      ...python.argsPrefix,
-      '-B',
-      '-c',
-      [
-        'import sqlite3, sys',
-        'db_path = sys.argv[1]',
-        'conn = sqlite3.connect(db_path)',
-        'cur = conn.cursor()',
-        'cur.execute("CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT NOT NULL UNIQUE, created_at TEXT)")',
-        'cur.execute("CREATE TABLE posts (id INTEGER PRIMARY KEY, user_id INTEGER NOT NULL, title TEXT, FOREIGN KEY(user_id) REFERENCES users(id))")',
-        'conn.commit()',
-        'conn.close()',
-        'print(db_path)',
-      ].join('\n'),
-      dbPath,
-    ],
-    evidenceDir: testDir,
-    label: `${name}.mkdb`,
-  });
+  const mkDb = createDb({ python, dbPath, testDir });
   if (mkDb.error || mkDb.code !== 0) {
     const detail = mkDb.error ? String(mkDb.error) : mkDb.stderr || mkDb.stdout;
     return { name, status: 'FAIL', error: `failed to create sqlite db: ${detail}` };
   }
 
+  if (python) {
+    const error = runPythonChecks({ python, dbPath, testDir, ctx });
+    if (error) return { name, status: 'FAIL', error };
+  } else {
+    ctx.log(`[${name}] python not available; skipping db_connect_check/db_schema_snapshot`);
+  }
+
+  if (sqliteCli || hasNodeSqlite()) {
+    const error = runIntrospectRoundTrip({ dbPath, testDir, ctx });
+    if (error) return { name, status: 'FAIL', error };
+  } else {
+    ctx.log(`[${name}] neither node:sqlite nor sqlite3 available; skipping ctl-db introspect`);
+  }
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
+
+function runPythonChecks({ python, dbPath, testDir, ctx }) {
   const dbUrl = sqliteUrlFromPath(dbPath);
 
   const scriptsDir = path.join(
@@ -84,7 +137,7 @@ export function run(ctx) {
   });
   if (connect.error || connect.code !== 0) {
     const detail = connect.error ? String(connect.error) : connect.stderr || connect.stdout;
-    return { name, status: 'FAIL', error: `db_connect_check failed: ${detail}` };
+    return `db_connect_check failed: ${detail}`;
   }
   assertIncludes(fs.readFileSync(connectOut, 'utf8'), 'Status: **PASS**', 'Expected PASS in connection.md');
 
@@ -106,14 +159,75 @@ export function run(ctx) {
   });
   if (snapshot.error || snapshot.code !== 0) {
     const detail = snapshot.error ? String(snapshot.error) : snapshot.stderr || snapshot.stdout;
-    return { name, status: 'FAIL', error: `db_schema_snapshot failed: ${detail}` };
+    return `db_schema_snapshot failed: ${detail}`;
   }
 
   const snap = JSON.parse(fs.readFileSync(snapshotOut, 'utf8'));
   const tables = snap && snap.tables ? Object.keys(snap.tables) : [];
-  if (!tables.includes('users')) return { name, status: 'FAIL', error: "Expected 'users' table in snapshot.json" };
-  if (!tables.includes('posts')) return { name, status: 'FAIL', error: "Expected 'posts' table in snapshot.json" };
+  if (!tables.includes('users')) return "Expected 'users' table in snapshot.json";
+  if (!tables.includes('posts')) return "Expected 'posts' table in snapshot.json";
+  return null;
+}
 
-  ctx.log(`[${name}] PASS`);
-  return { name, status: 'PASS' };
+function runIntrospectRoundTrip({ dbPath, testDir, ctx }) {
+  const rootDir = path.join(testDir, 'mirror');
+  fs.mkdirSync(path.join(rootDir, 'docs', 'project'), { recursive: true });
+  fs.writeFileSync(
+    path.join(rootDir, 'docs', 'project', 'db-ssot.json'),
+    JSON.stringify({ version: 1, ssot: { mode: 'database' } }, null, 2) + '\n',
+    'utf8'
+  );
+
+  const ctlDb = path.join(
+    ctx.repoRoot,
+    '.ai',
+    'skills',
+    'features',
+    'database',
+    'sync-code-schema-from-db',
+    'scripts',
+    'ctl-db.mjs'
+  );
+  const ctlDbSsot = path.join(ctx.repoRoot, '.ai', 'scripts', 'ctl-db-ssot.mjs');
+
+  const introspect = runCommand({
+    cmd: 'node',
+    args: [ctlDb, 'introspect', '--repo-root', rootDir, '--sqlite', dbPath],
+    evidenceDir: testDir,
+    label: `${name}.introspect`,
+  });
+  if (introspect.error || introspect.code !== 0) {
+    const detail = introspect.error ? String(introspect.error) : introspect.stderr || introspect.stdout;
+    return `ctl-db introspect failed: ${detail}`;
+  }
+  assertIncludes(introspect.stdout, 'Tables: 2', 'Expected two introspected tables');
+
+  const mirror = JSON.parse(fs.readFileSync(path.join(rootDir, 'db', 'schema', 'tables.json'), 'utf8'));
+  if (mirror.ssot?.source?.kind !== 'sqlite') return `expected ssot.source.kind "sqlite": ${JSON.stringify(mirror.ssot)}`;
+  const tables = new Map((mirror.tables || []).map((t) => [t.name, t]));
+  const email = (tables.get('users')?.columns || []).find((c) => c.name === 'email');
+  if (!email || email.nullable || !email.unique) return `expected users.email NOT NULL UNIQUE: ${JSON.stringify(email)}`;
+  const posts = tables.get('posts');
+  if (!(posts?.relations || []).some((r) => r.to === 'users' && r.fields.join(',') === 'user_id')) {
+    return `expected posts → users relation: ${JSON.stringify(posts?.relations)}`;
+  }
+  if (!(posts.indexes || []).some((i) => i.type === 'index' && i.fields.join(',') === 'user_id')) {
+    return `expected an index on posts.user_id: ${JSON.stringify(posts.indexes)}`;
+  }
+
+  // Mirror → LLM contract
+  const sync = runCommand({
+    cmd: 'node',
+    args: [ctlDbSsot, 'sync-to-context', '--repo-root', rootDir],
+    evidenceDir: testDir,
+    label: `${name}.sync-to-context`,
+  });
+  if (sync.error || sync.code !== 0) {
+    const detail = sync.error ? String(sync.error) : sync.stderr || sync.stdout;
+    return `ctl-db-ssot sync-to-context failed: ${detail}`;
+  }
+  const contract = JSON.parse(fs.readFileSync(path.join(rootDir, 'docs', 'context', 'db', 'schema.json'), 'utf8'));
+  const names = (contract.tables || []).map((t) => t.name).sort().join(',');
+  if (names !== 'posts,users') return `expected posts,users in the context contract, got ${names}`;
+  return null;
 }
@@ -0,0 +1,53 @@
+/**
+ * dependencies.mjs
+ * ctl-project-governance depends_on: lint (unknown task, cycle, done-before-dependency) and graph/critical path
+ */
+import { assertIncludes } from '../../lib/text.mjs';
+import { createGovernanceFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'governance-dependencies';
+
+export function run(ctx) {
+  const fx = createGovernanceFixture(ctx, name);
+
+  // T-001 <- T-002 <- T-003 <- T-004 (done while T-003 is still planned)
+  fx.writeTask({ id: 'T-001', slug: 'schema', state: 'in-progress' });
+  fx.writeTask({ id: 'T-002', slug: 'api', dependsOn: ['T-001'] });
+  fx.writeTask({ id: 'T-003', slug: 'ui', dependsOn: ['T-002'] });
+  fx.writeTask({ id: 'T-004', slug: 'docs', state: 'done', dependsOn: ['T-003'], criteria: [{ text: 'written', checked: true }] });
+  expectOk(fx.gov(['sync', '--apply']), 'sync --apply');
+
+  const lint = expectOk(fx.gov(['lint', '--check']), 'lint --check');
+  assertIncludes(lint.stdout, 'State is done but depends on unfinished task T-003 (planned).', 'Expected blocked-by-unfinished warning');
+  expectFail(fx.gov(['lint', '--strict'], 'lint-strict'), 'lint --strict with an unfinished dependency');
+
+  const graph = JSON.parse(expectOk(fx.gov(['graph', '--format', 'json'], 'graph-json'), 'graph --format json').stdout);
+  const edges = graph.edges.map((e) => `${e.from}>${e.to}`).join(' ');
+  if (edges !== 'T-001>T-002 T-002>T-003 T-003>T-004') throw new Error(`unexpected graph edges: ${edges}`);
+  const cp = graph.critical_paths[0];
+  if (graph.critical_paths.length !== 1 || cp.milestone_id !== 'M-000' || cp.path.join(' ') !== 'T-001 T-002 T-003' || cp.open !== 3) {
+    throw new Error(`unexpected critical path (finished T-004 must not extend it): ${JSON.stringify(graph.critical_paths)}`);
+  }
+
+  const mermaid = expectOk(fx.gov(['graph'], 'graph-mermaid'), 'graph').stdout;
+  assertIncludes(mermaid, 'T_001 ==> T_002', 'Expected the critical edge in bold');
+  assertIncludes(mermaid, 'T_003 --> T_004', 'Expected a regular edge off the critical path');
+
+  const dot = expectOk(fx.gov(['graph', '--format', 'dot'], 'graph-dot'), 'graph --format dot').stdout;
+  assertIncludes(dot, 'digraph', 'Expected a DOT digraph');
+
+  // Close the loop: T-001 now depends on T-003, and T-002 on a task that does not exist.
+  fx.writeTask({ id: 'T-001', slug: 'schema', state: 'in-progress', dependsOn: ['T-003'] });
+  fx.writeTask({ id: 'T-002', slug: 'api', dependsOn: ['T-001', 'T-099'] });
+  const broken = expectFail(fx.gov(['lint', '--check'], 'lint-cycle'), 'lint with a dependency cycle');
+  assertIncludes(broken.stdout, 'Dependency cycle in depends_on: T-001 -> T-003 -> T-002 -> T-001', 'Expected the cycle to be reported');
+  assertIncludes(broken.stdout, 'depends_on references unknown task "T-099"', 'Expected the unknown dependency to be reported');
+
+  fx.writeTask({ id: 'T-003', slug: 'ui', dependsOn: ['T-003'] });
+  const self = expectFail(fx.gov(['lint', '--check'], 'lint-self'), 'lint with a self-dependency');
+  assertIncludes(self.stdout, 'T-003', 'Expected the self-dependency to be reported');
+  assertIncludes(self.stdout, 'depends on itself', 'Expected the self-dependency message');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
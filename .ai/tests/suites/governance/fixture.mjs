@@ -0,0 +1,121 @@
+/**
+ * fixture.mjs
+ * Shared fixture for governance tests: a minimal repo with the Project Contract,
+ * hub/dev-docs templates and helpers to write task bundles and run the CLIs.
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+
+// Files ctl-project-governance reads from the repo it governs (not from its own location).
+const REPO_FILES = [
+  ['.ai', 'project', 'CONTRACT.md'],
+  ['.ai', 'project', 'registry.schema.json'],
+  ['.ai', 'skills', 'workflows', 'planning', 'project-sync-lint', 'templates'],
+  ['.ai', 'skills', 'workflows', 'dev-docs', 'create-dev-docs-plan', 'templates'],
+];
+
+const GIT_ENV = {
+  GIT_AUTHOR_NAME: 'Fixture',
+  GIT_AUTHOR_EMAIL: 'fixture@example.com',
+  GIT_COMMITTER_NAME: 'Fixture',
+  GIT_COMMITTER_EMAIL: 'fixture@example.com',
+};
+
+export function createGovernanceFixture(ctx, testName, { projects = ['main'] } = {}) {
+  const testDir = path.join(ctx.evidenceDir, testName);
+  const rootDir = path.join(testDir, 'fixture');
+  fs.mkdirSync(rootDir, { recursive: true });
+  for (const parts of REPO_FILES) {
+    fs.cpSync(path.join(ctx.repoRoot, ...parts), path.join(rootDir, ...parts), { recursive: true });
+  }
+
+  let seq = 0;
+  const run = (script, args, label, env) =>
+    runCommand({
+      cmd: 'node',
+      args: [path.join(ctx.repoRoot, '.ai', 'scripts', script), ...args],
+      cwd: rootDir,
+      env,
+      evidenceDir: testDir,
+      label: `${testName}.${String((seq += 1)).padStart(2, '0')}.${label}`,
+    });
+
+  const fixture = {
+    testDir,
+    rootDir,
+
+    gov(args, label = args[0]) {
+      return run('ctl-project-governance.mjs', [...args, '--repo-root', rootDir], label);
+    },
+
+    state(args, label = args[0]) {
+      return run('ctl-project-state.mjs', [...args, '--repo-root', rootDir], label);
+    },
+
+    git(args, label = `git-${args[0]}`, env = {}) {
+      const res = runCommand({
+        cmd: 'git',
+        args,
+        cwd: rootDir,
+        env: { ...GIT_ENV, ...env },
+        evidenceDir: testDir,
+        label: `${testName}.${String((seq += 1)).padStart(2, '0')}.${label}`,
+      });
+      if (res.error || res.code !== 0) throw new Error(`git ${args.join(' ')} failed: ${res.stderr || res.stdout}`);
+      return res.stdout;
+    },
+
+    read(rel) {
+      return fs.readFileSync(path.join(rootDir, rel), 'utf8');
+    },
+
+    write(rel, content) {
+      fs.mkdirSync(path.dirname(path.join(rootDir, rel)), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, rel), content, 'utf8');
+    },
+
+    exists(rel) {
+      return fs.existsSync(path.join(rootDir, rel));
+    },
+
+    // A dev-docs bundle: 00-overview.md (State + acceptance criteria) and .ai-task.yaml (identity).
+    writeTask({ id, slug, state = 'planned', dependsOn = [], criteria = [], project = 'main', root = 'dev-docs', title = slug }) {
+      const dir = `${root}/active/${slug}`;
+      const acLines = criteria.map((c) => (typeof c === 'string' ? `- [ ] ${c}` : `- [${c.checked ? 'x' : ' '}] ${c.text}`));
+      fixture.write(
+        `${dir}/00-overview.md`,
+        [`# 00 Overview: ${title}`, '', '## Status', `- State: ${state}`, '', '## Acceptance criteria (high level)', ...acLines, ''].join('\n')
+      );
+      const meta = ['version: 1', `task_id: ${id}`, `project: ${project}`, `slug: ${slug}`];
+      if (dependsOn.length > 0) meta.push('depends_on:', ...dependsOn.map((d) => `  - ${d}`));
+      fixture.write(`${dir}/.ai-task.yaml`, meta.join('\n') + '\n');
+      return dir;
+    },
+  };
+
+  for (const slug of projects) {
+    const res = fixture.gov(['init', '--project', slug], `init-${slug}`);
+    if (res.error || res.code !== 0) throw new Error(`governance init --project ${slug} failed: ${res.stderr || res.stdout}`);
+  }
+
+  return fixture;
+}
+
+export function initGit(fixture) {
+  fixture.git(['init', '-q']);
+  fixture.git(['config', 'commit.gpgsign', 'false'], 'git-config');
+}
+
+export function expectOk(res, what) {
+  if (res.error || res.code !== 0) {
+    throw new Error(`${what} failed (exit ${res.code}): ${res.error ? String(res.error) : res.stderr || res.stdout}`);
+  }
+  return res;
+}
+
+export function expectFail(res, what) {
+  if (res.code === 0) throw new Error(`${what} should exit non-zero:\n${res.stdout}`);
+  return res;
+}
@@ -0,0 +1,29 @@
+/**
+ * index.mjs
+ * Governance test suite (ctl-project-governance, ctl-project-state)
+ */
+import * as dependencies from './dependencies.mjs';
+import * as report from './report.mjs';
+import * as issues from './issues.mjs';
+import * as multiProject from './multi-project.mjs';
+import * as trace from './trace.mjs';
+import * as newTask from './new-task.mjs';
+import * as transition from './transition.mjs';
+import * as registry from './registry.mjs';
+import * as staged from './staged.mjs';
+import * as projectState from './project-state.mjs';
+
+const TESTS = [dependencies, report, issues, multiProject, trace, newTask, transition, registry, staged, projectState];
+
+export function run(ctx) {
+  const results = [];
+  for (const t of TESTS) {
+    const name = t.name || 'unnamed-test';
+    ctx.log(`[tests][governance] start: ${name}`);
+    const res = t.run(ctx);
+    results.push(res);
+    ctx.log(`[tests][governance] done: ${name} (${res.status})`);
+    if (res.status === 'FAIL') break;
+  }
+  return results;
+}
@@ -0,0 +1,90 @@
+/**
+ * issues.mjs
+ * ctl-project-governance export/import: first import without a sync base, export -> tracker edit -> import, conflicts
+ */
+import { assertIncludes } from '../../lib/text.mjs';
+import { createGovernanceFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'governance-issues';
+
+const FIELDS = ['feature_id', 'milestone_id', 'requirement_ids', 'state', 'title'];
+
+function issueFor(dump, taskId) {
+  return dump.issues.find((i) => i.title.startsWith(`[${taskId}]`));
+}
+
+export function run(ctx) {
+  const fx = createGovernanceFixture(ctx, name);
+  // Sync registers tasks with their slug as title.
+  fx.writeTask({ id: 'T-001', slug: 'schema', state: 'in-progress' });
+  fx.writeTask({ id: 'T-002', slug: 'api' });
+  expectOk(fx.gov(['sync', '--apply']), 'sync --apply');
+  const registry = fx.read('.ai/project/main/registry.yaml');
+  fx.write(
+    '.ai/project/main/registry.yaml',
+    registry.replace('requirements: []', 'requirements:\n  - id: R-001\n    title: "Audit trail"\n    feature_id: F-000\n    status: planned')
+  );
+
+  // 1) First import with no sync base: tracker edits win, status differences are drift only.
+  const first = expectOk(fx.gov(['export', '--format', 'github-issues'], 'export-initial'), 'export').stdout;
+  fx.write('.ai/project/main/issue-map.json', '{\n  "version": 1,\n  "github": {},\n  "gitlab": {}\n}\n');
+  const listing = JSON.parse(first).issues;
+  listing[0].number = 10;
+  listing[0].title = '[T-001] Design the schema';
+  listing[0].labels.push('requirement:R-001');
+  listing[0].state = 'closed';
+  listing[1].number = 11;
+  fx.write('gh-issues.json', JSON.stringify(listing, null, 2));
+
+  const imported = expectOk(fx.gov(['import', '--from', 'gh-issues.json', '--apply'], 'import-first'), 'first import without a base').stdout;
+  assertIncludes(imported, 'T-001 (#10) title: "schema" -> "Design the schema"', 'Expected the remote title to win');
+  assertIncludes(imported, 'T-001 (#10) requirement_ids: "" -> "R-001"', 'Expected the remote requirement to win');
+  assertIncludes(imported, 'issue is closed but task status is "in-progress"', 'Expected status drift, not a status write');
+  const afterFirst = fx.read('.ai/project/main/registry.yaml');
+  assertIncludes(afterFirst, 'title: "Design the schema"', 'Expected the imported title in registry.yaml');
+  assertIncludes(afterFirst, 'status: in-progress', 'Import must not change task status');
+
+  let map = JSON.parse(fx.read('.ai/project/main/issue-map.json')).github;
+  for (const id of ['T-001', 'T-002']) {
+    const keys = Object.keys(map[id]?.base || {}).sort().join(',');
+    if (keys !== FIELDS.join(',')) throw new Error(`expected a full sync base for ${id}, got: ${JSON.stringify(map[id])}`);
+  }
+  if (map['T-001'].issue !== 10 || map['T-002'].issue !== 11) throw new Error(`unexpected issue numbers: ${JSON.stringify(map)}`);
+
+  // 2) export -> edit in the tracker -> import.
+  expectOk(fx.gov(['export', '--format', 'github-issues', '--out', 'issues.json'], 'export'), 'export --out');
+  map = JSON.parse(fx.read('.ai/project/main/issue-map.json')).github;
+  if (map['T-002'].base.title !== 'api' || map['T-001'].base.requirement_ids !== 'R-001') {
+    throw new Error(`export must record the exported values as the base: ${JSON.stringify(map)}`);
+  }
+  const dump = JSON.parse(fx.read('issues.json'));
+  if (issueFor(dump, 'T-001').number !== 10) throw new Error('export must carry known issue numbers');
+  issueFor(dump, 'T-002').title = '[T-002] Build the REST API';
+  issueFor(dump, 'T-001').title = '[T-001] Schema (remote)';
+  fx.write('issues.json', JSON.stringify(dump, null, 2));
+
+  // T-001's title also changes locally: both sides moved away from the base.
+  fx.write(
+    '.ai/project/main/registry.yaml',
+    fx.read('.ai/project/main/registry.yaml').replace('title: "Design the schema"', 'title: "Schema (local)"')
+  );
+
+  const dry = expectFail(fx.gov(['import', '--from', 'issues.json', '--dry-run'], 'import-dry'), 'import with a conflict');
+  assertIncludes(dry.stdout, 'T-002 (#11) title: "api" -> "Build the REST API"', 'Expected the tracker-only edit to be planned');
+  assertIncludes(dry.stdout, 'local="Schema (local)" remote="Schema (remote)" base="Design the schema" (changed on both sides)', 'Expected a conflict');
+
+  expectFail(fx.gov(['import', '--from', 'issues.json', '--apply'], 'import-apply'), 'import --apply with a conflict');
+  const after = fx.read('.ai/project/main/registry.yaml');
+  assertIncludes(after, 'title: "Build the REST API"', 'Expected the non-conflicting edit to be applied');
+  assertIncludes(after, 'title: "Schema (local)"', 'A conflicting field must be left untouched');
+
+  // 3) A field changed only locally is reported as a pending export.
+  issueFor(dump, 'T-001').title = '[T-001] Design the schema';
+  issueFor(dump, 'T-002').title = '[T-002] Build the REST API';
+  fx.write('issues.json', JSON.stringify(dump, null, 2));
+  const pending = expectOk(fx.gov(['import', '--from', 'issues.json', '--dry-run'], 'import-pending'), 'import with a local-only edit');
+  assertIncludes(pending.stdout, 'T-001 (#10) title: changed locally ("Design the schema" -> "Schema (local)"); run export to push it.', 'Expected a pending export');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
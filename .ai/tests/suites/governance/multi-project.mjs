@@ -0,0 +1,49 @@
+/**
+ * multi-project.mjs
+ * ctl-project-governance --all-projects: OVERVIEW.md rollup, cross-project task ID collisions, repo-wide ID allocation
+ */
+import { assertIncludes, assertNotIncludes } from '../../lib/text.mjs';
+import { createGovernanceFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'governance-multi-project';
+
+export function run(ctx) {
+  const fx = createGovernanceFixture(ctx, name, { projects: ['main', 'web'] });
+  const webRegistry = '.ai/project/web/registry.yaml';
+  fx.write(webRegistry, fx.read(webRegistry).replace(/^ {4}- dev-docs$/m, '    - apps/web/dev-docs'));
+
+  fx.writeTask({ id: 'T-001', slug: 'schema', state: 'done', criteria: [{ text: 'migrated', checked: true }] });
+  fx.writeTask({ id: 'T-002', slug: 'api' });
+  fx.writeTask({ id: 'T-003', slug: 'login', state: 'in-progress', project: 'web', root: 'apps/web/dev-docs' });
+
+  expectOk(fx.gov(['sync', '--apply', '--all-projects'], 'sync-all'), 'sync --apply --all-projects');
+  let overview = fx.read('.ai/project/OVERVIEW.md');
+  assertIncludes(overview, '| main | Main | 2 | 1 | 0 | 0 | 1 | 0 |', 'Expected the main project row');
+  assertIncludes(overview, '| web | web | 1 | 0 | 1 | 0 | 0 | 0 |', 'Expected the web project row');
+  assertIncludes(overview, '| main | M-000 Inbox / Triage | in-progress | 1/2 | 1 |', 'Expected milestone progress per project');
+  assertIncludes(overview, '## Cross-project conflicts\n\n- (none)', 'Expected no conflicts yet');
+  const clean = expectOk(fx.gov(['lint', '--all-projects'], 'lint-all'), 'lint --all-projects');
+  assertIncludes(clean.stdout, 'No task ID collisions across 2 project(s).', 'Expected the cross-project check to run');
+
+  // Task IDs are repo-wide: the next ID of either hub follows the highest ID of all hubs.
+  const created = expectOk(fx.gov(['new-task', '--project', 'main', '--title', 'Audit log', '--feature', 'F-000', '--apply'], 'new-task'), 'new-task');
+  assertIncludes(created.stdout, 'Created T-004 audit-log', 'Expected the next repo-wide task ID');
+
+  // A web bundle reusing main's T-002 is a collision.
+  fx.writeTask({ id: 'T-002', slug: 'signup', project: 'web', root: 'apps/web/dev-docs' });
+  const synced = expectOk(fx.gov(['sync', '--apply', '--all-projects'], 'sync-all-dup'), 'sync --apply --all-projects');
+  assertIncludes(synced.stdout, 'Task ID T-002 is registered by multiple projects', 'Expected sync to warn about the collision');
+  overview = fx.read('.ai/project/OVERVIEW.md');
+  assertIncludes(overview, '- Task ID T-002: main (dev-docs/active/api), web (apps/web/dev-docs/active/signup)', 'Expected the collision in OVERVIEW.md');
+  assertNotIncludes(overview, '- (none)', 'The conflict list must not claim "(none)"');
+
+  const lint = expectFail(fx.gov(['lint', '--all-projects'], 'lint-all-dup'), 'lint --all-projects with a duplicate task ID');
+  assertIncludes(lint.stdout, '  - web: apps/web/dev-docs/active/signup', 'Expected both registrations in the lint error');
+
+  const rows = JSON.parse(expectOk(fx.gov(['query', '--all-projects', '--json'], 'query-all'), 'query --all-projects').stdout);
+  const t2 = rows.filter((r) => r.id === 'T-002').map((r) => r.project).sort().join(',');
+  if (t2 !== 'main,web') throw new Error(`expected T-002 rows from both projects: ${JSON.stringify(rows)}`);
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -0,0 +1,65 @@
+/**
+ * new-task.mjs
+ * ctl-project-governance new-task: slug generation, ID allocation, registration and slug collisions
+ */
+import { assertIncludes } from '../../lib/text.mjs';
+import { createGovernanceFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'governance-new-task';
+
+export function run(ctx) {
+  const fx = createGovernanceFixture(ctx, name);
+
+  fx.writeTask({ id: 'T-001', slug: 'schema' });
+  expectOk(fx.gov(['sync', '--apply']), 'sync --apply');
+
+  const title = 'Add Audit-Log (v2)!';
+  const dry = expectOk(fx.gov(['new-task', '--title', title, '--feature', 'F-000'], 'new-task-dry'), 'new-task dry-run');
+  assertIncludes(dry.stdout, 'register task T-002 (add-audit-log-v2) feature=F-000 milestone=M-000', 'Expected the planned registration');
+  if (fx.exists('dev-docs/active/add-audit-log-v2')) throw new Error('new-task without --apply must not write files');
+
+  // Cut at 60 characters; the hyphen left at the cut is dropped.
+  const long = expectOk(fx.gov(['new-task', '--title', `${'A'.repeat(59)} tail`, '--feature', 'F-000'], 'new-task-long'), 'new-task long title');
+  assertIncludes(long.stdout, `(${'a'.repeat(59)}) feature`, 'Expected the slug truncated to 60 characters');
+
+  expectOk(fx.gov(['new-task', '--title', 'Add audit log', '--feature', 'F-000', '--apply'], 'new-task-apply'), 'new-task --apply');
+  const meta = fx.read('dev-docs/active/add-audit-log/.ai-task.yaml');
+  assertIncludes(meta, 'task_id: T-002', 'Expected the next free task ID');
+  assertIncludes(meta, 'slug: add-audit-log', 'Expected the generated slug');
+  assertIncludes(fx.read('dev-docs/active/add-audit-log/00-overview.md'), ': Add audit log', 'Expected the title in the overview heading');
+  const registry = fx.read('.ai/project/main/registry.yaml');
+  assertIncludes(registry, 'slug: add-audit-log', 'Expected the task registered');
+  assertIncludes(registry, 'dev_docs_path: dev-docs/active/add-audit-log', 'Expected the bundle path registered');
+
+  // Same title again: the slug is taken by the bundle and the registry entry.
+  const clash = expectFail(fx.gov(['new-task', '--title', 'Add audit log', '--feature', 'F-000', '--apply'], 'new-task-clash'), 'new-task with a taken slug');
+  const clashOut = clash.stdout + clash.stderr;
+  assertIncludes(clashOut, 'Slug "add-audit-log" already exists', 'Expected the slug collision');
+  assertIncludes(clashOut, 'dev-docs/active/add-audit-log', 'Expected the clashing bundle to be listed');
+  assertIncludes(clashOut, 'registry T-002', 'Expected the clashing registry entry to be listed');
+
+  // A slug is also taken when the only bundle lives in archive/.
+  fx.writeTask({ id: 'T-003', slug: 'cleanup', state: 'done', criteria: [{ text: 'removed', checked: true }] });
+  expectOk(fx.gov(['sync', '--apply'], 'sync-cleanup'), 'sync');
+  expectOk(fx.gov(['transition', '--task', 'T-003', '--to', 'archived', '--apply'], 'archive-cleanup'), 'archive T-003');
+  const archivedClash = expectFail(fx.gov(['new-task', '--title', 'Cleanup', '--feature', 'F-000'], 'new-task-archived-clash'), 'new-task with an archived slug');
+  assertIncludes(archivedClash.stdout + archivedClash.stderr, 'Slug "cleanup" already exists', 'Expected the archived slug collision');
+
+  const custom = expectOk(
+    fx.gov(['new-task', '--title', 'Add audit log', '--slug', 'audit-log-export', '--feature', 'F-000', '--apply'], 'new-task-slug'),
+    'new-task --slug'
+  );
+  assertIncludes(custom.stdout, 'Created T-004 audit-log-export', 'Expected the explicit slug and the next ID');
+
+  const badSlug = expectFail(fx.gov(['new-task', '--title', 'x', '--slug', 'Bad_Slug', '--feature', 'F-000'], 'new-task-bad-slug'), 'new-task bad slug');
+  assertIncludes(badSlug.stdout + badSlug.stderr, 'Invalid task slug "Bad_Slug"', 'Expected the kebab-case check');
+  const symbols = expectFail(fx.gov(['new-task', '--title', '!!!', '--feature', 'F-000'], 'new-task-empty-slug'), 'new-task empty slug');
+  assertIncludes(symbols.stdout + symbols.stderr, 'Invalid task slug ""', 'Expected an empty generated slug to be rejected');
+  const noFeature = expectFail(fx.gov(['new-task', '--title', 'Reports', '--feature', 'F-042'], 'new-task-feature'), 'new-task unknown feature');
+  assertIncludes(noFeature.stdout + noFeature.stderr, 'Feature "F-042" not found in registry.', 'Expected the unknown feature');
+  const badRoot = expectFail(fx.gov(['new-task', '--title', 'Reports', '--feature', 'F-000', '--root', 'docs'], 'new-task-root'), 'new-task foreign root');
+  assertIncludes(badRoot.stdout + badRoot.stderr, '--root docs is not in project.task_doc_roots', 'Expected the root check');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -0,0 +1,97 @@
+/**
+ * project-state.mjs
+ * ctl-project-state: mutation journal, history, undo / undo --to, schema verification,
+ * and the pre-commit hook leaving state.json + state.history.jsonl unstaged
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+import { assertIncludes } from '../../lib/text.mjs';
+import { createGovernanceFixture, expectFail, expectOk, initGit } from './fixture.mjs';
+
+export const name = 'governance-project-state';
+
+export function run(ctx) {
+  const fx = createGovernanceFixture(ctx, name);
+  const set = (key, value, label) => expectOk(fx.state(['set', key, value, '--actor', 'alice'], label), `set ${key}`);
+  const get = (key) => expectOk(fx.state(['get', key], `get-${key}`), `get ${key}`).stdout.trim();
+  const history = () => JSON.parse(expectOk(fx.state(['history', '--format', 'json'], 'history-json'), 'history').stdout);
+
+  expectOk(fx.state(['init']), 'state init');
+  assertIncludes(expectOk(fx.state(['verify'], 'verify-init'), 'verify').stdout, '[ok] Project state verification passed.', 'Expected a valid fresh state');
+
+  assertIncludes(set('custom.version', '1.0.0', 'set-version').stdout, '(history #1)', 'Expected the first journal entry');
+  expectOk(fx.state(['set-context-mode', 'snapshot', '--actor', 'bob'], 'set-mode'), 'set-context-mode');
+  set('features.audit', 'true', 'set-feature');
+  set('custom.version', '1.1.0', 'set-version-2');
+  assertIncludes(set('custom.version', '1.1.0', 'set-version-same').stdout, '(unchanged)', 'A no-op set must not be journaled');
+
+  const entries = history();
+  const summary = entries.map((e) => `${e.seq}:${e.actor}:${e.command}:${e.key}:${'old' in e ? JSON.stringify(e.old) : '-'}>${JSON.stringify(e.new)}`);
+  const expected = [
+    '1:alice:set:custom.version:->"1.0.0"',
+    '2:bob:set-context-mode:context.mode:"contract">"snapshot"',
+    '3:alice:set:features.audit:->true',
+    '4:alice:set:custom.version:"1.0.0">"1.1.0"',
+  ];
+  if (summary.join('\n') !== expected.join('\n')) throw new Error(`unexpected journal:\n${summary.join('\n')}`);
+  const custom = expectOk(fx.state(['history', '--key', 'custom', '--limit', '1'], 'history-key'), 'history --key').stdout.trim();
+  if (!/^#4 .* alice {2}set {2}custom\.version: "1\.0\.0" -> "1\.1\.0"$/.test(custom)) throw new Error(`unexpected history --key output: ${custom}`);
+
+  // Step back twice: #4, then #3 (the flag was absent, so it is removed again).
+  assertIncludes(expectOk(fx.state(['undo', '--actor', 'alice'], 'undo-1'), 'undo').stdout, 'Reverted #4: custom.version = "1.0.0" (journal #5)', 'Expected #4 reverted');
+  assertIncludes(expectOk(fx.state(['undo', '--actor', 'alice'], 'undo-2'), 'undo').stdout, 'Reverted #3: features.audit = (unset) (journal #6)', 'Expected #3 reverted');
+  if (get('features.audit') !== '(undefined)') throw new Error('undo of a new key must remove it');
+  const undos = history().slice(4).map((e) => `${e.seq}:${e.command}:${e.reverts.join(',')}`);
+  if (undos.join(' ') !== '5:undo:4 6:undo:3') throw new Error(`unexpected undo entries: ${undos.join(' ')}`);
+
+  // A hand edit blocks undo until --force.
+  const statePath = path.join(fx.rootDir, '.ai', 'project', 'state.json');
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  state.custom.version = '9.9.9';
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n');
+  const refused = expectFail(fx.state(['undo', '--to', '0'], 'undo-refused'), 'undo after a hand edit');
+  assertIncludes(refused.stderr, 'custom.version is "9.9.9", but the journal (#5) expects "1.0.0"', 'Expected the out-of-band edit to block undo');
+
+  // --to 0: back to the state before the first entry, undo entries included.
+  expectOk(fx.state(['undo', '--to', '0', '--force', '--actor', 'alice'], 'undo-to-0'), 'undo --to 0 --force');
+  if (get('custom.version') !== '(undefined)' || get('context.mode') !== 'contract') {
+    throw new Error(`undo --to 0 did not restore the initial state: ${fs.readFileSync(statePath, 'utf8')}`);
+  }
+  assertIncludes(expectOk(fx.state(['undo', '--to', '0'], 'undo-to-0-again'), 'undo --to 0').stdout, 'State already matches #0', 'Expected a no-op rollback');
+
+  // verify checks state.json as written, field by field, and reports unreadable journal lines.
+  const bad = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  bad.context.mode = 'fast';
+  bad.features.audit = 'yes';
+  bad.extra = 1;
+  fs.writeFileSync(statePath, JSON.stringify(bad, null, 2) + '\n');
+  fs.appendFileSync(path.join(fx.rootDir, '.ai', 'project', 'state.history.jsonl'), 'not json\n');
+  const verify = expectFail(fx.state(['verify'], 'verify-bad'), 'verify with schema errors');
+  assertIncludes(verify.stdout, 'context.mode: must be one of contract, snapshot (got "fast")', 'Expected the enum error');
+  assertIncludes(verify.stdout, 'features.audit: must be boolean (got string)', 'Expected the type error');
+  assertIncludes(verify.stdout, 'extra: unexpected property', 'Expected the unknown property error');
+  assertIncludes(verify.stdout, 'journal: state.history.jsonl:', 'Expected the unreadable journal line');
+  expectFail(fx.state(['undo'], 'undo-broken-journal'), 'undo with an unreadable journal');
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n');
+
+  // The pre-commit hook stages regenerated hub files, but never the state files.
+  for (const parts of [['.githooks', 'pre-commit'], ['.ai', 'scripts', 'ctl-project-governance.mjs'], ['.ai', 'scripts', 'lib']]) {
+    fs.cpSync(path.join(ctx.repoRoot, ...parts), path.join(fx.rootDir, ...parts), { recursive: true });
+  }
+  initGit(fx);
+  fx.git(['add', '-A']);
+  fx.git(['commit', '-q', '-m', 'init'], 'git-commit');
+  set('custom.version', '2.0.0', 'set-before-commit');
+  fx.writeTask({ id: 'T-001', slug: 'schema' });
+  fx.git(['add', 'dev-docs']);
+  const hook = runCommand({ cmd: 'sh', args: ['.githooks/pre-commit'], cwd: fx.rootDir, evidenceDir: fx.testDir, label: `${name}.hook` });
+  expectOk(hook, 'pre-commit hook');
+  const staged = fx.git(['diff', '--cached', '--name-only'], 'git-staged').split('\n').filter(Boolean);
+  if (!staged.includes('.ai/project/main/registry.yaml')) throw new Error(`hook did not stage the synced registry: ${staged.join(', ')}`);
+  if (staged.some((f) => f.startsWith('.ai/project/state.'))) throw new Error(`hook staged state files: ${staged.join(', ')}`);
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -0,0 +1,104 @@
+/**
+ * registry.mjs
+ * registry.yaml round trip (comments, key order, quoting survive writes) and schema errors with line numbers
+ */
+import { assertIncludes } from '../../lib/text.mjs';
+import { createGovernanceFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'governance-registry';
+
+const REGISTRY = `# Hand-maintained header comment.
+
+version: 1
+
+project:
+  id: P-001
+  slug: main
+  name: Main # display name
+  task_doc_roots:
+    - dev-docs
+
+milestones:
+  # Triage comes first.
+  - id: M-000
+    status: in-progress
+    title: "Inbox: Triage"
+    description: Triage queue for new or unplanned work.
+
+features:
+  - id: F-000
+    milestone_id: M-000
+    title: Inbox / Untriaged
+    status: in-progress
+  - id: F-001
+    milestone_id: M-000
+    title: Orders
+    status: planned
+
+requirements: []
+
+tasks:
+  # Keep the schema first.
+  - id: T-001
+    feature_id: F-000
+    milestone_id: M-000
+    slug: schema # stable
+    title: Schema
+    status: planned
+    dev_docs_path: dev-docs/active/schema
+    updated: 2026-01-05
+
+# Trailing note.
+`;
+
+export function run(ctx) {
+  const fx = createGovernanceFixture(ctx, name);
+  const registryPath = '.ai/project/main/registry.yaml';
+
+  fx.writeTask({ id: 'T-001', slug: 'schema' });
+  fx.write(registryPath, REGISTRY);
+
+  // Nothing to change: sync must leave the hand-written file byte for byte.
+  expectOk(fx.gov(['sync', '--apply']), 'sync --apply');
+  if (fx.read(registryPath) !== REGISTRY) throw new Error(`sync rewrote an up-to-date registry:\n${fx.read(registryPath)}`);
+
+  // A real write: only the mapped fields change; comments, key order and quoting stay.
+  expectOk(fx.gov(['map', '--task', 'T-001', '--feature', 'F-001', '--requirement', 'R-001', '--apply'], 'map'), 'map --apply');
+  const mapped = fx.read(registryPath);
+  const expected = REGISTRY.replace(
+    'requirements: []',
+    ['requirements:', '  - id: R-001', '    title: "(auto-created for T-001)"', '    status: planned', '    feature_id: F-001'].join('\n')
+  )
+    .replace('    feature_id: F-000\n    milestone_id: M-000\n    slug', '    feature_id: F-001\n    milestone_id: M-000\n    slug')
+    .replace('    updated: 2026-01-05\n', '    updated: __DATE__\n    requirement_ids:\n      - R-001\n');
+  const actual = mapped.replace(/updated: \d{4}-\d{2}-\d{2}/, 'updated: __DATE__');
+  if (actual !== expected) throw new Error(`unexpected registry after map:\n${actual}\nexpected:\n${expected}`);
+  expectOk(fx.gov(['lint', '--check'], 'lint-mapped'), 'lint after map');
+
+  // Schema errors point at the offending line; a missing property points at its parent.
+  const lines = mapped.split('\n');
+  const lineOf = (text, from = 0) => lines.indexOf(text, from) + 1;
+  const broken = [...lines];
+  broken[lineOf('  - id: F-001') - 1] = '  - id: F-1';
+  broken[lineOf('    status: planned', lineOf('tasks:')) - 1] = '    status: finished';
+  // R-001 loses its id: the item is reported at its first line.
+  broken.splice(lineOf('  - id: R-001') - 1, 2, '  - title: "(auto-created for T-001)"');
+  fx.write(registryPath, broken.join('\n'));
+
+  const lint = expectFail(fx.gov(['lint', '--check'], 'lint-schema'), 'lint with schema errors');
+  const at = (line) => `${registryPath}:${line}:`;
+  assertIncludes(lint.stdout, `${at(lineOf('  - id: F-001'))} features[F-1].id: "F-1" does not match`, 'Expected the ID pattern error with its line');
+  assertIncludes(
+    lint.stdout,
+    `${at(lineOf('  - id: R-001'))} requirements[0]: missing required property "id"`,
+    'Expected the missing property reported on the item line'
+  );
+  assertIncludes(
+    lint.stdout,
+    `${at(lineOf('    status: planned', lineOf('tasks:')) - 1)} tasks[T-001].status: must be one of: planned, in-progress, blocked, done, archived (got "finished")`,
+    'Expected the enum error with its line (one line up after the splice)'
+  );
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -0,0 +1,103 @@
+/**
+ * report.mjs
+ * ctl-project-governance report: burndown, weekly throughput and cycle/lead time from changelog and git history
+ */
+import { assertIncludes } from '../../lib/text.mjs';
+import { createGovernanceFixture, expectOk, initGit } from './fixture.mjs';
+
+export const name = 'governance-report';
+
+function localToday() {
+  // Same day boundary as the script (local time).
+  const d = new Date();
+  return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+}
+
+function day(date, offset) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + offset);
+  return d.toISOString().slice(0, 10);
+}
+
+export function run(ctx) {
+  const fx = createGovernanceFixture(ctx, name);
+
+  // Dates relative to the Monday of the current ISO week, so the 3-week window is stable.
+  const today = localToday();
+  const monday = day(today, -((today.getUTCDay() + 6) % 7));
+  const at = (offset) => day(new Date(`${monday}T00:00:00Z`), offset);
+
+  fx.writeTask({ id: 'T-001', slug: 'schema', state: 'done' });
+  fx.writeTask({ id: 'T-002', slug: 'api', state: 'done' });
+  fx.writeTask({ id: 'T-003', slug: 'ui', state: 'planned' });
+  expectOk(fx.gov(['sync', '--apply']), 'sync --apply');
+
+  const changelog = fx.read('.ai/project/main/changelog.md').trimEnd();
+  fx.write(
+    '.ai/project/main/changelog.md',
+    [
+      changelog,
+      `- ${at(-14)} task_id=T-001 slug=schema event=registered`,
+      `- ${at(-14)} task_id=T-002 slug=api event=registered`,
+      `- ${at(-13)} task_id=T-001 slug=schema event=status from=planned to=in-progress`,
+      `- ${at(-10)} task_id=T-002 slug=api event=status from=planned to=in-progress`,
+      `- ${at(-7)} task_id=T-003 slug=ui event=registered`,
+      `- ${at(-5)} task_id=T-001 slug=schema event=status from=in-progress to=done`,
+      `- ${at(0)} task_id=T-002 slug=api event=status from=in-progress to=done`,
+      '',
+    ].join('\n')
+  );
+
+  const report = JSON.parse(expectOk(fx.gov(['report', '--weeks', '3', '--no-git'], 'report-json'), 'report').stdout);
+  const byId = new Map(report.tasks.map((t) => [t.id, t]));
+  const t1 = byId.get('T-001');
+  const t2 = byId.get('T-002');
+  if (t1.started !== at(-13) || t1.finished !== at(-5) || t1.cycle_time_days !== 8 || t1.lead_time_days !== 9) {
+    throw new Error(`unexpected T-001 history: ${JSON.stringify(t1)}`);
+  }
+  if (t2.cycle_time_days !== 10 || t2.lead_time_days !== 14 || t2.finished_source !== 'history') {
+    throw new Error(`unexpected T-002 history: ${JSON.stringify(t2)}`);
+  }
+  if (byId.get('T-003').finished !== null) throw new Error('an open task must not be finished');
+
+  const done = report.throughput.map((w) => w.done).join(',');
+  if (done !== '0,1,1' || report.throughput[2].start !== monday) {
+    throw new Error(`unexpected throughput: ${JSON.stringify(report.throughput)}`);
+  }
+  const s = report.summary;
+  if (s.tasks !== 3 || s.finished !== 2 || s.median_cycle_time_days !== 9 || s.median_lead_time_days !== 11.5 || s.avg_weekly_throughput !== 0.67) {
+    throw new Error(`unexpected summary: ${JSON.stringify(s)}`);
+  }
+  const burndown = report.milestones[0].burndown.map((b) => `${b.scope}/${b.remaining}`).join(',');
+  if (report.milestones.length !== 1 || burndown !== '2/2,3/2,3/1') {
+    throw new Error(`unexpected burndown (scope/remaining per week): ${burndown}`);
+  }
+
+  expectOk(fx.gov(['report', '--weeks', '3', '--no-git', '--apply'], 'report-apply'), 'report --apply');
+  const dashboard = fx.read('.ai/project/main/dashboard.md');
+  assertIncludes(dashboard, '<!-- AUTO-GENERATED:START report -->', 'Expected the report AUTO block in dashboard.md');
+  assertIncludes(dashboard, `| T-001 schema | ${at(-13)} | ${at(-5)} | 8 | 9 |`, 'Expected a cycle time row');
+
+  // Git replay: State edits of 00-overview.md become status events at their commit dates.
+  initGit(fx);
+  const overview = 'dev-docs/active/ui/00-overview.md';
+  const commitAt = (date, message) => {
+    fx.git(['add', '-A']);
+    fx.git(['commit', '-q', '-m', message], 'git-commit', { GIT_AUTHOR_DATE: `${date}T12:00:00`, GIT_COMMITTER_DATE: `${date}T12:00:00` });
+  };
+  commitAt(at(-7), 'add ui');
+  fx.write(overview, fx.read(overview).replace('- State: planned', '- State: in-progress'));
+  commitAt(at(-6), 'start ui');
+  fx.write(overview, fx.read(overview).replace('- State: in-progress', '- State: done'));
+  commitAt(at(-2), 'finish ui');
+  expectOk(fx.gov(['sync', '--apply'], 'sync-after-git'), 'sync --apply');
+
+  const withGit = JSON.parse(expectOk(fx.gov(['report', '--weeks', '3'], 'report-git'), 'report (git)').stdout);
+  const t3 = withGit.tasks.find((t) => t.id === 'T-003');
+  if (t3.started !== at(-6) || t3.finished !== at(-2) || t3.cycle_time_days !== 4 || withGit.sources.git_events === null) {
+    throw new Error(`expected T-003 history from git: ${JSON.stringify({ t3, sources: withGit.sources })}`);
+  }
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -0,0 +1,57 @@
+/**
+ * staged.mjs
+ * ctl-project-governance lint --staged: checks only staged bundles/registries, read from the git index
+ */
+import { assertIncludes, assertNotIncludes } from '../../lib/text.mjs';
+import { createGovernanceFixture, expectFail, expectOk, initGit } from './fixture.mjs';
+
+export const name = 'governance-staged';
+
+export function run(ctx) {
+  const fx = createGovernanceFixture(ctx, name);
+
+  fx.writeTask({ id: 'T-001', slug: 'schema' });
+  fx.writeTask({ id: 'T-002', slug: 'api' });
+  expectOk(fx.gov(['sync', '--apply']), 'sync --apply');
+  initGit(fx);
+  fx.git(['add', '-A']);
+  fx.git(['commit', '-q', '-m', 'init'], 'git-commit');
+
+  const overview = 'dev-docs/active/schema/00-overview.md';
+  const good = fx.read(overview);
+  const broken = good.replace('- State: planned', '- Status note: none');
+
+  // Broken in the index, fixed in the working tree: the index wins.
+  fx.write(overview, broken);
+  fx.git(['add', overview]);
+  fx.write(overview, good);
+  const indexBroken = expectFail(fx.gov(['lint', '--staged'], 'lint-staged-index-broken'), 'lint --staged with a broken staged overview');
+  assertIncludes(indexBroken.stdout, `dev-docs/active/schema/00-overview.md:`, 'Expected the staged overview error');
+  assertIncludes(indexBroken.stdout, '1 staged task bundle(s), 0 registry file(s)', 'Expected only the staged bundle in scope');
+  expectOk(fx.gov(['lint', '--check'], 'lint-worktree'), 'full lint of the (valid) working tree');
+
+  // Valid (and changed) in the index, broken in the working tree: nothing to report.
+  fx.write(overview, good.replace('- State: planned', '- State: in-progress'));
+  fx.git(['add', overview]);
+  fx.write(overview, broken);
+  fx.write('dev-docs/active/api/.ai-task.yaml', 'version: 1\ntask_id: T-9\nproject: main\nslug: api\n');
+  const indexGood = expectOk(fx.gov(['lint', '--staged'], 'lint-staged-index-good'), 'lint --staged with a valid staged overview');
+  assertNotIncludes(indexGood.stdout, 'Invalid task_id', 'Unstaged bundles must not be checked');
+  assertIncludes(indexGood.stdout, '[ok] Lint passed (1 staged task bundle(s), 0 registry file(s)).', 'Expected the staged scope');
+  fx.git(['checkout', '--', '.'], 'git-checkout');
+
+  // Staged registry with a schema error (line from the staged blob), valid copy in the working tree.
+  const registryPath = '.ai/project/main/registry.yaml';
+  const registry = fx.read(registryPath);
+  const badRegistry = `# staged-only comment\n${registry.replace('  - id: F-000', '  - id: F-0')}`;
+  fx.write(registryPath, badRegistry);
+  fx.git(['add', registryPath]);
+  fx.write(registryPath, registry);
+  const line = badRegistry.split('\n').indexOf('  - id: F-0') + 1;
+  const schema = expectFail(fx.gov(['lint', '--staged'], 'lint-staged-registry'), 'lint --staged with a broken staged registry');
+  assertIncludes(schema.stdout, `${registryPath}:${line}: features[F-0].id: "F-0" does not match`, 'Expected the schema error at the staged line');
+  assertIncludes(schema.stdout, '1 staged task bundle(s), 1 registry file(s)', 'Expected the registry in scope');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -0,0 +1,89 @@
+/**
+ * trace.mjs
+ * ctl-project-governance trace: requirement -> feature -> task matrix (Markdown, CSV, --apply) and its gap flags
+ */
+import { assertIncludes } from '../../lib/text.mjs';
+import { createGovernanceFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'governance-trace';
+
+export function run(ctx) {
+  const fx = createGovernanceFixture(ctx, name);
+
+  fx.write(
+    '.ai/project/main/registry.yaml',
+    fx
+      .read('.ai/project/main/registry.yaml')
+      .replace(
+        'requirements: []',
+        [
+          'requirements:',
+          '  - id: R-001',
+          '    title: Store orders',
+          '    feature_id: F-000',
+          '    status: planned',
+          '  - id: R-002',
+          '    title: Export orders',
+          '    feature_id: F-000',
+          '    status: planned',
+          '  - id: R-003',
+          '    title: Fax orders',
+          '    feature_id: F-000',
+          '    status: cut',
+        ].join('\n')
+      )
+  );
+
+  fx.writeTask({ id: 'T-001', slug: 'schema', state: 'done', criteria: [{ text: 'migrated', checked: true }] });
+  fx.writeTask({ id: 'T-002', slug: 'api', criteria: ['endpoints documented'] });
+  fx.writeTask({ id: 'T-003', slug: 'ui' });
+  expectOk(fx.gov(['sync', '--apply']), 'sync --apply');
+  for (const id of ['T-001', 'T-002']) {
+    expectOk(fx.gov(['map', '--task', id, '--requirement', 'R-001', '--apply'], `map-${id}`), `map ${id}`);
+  }
+
+  // Archived with 0/1 criteria checked: still a gap, like a done task.
+  expectOk(fx.gov(['transition', '--task', 'T-002', '--to', 'in-progress', '--apply'], 'start-T-002'), 'transition T-002 in-progress');
+  const archived = expectOk(
+    fx.gov(['transition', '--task', 'T-002', '--to', 'done', '--archive', '--apply'], 'archive-T-002'),
+    'transition T-002 done --archive'
+  );
+  assertIncludes(archived.stdout + archived.stderr, 'Acceptance criteria not fully checked (0/1)', 'Expected the unchecked criteria warning');
+  if (!fx.exists('dev-docs/archive/api/00-overview.md')) throw new Error('T-002 bundle was not moved to archive/');
+  expectOk(fx.gov(['sync', '--apply'], 'sync-after-archive'), 'sync after archive');
+
+  const csv = expectOk(fx.gov(['trace', '--format', 'csv'], 'trace-csv'), 'trace --format csv').stdout.trimEnd().split('\n');
+  const expected = [
+    'requirement_id,requirement_title,requirement_status,feature_id,feature_title,task_id,task_slug,task_status,ac_checked,ac_total,flags',
+    'R-001,Store orders,planned,F-000,Inbox / Untriaged,T-001,schema,done,1,1,',
+    'R-001,Store orders,planned,F-000,Inbox / Untriaged,T-002,api,archived,0,1,ac-unchecked',
+    'R-002,Export orders,planned,F-000,Inbox / Untriaged,,,,,,no-tasks',
+    'R-003,Fax orders,cut,F-000,Inbox / Untriaged,,,,,,',
+    ',,,F-000,Inbox / Untriaged,T-003,ui,planned,0,0,no-requirement',
+  ];
+  if (csv.join('\n') !== expected.join('\n')) {
+    throw new Error(`unexpected trace CSV:\n${csv.join('\n')}\nexpected:\n${expected.join('\n')}`);
+  }
+
+  const md = expectOk(fx.gov(['trace'], 'trace-markdown'), 'trace').stdout;
+  assertIncludes(md, '- Requirements: 3 (without tasks: 1)', 'Expected the requirement summary');
+  assertIncludes(md, '- Tasks: 3 (without requirement: 1)', 'Expected the task summary');
+  assertIncludes(md, '- Done/archived tasks with unchecked acceptance criteria: 1 (without criteria: 0)', 'Expected the criteria summary');
+  assertIncludes(
+    md,
+    '| R-001 Store orders | planned | F-000 Inbox / Untriaged | T-002 api | archived | 0/1 | ac-unchecked |',
+    'Expected the archived task row to be flagged'
+  );
+  assertIncludes(md, '| R-002 Export orders | planned | F-000 Inbox / Untriaged | - | - | - | no-tasks |', 'Expected a no-tasks row');
+
+  expectFail(fx.gov(['trace', '--strict'], 'trace-strict'), 'trace --strict with gaps');
+
+  expectOk(fx.gov(['trace', '--apply'], 'trace-apply'), 'trace --apply');
+  assertIncludes(fx.read('.ai/project/main/traceability.md'), '<!-- AUTO-GENERATED:START traceability -->', 'Expected the AUTO block');
+  if (fx.read('.ai/project/main/traceability.csv') !== `${expected.join('\n')}\n`) {
+    throw new Error('traceability.csv does not match trace --format csv');
+  }
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -0,0 +1,83 @@
+/**
+ * transition.mjs
+ * ctl-project-governance transition: allowed-transition table, rejected/forced transitions and --archive
+ */
+import { assertIncludes, assertNotIncludes } from '../../lib/text.mjs';
+import { createGovernanceFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'governance-transition';
+
+// Mirror of TASK_TRANSITIONS in ctl-project-governance.mjs (active states only).
+const ALLOWED = {
+  planned: ['in-progress', 'blocked'],
+  'in-progress': ['planned', 'blocked', 'done'],
+  blocked: ['planned', 'in-progress'],
+  done: ['in-progress'],
+};
+
+export function run(ctx) {
+  const fx = createGovernanceFixture(ctx, name);
+  const done = [{ text: 'shipped', checked: true }];
+
+  fx.writeTask({ id: 'T-001', slug: 'schema', criteria: done });
+  fx.writeTask({ id: 'T-002', slug: 'api', dependsOn: ['T-001'], state: 'in-progress', criteria: done });
+  expectOk(fx.gov(['sync', '--apply']), 'sync --apply');
+
+  // Every from/to pair of active states, as a dry run.
+  for (const from of Object.keys(ALLOWED)) {
+    fx.writeTask({ id: 'T-001', slug: 'schema', state: from, criteria: done });
+    for (const to of Object.keys(ALLOWED)) {
+      if (to === from) continue;
+      const res = fx.gov(['transition', '--task', 'T-001', '--to', to], `table-${from}-${to}`);
+      if (ALLOWED[from].includes(to)) {
+        expectOk(res, `transition ${from} -> ${to}`);
+        assertIncludes(res.stdout, `State ${from} -> ${to}`, `Expected the planned ${from} -> ${to} update`);
+      } else {
+        expectFail(res, `transition ${from} -> ${to}`);
+        assertIncludes(res.stdout + res.stderr, `Transition ${from} -> ${to} is not allowed`, `Expected ${from} -> ${to} to be rejected`);
+      }
+    }
+  }
+  fx.writeTask({ id: 'T-001', slug: 'schema', criteria: done });
+
+  const skip = expectFail(fx.gov(['transition', '--task', 'T-001', '--to', 'done', '--apply'], 'planned-done'), 'planned -> done');
+  assertIncludes(
+    skip.stdout + skip.stderr,
+    'Transition planned -> done is not allowed (allowed from planned: in-progress, blocked). Use --force to override.',
+    'Expected planned -> done to require in-progress first'
+  );
+  assertIncludes(fx.read('dev-docs/active/schema/00-overview.md'), '- State: planned', 'A rejected transition must not write');
+  const forced = expectOk(fx.gov(['transition', '--task', 'T-001', '--to', 'done', '--force'], 'planned-done-force'), 'planned -> done --force');
+  assertIncludes(forced.stdout + forced.stderr, 'Forced transition planned -> done', 'Expected the forced transition warning');
+
+  const blocked = expectFail(fx.gov(['transition', '--task', 'T-002', '--to', 'done'], 'blocked-by-dependency'), 'done with an unfinished dependency');
+  assertIncludes(blocked.stdout + blocked.stderr, 'T-002 depends on unfinished task(s): T-001 (planned)', 'Expected the dependency check');
+
+  const misuse = expectFail(fx.gov(['transition', '--task', 'T-001', '--to', 'in-progress', '--archive'], 'archive-misuse'), '--archive with --to in-progress');
+  assertIncludes(misuse.stdout + misuse.stderr, '--archive is only valid with --to done', 'Expected --archive to require --to done');
+
+  // planned -> in-progress -> done + archive, with registry, metadata and changelog updates.
+  expectOk(fx.gov(['transition', '--task', 'T-001', '--to', 'in-progress', '--apply'], 'start'), 'transition in-progress');
+  assertIncludes(fx.read('dev-docs/active/schema/00-overview.md'), '- State: in-progress', 'Expected the overview State updated');
+  const archived = expectOk(fx.gov(['transition', '--task', 'T-001', '--to', 'done', '--archive', '--apply'], 'archive'), 'transition done --archive');
+  assertIncludes(archived.stdout, 'T-001 schema: in-progress -> done, done -> archived', 'Expected both steps');
+  assertNotIncludes(archived.stdout + archived.stderr, 'not fully checked', 'Checked criteria must not warn');
+  if (fx.exists('dev-docs/active/schema')) throw new Error('--archive must move the bundle out of active/');
+  assertIncludes(fx.read('dev-docs/archive/schema/00-overview.md'), '- State: done', 'Expected State: done in the archived overview');
+  assertIncludes(fx.read('dev-docs/archive/schema/.ai-task.yaml'), 'status: archived', 'Expected the archived status in .ai-task.yaml');
+  assertIncludes(fx.read('.ai/project/main/registry.yaml'), 'dev_docs_path: dev-docs/archive/schema', 'Expected the registry path updated');
+  const changelog = fx.read('.ai/project/main/changelog.md');
+  for (const step of ['from=planned to=in-progress', 'from=in-progress to=done', 'from=done to=archived']) {
+    assertIncludes(changelog, `task_id=T-001 slug=schema event=status ${step}`, `Expected the changelog entry ${step}`);
+  }
+
+  const again = expectFail(fx.gov(['transition', '--task', 'T-001', '--to', 'in-progress'], 'archived-reopen'), 'transition of an archived task');
+  assertIncludes(again.stdout + again.stderr, 'archived tasks cannot transition', 'Expected archived tasks to be final');
+
+  // The finished dependency unblocks T-002.
+  expectOk(fx.gov(['transition', '--task', 'T-002', '--to', 'done', '--apply'], 'unblocked'), 'done after the dependency finished');
+  expectOk(fx.gov(['lint', '--check'], 'lint'), 'lint after transitions');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
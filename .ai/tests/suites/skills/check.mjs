@@ -0,0 +1,87 @@
+/**
+ * check.mjs
+ * sync-skills --check: missing, stale, modified and orphaned wrappers (files and section providers), exit code 1, no writes;
+ * a hand edit to a wrapper's frontmatter or description is modified, not stale
+ */
+import { assertIncludes, assertNotIncludes } from '../../lib/text.mjs';
+import { createSkillsFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'skills-check';
+
+const PROVIDERS = ['--providers', 'codex,cursor,copilot'];
+
+export function run(ctx) {
+  const fx = createSkillsFixture(ctx, name);
+  for (const rel of ['workflows/a/alpha', 'workflows/a/beta', 'workflows/a/gamma', 'backend/delta']) fx.writeSkill(rel);
+
+  expectOk(fx.sync([...PROVIDERS, '--scope', 'all', '--mode', 'reset', '--yes'], 'sync'), 'sync-skills');
+  const clean = expectOk(fx.sync(['--check', ...PROVIDERS, '--scope', 'all'], 'check-clean'), 'sync-skills --check (clean)');
+  assertIncludes(clean.stdout, 'Skill stubs up to date', 'Expected a clean check');
+
+  // missing: wrapper deleted
+  fx.remove('.codex/skills/workflows/a/alpha');
+  // stale: SSOT changed after the last sync (every provider renders the description)
+  fx.writeSkill('workflows/a/beta', { frontmatter: ['description: beta skill, revised'] });
+  // modified: wrapper edited by hand (files provider and inside the managed section)
+  const cursorGamma = '.cursor/rules/skills/workflows/a/gamma.mdc';
+  fx.write(cursorGamma, `${fx.read(cursorGamma)}\nLocal note.\n`);
+  const copilot = '.github/copilot-instructions.md';
+  fx.write(copilot, fx.read(copilot).replace('**gamma**:', '**Gamma**:'));
+  // modified: only the description/frontmatter edited, which still renders like a valid wrapper
+  const codexGamma = '.codex/skills/workflows/a/gamma/SKILL.md';
+  fx.write(codexGamma, fx.read(codexGamma).replace('description: gamma skill', 'description: gamma skill, edited'));
+  const cursorDelta = '.cursor/rules/skills/backend/delta.mdc';
+  fx.write(cursorDelta, fx.read(cursorDelta).replace('description: "delta skill"', 'description: "delta skill, edited"'));
+  fx.write(copilot, fx.read(copilot).replace('**delta**: delta skill', '**delta**: delta skill, edited'));
+  // orphaned: wrapper without an SSOT skill
+  fx.write('.codex/skills/workflows/a/ghost/SKILL.md', '---\nname: ghost\ndescription: ghost\n---\n');
+
+  const before = ['.codex/skills', '.cursor/rules/skills'].flatMap((r) => fx.listFiles(r)).map((f) => `${f}\n${fx.read(f)}`).join('\n');
+  const drift = expectFail(fx.sync(['--check', ...PROVIDERS, '--scope', 'all'], 'check-drift'), 'sync-skills --check with drift', 1);
+  const out = drift.stdout;
+  for (const line of [
+    '[missing] workflows/a/alpha -> .codex/skills/workflows/a/alpha/SKILL.md',
+    '[stale] workflows/a/beta -> .codex/skills/workflows/a/beta/SKILL.md',
+    `[modified] workflows/a/gamma -> ${codexGamma} (line 3)`,
+    '[orphaned] workflows/a/ghost -> .codex/skills/workflows/a/ghost/SKILL.md (no SSOT skill at this path)',
+    '[stale] workflows/a/beta -> .cursor/rules/skills/workflows/a/beta.mdc',
+    `[modified] workflows/a/gamma -> ${cursorGamma} (line 14)`,
+    `[modified] backend/delta -> ${cursorDelta} (line 2)`,
+    `[stale] workflows/a/beta -> ${copilot}`,
+    `[modified] workflows/a/gamma -> ${copilot}`,
+    `[modified] backend/delta -> ${copilot}`,
+    '[error] codex: 4 drift finding(s)',
+    '[error] cursor: 3 drift finding(s)',
+    '[error] copilot: 3 drift finding(s)',
+    'Drift: 1 missing, 3 stale, 5 modified, 1 orphaned',
+    '--scope all --providers codex,cursor,copilot --mode reset --yes',
+  ]) {
+    assertIncludes(out, line, `Expected "${line}" in the --check report`);
+  }
+  const after = ['.codex/skills', '.cursor/rules/skills'].flatMap((r) => fx.listFiles(r)).map((f) => `${f}\n${fx.read(f)}`).join('\n');
+  if (after !== before) throw new Error('--check must not write wrappers');
+  if (fx.exists('.codex/skills/workflows/a/alpha')) throw new Error('--check must not recreate missing wrappers');
+
+  // A hand edit around the managed entries is reported for the section itself.
+  fx.write(copilot, fx.read(copilot).replace('## Skills\n', '## Skills (local)\n'));
+  const section = expectFail(fx.sync(['--check', '--providers', 'copilot', '--scope', 'all'], 'check-section'), 'sync-skills --check (section edit)', 1);
+  assertIncludes(section.stdout, `[modified] (section) -> ${copilot}`, 'Expected the section-level edit');
+
+  // Skills outside the selected scope read as orphaned, with their own detail.
+  expectOk(fx.sync([...PROVIDERS, '--scope', 'all', '--mode', 'reset', '--yes'], 'resync'), 'sync-skills (regenerate)');
+  expectOk(fx.sync(['--check', ...PROVIDERS, '--scope', 'all'], 'check-resynced'), 'sync-skills --check after regenerating');
+  const scoped = expectFail(
+    fx.sync(['--check', '--providers', 'cursor', '--scope', 'specific', '--skills', 'alpha,beta,gamma'], 'check-scope'),
+    'sync-skills --check with a narrower scope',
+    1
+  );
+  assertIncludes(
+    scoped.stdout,
+    '[orphaned] backend/delta -> .cursor/rules/skills/backend/delta.mdc (skill not in selected scope)',
+    'Expected the out-of-scope wrapper to be orphaned'
+  );
+  assertNotIncludes(scoped.stdout, '[missing]', 'Selected skills are all present');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
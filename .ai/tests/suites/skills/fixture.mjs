@@ -0,0 +1,133 @@
+/**
+ * fixture.mjs
+ * Shared fixture for skills tests: a minimal repo with copies of the skills scripts
+ * (they resolve the repo root from their own location) and helpers to write SSOT skills and packs.
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+
+const SCRIPTS = ['sync-skills.mjs', 'skills-index.mjs', 'lib'];
+
+const GIT_ENV = {
+  GIT_AUTHOR_NAME: 'Fixture',
+  GIT_AUTHOR_EMAIL: 'fixture@example.com',
+  GIT_COMMITTER_NAME: 'Fixture',
+  GIT_COMMITTER_EMAIL: 'fixture@example.com',
+};
+
+export function createSkillsFixture(ctx, testName) {
+  const testDir = path.join(ctx.evidenceDir, testName);
+  const rootDir = path.join(testDir, 'fixture');
+  fs.mkdirSync(path.join(rootDir, '.ai', 'skills'), { recursive: true });
+  for (const script of SCRIPTS) {
+    fs.cpSync(path.join(ctx.repoRoot, '.ai', 'scripts', script), path.join(rootDir, '.ai', 'scripts', script), { recursive: true });
+  }
+
+  let seq = 0;
+  const fixture = {
+    testDir,
+    rootDir,
+
+    run(script, args, label) {
+      return runCommand({
+        cmd: 'node',
+        args: [path.join(rootDir, '.ai', 'scripts', script), ...args],
+        cwd: rootDir,
+        evidenceDir: testDir,
+        label: `${testName}.${String((seq += 1)).padStart(2, '0')}.${label}`,
+      });
+    },
+
+    sync(args, label = 'sync') {
+      return fixture.run('sync-skills.mjs', args, label);
+    },
+
+    // ctl-skill-packs takes --repo-root, so the repo's own copy runs against the fixture.
+    packs(args, label = args[0]) {
+      return runCommand({
+        cmd: 'node',
+        args: [path.join(ctx.repoRoot, '.ai', 'skills', '_meta', 'ctl-skill-packs.mjs'), ...args, '--repo-root', rootDir],
+        cwd: rootDir,
+        evidenceDir: testDir,
+        label: `${testName}.${String((seq += 1)).padStart(2, '0')}.${label}`,
+      });
+    },
+
+    git(args, label = `git-${args[0]}`) {
+      const res = runCommand({
+        cmd: 'git',
+        args,
+        cwd: rootDir,
+        env: GIT_ENV,
+        evidenceDir: testDir,
+        label: `${testName}.${String((seq += 1)).padStart(2, '0')}.${label}`,
+      });
+      if (res.error || res.code !== 0) throw new Error(`git ${args.join(' ')} failed: ${res.stderr || res.stdout}`);
+      return res.stdout;
+    },
+
+    writePack(id, pack) {
+      fixture.write(`.ai/skills/_meta/packs/${id}.json`, `${JSON.stringify({ id, version: '1.0.0', ...pack }, null, 2)}\n`);
+    },
+
+    readJson(rel) {
+      return JSON.parse(fixture.read(rel));
+    },
+
+    read(rel) {
+      return fs.readFileSync(path.join(rootDir, rel), 'utf8');
+    },
+
+    write(rel, content) {
+      fs.mkdirSync(path.dirname(path.join(rootDir, rel)), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, rel), content, 'utf8');
+    },
+
+    exists(rel) {
+      return fs.existsSync(path.join(rootDir, rel));
+    },
+
+    remove(rel) {
+      fs.rmSync(path.join(rootDir, rel), { recursive: true, force: true });
+    },
+
+    // An SSOT skill; `frontmatter` lines are written verbatim after `name:`.
+    writeSkill(rel, { name = path.basename(rel), frontmatter = [`description: ${name} skill`], body = '' } = {}) {
+      fixture.write(
+        `.ai/skills/${rel}/SKILL.md`,
+        ['---', `name: ${name}`, ...frontmatter, '---', '', `# ${name}`, '', body || `Steps for ${name}.`, ''].join('\n')
+      );
+    },
+
+    // Files under a directory (recursive), as repo-relative POSIX paths.
+    listFiles(rel) {
+      const out = [];
+      const walk = (dir) => {
+        if (!fs.existsSync(dir)) return;
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          const abs = path.join(dir, entry.name);
+          if (entry.isDirectory()) walk(abs);
+          else out.push(path.relative(rootDir, abs).split(path.sep).join('/'));
+        }
+      };
+      walk(path.join(rootDir, rel));
+      return out.sort();
+    },
+  };
+  return fixture;
+}
+
+export function expectOk(res, what) {
+  if (res.error || res.code !== 0) {
+    throw new Error(`${what} failed (exit ${res.code}): ${res.error ? String(res.error) : res.stderr || res.stdout}`);
+  }
+  return res;
+}
+
+export function expectFail(res, what, code = null) {
+  if (res.code === 0) throw new Error(`${what} should exit non-zero:\n${res.stdout}`);
+  if (code !== null && res.code !== code) throw new Error(`${what} should exit ${code} (got ${res.code}):\n${res.stdout}${res.stderr}`);
+  return res;
+}
@@ -0,0 +1,77 @@
+/**
+ * frontmatter.mjs
+ * sync-skills: every generated wrapper has YAML-parseable frontmatter that round-trips the SSOT description
+ */
+import { runCommand } from '../../lib/exec.mjs';
+import { pickPython, pythonHasModule } from '../../lib/python.mjs';
+import { assertIncludes } from '../../lib/text.mjs';
+import { createSkillsFixture, expectOk } from './fixture.mjs';
+
+export const name = 'skills-frontmatter';
+
+// SSOT frontmatter line(s) -> the description text every provider must carry.
+const SKILLS = [
+  ['workflows/demo/colon', ['description: "Use when: the task says \\"ship it\\" (see C:\\\\tmp) # not a comment"'], 'Use when: the task says "ship it" (see C:\\tmp) # not a comment'],
+  ['workflows/demo/bracket', ['description: "[beta] {flow} starts with an indicator"'], '[beta] {flow} starts with an indicator'],
+  ['workflows/demo/folded', ['description: >', '  Folded text that', '  spans two lines.'], 'Folded text that spans two lines.'],
+  ['workflows/demo/single', ["description: 'It''s single-quoted: yes'"], "It's single-quoted: yes"],
+  ['backend/plain', ['description: Plain text only'], 'Plain text only'],
+];
+
+// Prints {file: frontmatter} for every file argument; yaml.safe_load raises on invalid YAML.
+const PARSE_FRONTMATTER = `
+import json, re, sys, yaml
+out = {}
+for f in sys.argv[1:]:
+    text = open(f, encoding="utf-8").read()
+    m = re.match(r"---\\n(.*?)\\n---\\n", text, re.S)
+    out[f] = yaml.safe_load(m.group(1)) if m else None
+print(json.dumps(out))
+`;
+
+export function run(ctx) {
+  const python = pickPython();
+  if (!python || !pythonHasModule(python, 'yaml')) {
+    ctx.log(`[${name}] SKIP (python with PyYAML not available)`);
+    return { name, status: 'SKIP', reason: 'python with PyYAML not available' };
+  }
+
+  const fx = createSkillsFixture(ctx, name);
+  for (const [rel, frontmatter] of SKILLS) fx.writeSkill(rel, { frontmatter });
+
+  expectOk(fx.sync(['--providers', 'all', '--scope', 'all', '--mode', 'reset', '--yes'], 'sync-all'), 'sync-skills --providers all');
+
+  const roots = ['.codex/skills', '.claude/skills', '.gemini/skills', '.cursor/rules/skills', '.windsurf/rules/skills'];
+  const files = roots.flatMap((r) => fx.listFiles(r));
+  if (files.length !== SKILLS.length * roots.length) throw new Error(`unexpected wrapper count ${files.length}:\n${files.join('\n')}`);
+
+  const parsed = runCommand({
+    cmd: python.cmd,
+    args: [...python.argsPrefix, '-c', PARSE_FRONTMATTER, ...files],
+    cwd: fx.rootDir,
+    evidenceDir: fx.testDir,
+    label: `${name}.parse-frontmatter`,
+  });
+  const frontmatters = JSON.parse(expectOk(parsed, 'parse wrapper frontmatter').stdout);
+  for (const [rel, , description] of SKILLS) {
+    for (const file of files.filter((f) => f.includes(`/${rel}.`) || f.includes(`/${rel}/`))) {
+      const fm = frontmatters[file];
+      // SKILL.md wrappers copy the SSOT frontmatter verbatim (a folded scalar keeps its final newline).
+      if (!fm || String(fm.description).trimEnd() !== description) {
+        throw new Error(`${file}: description ${JSON.stringify(fm?.description)} !== ${JSON.stringify(description)}`);
+      }
+      if (fm.ssot_path !== `.ai/skills/${rel}`) throw new Error(`${file}: unexpected ssot_path ${JSON.stringify(fm.ssot_path)}`);
+    }
+  }
+
+  assertIncludes(fx.read('.github/copilot-instructions.md'), '**colon**: Use when: the task says "ship it"', 'Expected the Copilot entry');
+  expectOk(fx.sync(['--check', '--providers', 'all', '--scope', 'all'], 'check-clean'), 'sync-skills --check after a fresh sync');
+
+  // The wrappers match their recorded hashes, so an SSOT edit reads as stale, not modified.
+  fx.writeSkill('workflows/demo/colon', { frontmatter: ['description: "Use when: the task says \\"ship it now\\""'] });
+  const stale = fx.sync(['--check', '--providers', 'cursor,windsurf,copilot', '--scope', 'all'], 'check-stale');
+  assertIncludes(stale.stdout, 'Drift: 0 missing, 3 stale, 0 modified, 0 orphaned', 'Expected quoted rule wrappers to be recognized as stale');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -0,0 +1,57 @@
+/**
+ * hook.mjs
+ * pre-commit hook: staged wrapper edits under every provider root trigger sync-skills --check
+ * for the providers present in the checkout (--providers present)
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+import { assertIncludes } from '../../lib/text.mjs';
+import { createSkillsFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'skills-hook';
+
+export function run(ctx) {
+  const fx = createSkillsFixture(ctx, name);
+  fx.writeSkill('workflows/a/alpha');
+  fx.writeSkill('workflows/a/beta');
+  fx.write('.ai/skills/_meta/sync-manifest.json', `${JSON.stringify({ version: 1, includePrefixes: ['workflows/'] }, null, 2)}\n`);
+  expectOk(fx.sync(['--providers', 'gemini,cursor,windsurf,copilot', '--scope', 'current', '--mode', 'reset', '--yes'], 'sync'), 'sync-skills');
+
+  const present = expectOk(fx.sync(['--check', '--providers', 'present', '--scope', 'current'], 'check-present'), 'sync-skills --check --providers present');
+  assertIncludes(present.stdout, 'providers: gemini, cursor, windsurf, copilot', 'Expected exactly the providers with wrappers on disk');
+
+  fs.cpSync(path.join(ctx.repoRoot, '.githooks', 'pre-commit'), path.join(fx.rootDir, '.githooks', 'pre-commit'));
+  fx.git(['init', '-q']);
+  fx.git(['config', 'commit.gpgsign', 'false'], 'git-config');
+  fx.git(['add', '-A']);
+  fx.git(['commit', '-q', '-m', 'init'], 'git-commit');
+  const hook = (label) => runCommand({ cmd: 'sh', args: ['.githooks/pre-commit'], cwd: fx.rootDir, evidenceDir: fx.testDir, label: `${name}.${label}` });
+
+  // A hand edit staged under any provider root is caught; only the description changes.
+  const edits = [
+    ['.gemini/skills/workflows/a/alpha/SKILL.md', 'description: alpha skill', 'description: alpha, edited'],
+    ['.cursor/rules/skills/workflows/a/alpha.mdc', 'description: "alpha skill"', 'description: "alpha, edited"'],
+    ['.windsurf/rules/skills/workflows/a/alpha.md', 'description: "alpha skill"', 'description: "alpha, edited"'],
+    ['.github/copilot-instructions.md', '**alpha**: alpha skill', '**alpha**: alpha, edited'],
+  ];
+  for (const [file, from, to] of edits) {
+    fx.write(file, fx.read(file).replace(from, to));
+    fx.git(['add', file]);
+    const res = expectFail(hook(`hook-${file.split('/')[1]}`), `pre-commit with an edited ${file}`);
+    assertIncludes(res.stdout, '[hook] Detected skill changes, checking provider wrappers...', `Expected ${file} to trigger the check`);
+    assertIncludes(res.stdout, `[modified] workflows/a/alpha -> ${file}`, `Expected the edit to ${file}`);
+    fx.git(['reset', '-q'], 'git-reset');
+    fx.git(['checkout', '--', file], 'git-checkout');
+  }
+
+  // An SSOT edit with regenerated wrappers passes.
+  fx.writeSkill('workflows/a/beta', { frontmatter: ['description: beta skill, revised'] });
+  expectOk(fx.sync(['--providers', 'present', '--scope', 'current', '--mode', 'reset', '--yes'], 'resync'), 'sync-skills --providers present');
+  fx.git(['add', '-A']);
+  expectOk(hook('hook-clean'), 'pre-commit after regenerating the wrappers');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
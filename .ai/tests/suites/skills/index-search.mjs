@@ -0,0 +1,63 @@
+/**
+ * index-search.mjs
+ * skills-index: build / build --check, BM25 ranking with --category and --limit,
+ * and search falling back to an in-memory index whenever the file differs from a fresh build
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { assertIncludes } from '../../lib/text.mjs';
+import { createSkillsFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'skills-index-search';
+
+const INDEX = '.ai/skills/_meta/skills-index.json';
+
+export function run(ctx) {
+  const fx = createSkillsFixture(ctx, name);
+  fx.writeSkill('backend/http-retry', { name: 'retry-http-calls', frontmatter: ['description: Retry failed HTTP calls with exponential backoff.'] });
+  fx.writeSkill('backend/http-client', { name: 'build-http-client', frontmatter: ['description: Configure a shared HTTP client with timeouts.'] });
+  fx.writeSkill('frontend/loading', { name: 'react-loading-states', frontmatter: ['description: Show loading and error states in React components.'] });
+  fx.writeSkill('workflows/review', { name: 'review-pr', frontmatter: ['description: Review a pull request before merging.'] });
+
+  const index = (args, label) => fx.run('skills-index.mjs', args, label);
+  const search = (query, extra, label) => JSON.parse(expectOk(index(['search', query, ...extra, '--format', 'json'], label), `search "${query}"`).stdout);
+  const names = (res) => res.results.map((r) => r.name).join(',');
+
+  const missing = expectFail(index(['build', '--check'], 'check-missing'), 'build --check without an index', 1);
+  assertIncludes(missing.stderr, `[error] ${INDEX} is missing`, 'Expected the missing index');
+  if (search('http', [], 'search-no-index').source !== 'in-memory (no index file)') throw new Error('search without an index file must index in memory');
+
+  assertIncludes(expectOk(index(['build'], 'build'), 'build').stdout, `[ok] Wrote ${INDEX} (4 skills,`, 'Expected the index written');
+  assertIncludes(expectOk(index(['build', '--check'], 'check-clean'), 'build --check').stdout, `[ok] ${INDEX} is up to date (4 skills)`, 'Expected a current index');
+
+  // Both terms beat one; a name match beats a description-only match.
+  const retry = search('retry http', [], 'search-retry');
+  if (retry.source !== INDEX) throw new Error(`a current index file must be used: ${retry.source}`);
+  if (names(retry) !== 'retry-http-calls,build-http-client') throw new Error(`unexpected ranking for "retry http": ${names(retry)}`);
+  if (retry.results[0].matched.join(',') !== 'retry,http' || retry.results[0].ssot_path !== '.ai/skills/backend/http-retry') {
+    throw new Error(`unexpected top result: ${JSON.stringify(retry.results[0])}`);
+  }
+  if (names(search('loading states', ['--category', 'frontend'], 'search-category')) !== 'react-loading-states') throw new Error('--category frontend must keep the React skill');
+  if (names(search('loading states', ['--category', 'backend'], 'search-category-none')) !== '') throw new Error('--category backend must exclude the React skill');
+  if (search('http', ['--limit', '1'], 'search-limit').results.length !== 1) throw new Error('--limit 1 must return one result');
+
+  // An SSOT edit that leaves the index looking newer (checkout, branch switch) still invalidates it.
+  const indexTime = fs.statSync(path.join(fx.rootDir, INDEX)).mtime;
+  fx.writeSkill('workflows/review', { name: 'review-pr', frontmatter: ['description: Review a pull request and retry flaky checks.'] });
+  const skillPath = path.join(fx.rootDir, '.ai/skills/workflows/review/SKILL.md');
+  fs.utimesSync(skillPath, new Date(indexTime.getTime() - 60_000), new Date(indexTime.getTime() - 60_000));
+  const stale = search('retry', [], 'search-stale');
+  if (stale.source !== 'in-memory (index file is out of date)') throw new Error(`an out-of-date index file must not be used: ${stale.source}`);
+  if (!stale.results.some((r) => r.name === 'review-pr')) throw new Error(`search must see the edited skill: ${names(stale)}`);
+  const outOfDate = expectFail(index(['build', '--check'], 'check-stale'), 'build --check after an SSOT edit', 1);
+  assertIncludes(outOfDate.stderr, `[error] ${INDEX} is out of date`, 'Expected the out-of-date index');
+
+  // A hand edit to the index file is not trusted either.
+  expectOk(index(['build'], 'rebuild'), 'build');
+  fx.write(INDEX, fx.read(INDEX).replace('"name":"review-pr"', '"name":"review-pull-request"'));
+  if (search('review', [], 'search-hand-edit').source !== 'in-memory (index file is out of date)') throw new Error('a hand-edited index file must not be used');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
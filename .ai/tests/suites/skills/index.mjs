@@ -0,0 +1,25 @@
+/**
+ * index.mjs
+ * Skills test suite (sync-skills wrappers, skills-index, ctl-skill-packs)
+ */
+import * as frontmatter from './frontmatter.mjs';
+import * as check from './check.mjs';
+import * as packs from './packs.mjs';
+import * as install from './install.mjs';
+import * as indexSearch from './index-search.mjs';
+import * as hook from './hook.mjs';
+
+const TESTS = [frontmatter, check, packs, install, indexSearch, hook];
+
+export function run(ctx) {
+  const results = [];
+  for (const t of TESTS) {
+    const name = t.name || 'unnamed-test';
+    ctx.log(`[tests][skills] start: ${name}`);
+    const res = t.run(ctx);
+    results.push(res);
+    ctx.log(`[tests][skills] done: ${name} (${res.status})`);
+    if (res.status === 'FAIL') break;
+  }
+  return results;
+}
@@ -0,0 +1,125 @@
+/**
+ * install.mjs
+ * ctl-skill-packs install-pack / upgrade-pack / uninstall-pack: directory and .tgz sources,
+ * portable lockfile sources, conflict refusal, adopted files, local edits kept on upgrade and uninstall
+ */
+import fs from 'fs';
+import path from 'path';
+
+import { runCommand } from '../../lib/exec.mjs';
+import { assertIncludes } from '../../lib/text.mjs';
+import { createSkillsFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'skills-install';
+
+const LOCK = '.ai/skills/_meta/packs.lock.json';
+
+// A pack source directory: pack.json plus skills/<rel> files.
+function writeSource(dir, manifest, files) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'pack.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, 'skills', rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'skills', rel), content);
+  }
+}
+
+const skill = (id, text) => `---\nname: ${id}\ndescription: ${id} skill\n---\n\n# ${id}\n\n${text}\n`;
+
+export function run(ctx) {
+  const fx = createSkillsFixture(ctx, name);
+  const lock = () => (fx.exists(LOCK) ? fx.readJson(LOCK).packs : {});
+
+  // Sources live outside the fixture repo, as they would on a maintainer's machine.
+  const v1 = path.join(fx.testDir, 'sources', 'org-pack');
+  writeSource(v1, { id: 'org-pack', version: '1.0.0', includePrefixes: ['org/'] }, {
+    'org/alpha/SKILL.md': skill('alpha', 'Alpha v1.'),
+    'org/alpha/notes.md': 'Notes v1.\n',
+    'org/beta/SKILL.md': skill('beta', 'Beta.'),
+  });
+  fx.write('.ai/skills/org/alpha/notes.md', 'Local notes.\n');
+  fx.write('.ai/skills/org/beta/SKILL.md', skill('beta', 'Beta.'));
+
+  // A differing local file aborts the install before anything is written.
+  const refused = expectFail(fx.packs(['install-pack', '--from', v1], 'install-conflict'), 'install-pack over a local edit');
+  assertIncludes(refused.stdout, '[C] org/alpha/notes.md (local file differs)', 'Expected the conflicting file in the plan');
+  assertIncludes(refused.stderr, 'refusing to overwrite local edits', 'Expected the refusal');
+  if (fx.exists('.ai/skills/org/alpha/SKILL.md') || fx.exists('.ai/skills/_meta/packs/org-pack.json') || lock()['org-pack']) {
+    throw new Error('a refused install-pack must not write files, the manifest or the lockfile');
+  }
+  if (fx.read('.ai/skills/org/alpha/notes.md') !== 'Local notes.\n') throw new Error('a refused install-pack must keep the local file');
+
+  // An identical file already present is adopted: kept, but not owned by the pack.
+  fx.remove('.ai/skills/org/alpha/notes.md');
+  const installed = expectOk(fx.packs(['install-pack', '--from', v1], 'install-dir'), 'install-pack from a directory');
+  assertIncludes(installed.stdout, '[=] org/beta/SKILL.md (identical file already present; not owned by the pack)', 'Expected the adopted file');
+  assertIncludes(installed.stdout, '[ok] Installed pack: org-pack@1.0.0 (3 file(s))', 'Expected the install');
+  let entry = lock()['org-pack'];
+  if (entry.source !== 'org-pack') throw new Error(`lock source must not be a machine path: ${entry.source}`);
+  if (Object.keys(entry.files).join(',') !== 'org/alpha/SKILL.md,org/alpha/notes.md') {
+    throw new Error(`adopted files must stay out of the lock: ${Object.keys(entry.files).join(', ')}`);
+  }
+
+  // Upgrade: an upstream change to a locally edited file is kept as a conflict.
+  const v2 = path.join(fx.testDir, 'sources', 'org-pack-next');
+  writeSource(v2, { id: 'org-pack', version: '1.1.0', includePrefixes: ['org/'] }, {
+    'org/alpha/SKILL.md': skill('alpha', 'Alpha v2.'),
+    'org/alpha/notes.md': 'Notes v2.\n',
+    'org/beta/SKILL.md': skill('beta', 'Beta.'),
+  });
+  fx.write('.ai/skills/org/alpha/notes.md', 'Notes v1, edited locally.\n');
+  const dryRun = expectOk(fx.packs(['upgrade-pack', 'org-pack', '--from', v2, '--no-sync'], 'upgrade-dry-run'), 'upgrade-pack (dry run)');
+  assertIncludes(dryRun.stdout, '[M] org/alpha/SKILL.md', 'Expected the upstream update');
+  assertIncludes(dryRun.stdout, '[C] org/alpha/notes.md (modified locally and upstream; kept)', 'Expected the local edit as a conflict');
+  assertIncludes(dryRun.stdout, 'Dry run: nothing changed.', 'Expected a dry run');
+  if (!fx.read('.ai/skills/org/alpha/SKILL.md').includes('Alpha v1.')) throw new Error('a dry-run upgrade-pack must not write files');
+
+  const upgraded = expectOk(fx.packs(['upgrade-pack', 'org-pack', '--from', v2, '--yes', '--no-sync'], 'upgrade'), 'upgrade-pack --yes');
+  assertIncludes(upgraded.stderr, '[warn] Kept 1 locally modified file(s)', 'Expected the kept conflict');
+  if (!fx.read('.ai/skills/org/alpha/SKILL.md').includes('Alpha v2.')) throw new Error('upgrade-pack did not update an unmodified file');
+  if (fx.read('.ai/skills/org/alpha/notes.md') !== 'Notes v1, edited locally.\n') throw new Error('upgrade-pack overwrote a local edit');
+  entry = lock()['org-pack'];
+  if (entry.version !== '1.1.0' || entry.source !== 'org-pack-next') throw new Error(`unexpected lock after upgrade: ${JSON.stringify(entry)}`);
+  if ('org/beta/SKILL.md' in entry.files) throw new Error('an adopted file must stay out of the lock after upgrade');
+
+  // Uninstall deletes unmodified pack files only; adopted and locally modified files stay.
+  const plan = expectOk(fx.packs(['uninstall-pack', 'org-pack'], 'uninstall-dry-run'), 'uninstall-pack (dry run)');
+  assertIncludes(plan.stdout, 'Uninstalling org-pack@1.1.0 (installed from org-pack-next):', 'Expected the portable source');
+  assertIncludes(plan.stdout, '[D] org/alpha/SKILL.md', 'Expected the unmodified file deleted');
+  assertIncludes(plan.stdout, '[C] org/alpha/notes.md (modified locally; kept)', 'Expected the modified file kept');
+  if (!fx.exists('.ai/skills/org/alpha/SKILL.md')) throw new Error('a dry-run uninstall-pack must not delete files');
+
+  expectOk(fx.packs(['uninstall-pack', 'org-pack', '--yes'], 'uninstall'), 'uninstall-pack --yes');
+  if (fx.exists('.ai/skills/org/alpha/SKILL.md')) throw new Error('uninstall-pack did not delete an unmodified file');
+  if (!fx.exists('.ai/skills/org/alpha/notes.md')) throw new Error('uninstall-pack deleted a modified file without --force');
+  if (!fx.exists('.ai/skills/org/beta/SKILL.md')) throw new Error('uninstall-pack deleted an adopted file');
+  if (fx.exists('.ai/skills/_meta/packs/org-pack.json') || lock()['org-pack']) throw new Error('uninstall-pack left the manifest or lock entry');
+
+  // .tgz source inside the repo (wrapped in a top-level directory): recorded repo-relative.
+  const staging = path.join(fx.testDir, 'staging');
+  writeSource(path.join(staging, 'team-pack-1.0.0'), { id: 'team-pack', version: '1.0.0', includePrefixes: ['team/'] }, {
+    'team/gamma/SKILL.md': skill('gamma', 'Gamma.'),
+  });
+  fs.mkdirSync(path.join(fx.rootDir, 'vendor'), { recursive: true });
+  const tar = runCommand({
+    cmd: 'tar',
+    args: ['-czf', path.join(fx.rootDir, 'vendor', 'team-pack-1.0.0.tgz'), '-C', staging, 'team-pack-1.0.0'],
+    cwd: fx.testDir,
+    evidenceDir: fx.testDir,
+    label: `${name}.tar`,
+  });
+  expectOk(tar, 'tar -czf');
+  const fromTgz = expectOk(fx.packs(['install-pack', '--from', 'vendor/team-pack-1.0.0.tgz'], 'install-tgz'), 'install-pack from a .tgz');
+  assertIncludes(fromTgz.stdout, 'Installing team-pack@1.0.0 from vendor/team-pack-1.0.0.tgz:', 'Expected the archive source');
+  if (lock()['team-pack'].source !== 'vendor/team-pack-1.0.0.tgz') throw new Error(`unexpected lock source: ${lock()['team-pack'].source}`);
+  if (fx.read('.ai/skills/team/gamma/SKILL.md') !== skill('gamma', 'Gamma.')) throw new Error('install-pack from a .tgz did not copy the skill');
+
+  // --force deletes locally modified files too.
+  fx.write('.ai/skills/team/gamma/SKILL.md', skill('gamma', 'Gamma, edited.'));
+  const forced = expectOk(fx.packs(['uninstall-pack', 'team-pack', '--yes', '--force'], 'uninstall-force'), 'uninstall-pack --force');
+  assertIncludes(forced.stdout, '[D] team/gamma/SKILL.md (modified locally; deleted (--force))', 'Expected the forced delete');
+  if (fx.exists('.ai/skills/team/gamma/SKILL.md')) throw new Error('uninstall-pack --force kept a modified file');
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}
@@ -0,0 +1,91 @@
+/**
+ * packs.mjs
+ * ctl-skill-packs dependencies: npm-style ranges (incl. prereleases), cycles, disable refusal and --cascade
+ */
+import { assertIncludes } from '../../lib/text.mjs';
+import { createSkillsFixture, expectFail, expectOk } from './fixture.mjs';
+
+export const name = 'skills-packs';
+
+// [range, version, satisfied]
+const RANGES = [
+  ['^1.2.3', '1.2.3', true],
+  ['^1.2.3', '1.9.0', true],
+  ['^1.2.3', '2.0.0', false],
+  ['^1.2.3', '1.2.2', false],
+  ['^0.2.3', '0.2.9', true],
+  ['^0.2.3', '0.3.0', false],
+  ['^0.0.3', '0.0.3', true],
+  ['^0.0.3', '0.0.4', false],
+  ['~1.2.3', '1.2.9', true],
+  ['~1.2.3', '1.3.0', false],
+  ['~1', '1.9.9', true],
+  ['~1', '2.0.0', false],
+  ['1.0.0 - 2.0.0', '2.0.0', true],
+  ['1.0.0 - 2.0.0', '2.0.1', false],
+  ['1.0.0 - 2.0.0', '0.9.9', false],
+  ['1.2 - 2', '2.9.0', true],
+  ['1.x || >=3.1.0', '1.5.0', true],
+  ['1.x || >=3.1.0', '2.0.0', false],
+  ['1.x || >=3.1.0', '3.1.0', true],
+  ['1.2.x', '1.2.7', true],
+  ['1.2.x', '1.3.0', false],
+  ['*', '5.0.0', true],
+  ['>=1 <2', '1.5.0', true],
+  ['>=1 <2', '2.0.0', false],
+  // Prereleases only match a range that names a prerelease of the same major.minor.patch.
+  ['^1.0.0', '1.3.0-rc.1', false],
+  ['*', '1.0.0-beta', false],
+  ['1.x', '1.5.0-rc.1', false],
+  ['^1.0.0', '2.0.0-0', false],
+  ['>=1.3.0-rc.0', '1.3.0-rc.1', true],
+  ['>=1.3.0-rc.0', '1.4.0-rc.1', false],
+  ['^1.3.0-beta', '1.3.0-beta.2', true],
+  ['^1.3.0-beta', '1.3.1', true],
+];
+
+export function run(ctx) {
+  const fx = createSkillsFixture(ctx, name);
+
+  RANGES.forEach(([, version], i) => fx.writePack(`target-${i}`, { version }));
+  fx.writePack('ranges', { dependencies: RANGES.map(([range], i) => ({ id: `target-${i}`, version: range })) });
+  const graph = JSON.parse(fx.packs(['graph', 'ranges', '--format', 'json'], 'graph-ranges').stdout);
+  const edges = new Map(graph.packs.find((p) => p.id === 'ranges').dependencies.map((d) => [d.id, d.ok]));
+  const wrong = RANGES.filter(([, , expected], i) => edges.get(`target-${i}`) !== expected);
+  if (wrong.length > 0) {
+    throw new Error(`range checks disagree:\n${wrong.map(([r, v, e]) => `  ${v} ${e ? 'should' : 'should not'} satisfy "${r}"`).join('\n')}`);
+  }
+  assertIncludes(graph.errors.join('\n'), 'ranges requires target-2@^1.2.3, but target-2 is 2.0.0', 'Expected the unsatisfied range error');
+
+  // Cycles are reported and nothing is enabled.
+  fx.writePack('loop-a', { dependencies: ['loop-b'] });
+  fx.writePack('loop-b', { dependencies: ['loop-a@^1.0.0'] });
+  const cycle = expectFail(fx.packs(['enable-pack', 'loop-a', '--no-sync'], 'enable-cycle'), 'enable-pack with a cycle');
+  assertIncludes(cycle.stderr, 'dependency cycle: loop-a -> loop-b -> loop-a', 'Expected the cycle');
+  if (fx.exists('.ai/skills/_meta/skillsctl-state.json')) throw new Error('a failed enable-pack must not write state');
+
+  // base <- mid <- top, plus an unrelated pack sharing base's prefix.
+  fx.writePack('base', { includePrefixes: ['workflows/base/', 'shared/'] });
+  fx.writePack('mid', { includePrefixes: ['workflows/mid/'], dependencies: ['base@^1.0.0'] });
+  fx.writePack('top', { includePrefixes: ['workflows/top/'], dependencies: [{ id: 'mid', version: '~1.0.0' }] });
+  fx.writePack('other', { includePrefixes: ['shared/'] });
+
+  const enabled = expectOk(fx.packs(['enable-pack', 'top', '--no-sync'], 'enable-top'), 'enable-pack top');
+  assertIncludes(enabled.stdout, 'Enabled dependencies: base, mid', 'Expected dependencies enabled first');
+  expectOk(fx.packs(['enable-pack', 'other', '--no-sync'], 'enable-other'), 'enable-pack other');
+  const state = () => fx.readJson('.ai/skills/_meta/skillsctl-state.json').enabledPacks.join(',');
+  if (state() !== 'base,mid,top,other') throw new Error(`unexpected enabled packs: ${state()}`);
+
+  const refused = expectFail(fx.packs(['disable-pack', 'base', '--no-sync'], 'disable-refused'), 'disable-pack base without --cascade');
+  assertIncludes(refused.stderr, 'Cannot disable "base": required by enabled pack(s): mid, top', 'Expected direct and transitive dependents');
+  if (state() !== 'base,mid,top,other') throw new Error('a refused disable-pack must not change state');
+
+  const cascade = expectOk(fx.packs(['disable-pack', 'base', '--cascade', '--no-sync'], 'disable-cascade'), 'disable-pack base --cascade');
+  assertIncludes(cascade.stdout, 'Disabled dependents: mid, top', 'Expected the cascade');
+  if (state() !== 'other') throw new Error(`unexpected enabled packs after --cascade: ${state()}`);
+  const prefixes = fx.readJson('.ai/skills/_meta/sync-manifest.json').includePrefixes.join(',');
+  if (prefixes !== 'shared/') throw new Error(`a prefix still used by an enabled pack must stay: ${prefixes}`);
+
+  ctx.log(`[${name}] PASS`);
+  return { name, status: 'PASS' };
+}